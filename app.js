@@ -1,11 +1,28 @@
 const express = require('express');
-const axios = require("axios");
-const cheerio = require("cheerio");
-const tough = require("tough-cookie");
-const { wrapper } = require("axios-cookiejar-support");
-const { solveCaptchaFromBase64 } = require("./captchasolver");
+const { SOLVER_MODE, MODEL_INFO } = require("./captchasolver");
+const { CAPTCHA_MIN_CONFIDENCE, captchaStats, VtopClient } = require("./vtopclient");
+const { CGPA_TABLE_MISSING, driftMonitor, extractCGPADetails, extractGradeHistory } = require("./extractors");
+const { createStoreBackend } = require("./sessionstore");
+const { createResourceCache, etagOf, matchesEtag } = require("./cache");
+const { loadSlotMap, buildWeeklySchedule } = require("./schedule");
+const { buildCalendar } = require("./calendar");
+const { tabulate, toCsv } = require("./tables");
+const { CONTENT_TYPE: XLSX_CONTENT_TYPE, buildWorkbook } = require("./xlsx");
+const { buildReport, renderHtml, renderPdf } = require("./report");
+const { DEFAULT_THRESHOLD, planAttendance } = require("./attendanceplanner");
+const { analyzeMarks } = require("./marksanalytics");
+const { SimulationError, simulateCgpa } = require("./cgpasimulator");
+const { buildTranscript } = require("./transcript");
+const { buildSnapshot, applySnapshot, changesSince } = require("./changes");
+const { WebhookError, createWebhookService } = require("./webhooks");
+const { VtopError, toVtopError, settleSections, failureOf } = require("./errors");
+const { createCredentialVault } = require("./credentials");
+const { SECTION_SCHEMAS } = require("./drift");
+const { createKeyedQueue } = require("./keyedqueue");
+const { DEFAULT_CAMPUS, CampusError, loadCampusProfiles, resolveCampus, semesterMismatch } = require("./campuses");
 const fs = require('fs');
-const readline = require('readline');
+const path = require('path');
+const crypto = require('crypto');
 const bodyParser = require('body-parser');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -32,1499 +49,1137 @@ app.use(limiter);
 // Existing middleware
 app.use(bodyParser.json());
 
-// User session cache for connection pooling
-const userSessions = new Map();
-const SESSION_TIMEOUT = 5 * 60 * 1000; // 30 minutes
-
-// Get or create a client for a specific user
-function getUserClient(username) {
-    // Check if we have a valid session for this user
-    if (userSessions.has(username)) {
-        const session = userSessions.get(username);
-        // Check if session is still valid (not expired)
-        if (Date.now() - session.lastUsed < SESSION_TIMEOUT) {
-            // Update last used timestamp
-            session.lastUsed = Date.now();
-            console.log(`Reusing existing session for user: ${username}`);
-            return session.client;
-        }
-        // Session expired, remove it
-        console.log(`Session expired for user: ${username}`);
-        userSessions.delete(username);
-    }
-    
-    // Create a new client for this user
-    console.log(`Creating new session for user: ${username}`);
-    const client = getNewClient();
-    
-    // Store the new session
-    userSessions.set(username, {
-        client: client,
-        lastUsed: Date.now()
-    });
-    
-    return client;
+// Parser drift checks on every extracted section, see drift.js. Warnings
+// raised while serving a request are collected in req.driftWarnings and
+// returned with its response; the totals are at /diagnostics/parsers.
+app.use((req, res, next) => {
+    req.driftWarnings = {};
+    driftMonitor.run(req.driftWarnings, next);
+});
+
+// Every store below uses one backend, picked with SESSION_STORE (memory,
+// file or redis) and sharing a single Redis connection, see sessionstore.js
+const storeBackend = createStoreBackend();
+
+// Token-keyed session store: each login gets its own cookie jar
+const sessionStore = storeBackend.namespace({ prefix: 'vtop:session:' });
+const SESSION_TIMEOUT = 5 * 60 * 1000; // 5 minutes of inactivity
+
+// Seals the VTOP password kept with each session for logging in again
+// (null unless STORE_CREDENTIALS=true), see credentials.js
+const credentialVault = createCredentialVault();
+
+// Generate an opaque token for a new session
+function generateSessionToken() {
+    return crypto.randomBytes(32).toString('hex');
 }
 
-// Periodically clean up expired sessions
-setInterval(() => {
-    const now = Date.now();
-    let expiredCount = 0;
-    for (const [username, session] of userSessions.entries()) {
-        if (now - session.lastUsed > SESSION_TIMEOUT) {
-            userSessions.delete(username);
-            expiredCount++;
-        }
-    }
-    if (expiredCount > 0) {
-        console.log(`Cleaned up ${expiredCount} expired sessions. Active sessions: ${userSessions.size}`);
-    }
-}, 5 * 60 * 1000); // Check every 5 minutes
-
-// Create a function to get a new client with fresh cookies
-function getNewClient() {
-    const cookieJar = new tough.CookieJar();
-    return wrapper(
-        axios.create({
-            jar: cookieJar,
-            timeout: 10000,
-            maxSockets: 50,
-            keepAlive: true
-        })
-    );
+// Turn a live session into a plain record the store can persist
+function serializeSession(session) {
+    return {
+        username: session.username,
+        ...session.vtop.toJSON(),
+        credentials: session.credentials || null,
+        lastUsed: session.lastUsed
+    };
+}
+
+// Rebuild a live session (VtopClient with its cookie jar) from a stored record
+function restoreSession(record) {
+    // Sessions stored before campuses existed are Vellore ones
+    return {
+        vtop: VtopClient.fromJSON({ ...record, campus: record.campus || DEFAULT_CAMPUS }, { profiles: campuses }),
+        username: record.username,
+        credentials: record.credentials || null,
+        lastUsed: record.lastUsed
+    };
 }
 
-const url =
-  "https://vtop.vit.ac.in/vtop/prelogin/setup?_csrf=915d4b89-b5a2-4004-b733-bf07d64cc0f5&flag=VTOP";
-
-// Function to detect CAPTCHA type
-function detectCaptchaType($, html) {
-  // Check for inbuilt CAPTCHA with prioritized selectors
-  if (
-    $("#captchaBlock").length ||
-    $('img[alt="vtopCaptcha"]').length ||
-    $(".form-control.img-fluid").length
-  ) {
-    return "inbuilt";
-  }
-
-  // Check JavaScript variable `captchaType`
-  const captchaTypeMatch = html.match(/var\s+captchaType\s*=\s*(\d+);/);
-  if (captchaTypeMatch && parseInt(captchaTypeMatch[1], 10) === 1) {
-    return "inbuilt";
-  }
-
-  // Check for any base64 encoded images as fallback
-  if (html.match(/data:image\/(jpeg|png|gif);base64,[^"]+/)) {
-    return "inbuilt";
-  }
-
-  return "unknown";
+// Persist a session, refreshing its last used time and expiry
+async function saveUserSession(token, session) {
+    session.lastUsed = Date.now();
+    await sessionStore.set(token, serializeSession(session), SESSION_TIMEOUT);
 }
 
-// Function to extract CAPTCHA image from the response
-function extractCaptchaImage($, html) {
-  // Try to find the CAPTCHA image from various selectors
-  const captchaImg =
-    $('img[alt="vtopCaptcha"]').attr("src") ||
-    $(".form-control.img-fluid").attr("src");
+// Get a live session for a token, or null if it is unknown or expired
+async function getUserSession(token) {
+    if (!token) {
+        return null;
+    }
 
-  if (captchaImg) return captchaImg;
+    const record = await sessionStore.get(token);
+    if (!record) {
+        return null;
+    }
 
-  // Look for base64 encoded images in the HTML
-  const base64Match = html.match(/data:image\/(jpeg|png|gif);base64,[^"]+/);
-  if (base64Match) return base64Match[0];
+    // Check if session is still valid (not expired)
+    if (Date.now() - record.lastUsed >= SESSION_TIMEOUT) {
+        console.log(`Session expired for user: ${record.username}`);
+        await destroySession(token);
+        return null;
+    }
 
-  // If all methods fail, extract src from any img tag
-  const anyImg = $("img").first().attr("src");
-  if (anyImg && anyImg.includes("base64")) return anyImg;
+    const session = restoreSession(record);
+    await saveUserSession(token, session);
+    return session;
+}
 
-  return null;
+// Drop a session along with its stored VTOP cookies
+async function destroySession(token) {
+    return sessionStore.delete(token);
 }
 
-async function fetchWithSession(client) {
-  try {
-    const maxAttempts = 10;
-
-    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-      // Send GET request
-      const response = await client.get(url, {
-        headers: {
-          "User-Agent":
-            "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/110.0.0.0 Safari/537.36",
-        },
-      });
-
-      // Load response HTML into Cheerio
-      const $ = cheerio.load(response.data);
-
-      // Detect CAPTCHA type
-      const captchaType = detectCaptchaType($, response.data);
-
-      // If inbuilt CAPTCHA is found, process it
-      if (captchaType === "inbuilt") {
-        // Extract CSRF token
-        const csrfToken =
-          $('input[name="_csrf"]').val() ||
-          $('meta[name="_csrf"]').attr("content");
-
-        // Extract the CAPTCHA image
-        const captchaImage = extractCaptchaImage($, response.data);
-
-        if (captchaImage && csrfToken) {
-          // Solve the CAPTCHA
-          const captchaSolution = await solveCaptchaFromBase64(captchaImage);
-
-          if (captchaSolution) {
-            return { csrf: csrfToken, captchaSolution };
-          }
-        }
-      }
+// VTOP sections cached per student with a TTL per resource (see cache.js).
+// Uses the same backend as sessions; ?refresh=true skips it for a request.
+const resourceCache = createResourceCache({
+    store: storeBackend.namespace({
+        dir: process.env.CACHE_DIR || path.join(__dirname, '.cache'),
+        prefix: 'vtop:cache:'
+    })
+});
 
-      // Add a small delay between attempts
-      await new Promise((resolve) => setTimeout(resolve, 500));
+// Periodically clean up expired sessions and cache entries
+setInterval(async () => {
+    try {
+        const expiredCount = await sessionStore.sweep();
+        if (expiredCount > 0) {
+            console.log(`Cleaned up ${expiredCount} expired sessions`);
+        }
+        await resourceCache.sweep();
+    } catch (error) {
+        console.error("Error sweeping sessions:", error.message);
     }
-  } catch (error) {
-    console.error("Error:", error.message);
-  }
+}, 5 * 60 * 1000).unref(); // Check every 5 minutes; don't keep the process alive
+
+// Campus portals (see campuses.js). Logins that name no campus use
+// VTOP_CAMPUS, Vellore by default.
+const campuses = loadCampusProfiles();
+const DEFAULT_CAMPUS_ID = resolveCampus(campuses, process.env.VTOP_CAMPUS || DEFAULT_CAMPUS).id;
+
+// Last seen marks, attendance, exams and assignments per student and
+// semester, for change detection. Uses the same backend as sessions.
+const snapshotStore = storeBackend.namespace({
+    dir: process.env.SNAPSHOT_DIR || path.join(__dirname, '.snapshots'),
+    prefix: 'vtop:snapshot:'
+});
+const SNAPSHOT_TTL = (Number(process.env.SNAPSHOT_TTL_DAYS) || 90) * 24 * 60 * 60 * 1000;
+const snapshotUpdates = createKeyedQueue();
+
+// Registered webhooks and their delivery logs, per student
+const webhooks = createWebhookService({
+    store: storeBackend.namespace({
+        dir: process.env.WEBHOOK_DIR || path.join(__dirname, '.webhooks'),
+        prefix: 'vtop:webhooks:'
+    }),
+    ttl: 365 * 24 * 60 * 60 * 1000,
+    allowPrivateTargets: process.env.WEBHOOK_ALLOW_PRIVATE === 'true',
+    maxWebhooks: Number(process.env.WEBHOOK_MAX_PER_STUDENT) || 10,
+    maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 4,
+    retryDelay: Number(process.env.WEBHOOK_RETRY_DELAY_MS) || 1000
+});
 
-  return null;
+// Resource cache names of the snapshot sections (see changes.js)
+const SNAPSHOT_RESOURCES = {
+    marks: "marks",
+    attendance: "attendance",
+    absences: "detailedAttendance",
+    exams: "exams",
+    assignments: "assignments"
+};
+
+// When each snapshot section of the semester was read from VTOP, for the
+// ones this request served through the resource cache (hits included)
+function snapshotFetchTimes(vtop, semesterId) {
+    const served = (vtop.cache?.served || []).filter((section) => section.semesterId === semesterId);
+    const times = {};
+    Object.entries(SNAPSHOT_RESOURCES).forEach(([section, resource]) => {
+        const entry = served.find((candidate) => candidate.resource === resource);
+        if (entry) times[section] = entry.fetchedAt;
+    });
+    return times;
 }
 
-// Function to check for error messages in response
-function checkResponseForErrors(html) {
-  if (!html) return null;
-
-  // Check for invalid login/password message
-  if (html.includes("Invalid LoginId/Password")) {
-    return "credentials";
-  }
-
-  // Check for invalid captcha message
-  if (html.includes("Invalid Captcha")) {
-    return "captcha";
-  }
+// Compare semester data with the stored snapshot, log what changed and
+// store the new snapshot. Sections read from VTOP before the stored ones
+// (cache hits) are skipped. Updates of one student's semester run one
+// after another, so concurrent requests never diff against the same old
+// snapshot, and each update notifies matching webhooks (in the background)
+// of the changes it found and no others. Resolves with applySnapshot's
+// result.
+function recordChanges(vtop, semesterId, sources) {
+    const key = `${vtop.studentId}:${semesterId}`;
+    const fetchedAt = snapshotFetchTimes(vtop, semesterId);
+    return snapshotUpdates.run(key, async () => {
+        const result = applySnapshot(await snapshotStore.get(key), buildSnapshot(sources), { fetchedAt });
+        await snapshotStore.set(key, result.record, SNAPSHOT_TTL);
+
+        webhooks.notify(vtop.studentId, {
+            semesterId,
+            changes: result.changes,
+            snapshot: result.record.snapshot
+        }).catch((error) => console.error("Error delivering webhooks:", error.message));
 
-  return null;
+        return result;
+    });
 }
 
-// Modify attemptLogin function
-async function attemptLogin(username, password, client) {
-    if (!client) {
-        return { success: false, message: "No client provided" };
+// recordChanges for endpoints that serve data: never fail the response over it
+async function trackChanges({ vtop }, semesterId, sources) {
+    try {
+        await recordChanges(vtop, semesterId, sources);
+    } catch (error) {
+        console.error("Error recording changes:", error.message);
     }
+}
 
-    const maxAttempts = 5;
-    let attempt = 0;
-
-    while (attempt < maxAttempts) {
-        attempt++;
-        
-        // Get CSRF and CAPTCHA solution
-        const result = await fetchWithSession(client);
-        if (!result || !result.csrf || !result.captchaSolution) {
-            console.log("Failed to get CSRF token or solve CAPTCHA");
-            continue;
-        }
+// FFCS slot-to-time charts used to decode timetable slots, loaded once
+// per chart file as campuses need them
+const slotMaps = {};
+function slotMapOf(session) {
+    const file = session.vtop.campus.slotMap;
+    slotMaps[file] = slotMaps[file] || loadSlotMap(file);
+    return slotMaps[file];
+}
 
-        try {
-            const encodedUsername = encodeURIComponent(username);
-            const encodedPassword = encodeURIComponent(password);
-            const loginUrl = `https://vtop.vit.ac.in/vtop/login?_csrf=${result.csrf}&username=${encodedUsername}&password=${encodedPassword}&captchaStr=${result.captchaSolution}`;
-
-            const loginResponse = await client.post(loginUrl, null, {
-                headers: {
-                    "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/110.0.0.0 Safari/537.36",
-                    "Content-Type": "application/x-www-form-urlencoded",
-                }
-            });
+// Minimum attendance percentage the planner aims for unless a request asks otherwise
+const ATTENDANCE_THRESHOLD = Number(process.env.ATTENDANCE_THRESHOLD) || DEFAULT_THRESHOLD;
+
+// Log in to VTOP and store a fresh session under a new token. `campusId`
+// defaults to VTOP_CAMPUS; an unknown one throws a CampusError.
+async function createUserSession(username, password, campusId) {
+    const campus = resolveCampus(campuses, campusId || DEFAULT_CAMPUS_ID);
+    const token = generateSessionToken();
+    const vtop = new VtopClient({ campus });
+    await vtop.login(username, password);
+    const session = {
+        vtop,
+        username,
+        credentials: credentialVault ? credentialVault.seal(username, password) : null,
+        lastUsed: Date.now()
+    };
+    await saveUserSession(token, session);
+    console.log(`Created new session for user: ${username} (${campus.name})`);
 
-            const errorType = checkResponseForErrors(loginResponse.data);
-            if (errorType === "credentials") {
-                return { success: false, message: "Invalid credentials" };
-            } else if (errorType === "captcha") {
-                console.log("Invalid CAPTCHA detected. Retrying...");
-                continue;
-            }
+    return { token, session };
+}
 
-            return { success: true, data: loginResponse.data };
-        } catch (error) {
-            console.error("Login Error:", error.message);
-        }
-    }
+// Read the token from an "Authorization: Bearer <token>" header
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+}
 
-    return { success: false, message: "Maximum login attempts reached" };
+// Serve the request's VTOP sections through the resource cache, unless
+// it asks for ?refresh=true (the fresh data is cached for later requests)
+function useResourceCache(req, { refresh = req.query.refresh === 'true' } = {}) {
+    req.vtopSession.vtop.cache = resourceCache.forRequest({ refresh });
 }
 
-// Add this function to extract student ID
-function extractStudentId(html) {
-    const idMatch = html.match(/var\s+id\s*=\s*"([^"]+)"/);
-    return idMatch ? idMatch[1] : null;
+// When the served data was fetched from VTOP: the oldest cached section's
+// fetch time, or now when everything was fetched for this request
+function fetchTimestampOf(req) {
+    const times = (req.vtopSession?.vtop.cache?.served || []).map((section) => section.fetchedAt);
+    return new Date(times.length ? Math.min(...times) : Date.now()).toISOString();
 }
 
-// Add this function to extract CGPA details
-function extractCGPADetails(html) {
+// Resolve the caller's session from the bearer token. Older clients that
+// still send username/password in the body get logged in and issued a token.
+async function requireSession(req, res, next) {
     try {
-        const $ = cheerio.load(html);
-        
-        // Find the table with CGPA details (more specific selector)
-        const cgpaRow = $('table.table-hover.table-bordered tbody tr');
-        
-        if (!cgpaRow.length) {
-            console.log("CGPA details table not found");
-            return null;
-        }
+        const token = getBearerToken(req);
 
-        // Extract all cells from the row
-        const cells = cgpaRow.find('td');
-
-        // Create structured CGPA data
-        const cgpaDetails = {
-            creditsRegistered: parseFloat($(cells[0]).text().trim()) || 0,
-            creditsEarned: parseFloat($(cells[1]).text().trim()) || 0,
-            cgpa: parseFloat($(cells[2]).text().trim()) || 0,
-            grades: {
-                S: parseInt($(cells[3]).text().trim()) || 0,
-                A: parseInt($(cells[4]).text().trim()) || 0,
-                B: parseInt($(cells[5]).text().trim()) || 0,
-                C: parseInt($(cells[6]).text().trim()) || 0,
-                D: parseInt($(cells[7]).text().trim()) || 0,
-                E: parseInt($(cells[8]).text().trim()) || 0,
-                F: parseInt($(cells[9]).text().trim()) || 0,
-                N: parseInt($(cells[10]).text().trim()) || 0
+        if (token) {
+            const session = await getUserSession(token);
+            if (!session) {
+                return res.status(401).json({ success: false, message: "Invalid or expired session token" });
             }
-        };
+            req.sessionToken = token;
+            req.vtopSession = session;
+            req.isNewSession = false;
+            useResourceCache(req);
+            return next();
+        }
 
-        // Validate data
-        if (cgpaDetails.cgpa === 0 && cgpaDetails.creditsEarned === 0) {
-            console.log("Warning: All values are zero, possible extraction error");
-            return null;
+        const { username, password, campus } = req.body || {};
+        if (!username || !password) {
+            return res.status(401).json({
+                success: false,
+                message: "Bearer token or username and password are required"
+            });
         }
 
-        return cgpaDetails;
+        console.log(`No session token, creating new login for user: ${username}`);
+        const result = await createUserSession(username, password, campus);
+
+        req.sessionToken = result.token;
+        req.vtopSession = result.session;
+        req.isNewSession = true;
+        useResourceCache(req);
+        next();
     } catch (error) {
-        console.error("Error extracting CGPA details:", error.message);
-        return null;
+        if (error instanceof CampusError) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        if (error instanceof VtopError) {
+            return sendFailure(req, res, error);
+        }
+        console.error("Error resolving session:", error);
+        res.status(500).json({
+            success: false,
+            message: "Internal server error",
+            error: error.message
+        });
     }
 }
 
-// Modify the fetchGradeHistory function
-async function fetchGradeHistory(studentId, csrf, client) {
-    try {
-        const gradeUrl = `https://vtop.vit.ac.in/vtop/examinations/examGradeView/StudentGradeHistory?verifyMenu=true&authorizedID=${studentId}&_csrf=${csrf}&nocache=@(new Date().getTime())`;
-        
-        const response = await client.post(gradeUrl, null, {
-            headers: {
-                "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/110.0.0.0 Safari/537.36",
-                "Content-Type": "application/x-www-form-urlencoded"
-            }
-        });
-
-        // Extract CGPA details
-        const cgpaDetails = extractCGPADetails(response.data);
-        
-        return cgpaDetails;
-    } catch (error) {
-        console.error("Error fetching grade history:", error.message);
-        return null;
+// Reject a semester ID (route param, body or query) from another campus,
+// e.g. a Vellore VL... ID on a session of another campus, before asking VTOP
+function requireCampusSemester(req, res, next) {
+    const semesterId = req.params.semesterId || req.body?.semesterId || req.query.semesterId;
+    const mismatch = semesterId && semesterMismatch(req.vtopSession.vtop.campus, semesterId);
+    if (mismatch) {
+        return res.status(400).json({ success: false, message: mismatch });
     }
+    next();
 }
 
-// Add this function to fetch grade view
-async function fetchGradeView(studentId, csrf, semesterSubId, client) {
-    try {
-        const gradeViewUrl = `https://vtop.vit.ac.in/vtop/examinations/examGradeView/doStudentGradeView`;
-        
-        const response = await client.post(gradeViewUrl, null, {
-            params: {
-                authorizedID: studentId,
-                _csrf: csrf,
-                semesterSubId: semesterSubId
-            },
-            headers: {
-                "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/110.0.0.0 Safari/537.36",
-                "Content-Type": "application/x-www-form-urlencoded"
+// Log the request's session in to VTOP again after VTOP dropped it, with
+// the password from the request body if it carries one for the same user,
+// otherwise the one sealed in the session. Runs once per request however
+// many sections noticed; the session's VtopClient gets a new cookie jar,
+// studentId and csrf in place and is saved under the same token. Without
+// a password the expired error stands.
+function reloginSession(req, expired) {
+    if (!req.relogin) {
+        req.relogin = (async () => {
+            const session = req.vtopSession;
+            const { username, password } = req.body || {};
+            const knownPassword = username === session.username && password
+                ? password
+                : credentialVault?.open(session.username, session.credentials);
+            if (!knownPassword) {
+                throw expired;
             }
-        });
 
-        // Just extract and return the data
-        const gradeData = extractGradeView(response.data);
-        return gradeData;
-    } catch (error) {
-        console.error("Error fetching grade view:", error.message);
-        return null;
+            console.log(`VTOP session expired, logging in again for user: ${session.username}`);
+            await session.vtop.login(session.username, knownPassword);
+            await saveUserSession(req.sessionToken, session);
+            req.reloggedIn = true;
+        })();
     }
+    return req.relogin;
 }
 
-// Function to extract grade view details
-function extractGradeView(html) {
+// Run fetch(session) for the request. When VTOP turns out to have dropped
+// the session, log in again and run it once more.
+async function withRelogin(req, fetch) {
     try {
-        const $ = cheerio.load(html);
-        const courses = [];
-        let gpa = null;
-
-        // Find all course rows
-        $('table.table-hover tr').each((index, row) => {
-            // Skip header rows (first 2 rows)
-            if (index < 2) return;
-
-            const cells = $(row).find('td');
-            
-            // Check if this is the GPA row
-            if ($(row).find('td[colspan]').length > 0) {
-                gpa = parseFloat($(row).text().match(/GPA\s*:\s*(\d+\.\d+)/)?.[1]);
-                return;
-            }
-
-            // Skip if not a regular course row
-            if (cells.length !== 12) return;
-
-            const course = {
-                slNo: cells.eq(0).text().trim(),
-                courseCode: cells.eq(1).text().trim(),
-                courseTitle: cells.eq(2).text().trim(),
-                courseType: cells.eq(3).text().trim(),
-                credits: {
-                    L: parseInt(cells.eq(4).text().trim()) || 0,
-                    P: parseInt(cells.eq(5).text().trim()) || 0,
-                    J: parseInt(cells.eq(6).text().trim()) || 0,
-                    C: parseInt(cells.eq(7).text().trim()) || 0
-                },
-                gradingType: cells.eq(8).text().trim(),
-                grandTotal: parseInt(cells.eq(9).text().trim()),
-                grade: cells.eq(10).text().trim(),
-                isNonGPACourse: $(row).css('background-color')?.includes('C0D8C0') || false
-            };
-
-            courses.push(course);
-        });
-
-        return {
-            courses,
-            gpa
-        };
+        return await fetch(req.vtopSession);
     } catch (error) {
-        console.error("Error extracting grade view:", error.message);
-        return null;
+        if (!(error instanceof VtopError) || error.code !== "SESSION_EXPIRED") {
+            throw error;
+        }
+        await reloginSession(req, error);
+        return fetch(req.vtopSession);
     }
 }
 
-// Modify the fetchGradeView function
-async function fetchGradeView(studentId, csrf, semesterSubId, client) {
-    try {
-        const gradeViewUrl = `https://vtop.vit.ac.in/vtop/examinations/examGradeView/doStudentGradeView`;
-        
-        const response = await client.post(gradeViewUrl, null, {
-            params: {
-                authorizedID: studentId,
-                _csrf: csrf,
-                semesterSubId: semesterSubId
-            },
-            headers: {
-                "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/110.0.0.0 Safari/537.36",
-                "Content-Type": "application/x-www-form-urlencoded"
-            }
-        });
+// settleSections for fetchers that take the session, so the sections VTOP
+// answered with its login page are retried after logging in again
+function settleSessionSections(req, fetchers) {
+    return settleSections(Object.fromEntries(Object.entries(fetchers)
+        .map(([name, fetch]) => [name, () => withRelogin(req, fetch)])));
+}
 
-        // Just extract and return the data
-        const gradeData = extractGradeView(response.data);
-        return gradeData;
-    } catch (error) {
-        console.error("Error fetching grade view:", error.message);
-        return null;
+// Add the detailedAttendance section to settled sections that include the
+// attendance summary, whose course list it needs. A failed summary fails
+// it with the same error.
+async function settleDetailedAttendance({ data, errors }, req, semesterId) {
+    if (errors.attendance) {
+        data.detailedAttendance = null;
+        errors.detailedAttendance = errors.attendance;
+        return;
     }
+    const detailed = await settleSessionSections(req, {
+        detailedAttendance: ({ vtop }) => vtop.getDetailedAttendance(semesterId, data.attendance)
+    });
+    Object.assign(data, detailed.data);
+    Object.assign(errors, detailed.errors);
 }
 
-// Add this function to extract semester list
-function extractSemesterList(html) {
-    try {
-        const $ = cheerio.load(html);
-        const semesterSelect = $('#semesterSubId');
-        
-        if (!semesterSelect.length) {
-            console.log("Semester select not found");
-            return null;
+// Answer a request that failed. A VtopError answers with its status and
+// code, along with the section errors when several were fetched; an
+// expired VTOP session that could not be renewed (or a password VTOP no
+// longer accepts) ends the API session too. Anything else is a 500 that
+// also clears the session, as before.
+async function sendFailure(req, res, error, errors = {}) {
+    if (error instanceof VtopError) {
+        if ((error.code === "SESSION_EXPIRED" || error.code === "INVALID_CREDENTIALS") && req.sessionToken) {
+            await destroySession(req.sessionToken).catch(() => {});
         }
-
-        // Extract all options except the first one (--Choose Semester--)
-        const semesters = [];
-        semesterSelect.find('option').each((index, element) => {
-            const value = $(element).val();
-            const text = $(element).text();
-            
-            // Skip the empty/default option
-            if (value && value.trim() !== '') {
-                semesters.push({
-                    id: value,
-                    name: text
-                });
-            }
+        return res.status(error.status).json({
+            success: false,
+            code: error.code,
+            message: error.message,
+            errors,
+            warnings: req.driftWarnings
         });
+    }
 
-        return semesters;
-    } catch (error) {
-        console.error("Error extracting semester list:", error.message);
-        return null;
+    console.error(`Error in ${req.path} endpoint:`, error);
+    if (req.sessionToken) {
+        await destroySession(req.sessionToken).catch(() => {}); // Clear session on error
     }
+    res.status(500).json({
+        success: false,
+        message: "Internal server error",
+        error: error.message
+    });
 }
 
-// Modify the fetchSemesterList function
-async function fetchSemesterList(studentId, csrf, client) {
-    try {
-        const semesterListUrl = `https://vtop.vit.ac.in/vtop/academics/common/StudentTimeTable?verifyMenu=true&authorizedID=${studentId}&_csrf=${csrf}&nocache=@(new Date().getTime())`;
-        
-        const response = await client.post(semesterListUrl, null, {
-            headers: {
-                "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/110.0.0.0 Safari/537.36",
-                "Content-Type": "application/x-www-form-urlencoded"
-            }
-        });
+// Session metadata included in data responses
+function buildSessionInfo(req) {
+    const session = req.vtopSession;
+    const sessionInfo = {
+        isNewSession: req.isNewSession,
+        lastUsed: new Date(session.lastUsed).toISOString(),
+        expiresIn: Math.floor((SESSION_TIMEOUT - (Date.now() - session.lastUsed)) / 1000)
+    };
+
+    // Hand the token back to clients that logged in with credentials
+    if (req.isNewSession) {
+        sessionInfo.token = req.sessionToken;
+    }
 
-        // Extract semester list
-        const semesterList = extractSemesterList(response.data);
-        
-        return semesterList;
-    } catch (error) {
-        console.error("Error fetching semester list:", error.message);
-        return null;
+    // The session logged in to VTOP again during this request (new csrf)
+    if (req.reloggedIn) {
+        sessionInfo.reloggedIn = true;
     }
-}
 
-// Add the function to calculate GMT timestamp
-function calculateGMTTimestamp() {
-    const now = new Date();
-    return now.toUTCString();
+    return sessionInfo;
 }
 
-// Add function to get user input for semester
-function getUserInput(prompt) {
-    const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout
-    });
+// API Endpoints
+// Body: { username, password, campus? } where campus is one of the
+// profiles in campuses.js (vellore, and any from CAMPUS_PROFILES_PATH)
+app.post('/login', async (req, res) => {
+    const { username, password, campus } = req.body;
 
-    return new Promise((resolve) => {
-        rl.question(prompt, (answer) => {
-            rl.close();
-            resolve(answer);
-        });
-    });
-}
+    if (!username || !password) {
+        return res.status(400).json({ success: false, message: "Username and password are required" });
+    }
 
-// Function to extract timetable details
-function extractTimeTable(html) {
     try {
-        const $ = cheerio.load(html);
-        const timetableData = {
-            courses: [],
-            totalCredits: ''
-        };
-        
-        // Find the main table
-        const table = $('table').first();
-        
-        // Extract courses data
-        table.find('tr').each((index, row) => {
-            // Skip header row and total credits row
-            if (index === 0 || $(row).find('td[colspan]').length > 0) {
-                // Extract total credits from the last row
-                if ($(row).find('td[colspan]').length > 0) {
-                    timetableData.totalCredits = $(row).find('span:last').text().trim();
-                }
-                return;
-            }
-            
-            const cells = $(row).find('td');
-            if (cells.length < 12) return;
-
-            const courseDetails = {
-                slNo: $(cells[0]).find('p').text().trim(),
-                classGroup: $(cells[1]).find('p').text().trim(),
-                course: {
-                    name: $(cells[2]).find('p').first().text().trim().split(' - '),
-                    type: $(cells[2]).find('p').last().text().trim().replace(/[()]/g, '').trim()
-                },
-                credits: $(cells[3]).find('p').text().trim(),
-                category: $(cells[4]).find('span').text().trim(),
-                courseOption: $(cells[5]).find('p').text().trim(),
-                classId: $(cells[6]).find('p').text().trim(),
-                slot: {
-                    timing: $(cells[7]).find('p').first().text().trim().replace(' - ', ''),
-                    venue: $(cells[7]).find('p').last().text().trim()
-                },
-                faculty: {
-                    name: $(cells[8]).find('p').first().text().trim().replace(' - ', ''),
-                    school: $(cells[8]).find('p').last().text().trim()
-                },
-                registrationDate: $(cells[9]).find('p').text().trim(),
-                attendance: {
-                    date: $(cells[10]).find('span').text().trim(),
-                    type: $(cells[10]).find('strong').text().trim().replace(' - ', '')
-                },
-                status: $(cells[11]).find('span').text().trim()
-            };
-
-            // Split course name into code and name
-            if (courseDetails.course.name.length === 2) {
-                courseDetails.course = {
-                    code: courseDetails.course.name[0],
-                    name: courseDetails.course.name[1],
-                    type: courseDetails.course.type
-                };
-            }
+        const result = await createUserSession(username, password, campus);
 
-            timetableData.courses.push(courseDetails);
+        res.json({
+            success: true,
+            token: result.token,
+            studentId: result.session.vtop.studentId,
+            campus: result.session.vtop.campus.id,
+            expiresIn: SESSION_TIMEOUT / 1000 // in seconds
         });
-
-        return timetableData;
     } catch (error) {
-        console.error("Error extracting timetable:", error.message);
-        return null;
+        if (error instanceof CampusError) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        if (error instanceof VtopError) {
+            return sendFailure(req, res, error);
+        }
+        console.error("Error in /login endpoint:", error);
+        res.status(500).json({
+            success: false,
+            message: "Internal server error",
+            error: error.message
+        });
     }
-}
+});
+
+// How often captchas in each solver confidence bucket were accepted by
+// VTOP, rejected, or refetched before submission
+app.get('/captcha/stats', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            minConfidence: CAPTCHA_MIN_CONFIDENCE,
+            mode: SOLVER_MODE,
+            model: MODEL_INFO,
+            buckets: captchaStats.snapshot()
+        }
+    });
+});
+
+// Parser drift per section: how many extractions were checked, how many
+// raised warnings, and the latest warnings (see drift.js)
+app.get('/diagnostics/parsers', (req, res) => {
+    res.json({ success: true, data: { sections: driftMonitor.snapshot() } });
+});
+
+// The JSON Schema each extracted section is validated against
+app.get('/diagnostics/schemas', (req, res) => {
+    res.json({ success: true, data: SECTION_SCHEMAS });
+});
+
+app.post('/logout', async (req, res) => {
+    const token = getBearerToken(req);
 
-// Modify the fetchTimeTable function
-async function fetchTimeTable(studentId, csrf, semesterId, client) {
     try {
-        const timestamp = calculateGMTTimestamp();
-        const timeTableUrl = `https://vtop.vit.ac.in/vtop/processViewTimeTable`;
-        
-        const response = await client.post(timeTableUrl, null, {
-            params: {
-                authorizedID: studentId,
-                _csrf: csrf,
-                semesterSubId: semesterId,
-                x: encodeURIComponent(timestamp)
-            },
-            headers: {
-                "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/110.0.0.0 Safari/537.36",
-                "Content-Type": "application/x-www-form-urlencoded"
-            }
-        });
+        if (!token || !(await destroySession(token))) {
+            return res.status(401).json({ success: false, message: "Invalid or expired session token" });
+        }
 
-        const timeTableData = extractTimeTable(response.data);
-        return { timeTableData, semesterSubId: semesterId };
+        res.json({ success: true, message: "Logged out" });
     } catch (error) {
-        console.error("Error fetching timetable:", error.message);
-        return null;
+        console.error("Error in /logout endpoint:", error);
+        res.status(500).json({
+            success: false,
+            message: "Internal server error",
+            error: error.message
+        });
     }
-}
+});
+
+app.post('/initialdata', requireSession, async (req, res) => {
+    const session = req.vtopSession;
 
-// Function to extract attendance data
-function extractAttendance(html) {
     try {
-        const $ = cheerio.load(html);
-        const attendanceData = {
-            courses: []
+        // The grade history page carries both the CGPA summary and the
+        // transcript; it is fetched once for both sections (once more
+        // after logging in again), and not at all while both are cached
+        let gradeHistoryPage = null;
+        const gradeHistoryPageFor = ({ vtop }) => {
+            if (gradeHistoryPage?.csrf !== vtop.csrf) {
+                gradeHistoryPage = { csrf: vtop.csrf, page: vtop.getGradeHistoryPage() };
+            }
+            return gradeHistoryPage.page;
         };
 
-        // Process each row in the attendance table
-        $('#AttendanceDetailDataTable tbody tr').each((index, row) => {
-            const $row = $(row);
-            const cells = $row.find('td');
-
-            // Skip if not enough cells
-            if (cells.length < 10) return;
-
-            // Extract course ID and type from the onclick attribute
-            const attendanceLink = $row.find('a[id^="studentAttendanceDetilShow"]');
-            const onclickAttr = attendanceLink.attr('onclick') || '';
-            const courseIdMatch = onclickAttr.match(/VL_[A-Z0-9]+_\d+/);
-            const courseTypeMatch = onclickAttr.match(/,'([A-Z]+)'\);/);
-
-            const course = {
-                slNo: cells.eq(0).find('span').text().trim(),
-                classGroup: cells.eq(1).find('span').text().trim(),
-                courseDetail: cells.eq(2).find('span').text().trim(),
-                classDetail: cells.eq(3).find('span').text().trim(),
-                facultyDetail: cells.eq(4).find('span').text().trim(),
-                attendedClasses: parseInt(cells.eq(5).find('span').text().trim()) || 0,
-                totalClasses: parseInt(cells.eq(6).find('span').text().trim()) || 0,
-                attendancePercentage: cells.eq(7).find('span span').text().trim(),
-                debarStatus: cells.eq(8).text().trim().replace(/\s+/g, ' ').trim(),
-                courseId: courseIdMatch ? courseIdMatch[0] : null,
-                courseType: courseTypeMatch ? courseTypeMatch[1] : null
-            };
+        // Fetch all initial data concurrently
+        const { data, errors } = await settleSessionSections(req, {
+            profile: ({ vtop }) => vtop.getProfile(),
+            gradeHistory: (current) => current.vtop.cached("cgpa", null, async () =>
+                extractCGPADetails(await gradeHistoryPageFor(current))),
+            transcript: (current) => current.vtop.cached("transcript", null, async () =>
+                buildTranscript(extractGradeHistory(await gradeHistoryPageFor(current)))),
+            semesterList: ({ vtop }) => vtop.getSemesters(),
+            feeReceipts: ({ vtop }) => vtop.getFeeReceipts()
+        });
 
-            // Check for specific debar status information
-            const debarInfo = cells.eq(8).find('span span');
-            if (debarInfo.length > 0) {
-                const examType = debarInfo.eq(0).text().trim();
-                const status = debarInfo.eq(1).text().trim();
-                course.debarStatus = {
-                    examType: examType.replace(':', '').trim(),
-                    status: status
-                };
-            }
+        const failure = failureOf(errors, 5);
+        if (failure) {
+            return sendFailure(req, res, failure, errors);
+        }
 
-            attendanceData.courses.push(course);
+        // Persist refreshed cookies and last used time
+        await saveUserSession(req.sessionToken, session);
+
+        // Return comprehensive response
+        res.json({
+            success: true,
+            studentId: session.vtop.studentId,
+            csrf: session.vtop.csrf,
+            profile: data.profile,
+            gradeHistory: data.gradeHistory,
+            transcript: data.transcript,
+            semesterList: data.semesterList,
+            feeReceipts: data.feeReceipts,
+            errors,
+            warnings: req.driftWarnings,
+            sessionInfo: buildSessionInfo(req),
+            fetchTimestamp: fetchTimestampOf(req)
         });
 
-        return attendanceData;
     } catch (error) {
-        console.error("Error extracting attendance data:", error.message);
-        return null;
+        await sendFailure(req, res, error);
     }
-}
+});
 
-// Function to parse detailed attendance HTML
-function parseDetailedAttendance($, html) {
-    try {
-        const attendanceDetails = {
-            courseInfo: {},
-            attendanceRecords: []
-        };
+app.post('/semesterdata', requireSession, requireCampusSemester, async (req, res) => {
+    const { semesterId } = req.body;
+    
+    if (!semesterId) {
+        return res.status(400).json({ 
+            success: false, 
+            message: "semesterId is required" 
+        });
+    }
 
-        // Extract course information from the first table
-        const courseInfo = $('#StudentCourseDetailDataTable tbody tr').first();
-        if (courseInfo.length) {
-            attendanceDetails.courseInfo = {
-                classGroup: courseInfo.find('td:eq(0) span').text().trim(),
-                courseDetail: courseInfo.find('td:eq(1) span').text().trim(),
-                classDetail: courseInfo.find('td:eq(2) span').text().trim(),
-                facultyDetail: courseInfo.find('td:eq(3) span').text().trim(),
-                registeredDateTime: courseInfo.find('td:eq(4) span').text().trim(),
-                attendanceSummary: {
-                    present: parseInt(courseInfo.find('td:eq(6) span b:contains("Present") + span').text()) || 0,
-                    absent: parseInt(courseInfo.find('td:eq(6) span b:contains("Absent") + span').text()) || 0,
-                    onDuty: parseInt(courseInfo.find('td:eq(6) span b:contains("On Duty") + span').text()) || 0,
-                    attended: parseInt(courseInfo.find('td:eq(6) span b:contains("Attended") + span').text()) || 0,
-                    totalClasses: parseInt(courseInfo.find('td:eq(6) span b:contains("Total Class") + span').text()) || 0,
-                    percentage: courseInfo.find('td:eq(6) span b:contains("Percentage") + span span').text().trim()
-                }
-            };
-        }
+    const session = req.vtopSession;
 
-        // Extract attendance records
-        $('#StudentAttendanceDetailDataTable tbody tr').each((index, row) => {
-            const $row = $(row);
-            const record = {
-                slNo: $row.find('td:eq(0) span').text().trim(),
-                date: $row.find('td:eq(1) span').text().trim(),
-                slot: $row.find('td:eq(2) span').text().trim(),
-                dayTime: $row.find('td:eq(3) span').text().trim(),
-                status: $row.find('td:eq(4) span span').text().trim() || 'Present' // Handle cases where status is directly in span
-            };
-            attendanceDetails.attendanceRecords.push(record);
+    try {
+        // Fetch all semester data concurrently
+        const { data, errors } = await settleSessionSections(req, {
+            timeTable: ({ vtop }) => vtop.getTimeTable(semesterId),
+            attendance: ({ vtop }) => vtop.getAttendance(semesterId),
+            marks: ({ vtop }) => vtop.getMarks(semesterId),
+            examSchedule: ({ vtop }) => vtop.getExamSchedule(semesterId),
+            gradeView: ({ vtop }) => vtop.getGradeView(semesterId),
+            assignments: ({ vtop }) => vtop.getAssignments(semesterId)
         });
 
-        return attendanceDetails;
-    } catch (error) {
-        console.error("Error parsing detailed attendance:", error.message);
-        return null;
-    }
-}
+        await settleDetailedAttendance({ data, errors }, req, semesterId);
 
-// Modify fetchDetailedAttendance function
-async function fetchDetailedAttendance(attendanceData, studentId, csrf, semesterSubId, client) {
-    try {
-        if (!attendanceData?.courses || !studentId || !csrf || !semesterSubId) {
-            console.log("Missing required data for fetching detailed attendance");
-            return;
+        const failure = failureOf(errors, 7);
+        if (failure) {
+            return sendFailure(req, res, failure, errors);
         }
 
-        const detailedAttendance = {
-            semester: semesterSubId,
-            courses: []
-        };
+        // Persist refreshed cookies and last used time
+        await saveUserSession(req.sessionToken, session);
 
-        // Create array of promises for concurrent requests
-        const requests = attendanceData.courses.map(course => {
-            if (!course.courseId || !course.courseType) return null;
-
-            const timestamp = calculateGMTTimestamp();
-            return client.post('https://vtop.vit.ac.in/vtop/processViewAttendanceDetail', null, {
-                params: {
-                    _csrf: csrf,
-                    semesterSubId: semesterSubId,
-                    registerNumber: studentId,
-                    courseId: course.courseId,
-                    courseType: course.courseType,
-                    authorizedID: studentId,
-                    x: timestamp
-                },
-                headers: {
-                    "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/110.0.0.0 Safari/537.36",
-                    "Content-Type": "application/x-www-form-urlencoded"
-                }
-            }).then(response => ({
-                courseCode: course.courseDetail.split(' - ')[0],
-                data: response.data
-            })).catch(error => {
-                console.error(`Error fetching ${course.courseDetail}: ${error.message}`);
-                return null;
-            });
-        }).filter(Boolean);
-
-        // Execute all requests concurrently
-        console.log(`Fetching detailed attendance for ${requests.length} courses...`);
-        const results = await Promise.all(requests);
-
-        // Parse and combine all responses
-        results.forEach(result => {
-            if (result && result.data) {
-                const $ = cheerio.load(result.data);
-                const parsedData = parseDetailedAttendance($, result.data);
-                if (parsedData) {
-                    detailedAttendance.courses.push({
-                        courseCode: result.courseCode,
-                        ...parsedData
-                    });
-                }
-            }
+        await trackChanges(session, semesterId, {
+            marks: data.marks,
+            attendance: data.attendance,
+            detailedAttendance: data.detailedAttendance,
+            examSchedule: data.examSchedule,
+            assignments: data.assignments
         });
 
-        // Just return the data instead of writing to file
-        return detailedAttendance;
-    } catch (error) {
-        console.error("Error in fetchDetailedAttendance:", error.message);
-        return null;
-    }
-}
-
-// Modify the fetchAttendance function to include detailed attendance
-async function fetchAttendance(studentId, csrf, semesterSubId, client) {
-    try {
-        const timestamp = calculateGMTTimestamp();
-        const attendanceUrl = `https://vtop.vit.ac.in/vtop/processViewStudentAttendance`;
-        
-        const response = await client.post(attendanceUrl, null, {
-            params: {
-                _csrf: csrf,
-                semesterSubId: semesterSubId,
-                authorizedID: studentId,
-                x: encodeURIComponent(timestamp)
+        // Return comprehensive response
+        res.json({
+            success: true,
+            semesterId,
+            data: {
+                timeTable: data.timeTable,
+                attendance: {
+                    summary: data.attendance,
+                    detailed: data.detailedAttendance,
+                    planner: planAttendance(data.attendance, {
+                        threshold: req.body.threshold || ATTENDANCE_THRESHOLD,
+                        slotMap: slotMapOf(session)
+                    })
+                },
+                marks: data.marks && {
+                    ...data.marks,
+                    analytics: analyzeMarks(data.marks, data.gradeView)
+                },
+                examSchedule: data.examSchedule,
+                gradeView: data.gradeView,
+                assignments: data.assignments
             },
-            headers: {
-                "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/110.0.0.0 Safari/537.36",
-                "Content-Type": "application/x-www-form-urlencoded"
-            }
+            errors,
+            warnings: req.driftWarnings,
+            sessionInfo: buildSessionInfo(req),
+            fetchTimestamp: fetchTimestampOf(req)
         });
 
-        // Parse and save attendance data as JSON
-        const attendanceData = extractAttendance(response.data);
-        return attendanceData;
     } catch (error) {
-        console.error("Error fetching attendance:", error.message);
-        return null;
+        await sendFailure(req, res, error);
     }
-}
+});
 
-// Function to extract marks details
-function extractMarks(html) {
-    try {
-        const $ = cheerio.load(html);
-        const courses = [];
-
-        // Find all course rows
-        $('tr.tableContent').each((index, element) => {
-            if ($(element).find('td').length === 9) { // Main course row
-                const courseData = {
-                    slNo: $(element).find('td').eq(0).text().trim(),
-                    classNumber: $(element).find('td').eq(1).text().trim(),
-                    courseCode: $(element).find('td').eq(2).text().trim(),
-                    courseTitle: $(element).find('td').eq(3).text().trim(),
-                    courseType: $(element).find('td').eq(4).text().trim(),
-                    courseSystem: $(element).find('td').eq(5).text().trim(),
-                    faculty: $(element).find('td').eq(6).text().trim(),
-                    slot: $(element).find('td').eq(7).text().trim(),
-                    courseMode: $(element).find('td').eq(8).text().trim(),
-                    marks: []
-                };
-
-                // Get marks from the next row's nested table
-                const marksTable = $(element).next().find('table.customTable-level1');
-                marksTable.find('tr.tableContent-level1').each((i, markRow) => {
-                    const mark = {
-                        slNo: $(markRow).find('td').eq(0).find('output').text().trim(),
-                        markTitle: $(markRow).find('td').eq(1).find('output').text().trim(),
-                        maxMark: parseFloat($(markRow).find('td').eq(2).find('output').text().trim()),
-                        weightagePercentage: parseFloat($(markRow).find('td').eq(3).find('output').text().trim()),
-                        status: $(markRow).find('td').eq(4).find('output').text().trim(),
-                        scoredMark: parseFloat($(markRow).find('td').eq(5).find('output').text().trim()),
-                        weightageMark: parseFloat($(markRow).find('td').eq(6).find('output').text().trim()),
-                        remark: $(markRow).find('td').eq(7).find('output').text().trim()
-                    };
-                    courseData.marks.push(mark);
-                });
-
-                courses.push(courseData);
-            }
-        });
+// Spreadsheet formats for ?format=, besides the default json
+const EXPORT_FORMATS = ['csv', 'xlsx'];
 
-        return { courses };
-    } catch (error) {
-        console.error("Error extracting marks:", error.message);
-        return null;
-    }
+// Safe file name for a download: vtop-<semesterId>-<section>.<format>
+function exportFileName(parts, format) {
+    return `vtop-${parts.filter(Boolean).join('-').replace(/[^A-Za-z0-9_-]/g, '')}.${format}`;
 }
 
-// Modify the fetchMarks function
-async function fetchMarks(studentId, csrf, semesterSubId, client) {
-    try {
-        const marksUrl = `https://vtop.vit.ac.in/vtop/examinations/doStudentMarkView`;
-        
-        const response = await client.post(marksUrl, null, {
-            params: {
-                authorizedID: studentId,
-                _csrf: csrf,
-                semesterSubId: semesterSubId
-            },
-            headers: {
-                "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/110.0.0.0 Safari/537.36",
-                "Content-Type": "application/x-www-form-urlencoded"
-            }
-        });
-
-        const marksData = extractMarks(response.data);
-        return marksData;
-    } catch (error) {
-        console.error("Error fetching marks:", error.message);
-        return null;
+// Send tables from tables.js as a CSV (the first table) or an XLSX
+// workbook (a worksheet per table) download
+function sendTables(res, tables, format, fileName) {
+    if (format === 'csv') {
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+    } else {
+        res.set('Content-Type', XLSX_CONTENT_TYPE);
     }
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(format === 'csv' ? toCsv(tables[0]) : buildWorkbook(tables));
 }
 
-// Function to extract exam schedule details
-function extractExamSchedule(html) {
-    try {
-        const $ = cheerio.load(html);
-        const examData = {
-            examTypes: []
-        };
-        
-        let currentExamType = null;
-        let currentExams = [];
-
-        // Find all rows in the table
-        $('.customTable tr.tableContent').each((index, row) => {
-            // Check if this is an exam type header (FAT, CAT1, CAT2)
-            const examTypeHeader = $(row).find('td.panelHead-secondary');
-            if (examTypeHeader.length) {
-                // If we have a previous exam type, save it
-                if (currentExamType) {
-                    examData.examTypes.push({
-                        type: currentExamType,
-                        exams: currentExams
-                    });
-                }
-                
-                // Start new exam type
-                currentExamType = examTypeHeader.text().trim();
-                currentExams = [];
-                return;
-            }
+// Register a GET route that serves one resource from the caller's session.
+// `fetcher` receives the session and request and runs only the VTOP calls
+// that resource needs; it runs again after logging in to VTOP again if the
+// session expired. Its failures are reported under the last path segment
+// in `errors` (e.g. "marks"). With a `table` (see tables.js) the resource
+// can also be downloaded flattened with ?format=csv or ?format=xlsx.
+function resourceRoute(path, fetcher, { table } = {}) {
+    const section = path.split('/').pop();
+
+    app.get(path, requireSession, requireCampusSemester, async (req, res) => {
+        const session = req.vtopSession;
+        const format = req.query.format || 'json';
+
+        if (format !== 'json' && !(table && EXPORT_FORMATS.includes(format))) {
+            return res.status(400).json({
+                success: false,
+                message: table
+                    ? `Unknown format "${format}" (expected json, ${EXPORT_FORMATS.join(' or ')})`
+                    : `${section} is only available as json`
+            });
+        }
 
-            // Skip if not a content row or if it's the main header
-            if ($(row).find('td').length !== 13 || $(row).hasClass('tableHeader')) {
-                return;
+        try {
+            let data;
+            try {
+                data = await withRelogin(req, (current) => fetcher(current, req));
+            } catch (error) {
+                const failure = toVtopError(error);
+                return sendFailure(req, res, failure, { [section]: failure });
             }
 
-            // Extract exam details
-            const cells = $(row).find('td');
-            const exam = {
-                slNo: cells.eq(0).text().trim(),
-                courseCode: cells.eq(1).text().trim(),
-                courseTitle: cells.eq(2).text().trim(),
-                courseType: cells.eq(3).text().trim(),
-                classId: cells.eq(4).text().trim(),
-                slot: cells.eq(5).text().trim(),
-                examDate: cells.eq(6).text().trim() || null,
-                examSession: cells.eq(7).text().trim() || null,
-                reportingTime: cells.eq(8).text().trim() || null,
-                examTime: cells.eq(9).text().trim() || null,
-                venue: cells.eq(10).find('span').text().trim().replace('-', '') || null,
-                seatLocation: cells.eq(11).find('span').text().trim().replace('-', '') || null,
-                seatNo: cells.eq(12).find('span').text().trim().replace('-', '') || null
-            };
+            // Persist refreshed cookies and last used time
+            await saveUserSession(req.sessionToken, session);
 
-            currentExams.push(exam);
-        });
+            if (format !== 'json') {
+                const fileName = exportFileName([req.params.semesterId, section], format);
+                return sendTables(res, [tabulate(table, data)], format, fileName);
+            }
 
-        // Add the last exam type
-        if (currentExamType && currentExams.length) {
-            examData.examTypes.push({
-                type: currentExamType,
-                exams: currentExams
+            // The ETag covers the data, not the timestamps, so an unchanged
+            // resource answers If-None-Match with 304 Not Modified
+            const etag = etagOf(session.vtop.studentId, path, req.params, { ...req.query, refresh: undefined }, data, req.driftWarnings);
+            res.set('ETag', etag);
+            res.set('Cache-Control', 'private, no-cache');
+            if (matchesEtag(req.headers['if-none-match'], etag)) {
+                return res.status(304).end();
+            }
+            res.json({
+                success: true,
+                ...(req.params.semesterId && { semesterId: req.params.semesterId }),
+                data,
+                errors: {},
+                warnings: req.driftWarnings,
+                sessionInfo: buildSessionInfo(req),
+                fetchTimestamp: fetchTimestampOf(req)
             });
+        } catch (error) {
+            await sendFailure(req, res, error);
         }
-
-        return examData;
-    } catch (error) {
-        console.error("Error extracting exam schedule:", error.message);
-        return null;
-    }
+    });
 }
 
-// Modify the fetchExamSchedule function
-async function fetchExamSchedule(studentId, csrf, semesterSubId, client) {
-    try {
-        const examScheduleUrl = `https://vtop.vit.ac.in/vtop/examinations/doSearchExamScheduleForStudent`;
-        
-        const response = await client.post(examScheduleUrl, null, {
-            params: {
-                authorizedID: studentId,
-                _csrf: csrf,
-                semesterSubId: semesterSubId
-            },
-            headers: {
-                "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/110.0.0.0 Safari/537.36",
-                "Content-Type": "application/x-www-form-urlencoded"
-            }
-        });
+resourceRoute('/profile', ({ vtop }) =>
+    vtop.getProfile());
 
-        const examScheduleData = extractExamSchedule(response.data);
-        return examScheduleData;
-    } catch (error) {
-        console.error("Error fetching exam schedule:", error.message);
-        return null;
-    }
-}
+resourceRoute('/cgpa', ({ vtop }) =>
+    vtop.getCgpa());
 
-// Function to extract student profile data
-function extractStudentProfile(html) {
-    try {
-        const $ = cheerio.load(html);
-        const profileData = {
-            personalInformation: {},
-            educationalInformation: {},
-            familyInformation: {},
-            proctorInformation: {},
-            hostelInformation: {},
-            photos: {
-                studentPhoto: null,
-                proctorPhoto: null
-            }
-        };
+resourceRoute('/transcript', ({ vtop }) =>
+    vtop.getTranscript());
 
-        // Extract Personal Information
-        $('#collapseOne table tr').each((i, row) => {
-            const label = $(row).find('td:first').text().trim();
-            const value = $(row).find('td:last').text().trim();
-            if (label && value) {
-                profileData.personalInformation[label.toLowerCase().replace(/\s+/g, '_')] = value;
-            }
-        });
+resourceRoute('/semesters', ({ vtop }) =>
+    vtop.getSemesters());
 
-        // Extract Educational Information
-        $('#collapseTwo table tr').each((i, row) => {
-            const label = $(row).find('td:first').text().trim();
-            const value = $(row).find('td:last').text().trim();
-            if (label && value) {
-                profileData.educationalInformation[label.toLowerCase().replace(/\s+/g, '_')] = value;
-            }
-        });
+resourceRoute('/fees', ({ vtop }) =>
+    vtop.getFeeReceipts());
 
-        // Extract Family Information
-        $('#collapseThree table tr').each((i, row) => {
-            const label = $(row).find('td:first').text().trim();
-            const value = $(row).find('td:last').text().trim();
-            if (label && value) {
-                profileData.familyInformation[label.toLowerCase().replace(/\s+/g, '_')] = value;
-            }
-        });
+resourceRoute('/semesters/:semesterId/timetable', ({ vtop }, req) =>
+    vtop.getTimeTable(req.params.semesterId), { table: 'timetable' });
 
-        // Extract Proctor Information
-        $('#collapseFour table tr').each((i, row) => {
-            const label = $(row).find('td:first').text().trim();
-            const value = $(row).find('td:last').text().trim();
-            if (label && value) {
-                profileData.proctorInformation[label.toLowerCase().replace(/\s+/g, '_')] = value;
-            }
-        });
+// What-if GPA/CGPA projection. Body: { courses, semesterId?, targetCgpa? }.
+// With a semesterId, missing credits and non-GPA flags are filled in from
+// that semester's grade view.
+app.post('/cgpa/simulate', requireSession, requireCampusSemester, async (req, res) => {
+    const { courses, semesterId, targetCgpa } = req.body;
 
-        // Extract Hostel Information
-        $('#collapseFive table tr').each((i, row) => {
-            const label = $(row).find('td:first').text().trim();
-            const value = $(row).find('td:last').text().trim();
-            if (label && value) {
-                profileData.hostelInformation[label.toLowerCase().replace(/\s+/g, '_')] = value;
-            }
-        });
+    if (!Array.isArray(courses) || !courses.length) {
+        return res.status(400).json({ success: false, message: "courses must be a non-empty array" });
+    }
 
-        // Try to extract photos
-        const studentPhoto = $('.col-4.mt-4.mb-3 img').attr('src');
-        const proctorPhoto = $('td[style*="background-color: #FAF0DD;"][rowspan="4"] img').attr('src');
+    const session = req.vtopSession;
 
-        if (studentPhoto) {
-            profileData.photos.studentPhoto = studentPhoto;
+    try {
+        // The grade view only fills in missing details, so the simulation
+        // runs without it (its error is listed) but not without the CGPA
+        const { data, errors } = await settleSessionSections(req, {
+            cgpa: ({ vtop }) => vtop.getCgpa(),
+            ...(semesterId && {
+                gradeView: ({ vtop }) => vtop.getGradeView(semesterId)
+            })
+        });
+        const gradeViewData = data.gradeView;
+
+        // No CGPA yet (all zeros, or no CGPA table at all) means a
+        // first-semester student: start from nothing
+        if (errors.cgpa?.code === "PARSE_ERROR" && errors.cgpa.message === CGPA_TABLE_MISSING) {
+            delete errors.cgpa;
         }
-        if (proctorPhoto) {
-            profileData.photos.proctorPhoto = proctorPhoto;
+        if (errors.cgpa || errors.gradeView?.code === "SESSION_EXPIRED") {
+            return sendFailure(req, res, failureOf(errors, 1), errors);
         }
+        const cgpaDetails = data.cgpa || { cgpa: 0, creditsEarned: 0 };
 
-        return profileData;
-    } catch (error) {
-        console.error("Error extracting student profile:", error.message);
-        return null;
-    }
-}
+        // Persist refreshed cookies and last used time
+        await saveUserSession(req.sessionToken, session);
 
-// Modify the fetchStudentProfile function
-async function fetchStudentProfile(studentId, csrf, client) {
-    try {
-        const profileUrl = `https://vtop.vit.ac.in/vtop/studentsRecord/StudentProfileAllView`;
-        
-        const response = await client.post(profileUrl, null, {
-            params: {
-                verifyMenu: true,
-                authorizedID: studentId,
-                _csrf: csrf,
-                nocache: new Date().getTime()
-            },
-            headers: {
-                "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/110.0.0.0 Safari/537.36",
-                "Content-Type": "application/x-www-form-urlencoded"
-            }
+        const gradeViewCourses = {};
+        (gradeViewData?.courses || []).forEach((course) => {
+            gradeViewCourses[course.courseCode] = course;
         });
 
-        // Parse the HTML response and convert to JSON
-        const profileData = extractStudentProfile(response.data);
-        
-        return profileData;
+        const simulation = simulateCgpa(cgpaDetails, courses.map((course) => {
+            const known = gradeViewCourses[course.courseCode];
+            return {
+                ...course,
+                credits: course.credits ?? known?.credits.C,
+                isNonGPACourse: course.isNonGPACourse ?? known?.isNonGPACourse
+            };
+        }), { targetCgpa });
+
+        res.json({
+            success: true,
+            data: simulation,
+            errors,
+            warnings: req.driftWarnings,
+            sessionInfo: buildSessionInfo(req),
+            fetchTimestamp: fetchTimestampOf(req)
+        });
     } catch (error) {
-        console.error("Error fetching student profile:", error.message);
-        return null;
+        if (error instanceof SimulationError) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        await sendFailure(req, res, error);
     }
-}
+});
+
+// Timetable slots decoded into a weekly class grid, ordered by day
+resourceRoute('/semesters/:semesterId/schedule', async (session, req) => {
+    const result = await session.vtop.getTimeTable(req.params.semesterId);
+    return buildWeeklySchedule(result?.timeTableData, slotMapOf(session));
+});
+
+// Classes, exams and assignment deadlines as an iCalendar feed.
+// ?from= and ?until= (YYYY-MM-DD) bound the weekly class recurrence.
+app.get('/semesters/:semesterId/calendar.ics', requireSession, requireCampusSemester, async (req, res) => {
+    const { semesterId } = req.params;
+    const session = req.vtopSession;
 
-// Function to extract fee receipt details
-function extractFeeReceipts(html) {
     try {
-        const $ = cheerio.load(html);
-        const feeData = {
-            applicationNumber: null,
-            registrationNumber: null,
-            receipts: []
-        };
+        const { data, errors } = await settleSessionSections(req, {
+            timeTable: ({ vtop }) => vtop.getTimeTable(semesterId),
+            examSchedule: ({ vtop }) => vtop.getExamSchedule(semesterId),
+            assignments: ({ vtop }) => vtop.getAssignments(semesterId)
+        });
 
-        // Extract application number and registration number
-        const applnoInput = $('input[name="applno"]').first();
-        const regnoInput = $('input[name="regno"]').first();
-        
-        if (applnoInput && regnoInput) {
-            feeData.applicationNumber = applnoInput.val();
-            feeData.registrationNumber = regnoInput.val();
+        // No partial feeds: calendar apps would drop the missing events
+        // until the next refresh, so any failed section fails the feed
+        const failed = Object.keys(errors).length;
+        if (failed) {
+            return sendFailure(req, res, failureOf(errors, failed), errors);
         }
 
-        // Find the receipts table
-        $('.table-bordered tr').each((index, row) => {
-            // Skip header row
-            if (index === 0) return;
-
-            const cells = $(row).find('td');
-            if (cells.length >= 5) {
-                const receipt = {
-                    invoiceNumber: cells.eq(0).text().trim(),
-                    receiptNumber: cells.eq(1).text().trim(),
-                    date: cells.eq(2).text().trim(),
-                    amount: parseFloat(cells.eq(3).text().trim()) || 0,
-                    campusCode: cells.eq(4).text().trim()
-                };
-                feeData.receipts.push(receipt);
-            }
+        // Persist refreshed cookies and last used time
+        await saveUserSession(req.sessionToken, session);
+
+        const timeTableData = data.timeTable?.timeTableData;
+        const calendar = buildCalendar({
+            studentId: session.vtop.studentId,
+            semesterId,
+            schedule: buildWeeklySchedule(timeTableData, slotMapOf(session)),
+            timeTableData,
+            examSchedule: data.examSchedule,
+            assignments: data.assignments,
+            from: req.query.from,
+            until: req.query.until
         });
 
-        return feeData;
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="vtop-${semesterId.replace(/[^A-Za-z0-9_-]/g, '')}.ics"`);
+        res.send(calendar);
     } catch (error) {
-        console.error("Error extracting fee receipts:", error.message);
-        return null;
+        await sendFailure(req, res, error);
     }
-}
+});
 
-// Modify the fetchFeeReceipts function
-async function fetchFeeReceipts(studentId, csrf, client) {
-    try {
-        const feeReceiptsUrl = `https://vtop.vit.ac.in/vtop/finance/getStudentReceipts`;
-        
-        const response = await client.post(feeReceiptsUrl, null, {
-            params: {
-                verifyMenu: true,
-                authorizedID: studentId,
-                _csrf: csrf,
-                nocache: new Date().getTime()
-            },
-            headers: {
-                "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/110.0.0.0 Safari/537.36",
-                "Content-Type": "application/x-www-form-urlencoded"
-            }
-        });
+// The semester's timetable, attendance (a row per class date), marks and
+// grades as one XLSX workbook, a worksheet each
+app.get('/semesters/:semesterId/export', requireSession, requireCampusSemester, async (req, res) => {
+    const { semesterId } = req.params;
+    const session = req.vtopSession;
 
-        // Parse and save fee receipt data as JSON
-        const feeReceiptData = extractFeeReceipts(response.data);
-        return feeReceiptData;
-    } catch (error) {
-        console.error("Error fetching fee receipts:", error.message);
-        return null;
+    if ((req.query.format || 'xlsx') !== 'xlsx') {
+        return res.status(400).json({
+            success: false,
+            message: 'The semester export is only available as xlsx; use ?format=csv on timetable, attendance, marks or grades'
+        });
     }
-}
 
-// Function to extract digital assignments
-function extractDigitalAssignments(html) {
     try {
-        const $ = cheerio.load(html);
-        const assignmentData = {
-            semesterId: $('#semesterSubId').val(),
-            courses: []
-        };
+        const sections = await settleSessionSections(req, {
+            timeTable: ({ vtop }) => vtop.getTimeTable(semesterId),
+            attendance: ({ vtop }) => vtop.getAttendance(semesterId),
+            marks: ({ vtop }) => vtop.getMarks(semesterId),
+            gradeView: ({ vtop }) => vtop.getGradeView(semesterId)
+        });
+        await settleDetailedAttendance(sections, req, semesterId);
+        const { data, errors } = sections;
+
+        // Like the calendar feed, no partial workbooks: a missing sheet
+        // would read as a semester without those records
+        const failed = Object.keys(errors).length;
+        if (failed) {
+            return sendFailure(req, res, failureOf(errors, failed), errors);
+        }
 
-        // Find all rows in the assignments table
-        $('.customTable tr.tableContent').each((index, row) => {
-            const cells = $(row).find('td');
-            
-            // Skip if not enough cells
-            if (cells.length < 7) return;
-
-            const course = {
-                slNo: cells.eq(0).text().trim(),
-                classNumber: cells.eq(1).text().trim(),
-                courseCode: cells.eq(2).text().trim(),
-                courseTitle: cells.eq(3).text().trim(),
-                courseType: cells.eq(4).text().trim(),
-                facultyName: cells.eq(5).text().trim(),
-                dashboardLink: {
-                    classId: $(cells.eq(6)).find('button').attr('onclick')?.match(/'([^']+)'/)?.[1] || null
-                }
-            };
+        // Persist refreshed cookies and last used time
+        await saveUserSession(req.sessionToken, session);
 
-            assignmentData.courses.push(course);
+        await trackChanges(session, semesterId, {
+            marks: data.marks,
+            attendance: data.attendance,
+            detailedAttendance: data.detailedAttendance
         });
 
-        return assignmentData;
+        sendTables(res, [
+            tabulate('timetable', data.timeTable),
+            tabulate('attendanceDetail', { detailed: data.detailedAttendance }),
+            tabulate('marks', data.marks),
+            tabulate('grades', data.gradeView)
+        ], 'xlsx', exportFileName([semesterId], 'xlsx'));
     } catch (error) {
-        console.error("Error extracting digital assignments:", error.message);
-        return null;
+        await sendFailure(req, res, error);
     }
-}
+});
 
-// Modify the extractAssignmentDetails function
-function extractAssignmentDetails(html, courseCode) {
-    try {
-        const $ = cheerio.load(html);
-        const assignments = [];
-        
-        // Get course details from the first table
-        const courseInfo = {
-            courseCode,
-            courseTitle: $('.customTable tr.tableContent td:nth-child(3)').first().text().trim(),
-            courseType: $('.customTable tr.tableContent td:nth-child(4)').first().text().trim(),
-            classNumber: $('.customTable tr.tableContent td:nth-child(5)').first().text().trim(),
-        };
+// Printable semester report (profile header, courses, attendance, marks,
+// GPA and CGPA) as an HTML page, or with ?format=pdf as a PDF download
+app.get('/semesters/:semesterId/report', requireSession, requireCampusSemester, async (req, res) => {
+    const { semesterId } = req.params;
+    const session = req.vtopSession;
+    const format = req.query.format || 'html';
 
-        // Find all assignment rows in the table
-        $('.customTable tr.tableContent-level1, .customTable tr.tableContent').each((index, row) => {
-            const cells = $(row).find('td');
-            
-            // Only process rows that have assignment data (Sl.No, Title, etc.)
-            if (cells.length >= 5) {
-                const slNo = cells.eq(0).text().trim();
-                // Skip if not a valid assignment row (headers or empty rows)
-                if (!slNo || !slNo.match(/^\d+$/)) return;
-
-                const assignment = {
-                    slNo: slNo,
-                    title: cells.eq(1).text().trim(),
-                    maxMark: parseFloat(cells.eq(2).text().trim()) || 0,
-                    weightagePercentage: parseFloat(cells.eq(3).text().trim()) || 0,
-                    dueDate: cells.eq(4).find('span').text().trim(),
-                    lastUpdatedOn: $(cells[6]).text().trim() // Column 7 has the last updated date
-                };
-
-                // Only add assignments that have actual data
-                if (assignment.title && assignment.maxMark > 0) {
-                    assignments.push(assignment);
-                }
-            }
+    if (!['html', 'pdf'].includes(format)) {
+        return res.status(400).json({ success: false, message: `Unknown format "${format}" (expected html or pdf)` });
+    }
+
+    try {
+        const { data, errors } = await settleSessionSections(req, {
+            profile: ({ vtop }) => vtop.getProfile(),
+            cgpa: ({ vtop }) => vtop.getCgpa(),
+            semesters: ({ vtop }) => vtop.getSemesters(),
+            timeTable: ({ vtop }) => vtop.getTimeTable(semesterId),
+            attendance: ({ vtop }) => vtop.getAttendance(semesterId),
+            marks: ({ vtop }) => vtop.getMarks(semesterId),
+            gradeView: ({ vtop }) => vtop.getGradeView(semesterId)
         });
 
-        // Only return if we have valid data
-        if (assignments.length > 0) {
-            return {
-                ...courseInfo,
-                assignments
-            };
+        // A shared report with a section missing would misrepresent the
+        // semester, so any failed section fails the report
+        const failed = Object.keys(errors).length;
+        if (failed) {
+            return sendFailure(req, res, failureOf(errors, failed), errors);
         }
-        return null;
 
-    } catch (error) {
-        console.error(`Error extracting assignment details for ${courseCode}:`, error.message);
-        return null;
-    }
-}
+        // Persist refreshed cookies and last used time
+        await saveUserSession(req.sessionToken, session);
 
-// Modify the fetchAssignmentDetails function
-async function fetchAssignmentDetails(studentId, csrf, course, client) {
-    try {
-        const timestamp = new Date().toUTCString();
-        const assignmentUrl = `https://vtop.vit.ac.in/vtop/examinations/processDigitalAssignment`;
-        
-        const response = await client.post(assignmentUrl, null, {
-            params: {
-                authorizedID: studentId,
-                x: timestamp,
-                classId: course.dashboardLink.classId,
-                _csrf: csrf
-            },
-            headers: {
-                "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/110.0.0.0 Safari/537.36",
-                "Content-Type": "application/x-www-form-urlencoded"
-            }
-        });
+        await trackChanges(session, semesterId, { marks: data.marks, attendance: data.attendance });
 
-        return extractAssignmentDetails(response.data, course.courseCode);
+        const report = buildReport({
+            ...data,
+            semesterId,
+            semesterName: data.semesters?.find((semester) => semester.id === semesterId)?.name,
+            campus: session.vtop.campus,
+            threshold: ATTENDANCE_THRESHOLD,
+            fetchedAt: new Date(fetchTimestampOf(req))
+        });
 
+        if (format === 'pdf') {
+            res.set('Content-Type', 'application/pdf');
+            res.set('Content-Disposition', `attachment; filename="${exportFileName([semesterId, 'report'], 'pdf')}"`);
+            return res.send(renderPdf(report));
+        }
+        res.type('html').send(renderHtml(report));
     } catch (error) {
-        return null;
+        await sendFailure(req, res, error);
     }
-}
+});
 
-// Modify the fetchDigitalAssignments function
-async function fetchDigitalAssignments(studentId, csrf, semesterSubId, client) {
-    try {
-        const assignmentUrl = `https://vtop.vit.ac.in/vtop/examinations/doDigitalAssignment`;
-        
-        const response = await client.post(assignmentUrl, null, {
-            params: {
-                authorizedID: studentId,
-                _csrf: csrf,
-                semesterSubId: semesterSubId
-            },
-            headers: {
-                "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/110.0.0.0 Safari/537.36",
-                "Content-Type": "application/x-www-form-urlencoded"
-            }
-        });
+// Detailed per-class attendance costs one extra VTOP call per course,
+// so it is only fetched with ?detailed=true, or for a CSV/XLSX export,
+// which has a row per class date
+resourceRoute('/semesters/:semesterId/attendance', async (session, req) => {
+    const { semesterId } = req.params;
+    const summary = await session.vtop.getAttendance(semesterId);
 
-        const assignmentData = extractDigitalAssignments(response.data);
-        if (!assignmentData?.courses?.length) return null;
-
-        const startTime = Date.now();
-        const detailedAssignmentsPromises = assignmentData.courses.map(course => 
-            fetchAssignmentDetails(studentId, csrf, course, client)
-                .catch(() => null)
-        );
-
-        const detailedAssignments = await Promise.all(detailedAssignmentsPromises);
-        const validAssignments = detailedAssignments.filter(Boolean);
-        
-        return {
-            overview: assignmentData,
-            details: validAssignments
-        };
+    if (req.query.detailed !== 'true' && !EXPORT_FORMATS.includes(req.query.format)) {
+        await trackChanges(session, semesterId, { attendance: summary });
+        return { summary };
+    }
 
+    const detailed = await session.vtop.getDetailedAttendance(semesterId, summary);
+    await trackChanges(session, semesterId, { attendance: summary, detailedAttendance: detailed });
+    return { summary, detailed };
+}, { table: 'attendanceDetail' });
+
+// How many classes each course can skip, or must attend, to stay at the
+// threshold (?threshold=, default ATTENDANCE_THRESHOLD)
+resourceRoute('/semesters/:semesterId/attendance/planner', async (session, req) => {
+    const attendanceData = await session.vtop.getAttendance(req.params.semesterId);
+    await trackChanges(session, req.params.semesterId, { attendance: attendanceData });
+    return planAttendance(attendanceData, {
+        threshold: req.query.threshold || ATTENDANCE_THRESHOLD,
+        slotMap: slotMapOf(session)
+    });
+});
+
+// Raw marks with computed totals and grade targets alongside. The grade
+// view tells relatively graded courses apart, where the targets do not apply.
+// It is optional: it stays empty until results are published, and without
+// it the marks are analyzed with the grading type unknown. Only an expired
+// session fails on it, so withRelogin can log in again.
+resourceRoute('/semesters/:semesterId/marks', async (session, req) => {
+    const { data, errors } = await settleSections({
+        marks: () => session.vtop.getMarks(req.params.semesterId),
+        gradeView: () => session.vtop.getGradeView(req.params.semesterId)
+    });
+    const failure = errors.gradeView?.code === "SESSION_EXPIRED" ? errors.gradeView : errors.marks;
+    if (failure) {
+        throw failure;
+    }
+    await trackChanges(session, req.params.semesterId, { marks: data.marks });
+    return data.marks && { ...data.marks, analytics: analyzeMarks(data.marks, data.gradeView) };
+}, { table: 'marks' });
+
+resourceRoute('/semesters/:semesterId/exams', async (session, req) => {
+    const examScheduleData = await session.vtop.getExamSchedule(req.params.semesterId);
+    await trackChanges(session, req.params.semesterId, { examSchedule: examScheduleData });
+    return examScheduleData;
+}, { table: 'exams' });
+
+resourceRoute('/semesters/:semesterId/grades', ({ vtop }, req) =>
+    vtop.getGradeView(req.params.semesterId), { table: 'grades' });
+
+resourceRoute('/semesters/:semesterId/assignments', async (session, req) => {
+    const assignmentsData = await session.vtop.getAssignments(req.params.semesterId);
+    await trackChanges(session, req.params.semesterId, { assignments: assignmentsData });
+    return assignmentsData;
+}, { table: 'assignments' });
+
+// Webhook registrations belong to the student, not the session, so they
+// keep firing after the token that created them expires.
+// Body: { url, events?, secret?, threshold?, dueWithinHours? }
+app.post('/webhooks', requireSession, async (req, res) => {
+    try {
+        const webhook = await webhooks.register(req.vtopSession.vtop.studentId, req.body);
+        res.status(201).json({ success: true, data: webhook, sessionInfo: buildSessionInfo(req) });
     } catch (error) {
-        console.error("Error in fetchDigitalAssignments:", error.message);
-        return null;
+        if (error instanceof WebhookError) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        console.error("Error registering webhook:", error);
+        res.status(500).json({ success: false, message: "Internal server error", error: error.message });
     }
-}
+});
 
-// API Endpoints
-app.post('/initialdata', async (req, res) => {
-    const { username, password } = req.body;
-    
-    if (!username || !password) {
-        return res.status(400).json({ success: false, message: "Username and password are required" });
+app.get('/webhooks', requireSession, async (req, res) => {
+    try {
+        res.json({ success: true, data: await webhooks.list(req.vtopSession.vtop.studentId), sessionInfo: buildSessionInfo(req) });
+    } catch (error) {
+        console.error("Error listing webhooks:", error);
+        res.status(500).json({ success: false, message: "Internal server error", error: error.message });
     }
+});
 
+app.delete('/webhooks/:webhookId', requireSession, async (req, res) => {
     try {
-        // Get or create client for this user
-        const client = getUserClient(username);
-        let studentId, csrf;
-        let session = userSessions.get(username);
-
-        // Check if we have valid session data
-        if (session?.studentId && session?.csrf) {
-            studentId = session.studentId;
-            csrf = session.csrf;
-            console.log(`Using existing session for user: ${username}`);
-        } else {
-            console.log(`No existing session, creating new login for user: ${username}`);
-            // Need to login first
-            const loginResult = await attemptLogin(username, password, client);
-            
-            if (!loginResult.success) {
-                userSessions.delete(username);
-                return res.status(401).json(loginResult);
-            }
-
-            // Extract required tokens
-            studentId = extractStudentId(loginResult.data);
-            const csrfMatch = loginResult.data.match(/name="_csrf"\s+value="([^"]+)"/);
-            csrf = csrfMatch ? csrfMatch[1] : null;
-
-            if (!studentId || !csrf) {
-                userSessions.delete(username);
-                return res.status(500).json({ 
-                    success: false, 
-                    message: "Failed to extract required tokens" 
-                });
-            }
-
-            // Create and store new session
-            session = {
-                client,
-                studentId,
-                csrf,
-                lastUsed: Date.now()
-            };
-            userSessions.set(username, session);
-            console.log(`Created new session for user: ${username}`);
+        if (!await webhooks.remove(req.vtopSession.vtop.studentId, req.params.webhookId)) {
+            return res.status(404).json({ success: false, message: "Webhook not found" });
         }
+        res.json({ success: true, sessionInfo: buildSessionInfo(req) });
+    } catch (error) {
+        console.error("Error removing webhook:", error);
+        res.status(500).json({ success: false, message: "Internal server error", error: error.message });
+    }
+});
 
-        // Fetch all initial data concurrently
-        const [profileData, gradeData, semesterList, feeData] = await Promise.all([
-            fetchStudentProfile(studentId, csrf, client),
-            fetchGradeHistory(studentId, csrf, client),
-            fetchSemesterList(studentId, csrf, client),
-            fetchFeeReceipts(studentId, csrf, client)
-        ]);
-
-        // Update session last used time
-        session.lastUsed = Date.now();
-
-        // Return comprehensive response
-        res.json({
-            success: true,
-            studentId,
-            csrf,
-            profile: profileData,
-            gradeHistory: gradeData,
-            semesterList: semesterList,
-            feeReceipts: feeData,
-            sessionInfo: {
-                isNewSession: !session.existingSession,
-                created: new Date(session.lastUsed).toISOString(),
-                expiresIn: SESSION_TIMEOUT / 1000 // in seconds
-            },
-            fetchTimestamp: new Date().toISOString()
-        });
-
+// Delivery log, newest first: each delivery with its attempts and outcome
+app.get('/webhooks/:webhookId/deliveries', requireSession, async (req, res) => {
+    try {
+        const log = await webhooks.deliveries(req.vtopSession.vtop.studentId, req.params.webhookId);
+        if (!log) {
+            return res.status(404).json({ success: false, message: "Webhook not found" });
+        }
+        res.json({ success: true, data: log, sessionInfo: buildSessionInfo(req) });
     } catch (error) {
-        console.error("Error in /initialdata endpoint:", error);
-        userSessions.delete(username); // Clear session on error
-        res.status(500).json({ 
-            success: false, 
-            message: "Internal server error",
-            error: error.message 
-        });
+        console.error("Error reading webhook deliveries:", error);
+        res.status(500).json({ success: false, message: "Internal server error", error: error.message });
     }
 });
 
-app.post('/semesterdata', async (req, res) => {
-    const { username, password, semesterId } = req.body;
-    
-    if (!username || !password || !semesterId) {
-        return res.status(400).json({ 
-            success: false, 
-            message: "Username, password, and semesterId are required" 
-        });
+// What changed since the last check: new marks, newly marked absences, moved
+// exams and new or rescheduled assignments. ?semesterId= defaults to the
+// latest semester. Without ?since= the response lists what this check
+// found; with it (ISO time or epoch ms), every logged change after it.
+app.get('/changes', requireSession, requireCampusSemester, async (req, res) => {
+    let since = null;
+    if (req.query.since !== undefined) {
+        since = new Date(/^\d+$/.test(req.query.since) ? Number(req.query.since) : req.query.since);
+        if (Number.isNaN(since.getTime())) {
+            return res.status(400).json({ success: false, message: "since must be an ISO date or epoch milliseconds" });
+        }
     }
 
+    const session = req.vtopSession;
+
+    // Changes can only be found on VTOP itself; what is read still
+    // refreshes the cache
+    useResourceCache(req, { refresh: true });
+
     try {
-        // Get or create client for this user
-        const client = getUserClient(username);
-        let studentId, csrf;
-        let session = userSessions.get(username);
-
-        // Check if we have valid session data
-        if (session?.studentId && session?.csrf) {
-            studentId = session.studentId;
-            csrf = session.csrf;
-            console.log(`Using existing session for user: ${username}`);
-        } else {
-            console.log(`No existing session, creating new login for user: ${username}`);
-            // Need to login first
-            const loginResult = await attemptLogin(username, password, client);
-            
-            if (!loginResult.success) {
-                userSessions.delete(username);
-                return res.status(401).json(loginResult);
+        let { semesterId } = req.query;
+        if (!semesterId) {
+            const latest = await settleSessionSections(req, {
+                semesters: ({ vtop }) => vtop.getSemesters()
+            });
+            if (latest.errors.semesters) {
+                return sendFailure(req, res, latest.errors.semesters, latest.errors);
             }
+            semesterId = latest.data.semesters[0]?.id;
+        }
+        if (!semesterId) {
+            return res.status(404).json({ success: false, message: "No semesters found on VTOP" });
+        }
 
-            // Extract required tokens
-            studentId = extractStudentId(loginResult.data);
-            const csrfMatch = loginResult.data.match(/name="_csrf"\s+value="([^"]+)"/);
-            csrf = csrfMatch ? csrfMatch[1] : null;
-
-            if (!studentId || !csrf) {
-                userSessions.delete(username);
-                return res.status(500).json({ 
-                    success: false, 
-                    message: "Failed to extract required tokens" 
-                });
-            }
+        // Sections that failed are left out of the comparison, so their
+        // stored snapshot stays as it was
+        const { data, errors } = await settleSessionSections(req, {
+            marks: ({ vtop }) => vtop.getMarks(semesterId),
+            attendance: ({ vtop }) => vtop.getAttendance(semesterId),
+            examSchedule: ({ vtop }) => vtop.getExamSchedule(semesterId),
+            assignments: ({ vtop }) => vtop.getAssignments(semesterId)
+        });
+        await settleDetailedAttendance({ data, errors }, req, semesterId);
 
-            // Create and store new session
-            session = {
-                client,
-                studentId,
-                csrf,
-                lastUsed: Date.now()
-            };
-            userSessions.set(username, session);
-            console.log(`Created new session for user: ${username}`);
+        const failure = failureOf(errors, 5);
+        if (failure) {
+            return sendFailure(req, res, failure, errors);
         }
 
-        // Fetch all semester data concurrently
-        const [
-            timeTableData,
-            attendanceData,
-            marksData,
-            examScheduleData,
-            gradeViewData,
-            assignmentsData
-        ] = await Promise.all([
-            fetchTimeTable(studentId, csrf, semesterId, client),
-            fetchAttendance(studentId, csrf, semesterId, client),
-            fetchMarks(studentId, csrf, semesterId, client),
-            fetchExamSchedule(studentId, csrf, semesterId, client),
-            fetchGradeView(studentId, csrf, semesterId, client),
-            fetchDigitalAssignments(studentId, csrf, semesterId, client)
-        ]);
-
-        // Update session last used time
-        session.lastUsed = Date.now();
+        // Persist refreshed cookies and last used time
+        await saveUserSession(req.sessionToken, session);
+
+        const { record, changes, baseline } = await recordChanges(session.vtop, semesterId, data);
 
-        // Return comprehensive response
         res.json({
             success: true,
             semesterId,
             data: {
-                timeTable: timeTableData,
-                attendance: {
-                    summary: attendanceData,
-                    detailed: await fetchDetailedAttendance(
-                        attendanceData,
-                        studentId,
-                        csrf,
-                        semesterId,
-                        client
-                    )
-                },
-                marks: marksData,
-                examSchedule: examScheduleData,
-                gradeView: gradeViewData,
-                assignments: assignmentsData
+                baseline,
+                since: since && since.toISOString(),
+                checkedAt: record.checkedAt,
+                changes: since ? changesSince(record, since) : changes
             },
-            sessionInfo: {
-                isNewSession: !session.existingSession,
-                lastUsed: new Date(session.lastUsed).toISOString(),
-                expiresIn: Math.floor((SESSION_TIMEOUT - (Date.now() - session.lastUsed)) / 1000)
-            },
-            fetchTimestamp: new Date().toISOString()
+            errors,
+            warnings: req.driftWarnings,
+            sessionInfo: buildSessionInfo(req),
+            fetchTimestamp: fetchTimestampOf(req)
         });
-
     } catch (error) {
-        console.error("Error in /semesterdata endpoint:", error);
-        userSessions.delete(username); // Clear session on error
-        res.status(500).json({ 
-            success: false, 
-            message: "Internal server error",
-            error: error.message 
-        });
+        await sendFailure(req, res, error);
     }
 });
 
-// Start the server
-app.listen(port, '0.0.0.0', () => { 
-    console.log(`Server running at http://0.0.0.0:${port}`); 
-});
+// Start the server when run directly (tests require the app without listening)
+if (require.main === module) {
+    app.listen(port, '0.0.0.0', () => { 
+        console.log(`Server running at http://0.0.0.0:${port}`); 
+    });
+}
+
+module.exports = {
+    app
+};
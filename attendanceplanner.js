@@ -0,0 +1,103 @@
+const { parseSlotCodes } = require('./schedule');
+
+// Works out, per course, how many more classes a student can miss and still
+// stay at or above the attendance threshold, or how many they must attend in
+// a row to climb back above it.
+//
+// VTOP rounds the attendance percentage up, so 74.1% is shown (and counted)
+// as 75%. Lab sessions span several periods and each period counts as a
+// class, so skipping or attending one lab moves the totals by that many.
+
+const DEFAULT_THRESHOLD = 75;
+const DEFAULT_LAB_HOURS = 2;
+const MAX_LOOKAHEAD = 500;
+
+// Percentage as VTOP shows it
+function vtopPercentage(attended, total) {
+    if (!total) return null;
+    return Math.ceil((attended * 100) / total);
+}
+
+// Lab course types in the attendance table: ELA (embedded lab), LO (lab only)
+function isLabCourse(course) {
+    return /^(ELA|LO)$/.test(course.courseType || '') || /\bLab\b/i.test(course.courseDetail || '');
+}
+
+// Periods per lab session, from the course's slots where the slot map knows
+// them ("L31+L32" on one day is one 2-period session)
+function labHoursPerSession(course, slotMap) {
+    const slotString = (course.classDetail || '').split(' - ')[1];
+    const labSlots = parseSlotCodes(slotString).filter((slot) => slotMap?.lab?.[slot]);
+    if (!labSlots.length) return DEFAULT_LAB_HOURS;
+
+    const days = new Set(labSlots.flatMap((slot) => slotMap.lab[slot].map(({ day }) => day)));
+    return Math.max(1, Math.round(labSlots.length / days.size));
+}
+
+// Sessions that can be missed in a row while staying at or above threshold
+function classesCanSkip(attended, total, threshold, hoursPerSession) {
+    let skip = 0;
+    while (
+        skip < MAX_LOOKAHEAD &&
+        vtopPercentage(attended, total + (skip + 1) * hoursPerSession) >= threshold
+    ) {
+        skip++;
+    }
+    return skip;
+}
+
+// Sessions that must be attended in a row to reach the threshold
+function classesMustAttend(attended, total, threshold, hoursPerSession) {
+    if (threshold >= 100 && attended < total) return null; // never reachable
+    let attend = 0;
+    while (
+        attend < MAX_LOOKAHEAD &&
+        vtopPercentage(attended + attend * hoursPerSession, total + attend * hoursPerSession) < threshold
+    ) {
+        attend++;
+    }
+    return attend < MAX_LOOKAHEAD ? attend : null;
+}
+
+// Plan for a single course from extractAttendance output
+function planCourse(course, { threshold = DEFAULT_THRESHOLD, slotMap } = {}) {
+    const attended = course.attendedClasses || 0;
+    const total = course.totalClasses || 0;
+    const lab = isLabCourse(course);
+    const hoursPerSession = lab ? labHoursPerSession(course, slotMap) : 1;
+    const percentage = vtopPercentage(attended, total);
+    const meetsThreshold = percentage === null || percentage >= threshold;
+
+    return {
+        courseCode: (course.courseDetail || '').split(' - ')[0] || null,
+        courseType: course.courseType,
+        isLab: lab,
+        hoursPerSession,
+        attendedClasses: attended,
+        totalClasses: total,
+        percentage,
+        threshold,
+        meetsThreshold,
+        // Counted in sessions: one lab session is hoursPerSession classes
+        canSkip: total ? classesCanSkip(attended, total, threshold, hoursPerSession) : 0,
+        mustAttend: meetsThreshold ? 0 : classesMustAttend(attended, total, threshold, hoursPerSession)
+    };
+}
+
+// Plan every course in an extractAttendance result
+function planAttendance(attendanceData, options = {}) {
+    if (!attendanceData?.courses) return null;
+
+    const threshold = Number(options.threshold) || DEFAULT_THRESHOLD;
+    return {
+        threshold,
+        courses: attendanceData.courses.map((course) => planCourse(course, { ...options, threshold }))
+    };
+}
+
+module.exports = {
+    DEFAULT_THRESHOLD,
+    vtopPercentage,
+    planCourse,
+    planAttendance
+};
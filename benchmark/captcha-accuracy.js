@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+const { SOLVER_MODES } = require('../captchamodel');
+const { readLabelledSet, evaluateModes } = require('../captchaeval');
+const { decodeCaptcha, loadSolverModel, MODEL_INFO } = require('../captchasolver');
+
+// Accuracy of each captcha solver mode on a labelled set.
+//
+//   node benchmark/captcha-accuracy.js [dir] [mode,...]
+//
+// `dir` holds captchas named after their answer (K7P9QX.jpg); it defaults
+// to the small synthetic set in test/fixtures/captchas. Use real VTOP
+// captchas for numbers that mean anything. Set CAPTCHA_MODEL_PATH to
+// measure a model from captchatrain.js.
+
+const [dir = path.join(__dirname, '..', 'test', 'fixtures', 'captchas'), modesArg] = process.argv.slice(2);
+const modes = modesArg ? modesArg.split(',') : SOLVER_MODES;
+
+async function main() {
+    const unknown = modes.filter((mode) => !SOLVER_MODES.includes(mode));
+    if (unknown.length) {
+        throw new Error(`Unknown modes: ${unknown.join(', ')} (expected ${SOLVER_MODES.join(', ')})`);
+    }
+
+    const set = readLabelledSet(dir);
+    if (!set.length) {
+        throw new Error(`No labelled captchas in ${dir}`);
+    }
+
+    const samples = [];
+    for (const { file, label } of set) {
+        samples.push({ label, pixels: await decodeCaptcha(fs.readFileSync(file)) });
+    }
+
+    console.log(`${samples.length} labelled captchas from ${dir}, ${MODEL_INFO.source} model`);
+    console.table(evaluateModes(samples, loadSolverModel(), modes));
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
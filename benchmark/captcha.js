@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const { monitorEventLoopDelay, performance } = require('perf_hooks');
+const { loadModel, solvePixels, saturation, pre_img, flatten, max_soft, LABELS } = require('../captchamodel');
+const { createWorkerPool } = require('../workerpool');
+const { decodeCaptcha } = require('../captchasolver');
+const bitmaps = require('../bitmaps.json');
+
+// Captcha solver throughput under concurrent logins.
+//
+//   node benchmark/captcha.js [solves] [concurrency,...] [workers,...]
+//
+// "nested" is the old main-thread path (nested-array matrix multiply),
+// "inline" the typed-array model on the main thread, and "pool" the worker
+// pool the API uses. Each run decodes the fixture captcha from memory and
+// solves it `solves` times with `concurrency` logins in flight. The
+// event-loop delay column is what other requests wait while captchas are
+// being solved.
+
+const [solves = 200, concurrencyArg = '1,8,32', workersArg = '1,2,4'] = process.argv.slice(2);
+const SOLVES = Number(solves);
+const CONCURRENCY = concurrencyArg.split(',').map(Number);
+const WORKERS = workersArg.split(',').map(Number);
+
+const image = fs.readFileSync(path.join(__dirname, '..', 'test', 'fixtures', 'captchas', 'A2B3C4.jpg'));
+const model = loadModel();
+
+// The pre-typed-array inference, kept here as the baseline
+function solveNested(pixels) {
+    return saturation(pixels).map((block) => {
+        const input = Array.from(flatten(pre_img(block)));
+        const out = bitmaps.biases.map((bias, j) => input.reduce((sum, x, i) => sum + x * bitmaps.weights[i][j], bias));
+        const probabilities = max_soft(out);
+        return LABELS[probabilities.indexOf(Math.max(...probabilities))];
+    }).join('');
+}
+
+async function run(label, workers, concurrency, solve) {
+    const latencies = [];
+    const delay = monitorEventLoopDelay({ resolution: 1 });
+    let next = 0;
+
+    const login = async () => {
+        while (next < SOLVES) {
+            next++;
+            const started = performance.now();
+            await solve(await decodeCaptcha(image));
+            latencies.push(performance.now() - started);
+        }
+    };
+
+    delay.enable();
+    const started = performance.now();
+    await Promise.all(Array.from({ length: concurrency }, login));
+    const elapsed = performance.now() - started;
+    delay.disable();
+
+    latencies.sort((a, b) => a - b);
+    return {
+        mode: label,
+        workers,
+        concurrency,
+        'solves/s': Math.round((SOLVES / elapsed) * 1000),
+        'p50 ms': latencies[Math.floor(latencies.length * 0.5)].toFixed(1),
+        'p99 ms': latencies[Math.floor(latencies.length * 0.99)].toFixed(1),
+        'max loop delay ms': (delay.max / 1e6).toFixed(1)
+    };
+}
+
+async function main() {
+    const rows = [];
+
+    for (const concurrency of CONCURRENCY) {
+        rows.push(await run('nested', '-', concurrency, async (pixels) => solveNested(pixels)));
+        rows.push(await run('inline', '-', concurrency, async (pixels) => solvePixels(pixels, model)));
+
+        for (const workers of WORKERS) {
+            const pool = createWorkerPool(path.join(__dirname, '..', 'captchaworker.js'), { size: workers });
+            // Start the workers before timing
+            await Promise.all(Array.from({ length: workers }, async () => pool.run({ pixels: await decodeCaptcha(image) })));
+            rows.push(await run('pool', workers, concurrency, (pixels) => pool.run({ pixels }, [pixels.buffer])));
+            await pool.destroy();
+        }
+    }
+
+    console.table(rows);
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+
+// Cache of VTOP sections keyed by campus, student, resource and semester,
+// so repeated requests for data that rarely changes (profile, semester
+// list, fee receipts, grade history) skip the scrape. Each resource has its
+// own TTL: long for the profile, minutes for attendance and marks. TTLs
+// come from CACHE_TTL_<RESOURCE> in seconds (CACHE_TTL_PROFILE,
+// CACHE_TTL_DETAILED_ATTENDANCE, ...); 0 turns caching off for a resource.
+//
+// Entries live in a session store (see sessionstore.js), so they are shared
+// between the sessions and instances that share the store. Only complete
+// sections are cached: results with failedCourses are always fetched again.
+// A store that fails only costs the cache, never the request.
+//
+//   const view = cache.forRequest({ refresh });   // one per request
+//   new VtopClient({ cache: view });              // getters go through it
+//   view.served                                   // what was served, and from when
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Default TTLs in milliseconds, per VtopClient resource
+const DEFAULT_TTLS = {
+    profile: 24 * HOUR,
+    cgpa: 12 * HOUR,
+    transcript: 12 * HOUR,
+    semesters: 12 * HOUR,
+    fees: 12 * HOUR,
+    timetable: 6 * HOUR,
+    grades: HOUR,
+    exams: 30 * MINUTE,
+    assignments: 15 * MINUTE,
+    attendance: 5 * MINUTE,
+    detailedAttendance: 5 * MINUTE,
+    marks: 5 * MINUTE
+};
+
+// "detailedAttendance" -> "CACHE_TTL_DETAILED_ATTENDANCE"
+function ttlVariable(resource) {
+    return `CACHE_TTL_${resource.replace(/[A-Z]/g, (letter) => `_${letter}`).toUpperCase()}`;
+}
+
+// TTLs in milliseconds: the defaults, overridden by CACHE_TTL_<RESOURCE>
+// (seconds), all 0 when RESOURCE_CACHE=false
+function loadCacheTtls(env = process.env) {
+    const enabled = (env.RESOURCE_CACHE || 'true').toLowerCase() !== 'false';
+    return Object.fromEntries(Object.entries(DEFAULT_TTLS).map(([resource, ttl]) => {
+        const seconds = env[ttlVariable(resource)];
+        if (!enabled) return [resource, 0];
+        if (seconds === undefined || seconds === '') return [resource, ttl];
+
+        const value = Number(seconds);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new Error(`${ttlVariable(resource)} must be a number of seconds, got "${seconds}"`);
+        }
+        return [resource, value * 1000];
+    }));
+}
+
+function entryKey({ campus, studentId, resource, semesterId }) {
+    return [campus || '-', studentId, resource, semesterId || '-'].join(':');
+}
+
+// Sections that came back partly failed are not worth keeping
+function isCacheable(value) {
+    return !value?.failedCourses;
+}
+
+// Weak ETag over JSON-serializable parts of a response
+function etagOf(...parts) {
+    const hash = crypto.createHash('sha256').update(JSON.stringify(parts)).digest('base64url');
+    return `W/"${hash.slice(0, 27)}"`;
+}
+
+// Whether an If-None-Match header matches the ETag (weak comparison).
+// Express's own check gives up when the request also says Cache-Control:
+// no-cache, which fetch() adds to every conditional request.
+function matchesEtag(ifNoneMatch, etag) {
+    if (!ifNoneMatch) return false;
+    const opaque = (tag) => tag.trim().replace(/^W\//, '');
+    return ifNoneMatch.split(',').some((tag) => tag.trim() === '*' || opaque(tag) === opaque(etag));
+}
+
+function createResourceCache({ store, ttls = loadCacheTtls() }) {
+    const ttlOf = (resource) => ttls[resource] || 0;
+
+    // { value, fetchedAt, hit } for the key: the cached entry while it is
+    // fresh (unless `refresh`), otherwise load()'s result, stored for next time
+    async function get(key, load, { refresh = false } = {}) {
+        const ttl = ttlOf(key.resource);
+        if (!ttl || !key.studentId) {
+            return { value: await load(), fetchedAt: Date.now(), hit: false };
+        }
+
+        const id = entryKey(key);
+        if (!refresh) {
+            try {
+                const entry = await store.get(id);
+                if (entry) {
+                    return { value: entry.value, fetchedAt: entry.fetchedAt, hit: true };
+                }
+            } catch (error) {
+                console.error("Error reading the resource cache:", error.message);
+            }
+        }
+
+        const value = await load();
+        const fetchedAt = Date.now();
+        if (isCacheable(value)) {
+            try {
+                await store.set(id, { value, fetchedAt }, ttl);
+            } catch (error) {
+                console.error("Error writing the resource cache:", error.message);
+            }
+        }
+        return { value, fetchedAt, hit: false };
+    }
+
+    // A view for one request: fetch(key, load) resolves with the value and
+    // records { resource, semesterId, fetchedAt, hit } in `served`
+    function forRequest({ refresh = false } = {}) {
+        const served = [];
+        return {
+            refresh,
+            served,
+            async fetch(key, load) {
+                const result = await get(key, load, { refresh });
+                served.push({ resource: key.resource, semesterId: key.semesterId || null, fetchedAt: result.fetchedAt, hit: result.hit });
+                return result.value;
+            }
+        };
+    }
+
+    return {
+        ttlOf,
+        get,
+        forRequest,
+        sweep: () => store.sweep()
+    };
+}
+
+module.exports = {
+    DEFAULT_TTLS,
+    loadCacheTtls,
+    etagOf,
+    matchesEtag,
+    createResourceCache
+};
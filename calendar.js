@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+
+// Builds an RFC 5545 iCalendar feed from the decoded weekly schedule, the
+// exam schedule and digital assignment due dates. UIDs are derived from the
+// student, semester and the item itself, so importing the feed again updates
+// existing events instead of duplicating them.
+
+const TIMEZONE = 'Asia/Kolkata';
+const UID_DOMAIN = 'vtopapi';
+const DEFAULT_SEMESTER_WEEKS = 18;
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const ICAL_DAYS = { SUN: 'SU', MON: 'MO', TUE: 'TU', WED: 'WE', THU: 'TH', FRI: 'FR', SAT: 'SA' };
+const DAY_INDEX = { SUN: 0, MON: 1, TUE: 2, WED: 3, THU: 4, FRI: 5, SAT: 6 };
+
+// IST has no daylight saving, so a single STANDARD block describes it
+const VTIMEZONE = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${TIMEZONE}`,
+    'BEGIN:STANDARD',
+    'DTSTART:19700101T000000',
+    'TZOFFSETFROM:+0530',
+    'TZOFFSETTO:+0530',
+    'TZNAME:IST',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+];
+
+// Parse VTOP dates ("14-Feb-2025") or ISO dates ("2025-02-14") into a UTC
+// midnight Date, or null
+function parseDate(value) {
+    if (!value) return null;
+
+    const vtop = value.trim().match(/^(\d{1,2})-([A-Za-z]{3})-(\d{4})/);
+    if (vtop) {
+        const month = MONTHS.indexOf(vtop[2].toUpperCase());
+        if (month === -1) return null;
+        return new Date(Date.UTC(Number(vtop[3]), month, Number(vtop[1])));
+    }
+
+    const iso = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (iso) {
+        return new Date(Date.UTC(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])));
+    }
+
+    return null;
+}
+
+// "09:30 AM" or "14:00" -> "0930" / "1400"
+function parseClockTime(value) {
+    const match = value?.trim().match(/^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i);
+    if (!match) return null;
+
+    let hours = Number(match[1]);
+    const meridiem = match[3]?.toUpperCase();
+    if (meridiem === 'PM' && hours < 12) hours += 12;
+    if (meridiem === 'AM' && hours === 12) hours = 0;
+
+    return `${String(hours).padStart(2, '0')}${match[2]}`;
+}
+
+function addDays(date, days) {
+    return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+function formatDate(date) {
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function formatTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Escape TEXT values (RFC 5545 section 3.3.11)
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+function stableUid(...parts) {
+    const hash = crypto.createHash('sha1').update(parts.join('|')).digest('hex');
+    return `${hash}@${UID_DOMAIN}`;
+}
+
+function describe(details) {
+    return details.filter(([, value]) => value).map(([label, value]) => `${label}: ${value}`).join('\n');
+}
+
+// Weekly recurring events for every class in the decoded schedule
+function classEvents(schedule, timeTableData, context) {
+    if (!schedule?.days) return [];
+
+    // Classes start on the commencement date VTOP lists per course, or at
+    // context.from when that is later
+    const startDates = {};
+    (timeTableData?.courses || []).forEach((course) => {
+        startDates[course.classId] = parseDate(course.attendance?.date);
+    });
+
+    const events = [];
+    schedule.days.forEach(({ classes }) => {
+        classes.forEach((entry) => {
+            const courseStart = startDates[entry.classId];
+            const from = courseStart && courseStart > context.from ? courseStart : context.from;
+            const offset = (DAY_INDEX[entry.day] - from.getUTCDay() + 7) % 7;
+            const firstDay = formatDate(addDays(from, offset));
+            const start = entry.start.replace(':', '');
+            const end = entry.end.replace(':', '');
+
+            events.push([
+                `UID:${stableUid(context.studentId, context.semesterId, 'class', entry.classId, entry.day, start)}`,
+                `DTSTART;TZID=${TIMEZONE}:${firstDay}T${start}00`,
+                `DTEND;TZID=${TIMEZONE}:${firstDay}T${end}00`,
+                // 23:59:59 IST on the last day, expressed in UTC
+                `RRULE:FREQ=WEEKLY;BYDAY=${ICAL_DAYS[entry.day]};UNTIL=${formatDate(context.until)}T182959Z`,
+                `SUMMARY:${escapeText(`${entry.courseCode || 'Class'}${entry.courseTitle ? ` - ${entry.courseTitle}` : ''} (${entry.kind})`)}`,
+                entry.venue && `LOCATION:${escapeText(entry.venue)}`,
+                `DESCRIPTION:${escapeText(describe([
+                    ['Slots', entry.slots.join('+')],
+                    ['Course type', entry.courseType],
+                    ['Faculty', entry.faculty]
+                ]))}`,
+                'CATEGORIES:CLASS'
+            ]);
+        });
+    });
+
+    return events;
+}
+
+// Dated events for scheduled exams; unscheduled ones are skipped
+function examEvents(examSchedule, context) {
+    const events = [];
+
+    (examSchedule?.examTypes || []).forEach(({ type, exams }) => {
+        exams.forEach((exam) => {
+            const date = parseDate(exam.examDate);
+            if (!date) return;
+
+            const [startTime, endTime] = (exam.examTime || '').split('-').map(parseClockTime);
+            const day = formatDate(date);
+            const timing = startTime && endTime
+                ? [`DTSTART;TZID=${TIMEZONE}:${day}T${startTime}00`, `DTEND;TZID=${TIMEZONE}:${day}T${endTime}00`]
+                : [`DTSTART;VALUE=DATE:${day}`, `DTEND;VALUE=DATE:${formatDate(addDays(date, 1))}`];
+
+            events.push([
+                `UID:${stableUid(context.studentId, context.semesterId, 'exam', type, exam.courseCode, exam.classId)}`,
+                ...timing,
+                `SUMMARY:${escapeText(`${type}: ${exam.courseCode} - ${exam.courseTitle}`)}`,
+                exam.venue && `LOCATION:${escapeText(exam.venue)}`,
+                `DESCRIPTION:${escapeText(describe([
+                    ['Reporting time', exam.reportingTime],
+                    ['Session', exam.examSession],
+                    ['Venue', exam.venue],
+                    ['Seat location', exam.seatLocation],
+                    ['Seat number', exam.seatNo]
+                ]))}`,
+                'CATEGORIES:EXAM'
+            ]);
+        });
+    });
+
+    return events;
+}
+
+// All-day events on each digital assignment's due date
+function assignmentEvents(assignments, context) {
+    const events = [];
+
+    (assignments?.details || []).forEach((course) => {
+        course.assignments.forEach((assignment) => {
+            const date = parseDate(assignment.dueDate);
+            if (!date) return;
+
+            events.push([
+                `UID:${stableUid(context.studentId, context.semesterId, 'assignment', course.courseCode, course.classNumber, assignment.slNo)}`,
+                `DTSTART;VALUE=DATE:${formatDate(date)}`,
+                `DTEND;VALUE=DATE:${formatDate(addDays(date, 1))}`,
+                `SUMMARY:${escapeText(`Due: ${course.courseCode} - ${assignment.title}`)}`,
+                `DESCRIPTION:${escapeText(describe([
+                    ['Course', course.courseTitle],
+                    ['Max mark', assignment.maxMark],
+                    ['Weightage', assignment.weightagePercentage && `${assignment.weightagePercentage}%`]
+                ]))}`,
+                'CATEGORIES:DEADLINE'
+            ]);
+        });
+    });
+
+    return events;
+}
+
+// Build the full .ics document.
+// options.from / options.until bound the weekly class recurrence; `until`
+// defaults to DEFAULT_SEMESTER_WEEKS weeks after the earliest class start.
+function buildCalendar({ studentId, semesterId, schedule, timeTableData, examSchedule, assignments, from, until, now = new Date() }) {
+    const courseStarts = (timeTableData?.courses || [])
+        .map((course) => parseDate(course.attendance?.date))
+        .filter(Boolean)
+        .sort((a, b) => a - b);
+
+    const fromDate = parseDate(from) || courseStarts[0] || parseDate(now.toISOString().slice(0, 10));
+    const context = {
+        studentId,
+        semesterId,
+        from: fromDate,
+        until: parseDate(until) || addDays(fromDate, DEFAULT_SEMESTER_WEEKS * 7)
+    };
+
+    const dtstamp = `DTSTAMP:${formatTimestamp(now)}`;
+    const events = [
+        ...classEvents(schedule, timeTableData, context),
+        ...examEvents(examSchedule, context),
+        ...assignmentEvents(assignments, context)
+    ];
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:-//${UID_DOMAIN}//VTOP Calendar//EN`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(`VTOP ${semesterId}`)}`,
+        `X-WR-TIMEZONE:${TIMEZONE}`,
+        ...VTIMEZONE
+    ];
+
+    events.forEach((event) => {
+        lines.push('BEGIN:VEVENT', dtstamp, ...event.filter(Boolean), 'END:VEVENT');
+    });
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    parseDate,
+    parseClockTime,
+    buildCalendar
+};
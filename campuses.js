@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+
+// VTOP runs separately for each VIT campus, and every VTOP URL is built
+// from the profile of the session's campus: its host, endpoint paths,
+// semester ID prefix (VL20242505 in Vellore) and FFCS slot chart. Vellore
+// is the only built-in profile, because the parsers and slotmap.json have
+// only been checked against its pages.
+//
+// CAMPUS_PROFILES_PATH points at a JSON file of per-campus overrides
+// ({ "vellore": { "paths": { ... } } }) or whole new campuses with their
+// own baseUrl, semesterPrefix and slotMap. VTOP_BASE_URL sends every
+// campus to one host (the mock portal in development), unless the
+// overrides file names a baseUrl for it.
+
+// Endpoint paths, named as the fetchers use them
+const DEFAULT_PATHS = {
+    prelogin: '/vtop/prelogin/setup',
+    login: '/vtop/login',
+    gradeHistory: '/vtop/examinations/examGradeView/StudentGradeHistory',
+    gradeView: '/vtop/examinations/examGradeView/doStudentGradeView',
+    semesterList: '/vtop/academics/common/StudentTimeTable',
+    timeTable: '/vtop/processViewTimeTable',
+    attendance: '/vtop/processViewStudentAttendance',
+    attendanceDetail: '/vtop/processViewAttendanceDetail',
+    marks: '/vtop/examinations/doStudentMarkView',
+    examSchedule: '/vtop/examinations/doSearchExamScheduleForStudent',
+    profile: '/vtop/studentsRecord/StudentProfileAllView',
+    feeReceipts: '/vtop/finance/getStudentReceipts',
+    assignments: '/vtop/examinations/doDigitalAssignment',
+    assignmentDetail: '/vtop/examinations/processDigitalAssignment'
+};
+
+const DEFAULT_SLOT_MAP = 'slotmap.json';
+
+// Built-in campuses. A profile may set `paths` (only the endpoints that
+// differ from DEFAULT_PATHS) and `slotMap` (relative to this directory, a
+// chart other than slotmap.json). Other campuses are left to the overrides
+// file until their pages and slot charts have been checked.
+const CAMPUS_PROFILES = {
+    vellore: {
+        name: 'VIT Vellore',
+        baseUrl: 'https://vtop.vit.ac.in',
+        semesterPrefix: 'VL'
+    }
+};
+
+const DEFAULT_CAMPUS = 'vellore';
+
+class CampusError extends Error {}
+
+// Slot chart file of a campus: from the overrides file (relative to it),
+// the built-in profile, or SLOT_MAP_PATH / slotmap.json for the rest
+function slotMapPath(env, builtIn, override) {
+    if (override.slotMap) {
+        return path.resolve(path.dirname(env.CAMPUS_PROFILES_PATH), override.slotMap);
+    }
+    if (builtIn.slotMap) {
+        return path.join(__dirname, builtIn.slotMap);
+    }
+    return path.resolve(env.SLOT_MAP_PATH || path.join(__dirname, DEFAULT_SLOT_MAP));
+}
+
+// The built-in profiles with the overrides file and VTOP_BASE_URL applied,
+// each completed to { id, name, baseUrl, paths, semesterPrefix, slotMap }
+function loadCampusProfiles(env = process.env) {
+    let overrides = {};
+    if (env.CAMPUS_PROFILES_PATH) {
+        try {
+            overrides = JSON.parse(fs.readFileSync(env.CAMPUS_PROFILES_PATH, 'utf8'));
+        } catch (error) {
+            throw new CampusError(`Cannot load campus profiles ${env.CAMPUS_PROFILES_PATH}: ${error.message}`);
+        }
+    }
+
+    const ids = [...new Set([...Object.keys(CAMPUS_PROFILES), ...Object.keys(overrides)])];
+    return Object.fromEntries(ids.map((id) => {
+        const builtIn = CAMPUS_PROFILES[id] || {};
+        const override = overrides[id] || {};
+        const profile = {
+            id,
+            name: override.name || builtIn.name || id,
+            baseUrl: (override.baseUrl || env.VTOP_BASE_URL || builtIn.baseUrl || '').replace(/\/+$/, ''),
+            paths: { ...DEFAULT_PATHS, ...builtIn.paths, ...override.paths },
+            semesterPrefix: override.semesterPrefix || builtIn.semesterPrefix,
+            slotMap: slotMapPath(env, builtIn, override)
+        };
+
+        if (!profile.baseUrl || !profile.semesterPrefix) {
+            throw new CampusError(`Campus profile "${id}" needs a baseUrl and a semesterPrefix`);
+        }
+        return [id, profile];
+    }));
+}
+
+// The profile for a campus id (case-insensitive), or a CampusError naming
+// the known campuses
+function resolveCampus(profiles, id) {
+    const key = String(id).toLowerCase();
+    const profile = Object.hasOwn(profiles, key) ? profiles[key] : null;
+    if (!profile) {
+        throw new CampusError(`Unknown campus "${id}" (expected ${Object.keys(profiles).join(', ')})`);
+    }
+    return profile;
+}
+
+// Why a semester ID cannot belong to the campus, or null if it can
+function semesterMismatch(profile, semesterId) {
+    if (String(semesterId).toUpperCase().startsWith(profile.semesterPrefix)) {
+        return null;
+    }
+    return `Semester ${semesterId} is not a ${profile.name} semester (IDs there start with ${profile.semesterPrefix})`;
+}
+
+module.exports = {
+    DEFAULT_PATHS,
+    CAMPUS_PROFILES,
+    DEFAULT_CAMPUS,
+    CampusError,
+    loadCampusProfiles,
+    resolveCampus,
+    semesterMismatch
+};
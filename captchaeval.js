@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+const { SOLVER_MODES, solvePixels } = require('./captchamodel');
+
+// Accuracy of the captcha recognizers against a labelled set: a directory
+// of captcha images named after their answer, such as "K7P9QX.jpg", or
+// "K7P9QX_2.png" for a second sample with the same text.
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+const CAPTCHA_LENGTH = 6;
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+// [{ file, label }] for every labelled image in `dir`, sorted by name
+const readLabelledSet = (dir) =>
+  fs.readdirSync(dir)
+    .filter((name) => IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+    .sort()
+    .map((name) => ({ file: path.join(dir, name), label: name.split(/[_.]/)[0].toUpperCase() }))
+    .filter(({ label }) => label.length === CAPTCHA_LENGTH);
+
+// Whole-captcha and per-character accuracy of [{ label, text }]
+const scorePredictions = (predictions) => {
+  let correct = 0;
+  let charactersCorrect = 0;
+  let characters = 0;
+
+  predictions.forEach(({ label, text }) => {
+    if (text === label) correct++;
+    for (let i = 0; i < label.length; i++) {
+      characters++;
+      if (text?.[i] === label[i]) charactersCorrect++;
+    }
+  });
+
+  return {
+    total: predictions.length,
+    correct,
+    accuracy: predictions.length ? round(correct / predictions.length) : null,
+    characterAccuracy: characters ? round(charactersCorrect / characters) : null
+  };
+};
+
+// Run each solver mode over decoded samples ([{ label, pixels }])
+const evaluateModes = (samples, model, modes = SOLVER_MODES) =>
+  modes.map((mode) => {
+    const results = samples.map(({ label, pixels }) => ({ label, ...solvePixels(pixels, model, { mode }) }));
+    return { mode, ...scorePredictions(results) };
+  });
+
+module.exports = {
+  readLabelledSet,
+  scorePredictions,
+  evaluateModes
+};
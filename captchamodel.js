@@ -0,0 +1,251 @@
+// Pure captcha recognition: preprocessing and inference on raw RGBA pixels.
+// Nothing here touches the filesystem, canvas or shared state, so the same
+// code runs on the main thread and inside the solver's worker threads.
+
+// Per-character masks for the old 180x45 captcha (captcha_parse) and the
+// softmax layer (weights/biases) for the current 200x40 one
+const bitmaps = require('./bitmaps.json');
+
+const WIDTH = 200;
+const HEIGHT = 40;
+const CHAR_COUNT = 6;
+const BLOCK_ROWS = 22;
+const BLOCK_COLS = 24;
+const LABELS = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+const SOLVER_MODES = ['nn'];
+
+// Model files written by captchatrain.js
+const MODEL_FORMAT = 'vtop-captcha-softmax';
+const MODEL_VERSION = 1;
+
+const captcha_parse = (imgarr) => {
+  let captcha = "";
+  for (let x = 1; x < 44; x++) {
+    for (let y = 1; y < 179; y++) {
+      const condition1 =
+        imgarr[x][y - 1] === 255 &&
+        imgarr[x][y] === 0 &&
+        imgarr[x][y + 1] === 255;
+      const condition2 =
+        imgarr[x - 1][y] === 255 &&
+        imgarr[x][y] === 0 &&
+        imgarr[x + 1][y] === 255;
+      const condition3 = imgarr[x][y] !== 255 && imgarr[x][y] !== 0;
+      if (condition1 || condition2 || condition3) {
+        imgarr[x][y] = 255;
+      }
+    }
+  }
+  for (let j = 30; j < 181; j += 30) {
+    let matches = [];
+    const chars = "123456789ABCDEFGHIJKLMNPQRSTUVWXYZ";
+    for (let i = 0; i < chars.length; i++) {
+      let match = 0;
+      let black = 0;
+      const ch = chars.charAt(i);
+      const mask = bitmaps[ch];
+      for (let x = 0; x < 32; x++) {
+        for (let y = 0; y < 30; y++) {
+          let y1 = y + j - 30;
+          let x1 = x + 12;
+          if (imgarr[x1][y1] == mask[x][y] && mask[x][y] == 0) {
+            match += 1;
+          }
+          if (mask[x][y] == 0) {
+            black += 1;
+          }
+        }
+      }
+      const perc = match / black;
+      matches.push([perc, ch]);
+    }
+    captcha += matches.reduce(
+      function (a, b) {
+        return a[0] > b[0] ? a : b;
+      },
+      [0, 0]
+    )[1];
+  }
+  return captcha;
+};
+
+// Binarize a character block around its mean saturation
+const pre_img = (block) => {
+  let avg = 0;
+  for (let i = 0; i < block.length; i++) avg += block[i];
+  avg /= block.length;
+
+  const bits = new Uint8Array(block.length);
+  for (let i = 0; i < block.length; i++) {
+    bits[i] = block[i] > avg ? 1 : 0;
+  }
+  return bits;
+};
+
+// RGBA pixels of the 200x40 captcha -> the six character blocks (22x24,
+// row-major) of per-pixel saturation. Characters sit on alternating heights.
+const saturation = (rgba) => {
+  const saturate = new Float32Array(rgba.length / 4);
+  for (let i = 0; i < rgba.length; i += 4) {
+    const min = Math.min(rgba[i], rgba[i + 1], rgba[i + 2]);
+    const max = Math.max(rgba[i], rgba[i + 1], rgba[i + 2]);
+    saturate[i / 4] = max ? Math.round(((max - min) * 255) / max) : 0;
+  }
+
+  const bls = new Array(CHAR_COUNT);
+  for (let i = 0; i < CHAR_COUNT; i++) {
+    const x1 = (i + 1) * 25 + 2;
+    const y1 = 7 + 5 * (i % 2) + 1;
+    const block = new Float32Array(BLOCK_ROWS * BLOCK_COLS);
+    for (let row = 0; row < BLOCK_ROWS; row++) {
+      const offset = (y1 + row) * WIDTH + x1;
+      block.set(saturate.subarray(offset, offset + BLOCK_COLS), row * BLOCK_COLS);
+    }
+    bls[i] = block;
+  }
+  return bls;
+};
+
+// Block bits -> the model's input vector
+const flatten = (bits) => Float32Array.from(bits);
+
+// Numerically stable softmax
+const max_soft = (a) => {
+  const n = new Float64Array(a.length);
+  let max = -Infinity;
+  for (let i = 0; i < a.length; i++) max = Math.max(max, a[i]);
+  let s = 0;
+  for (let i = 0; i < a.length; i++) {
+    n[i] = Math.exp(a[i] - max);
+    s += n[i];
+  }
+  for (let i = 0; i < a.length; i++) n[i] /= s;
+  return n;
+};
+
+// Pack a { weights: [inputs][outputs], biases: [outputs] } model into
+// typed arrays once, so inference is a flat multiply-add loop
+const loadModel = (source = bitmaps) => {
+  const inputs = source.weights.length;
+  const outputs = source.biases.length;
+  const weights = new Float32Array(inputs * outputs);
+  source.weights.forEach((row, i) => weights.set(row, i * outputs));
+
+  return {
+    inputs,
+    outputs,
+    labels: source.labels || LABELS,
+    weights,
+    biases: Float32Array.from(source.biases)
+  };
+};
+
+// Check a parsed model file and return it as a loadModel source. Throws
+// on another format, a newer version or weights that do not fit the
+// 22x24 blocks and the file's labels.
+const parseModelFile = (data) => {
+  if (data?.format !== MODEL_FORMAT) {
+    throw new Error(`not a captcha model file (expected format "${MODEL_FORMAT}")`);
+  }
+  if (data.version !== MODEL_VERSION) {
+    throw new Error(`unsupported captcha model version ${data.version} (expected ${MODEL_VERSION})`);
+  }
+  const { labels, weights, biases } = data;
+  const inputs = BLOCK_ROWS * BLOCK_COLS;
+  if (typeof labels !== 'string' || !labels.length || new Set(labels).size !== labels.length) {
+    throw new Error('captcha model labels must be a string of distinct characters');
+  }
+  if (!Array.isArray(biases) || biases.length !== labels.length ||
+    !Array.isArray(weights) || weights.length !== inputs ||
+    weights.some((row) => !Array.isArray(row) || row.length !== labels.length)) {
+    throw new Error(`captcha model weights must be ${inputs}x${labels.length} with ${labels.length} biases`);
+  }
+  return data;
+};
+
+// A trained { labels, weights, biases } as a model file. `training` holds
+// whatever the trainer wants to record about the run.
+const serializeModel = ({ labels, weights, biases }, training = {}) => ({
+  format: MODEL_FORMAT,
+  version: MODEL_VERSION,
+  createdAt: new Date().toISOString(),
+  labels,
+  training,
+  weights,
+  biases
+});
+
+// features x weights + biases
+const logits = (features, model) => {
+  const { inputs, outputs, weights, biases } = model;
+  const out = Float64Array.from(biases);
+  for (let i = 0; i < inputs; i++) {
+    const x = features[i];
+    if (!x) continue;
+    const row = i * outputs;
+    for (let j = 0; j < outputs; j++) {
+      out[j] += x * weights[row + j];
+    }
+  }
+  return out;
+};
+
+const byScore = (key) => (a, b) => b[key] - a[key];
+
+// Neural network: softmax over the model's labels for each block
+const nnCharacters = (rgba, model) =>
+  saturation(rgba).map((block) => {
+    const probabilities = max_soft(logits(flatten(pre_img(block)), model));
+    return Array.from(probabilities, (probability, i) => ({ char: model.labels[i], probability }))
+      .sort(byScore('probability'));
+  });
+
+// Recognize the six characters of a 200x40 captcha from its RGBA pixels.
+// options.mode: one of SOLVER_MODES, so far only 'nn'
+// Each character carries its softmax probability and the runner-up
+// candidates; `confidence`, their product, estimates that the whole answer
+// is right.
+const solvePixels = (rgba, model, { mode = 'nn', candidates = 3 } = {}) => {
+  if (rgba.length !== WIDTH * HEIGHT * 4) {
+    throw new Error(`expected ${WIDTH}x${HEIGHT} RGBA pixels, got ${rgba.length} bytes`);
+  }
+
+  let ranked;
+  if (mode === 'nn') {
+    ranked = nnCharacters(rgba, model);
+  } else {
+    throw new Error(`unknown solver mode "${mode}" (expected ${SOLVER_MODES.join(', ')})`);
+  }
+
+  const characters = ranked.map(([best, ...rest]) => ({
+    ...best,
+    candidates: [best, ...rest].slice(0, candidates).map(({ char, probability }) => ({ char, probability }))
+  }));
+
+  return {
+    mode,
+    text: characters.map(({ char }) => char).join(''),
+    confidence: characters.reduce((product, { probability }) => product * probability, 1),
+    characters
+  };
+};
+
+module.exports = {
+  WIDTH,
+  HEIGHT,
+  LABELS,
+  SOLVER_MODES,
+  MODEL_FORMAT,
+  MODEL_VERSION,
+  captcha_parse,
+  pre_img,
+  saturation,
+  flatten,
+  max_soft,
+  loadModel,
+  parseModelFile,
+  serializeModel,
+  logits,
+  solvePixels
+};
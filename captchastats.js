@@ -0,0 +1,47 @@
+// Captcha outcomes grouped by solver confidence, to show how well the
+// confidence score predicts VTOP's verdict and where to set the
+// CAPTCHA_MIN_CONFIDENCE cut-off. Per bucket:
+//
+//   accepted  - submitted and VTOP took the answer
+//   failed    - submitted and VTOP answered "Invalid Captcha"
+//   refetched - below the cut-off, so a new captcha was fetched instead
+//
+// Counts live in memory and reset on restart.
+
+const DEFAULT_BUCKETS = [0, 0.01, 0.05, 0.1, 0.25, 0.5, 0.75, 0.9, 0.99, 1];
+
+function createCaptchaStats(edges = DEFAULT_BUCKETS) {
+    const buckets = edges.slice(0, -1).map((from, i) => ({
+        from,
+        to: edges[i + 1],
+        accepted: 0,
+        failed: 0,
+        refetched: 0
+    }));
+
+    const bucketFor = (confidence) =>
+        buckets.find(({ from, to }, i) => confidence >= from && (confidence < to || i === buckets.length - 1)) ||
+        buckets[0];
+
+    return {
+        // outcome: 'accepted', 'failed' or 'refetched'
+        record(confidence, outcome) {
+            bucketFor(Number(confidence) || 0)[outcome]++;
+        },
+
+        snapshot() {
+            return buckets.map((bucket) => {
+                const submitted = bucket.accepted + bucket.failed;
+                return {
+                    ...bucket,
+                    successRate: submitted ? Math.round((bucket.accepted / submitted) * 1000) / 1000 : null
+                };
+            });
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_BUCKETS,
+    createCaptchaStats
+};
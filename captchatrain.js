@@ -0,0 +1,256 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { LABELS, saturation, pre_img, flatten, max_soft, loadModel, logits, serializeModel } = require('./captchamodel');
+
+// Offline training for the captcha network: a single softmax layer over the
+// binarized 22x24 character blocks, the same preprocessing the solver uses
+// (saturation -> pre_img -> flatten). Run it on a directory of labelled
+// captchas (see captchaeval.js) when VTOP changes its captcha font, then
+// point CAPTCHA_MODEL_PATH at the file it writes.
+//
+//   node captchatrain.js <dir> [--out captcha-model.json] [--epochs 60]
+//     [--rate 0.5] [--l2 0.0001] [--holdout 0.2] [--seed 1] [--labels ...]
+
+// Small seeded PRNG so a run can be repeated exactly
+const random = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const shuffle = (items, next) => {
+  const out = [...items];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(next() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+};
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+// RGBA pixels of a captcha and its answer -> one { features, label } per character
+const characterExamples = (rgba, label) =>
+  saturation(rgba).map((block, i) => ({ features: flatten(pre_img(block)), label: label[i] }));
+
+// Fit weights and biases with mini-batch gradient descent on cross-entropy
+// (plus L2 on the weights). Returns { labels, weights: [inputs][outputs],
+// biases } for serializeModel. onEpoch(epoch, loss) reports progress.
+const trainSoftmax = (examples, options = {}) => {
+  const {
+    labels = LABELS,
+    epochs = 60,
+    learningRate = 0.5,
+    l2 = 1e-4,
+    batchSize = 32,
+    seed = 1,
+    onEpoch = () => {}
+  } = options;
+
+  if (!examples.length) {
+    throw new Error('no training examples');
+  }
+  const unknown = [...new Set(examples.map(({ label }) => label))].filter((char) => !labels.includes(char));
+  if (unknown.length) {
+    throw new Error(`labels ${unknown.join(', ')} are not in the label set "${labels}"`);
+  }
+
+  const inputs = examples[0].features.length;
+  const outputs = labels.length;
+  const weights = new Float64Array(inputs * outputs);
+  const biases = new Float64Array(outputs);
+  const model = { inputs, outputs, weights, biases };
+  const targets = examples.map(({ label }) => labels.indexOf(label));
+  const next = random(seed);
+
+  for (let epoch = 1; epoch <= epochs; epoch++) {
+    const order = shuffle(examples.keys(), next);
+    let loss = 0;
+
+    for (let start = 0; start < order.length; start += batchSize) {
+      const batch = order.slice(start, start + batchSize);
+      const weightGrad = new Float64Array(weights.length);
+      const biasGrad = new Float64Array(outputs);
+
+      batch.forEach((index) => {
+        const { features } = examples[index];
+        const probabilities = max_soft(logits(features, model));
+        probabilities[targets[index]] -= 1;
+        loss -= Math.log(Math.max(probabilities[targets[index]] + 1, 1e-12));
+
+        for (let i = 0; i < inputs; i++) {
+          const x = features[i];
+          if (!x) continue;
+          const row = i * outputs;
+          for (let j = 0; j < outputs; j++) weightGrad[row + j] += x * probabilities[j];
+        }
+        for (let j = 0; j < outputs; j++) biasGrad[j] += probabilities[j];
+      });
+
+      const step = learningRate / batch.length;
+      for (let k = 0; k < weights.length; k++) {
+        weights[k] -= step * weightGrad[k] + learningRate * l2 * weights[k];
+      }
+      for (let j = 0; j < outputs; j++) biases[j] -= step * biasGrad[j];
+    }
+
+    onEpoch(epoch, loss / examples.length);
+  }
+
+  const precise = (value) => Number(value.toPrecision(7));
+  return {
+    labels,
+    weights: Array.from({ length: inputs }, (_, i) =>
+      Array.from(weights.subarray(i * outputs, (i + 1) * outputs), precise)),
+    biases: Array.from(biases, precise)
+  };
+};
+
+// Character-level results of a model source on examples: overall and
+// per-character accuracy, and the confusion matrix as
+// { actual: { predicted: count } }
+const evaluateCharacters = (examples, source) => {
+  const model = loadModel(source);
+  const perCharacter = {};
+  const confusion = {};
+  let correct = 0;
+
+  examples.forEach(({ features, label }) => {
+    const scores = logits(features, model);
+    let best = 0;
+    for (let j = 1; j < scores.length; j++) if (scores[j] > scores[best]) best = j;
+    const predicted = model.labels[best];
+
+    perCharacter[label] = perCharacter[label] || { total: 0, correct: 0 };
+    perCharacter[label].total++;
+    confusion[label] = confusion[label] || {};
+    confusion[label][predicted] = (confusion[label][predicted] || 0) + 1;
+    if (predicted === label) {
+      correct++;
+      perCharacter[label].correct++;
+    }
+  });
+
+  Object.values(perCharacter).forEach((entry) => {
+    entry.accuracy = round(entry.correct / entry.total);
+  });
+
+  return {
+    total: examples.length,
+    correct,
+    accuracy: examples.length ? round(correct / examples.length) : null,
+    perCharacter,
+    confusion
+  };
+};
+
+// Split labelled captchas into training and held-out sets. Whole captchas
+// are held out, so no captcha contributes characters to both.
+const splitHoldout = (items, fraction, seed = 1) => {
+  const shuffled = shuffle(items, random(seed));
+  const held = Math.round(items.length * fraction);
+  return { train: shuffled.slice(held), holdout: shuffled.slice(0, held) };
+};
+
+function printReport(title, report) {
+  console.log(`\n${title}: ${report.correct}/${report.total} characters (${(report.accuracy * 100).toFixed(2)}%)`);
+  const chars = Object.keys(report.perCharacter).sort();
+  console.table(Object.fromEntries(chars.map((char) => [char, report.perCharacter[char]])));
+
+  // Rows: actual character, columns: predicted (zeros left blank)
+  const predicted = [...new Set(chars.flatMap((char) => Object.keys(report.confusion[char])))].sort();
+  console.log('Confusion matrix (rows: actual, columns: predicted)');
+  console.table(Object.fromEntries(chars.map((char) => [char, report.confusion[char]])), predicted);
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      out: { type: 'string', default: 'captcha-model.json' },
+      epochs: { type: 'string', default: '60' },
+      rate: { type: 'string', default: '0.5' },
+      l2: { type: 'string', default: '0.0001' },
+      holdout: { type: 'string', default: '0.2' },
+      seed: { type: 'string', default: '1' },
+      labels: { type: 'string', default: LABELS }
+    }
+  });
+  const [dir] = positionals;
+  if (!dir) {
+    throw new Error('Usage: node captchatrain.js <labelled captcha dir> [--out file] [--epochs n] [--holdout fraction]');
+  }
+
+  // Required here so the library functions above work without canvas
+  const { readLabelledSet } = require('./captchaeval');
+  const { decodeCaptcha } = require('./captchasolver');
+
+  const set = readLabelledSet(dir);
+  if (!set.length) {
+    throw new Error(`No labelled captchas in ${dir}`);
+  }
+  const seed = Number(values.seed);
+  const { train, holdout } = splitHoldout(set, Number(values.holdout), seed);
+  if (!train.length) {
+    throw new Error('Nothing left to train on; lower --holdout');
+  }
+
+  const examplesOf = async (items) => {
+    const examples = [];
+    for (const { file, label } of items) {
+      examples.push(...characterExamples(await decodeCaptcha(fs.readFileSync(file)), label));
+    }
+    return examples;
+  };
+  const trainExamples = await examplesOf(train);
+  const holdoutExamples = await examplesOf(holdout);
+  console.log(`${set.length} labelled captchas: ${train.length} for training, ${holdout.length} held out`);
+
+  const settings = {
+    labels: values.labels,
+    epochs: Number(values.epochs),
+    learningRate: Number(values.rate),
+    l2: Number(values.l2),
+    seed
+  };
+  const trained = trainSoftmax(trainExamples, {
+    ...settings,
+    onEpoch: (epoch, loss) => {
+      if (epoch === 1 || epoch % 10 === 0 || epoch === settings.epochs) {
+        console.log(`epoch ${epoch}: loss ${loss.toFixed(4)}`);
+      }
+    }
+  });
+
+  const trainReport = evaluateCharacters(trainExamples, trained);
+  printReport('Training set', trainReport);
+  const holdoutReport = holdoutExamples.length ? evaluateCharacters(holdoutExamples, trained) : null;
+  if (holdoutReport) printReport('Held-out set', holdoutReport);
+
+  const { labels, ...hyperparameters } = settings;
+  const file = serializeModel(trained, {
+    dataset: path.resolve(dir),
+    captchas: { train: train.length, holdout: holdout.length },
+    ...hyperparameters,
+    trainAccuracy: trainReport.accuracy,
+    holdoutAccuracy: holdoutReport ? holdoutReport.accuracy : null
+  });
+  fs.writeFileSync(values.out, JSON.stringify(file));
+  console.log(`\nWrote ${values.out} (model format version ${file.version}); use it with CAPTCHA_MODEL_PATH=${values.out}`);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  characterExamples,
+  trainSoftmax,
+  evaluateCharacters,
+  splitHoldout
+};
@@ -0,0 +1,17 @@
+const { parentPort, workerData } = require('worker_threads');
+const { loadModel, solvePixels } = require('./captchamodel');
+
+// Worker thread for the captcha solver pool: receives RGBA pixels and
+// answers with the recognition result (text, confidence and per-character
+// probabilities). The model (workerData.model, or the bundled one) is
+// packed once per worker.
+
+const model = loadModel(workerData?.model || undefined);
+
+parentPort.on('message', ({ id, data }) => {
+  try {
+    parentPort.postMessage({ id, result: solvePixels(data.pixels, model, { mode: data.mode }) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
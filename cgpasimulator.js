@@ -0,0 +1,168 @@
+// What-if GPA/CGPA projections from hypothetical grades.
+//
+// The baseline is the CGPA summary (cgpa over creditsEarned). Passing grades
+// add credits and points; F and N count as zero in the semester GPA but earn
+// no credits, so they leave the CGPA unchanged. A repeated course removes its
+// old grade from the baseline before the new one is added. Non-GPA courses
+// (pass/fail, soft skills) are ignored entirely.
+
+const GRADE_POINTS = { S: 10, A: 9, B: 8, C: 7, D: 6, E: 5, F: 0, N: 0 };
+const FAILING_GRADES = ['F', 'N'];
+const MAX_GRADE_POINT = 10;
+
+class SimulationError extends Error {}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function gradePoint(grade) {
+    return GRADE_POINTS[grade];
+}
+
+// Lowest letter grade worth at least `point`, or null above S
+function gradeForPoint(point) {
+    const grades = Object.entries(GRADE_POINTS)
+        .filter(([grade]) => !FAILING_GRADES.includes(grade))
+        .sort((a, b) => a[1] - b[1]);
+    const match = grades.find(([, value]) => value >= point);
+    return match ? match[0] : null;
+}
+
+function normalizeCourse(course, index) {
+    const grade = course.grade ? String(course.grade).trim().toUpperCase() : null;
+    const credits = Number(course.credits);
+    const nonGpa = Boolean(course.isNonGPACourse || course.nonGpa);
+
+    if (!Number.isFinite(credits) || credits <= 0) {
+        throw new SimulationError(`courses[${index}]: credits must be a positive number`);
+    }
+    if (grade !== null && !nonGpa && gradePoint(grade) === undefined) {
+        throw new SimulationError(`courses[${index}]: unknown grade "${course.grade}"`);
+    }
+
+    let replaces = null;
+    if (course.replaces) {
+        const oldGrade = String(course.replaces.grade || '').trim().toUpperCase();
+        if (gradePoint(oldGrade) === undefined) {
+            throw new SimulationError(`courses[${index}]: unknown replaced grade "${course.replaces.grade}"`);
+        }
+        replaces = {
+            grade: oldGrade,
+            credits: Number(course.replaces.credits) || credits
+        };
+    }
+
+    return {
+        courseCode: course.courseCode || null,
+        credits,
+        grade,
+        isNonGPACourse: nonGpa,
+        replaces
+    };
+}
+
+// Run a simulation.
+// baseline: { cgpa, creditsEarned } from extractCGPADetails
+// courses:  [{ courseCode, credits, grade, isNonGPACourse, replaces: { grade, credits } }]
+//           A course without a grade only counts towards targetCgpa.
+// options.targetCgpa: also work out the average grade needed to reach it
+function simulateCgpa(baseline, courses, options = {}) {
+    if (!baseline || !Number.isFinite(baseline.cgpa) || !Number.isFinite(baseline.creditsEarned)) {
+        throw new SimulationError('CGPA details are unavailable');
+    }
+    if (!Array.isArray(courses) || !courses.length) {
+        throw new SimulationError('courses must be a non-empty array');
+    }
+
+    const normalized = courses.map(normalizeCourse);
+    const gpaCourses = normalized.filter((course) => !course.isNonGPACourse);
+
+    // Take repeated courses' old grades out of the baseline
+    let basePoints = baseline.cgpa * baseline.creditsEarned;
+    let baseCredits = baseline.creditsEarned;
+    gpaCourses.forEach(({ replaces }) => {
+        if (replaces && !FAILING_GRADES.includes(replaces.grade)) {
+            basePoints -= replaces.credits * gradePoint(replaces.grade);
+            baseCredits -= replaces.credits;
+        }
+    });
+
+    const graded = gpaCourses.filter((course) => course.grade !== null);
+    const semesterCredits = graded.reduce((sum, course) => sum + course.credits, 0);
+    const semesterPoints = graded.reduce((sum, course) => sum + course.credits * gradePoint(course.grade), 0);
+    const earned = graded.filter((course) => !FAILING_GRADES.includes(course.grade));
+    const earnedCredits = earned.reduce((sum, course) => sum + course.credits, 0);
+    const projectedCredits = baseCredits + earnedCredits;
+
+    const result = {
+        current: {
+            cgpa: baseline.cgpa,
+            creditsEarned: baseline.creditsEarned
+        },
+        semester: {
+            gpa: semesterCredits ? round(semesterPoints / semesterCredits) : null,
+            credits: semesterCredits,
+            courses: normalized.map((course) => ({
+                ...course,
+                gradePoint: course.isNonGPACourse || course.grade === null ? null : gradePoint(course.grade),
+                countsForGpa: !course.isNonGPACourse && course.grade !== null
+            }))
+        },
+        projected: {
+            cgpa: projectedCredits ? round((basePoints + semesterPoints) / projectedCredits) : null,
+            creditsEarned: projectedCredits
+        }
+    };
+
+    if (options.targetCgpa !== undefined && options.targetCgpa !== null) {
+        result.target = requiredForTarget(Number(options.targetCgpa), basePoints + semesterPoints, projectedCredits, gpaCourses);
+    }
+
+    return result;
+}
+
+// Average grade point needed over this semester's GPA courses that have no
+// grade yet to reach the target, assuming all of them are passed. The
+// graded ones are already in the points and credits passed in (the
+// projection's), so their grades count as given. With every course graded
+// there is nothing left to need: the target is achievable if the
+// projection reaches it.
+function requiredForTarget(targetCgpa, points, credits, gpaCourses) {
+    if (!Number.isFinite(targetCgpa) || targetCgpa <= 0 || targetCgpa > MAX_GRADE_POINT) {
+        throw new SimulationError(`targetCgpa must be between 0 and ${MAX_GRADE_POINT}`);
+    }
+    if (!gpaCourses.length) {
+        throw new SimulationError('targetCgpa needs at least one GPA course this semester');
+    }
+
+    const ungradedCredits = gpaCourses
+        .filter((course) => course.grade === null)
+        .reduce((sum, course) => sum + course.credits, 0);
+    if (!ungradedCredits) {
+        return {
+            cgpa: targetCgpa,
+            credits: 0,
+            requiredGpa: null,
+            requiredGrade: null,
+            achievable: credits > 0 && round(points / credits) >= targetCgpa
+        };
+    }
+
+    const needed = (targetCgpa * (credits + ungradedCredits) - points) / ungradedCredits;
+    const requiredGpa = round(Math.max(0, needed));
+
+    return {
+        cgpa: targetCgpa,
+        credits: ungradedCredits,
+        requiredGpa,
+        requiredGrade: needed <= 0 ? 'E' : gradeForPoint(requiredGpa),
+        achievable: needed <= MAX_GRADE_POINT
+    };
+}
+
+module.exports = {
+    GRADE_POINTS,
+    SimulationError,
+    simulateCgpa
+};
@@ -0,0 +1,282 @@
+// Change detection between fetches.
+//
+// A snapshot is a normalized view of one semester's marks, attendance, exams
+// and assignments, keyed so the same item can be found again on the next
+// fetch. diffSnapshots compares two snapshots section by section and reports
+// what a student would care about: new marks, newly marked absences, moved
+// exams and new or rescheduled assignments. A section that is missing on
+// either side (the fetch failed, or was not made) is skipped, so a partial
+// fetch never shows up as everything being new.
+
+const SECTIONS = ['marks', 'attendance', 'absences', 'exams', 'assignments'];
+const DEFAULT_LOG_LIMIT = 200;
+
+function numberOrNull(value) {
+    return Number.isFinite(value) ? value : null;
+}
+
+function courseCodeOf(courseDetail) {
+    return (courseDetail || '').split(' - ')[0] || null;
+}
+
+// Index a list by key; later items with the same key win
+function keyed(items, keyOf) {
+    const map = {};
+    items.forEach((item) => {
+        map[keyOf(item)] = item;
+    });
+    return map;
+}
+
+function normalizeMarks(marksData) {
+    const marks = (marksData.courses || []).flatMap((course) =>
+        (course.marks || []).map((mark) => ({
+            courseCode: course.courseCode,
+            courseTitle: course.courseTitle,
+            courseType: course.courseType,
+            markTitle: mark.markTitle,
+            maxMark: numberOrNull(mark.maxMark),
+            weightagePercentage: numberOrNull(mark.weightagePercentage),
+            status: mark.status || null,
+            scoredMark: numberOrNull(mark.scoredMark),
+            weightageMark: numberOrNull(mark.weightageMark)
+        })));
+    return keyed(marks, (mark) => `${mark.courseCode}|${mark.courseType}|${mark.markTitle}`);
+}
+
+function normalizeAttendance(attendanceData) {
+    const courses = (attendanceData.courses || []).map((course) => ({
+        courseDetail: course.courseDetail,
+        courseCode: courseCodeOf(course.courseDetail),
+        attendedClasses: course.attendedClasses,
+        totalClasses: course.totalClasses,
+        attendancePercentage: course.attendancePercentage
+    }));
+    return keyed(courses, (course) => course.courseDetail);
+}
+
+// Per-class records from VtopClient.getDetailedAttendance, one entry per class held
+function normalizeAbsences(detailedAttendance) {
+    const records = (detailedAttendance.courses || []).flatMap((course) => {
+        const courseDetail = course.courseInfo?.courseDetail || course.courseCode;
+        return (course.attendanceRecords || []).map((record) => ({
+            courseDetail,
+            courseCode: courseCodeOf(courseDetail),
+            date: record.date,
+            slot: record.slot,
+            dayTime: record.dayTime,
+            status: record.status
+        }));
+    });
+    return keyed(records, (record) => `${record.courseDetail}|${record.date}|${record.slot}`);
+}
+
+function normalizeExams(examSchedule) {
+    const exams = (examSchedule.examTypes || []).flatMap((group) =>
+        (group.exams || []).map((exam) => ({
+            examType: group.type,
+            courseCode: exam.courseCode,
+            courseTitle: exam.courseTitle,
+            courseType: exam.courseType,
+            examDate: exam.examDate,
+            examSession: exam.examSession,
+            examTime: exam.examTime,
+            reportingTime: exam.reportingTime,
+            venue: exam.venue,
+            seatLocation: exam.seatLocation,
+            seatNo: exam.seatNo
+        })));
+    return keyed(exams, (exam) => `${exam.examType}|${exam.courseCode}|${exam.courseType}`);
+}
+
+// Assignment details from VtopClient.getAssignments
+function normalizeAssignments(assignmentsData) {
+    const assignments = (assignmentsData.details || []).flatMap((course) =>
+        (course.assignments || []).map((assignment) => ({
+            courseCode: course.courseCode,
+            courseTitle: course.courseTitle,
+            classNumber: course.classNumber,
+            title: assignment.title,
+            maxMark: assignment.maxMark,
+            weightagePercentage: assignment.weightagePercentage,
+            dueDate: assignment.dueDate || null
+        })));
+    return keyed(assignments, (assignment) => `${assignment.classNumber || assignment.courseCode}|${assignment.title}`);
+}
+
+// Build a snapshot from whatever was fetched. Sources left out or null
+// (failed fetches) leave their section out of the snapshot, and so do
+// per-course sections missing some courses (failedCourses): comparing
+// those would report the missing courses' entries as new next time.
+function buildSnapshot({ marks, attendance, detailedAttendance, examSchedule, assignments } = {}) {
+    const complete = (source) => source && !source.failedCourses;
+    const snapshot = {};
+    if (marks) snapshot.marks = normalizeMarks(marks);
+    if (attendance) snapshot.attendance = normalizeAttendance(attendance);
+    if (complete(detailedAttendance)) snapshot.absences = normalizeAbsences(detailedAttendance);
+    if (examSchedule) snapshot.exams = normalizeExams(examSchedule);
+    if (complete(assignments)) snapshot.assignments = normalizeAssignments(assignments);
+    return snapshot;
+}
+
+function diffMarks(before, after) {
+    const changes = [];
+    Object.entries(after).forEach(([key, mark]) => {
+        if (mark.scoredMark === null) return;
+        const previous = before[key];
+
+        if (!previous || previous.scoredMark === null) {
+            changes.push({ type: 'mark.posted', ...mark });
+        } else if (previous.scoredMark !== mark.scoredMark || previous.weightageMark !== mark.weightageMark) {
+            changes.push({
+                type: 'mark.updated',
+                ...mark,
+                previous: { scoredMark: previous.scoredMark, weightageMark: previous.weightageMark }
+            });
+        }
+    });
+    return changes;
+}
+
+function diffAttendance(before, after) {
+    const changes = [];
+    Object.entries(after).forEach(([key, course]) => {
+        const previous = before[key];
+        if (!previous) return;
+
+        if (previous.attendedClasses !== course.attendedClasses || previous.totalClasses !== course.totalClasses) {
+            changes.push({
+                type: 'attendance.updated',
+                ...course,
+                previous: {
+                    attendedClasses: previous.attendedClasses,
+                    totalClasses: previous.totalClasses,
+                    attendancePercentage: previous.attendancePercentage
+                }
+            });
+        }
+    });
+    return changes;
+}
+
+function diffAbsences(before, after) {
+    const changes = [];
+    Object.entries(after).forEach(([key, record]) => {
+        const previous = before[key];
+        if (record.status !== 'Absent' || previous?.status === 'Absent') return;
+
+        changes.push({
+            type: 'attendance.absent',
+            ...record,
+            ...(previous && { previous: { status: previous.status } })
+        });
+    });
+    return changes;
+}
+
+function diffExams(before, after) {
+    const changes = [];
+    Object.entries(after).forEach(([key, exam]) => {
+        const previous = before[key];
+
+        if (!previous || (!previous.examDate && exam.examDate)) {
+            if (exam.examDate) changes.push({ type: 'exam.scheduled', ...exam });
+            return;
+        }
+        if (previous.examDate !== exam.examDate || previous.examSession !== exam.examSession ||
+            previous.examTime !== exam.examTime) {
+            changes.push({
+                type: 'exam.rescheduled',
+                ...exam,
+                previous: { examDate: previous.examDate, examSession: previous.examSession, examTime: previous.examTime }
+            });
+        }
+        if (previous.venue !== exam.venue) {
+            changes.push({ type: 'exam.venueChanged', ...exam, previous: { venue: previous.venue } });
+        }
+        if (previous.seatLocation !== exam.seatLocation || previous.seatNo !== exam.seatNo) {
+            changes.push({
+                type: 'exam.seatChanged',
+                ...exam,
+                previous: { seatLocation: previous.seatLocation, seatNo: previous.seatNo }
+            });
+        }
+    });
+    return changes;
+}
+
+function diffAssignments(before, after) {
+    const changes = [];
+    Object.entries(after).forEach(([key, assignment]) => {
+        const previous = before[key];
+
+        if (!previous) {
+            changes.push({ type: 'assignment.added', ...assignment });
+        } else if (previous.dueDate !== assignment.dueDate) {
+            changes.push({ type: 'assignment.rescheduled', ...assignment, previous: { dueDate: previous.dueDate } });
+        }
+    });
+    return changes;
+}
+
+const DIFFERS = {
+    marks: diffMarks,
+    attendance: diffAttendance,
+    absences: diffAbsences,
+    exams: diffExams,
+    assignments: diffAssignments
+};
+
+// Changes from `previous` to `current`, in section order
+function diffSnapshots(previous, current) {
+    if (!previous || !current) return [];
+    return SECTIONS.flatMap((section) =>
+        previous[section] && current[section] ? DIFFERS[section](previous[section], current[section]) : []);
+}
+
+// Fold a new snapshot into a stored record ({ snapshot, fetchedAt,
+// checkedAt, changes }). Sections missing from the new snapshot keep their
+// stored value. `fetchedAt` gives, per section, when its data was read from
+// VTOP (epoch milliseconds, default `now`); a section no newer than the
+// stored one is left out too, so data served from a cache never replaces
+// a later snapshot and the same change is never reported twice. Detected
+// changes are stamped with `now` and appended to the record's log, which
+// keeps the latest `logLimit` entries.
+// Returns { record, changes, baseline } where baseline is true when there
+// was nothing to compare against yet.
+function applySnapshot(record, snapshot, { now = new Date(), fetchedAt = {}, logLimit = DEFAULT_LOG_LIMIT } = {}) {
+    const detectedAt = now.toISOString();
+    const storedAt = record?.fetchedAt || {};
+    const newer = {};
+    const times = {};
+    Object.entries(snapshot).forEach(([section, value]) => {
+        const time = fetchedAt[section] ?? now.getTime();
+        if (record?.snapshot?.[section] && time <= (storedAt[section] || 0)) return;
+        newer[section] = value;
+        times[section] = time;
+    });
+    const changes = diffSnapshots(record?.snapshot, newer).map((change) => ({ ...change, detectedAt }));
+
+    return {
+        record: {
+            snapshot: { ...record?.snapshot, ...newer },
+            fetchedAt: { ...storedAt, ...times },
+            checkedAt: detectedAt,
+            changes: [...(record?.changes || []), ...changes].slice(-logLimit)
+        },
+        changes,
+        baseline: !record
+    };
+}
+
+// Logged changes detected after `since` (a Date)
+function changesSince(record, since) {
+    return (record?.changes || []).filter((change) => new Date(change.detectedAt) > since);
+}
+
+module.exports = {
+    buildSnapshot,
+    diffSnapshots,
+    applySnapshot,
+    changesSince
+};
@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { parseArgs } = require('util');
+const dotenv = require('dotenv');
+const { VtopClient } = require('./vtopclient');
+const { VtopError, settleSections } = require('./errors');
+const { DEFAULT_CAMPUS, CampusError, semesterMismatch } = require('./campuses');
+const { analyzeMarks } = require('./marksanalytics');
+const { tabulate, toCsv, toTextTable } = require('./tables');
+
+// Command-line access to VTOP through VtopClient. `vtop login` asks for
+// the password (not echoed; read from stdin when it is piped) and keeps
+// the VTOP session, never the password, in VTOP_SESSION_FILE (default
+// ~/.vtop/session.json, readable only by the user). The data commands reuse
+// it until VTOP drops it; on a terminal they then ask for the password
+// again, in scripts they fail and `vtop login` has to be run again.
+//
+// Tables go to stdout, prompts and notes to stderr, so
+// `vtop marks --format json | jq` sees only the data. JSON output has the
+// same shape as the API's `data` for the same resource.
+
+dotenv.config();
+
+const USAGE = `Usage: vtop <command> [options]
+
+Commands:
+  login                 Log in and save the session
+  logout                Forget the saved session
+  profile               Personal details
+  cgpa                  CGPA, credits and grade counts
+  semesters             Semesters, newest first
+  fees                  Fee receipts
+  timetable             Registered courses       (semester)
+  attendance            Attendance per course    (semester)
+  marks                 Marks per assessment     (semester)
+  exams                 Exam schedule            (semester)
+  grades                Grades and GPA           (semester)
+  assignments           Digital assignments      (semester)
+
+Options:
+  -s, --semester <id>   Semester ID, e.g. VL20242501 (default: the latest)
+  -f, --format <fmt>    table, json or csv (default: table)
+  -u, --username <reg>  Registration number for login
+      --campus <id>     Campus profile for login (default: VTOP_CAMPUS or vellore)
+  -h, --help            Show this help`;
+
+const SESSION_FILE = process.env.VTOP_SESSION_FILE || path.join(os.homedir(), '.vtop', 'session.json');
+
+const FORMATS = ['table', 'json', 'csv'];
+
+// Bad arguments or state the user has to fix; exits with status 2
+class UsageError extends Error {}
+
+// Data commands. fetch(vtop, semesterId) resolves with the section's data;
+// `semester` commands get the --semester ID or the latest semester's.
+const COMMANDS = {
+    profile: { fetch: (vtop) => vtop.getProfile() },
+    cgpa: { fetch: (vtop) => vtop.getCgpa() },
+    semesters: { fetch: (vtop) => vtop.getSemesters() },
+    fees: { fetch: (vtop) => vtop.getFeeReceipts() },
+    timetable: { semester: true, fetch: (vtop, semesterId) => vtop.getTimeTable(semesterId) },
+    attendance: { semester: true, fetch: async (vtop, semesterId) => ({ summary: await vtop.getAttendance(semesterId) }) },
+    marks: {
+        semester: true,
+        // The grade view only adds grading types, and is empty until results
+        // are published, so the marks are analyzed without it if it fails
+        fetch: async (vtop, semesterId) => {
+            const { data, errors } = await settleSections({
+                marks: () => vtop.getMarks(semesterId),
+                gradeView: () => vtop.getGradeView(semesterId)
+            });
+            const failure = errors.gradeView?.code === 'SESSION_EXPIRED' ? errors.gradeView : errors.marks;
+            if (failure) {
+                throw failure;
+            }
+            return { ...data.marks, analytics: analyzeMarks(data.marks, data.gradeView) };
+        }
+    },
+    exams: { semester: true, fetch: (vtop, semesterId) => vtop.getExamSchedule(semesterId) },
+    grades: { semester: true, fetch: (vtop, semesterId) => vtop.getGradeView(semesterId) },
+    assignments: { semester: true, fetch: (vtop, semesterId) => vtop.getAssignments(semesterId) }
+};
+
+// Lines of piped stdin, read one per prompt
+let pipedLines = null;
+
+async function readPipedLine() {
+    if (!pipedLines) {
+        pipedLines = readline.createInterface({ input: process.stdin })[Symbol.asyncIterator]();
+    }
+    const { value, done } = await pipedLines.next();
+    if (done) {
+        throw new UsageError('stdin ended before the answer was read');
+    }
+    return value;
+}
+
+// Read a line from the terminal without echoing it
+function readHidden() {
+    const { stdin } = process;
+    return new Promise((resolve, reject) => {
+        let text = '';
+        const finish = (error) => {
+            stdin.setRawMode(false);
+            stdin.removeListener('data', onData);
+            stdin.pause();
+            process.stderr.write('\n');
+            return error ? reject(error) : resolve(text);
+        };
+        const onData = (chunk) => {
+            for (const char of chunk) {
+                if (char === '\r' || char === '\n' || char === '\u0004') return finish();
+                if (char === '\u0003') return finish(new UsageError('Cancelled'));
+                text = char === '\u007f' || char === '\b' ? text.slice(0, -1) : text + char;
+            }
+        };
+
+        stdin.setRawMode(true);
+        stdin.setEncoding('utf8');
+        stdin.on('data', onData);
+        stdin.resume();
+    });
+}
+
+// Ask on stderr and read the answer from stdin
+async function prompt(question, { hidden = false } = {}) {
+    if (!process.stdin.isTTY) {
+        process.stderr.write(question);
+        return readPipedLine();
+    }
+    if (hidden) {
+        process.stderr.write(question);
+        return readHidden();
+    }
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+    try {
+        return await new Promise((resolve) => rl.question(question, resolve));
+    } finally {
+        rl.close();
+    }
+}
+
+// The saved session record, or null without one
+function readSession() {
+    try {
+        return JSON.parse(fs.readFileSync(SESSION_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw new UsageError(`Cannot read the saved session ${SESSION_FILE}: ${error.message}`);
+    }
+}
+
+// Save the client's session (cookies, studentId, csrf) for the next run
+function writeSession(username, vtop) {
+    fs.mkdirSync(path.dirname(SESSION_FILE), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(SESSION_FILE, JSON.stringify({ username, savedAt: new Date().toISOString(), ...vtop.toJSON() }), { mode: 0o600 });
+    fs.chmodSync(SESSION_FILE, 0o600);
+}
+
+async function login(options) {
+    const username = options.username || await prompt('Registration number: ');
+    const password = await prompt(`VTOP password for ${username}: `, { hidden: true });
+    if (!username || !password) {
+        throw new UsageError('Registration number and password are required');
+    }
+
+    const vtop = new VtopClient({ campus: options.campus || process.env.VTOP_CAMPUS || DEFAULT_CAMPUS });
+    await vtop.login(username, password);
+    writeSession(username, vtop);
+    process.stdout.write(`Logged in as ${vtop.studentId} (${vtop.campus.name}); session saved to ${SESSION_FILE}\n`);
+}
+
+function logout() {
+    const removed = fs.existsSync(SESSION_FILE);
+    fs.rmSync(SESSION_FILE, { force: true });
+    process.stdout.write(removed ? 'Logged out\n' : 'Not logged in\n');
+}
+
+// Run fetch() with the client; when VTOP dropped the session, log in again
+// (asking for the password on a terminal) and run it once more
+async function withRelogin(username, vtop, fetch) {
+    try {
+        return await fetch();
+    } catch (error) {
+        if (!(error instanceof VtopError) || error.code !== 'SESSION_EXPIRED') {
+            throw error;
+        }
+        if (!process.stdin.isTTY) {
+            throw new VtopError('SESSION_EXPIRED', 'The VTOP session has expired; run `vtop login` again');
+        }
+        process.stderr.write('The VTOP session has expired.\n');
+        await vtop.login(username, await prompt(`VTOP password for ${username}: `, { hidden: true }));
+        return fetch();
+    }
+}
+
+// The section as the chosen format
+function render(command, data, format) {
+    if (format === 'json') {
+        return JSON.stringify(data, null, 2) + '\n';
+    }
+    const table = tabulate(command, data);
+    return format === 'csv' ? toCsv(table) : toTextTable(table);
+}
+
+async function runCommand(command, options) {
+    const record = readSession();
+    if (!record) {
+        throw new UsageError('Not logged in; run `vtop login` first');
+    }
+
+    const vtop = VtopClient.fromJSON(record);
+    const { semester, fetch } = COMMANDS[command];
+    const mismatch = options.semester && semesterMismatch(vtop.campus, options.semester);
+    if (mismatch) {
+        throw new UsageError(mismatch);
+    }
+
+    const data = await withRelogin(record.username, vtop, async () => {
+        let semesterId = options.semester;
+        if (semester && !semesterId) {
+            semesterId = (await vtop.getSemesters())[0]?.id;
+            if (!semesterId) {
+                throw new UsageError('No semesters found on VTOP');
+            }
+            process.stderr.write(`Semester: ${semesterId}\n`);
+        }
+        return fetch(vtop, semesterId);
+    });
+
+    // Keep refreshed cookies (and a renewed login) for the next run
+    writeSession(record.username, vtop);
+    process.stdout.write(render(command, data, options.format));
+}
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                semester: { type: 'string', short: 's' },
+                format: { type: 'string', short: 'f', default: 'table' },
+                username: { type: 'string', short: 'u' },
+                campus: { type: 'string' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const { values: options, positionals: [command, ...extra] } = parsed;
+    if (options.help || !command || command === 'help') {
+        process.stdout.write(`${USAGE}\n`);
+        return;
+    }
+    if (extra.length) {
+        throw new UsageError(`Unexpected argument: ${extra[0]}`);
+    }
+    if (!FORMATS.includes(options.format)) {
+        throw new UsageError(`Unknown format "${options.format}" (expected ${FORMATS.join(', ')})`);
+    }
+
+    if (command === 'login') return login(options);
+    if (command === 'logout') return logout();
+    if (!Object.hasOwn(COMMANDS, command)) {
+        throw new UsageError(`Unknown command "${command}"; see vtop --help`);
+    }
+    return runCommand(command, options);
+}
+
+main(process.argv.slice(2))
+    .catch((error) => {
+        if (error instanceof UsageError || error instanceof CampusError) {
+            process.stderr.write(`vtop: ${error.message}\n`);
+            process.exitCode = 2;
+        } else if (error instanceof VtopError) {
+            process.stderr.write(`vtop: ${error.message} (${error.code})\n`);
+            process.exitCode = 1;
+        } else {
+            process.stderr.write(`vtop: ${error.stack || error.message}\n`);
+            process.exitCode = 1;
+        }
+    })
+    .finally(() => pipedLines?.return());
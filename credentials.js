@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+
+// VTOP passwords kept with a session so it can log in to VTOP again when
+// VTOP drops its side early (see reloginSession in app.js). Keeping them is
+// opt-in with STORE_CREDENTIALS=true; otherwise an expired VTOP session
+// needs the password in the request body to be renewed. They are sealed
+// with AES-256-GCM before they reach the session store, under a key derived
+// from CREDENTIAL_KEY. With the memory store a random key made at startup
+// will do, since the sessions die with the process. The file and redis
+// stores outlive it and are shared between instances, so they refuse to
+// start without CREDENTIAL_KEY rather than keep passwords no other process
+// can open.
+
+const VERSION = 'v1';
+
+// Create a vault from the environment, or null unless storing is enabled.
+// Throws when the session store is shared and there is no CREDENTIAL_KEY.
+//   seal(username, password) -> opaque string safe to persist
+//   open(username, sealed)   -> the password, or null if it cannot be opened
+function createCredentialVault(env = process.env) {
+    if ((env.STORE_CREDENTIALS || '').toLowerCase() !== 'true') {
+        return null;
+    }
+
+    const store = (env.SESSION_STORE || 'memory').toLowerCase();
+    if (!env.CREDENTIAL_KEY && store !== 'memory') {
+        throw new Error(`STORE_CREDENTIALS=true with SESSION_STORE=${store} needs CREDENTIAL_KEY, ` +
+            'or stored passwords cannot be opened by other instances or after a restart');
+    }
+
+    const key = env.CREDENTIAL_KEY
+        ? crypto.createHash('sha256').update(env.CREDENTIAL_KEY).digest()
+        : crypto.randomBytes(32);
+
+    return {
+        seal(username, password) {
+            const iv = crypto.randomBytes(12);
+            const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+            // The username is authenticated too, so a sealed password only
+            // opens for the account it was sealed for
+            cipher.setAAD(Buffer.from(username));
+            const ciphertext = Buffer.concat([cipher.update(password, 'utf8'), cipher.final()]);
+            return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+                .map((part) => (Buffer.isBuffer(part) ? part.toString('base64url') : part))
+                .join('.');
+        },
+
+        open(username, sealed) {
+            const [version, iv, tag, ciphertext] = String(sealed || '').split('.');
+            if (version !== VERSION || !ciphertext) {
+                return null;
+            }
+            try {
+                const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+                decipher.setAAD(Buffer.from(username));
+                decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+                return Buffer.concat([
+                    decipher.update(Buffer.from(ciphertext, 'base64url')),
+                    decipher.final()
+                ]).toString('utf8');
+            } catch (error) {
+                // Another key or tampering
+                return null;
+            }
+        }
+    };
+}
+
+module.exports = {
+    createCredentialVault
+};
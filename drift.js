@@ -0,0 +1,453 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Parser drift detection. The extractors in extractors.js, which VtopClient
+// (vtopclient.js) runs on every page it reads, lean on VTOP's markup
+// (selectors, exact column counts), and when VTOP changes a layout they
+// tend to return empty lists rather than fail. Every extracted section is
+// checked two ways:
+//
+//   - against the page it came from: data rows found but none parsed, rows
+//     with an unexpected number of cells, anchor elements gone missing
+//   - against a JSON Schema of the section's output
+//
+// Problems are warnings, not errors: the section is still served. They are
+// listed in the response of the request that hit them and kept per section
+// for the /diagnostics/parsers endpoint.
+
+// Schema building blocks (plain JSON Schema)
+const string = { type: 'string' };
+const text = { type: 'string', minLength: 1 };
+const nullableString = { type: ['string', 'null'] };
+const count = { type: 'integer', minimum: 0 };
+const amount = { type: 'number', minimum: 0 };
+const object = (properties, options = {}) => ({
+    type: 'object',
+    properties,
+    required: Object.keys(properties),
+    ...options
+});
+const list = (items, options = {}) => ({ type: 'array', items, ...options });
+const labelled = { type: 'object', additionalProperties: string };
+
+// JSON Schema of each section as the extractors return it, keyed by the
+// section name used in warnings
+const SECTION_SCHEMAS = {
+    profile: object({
+        personalInformation: { ...labelled, minProperties: 1 },
+        educationalInformation: labelled,
+        familyInformation: labelled,
+        proctorInformation: labelled,
+        hostelInformation: labelled,
+        photos: object({ studentPhoto: nullableString, proctorPhoto: nullableString })
+    }),
+    cgpa: {
+        type: ['object', 'null'],
+        properties: {
+            creditsRegistered: amount,
+            creditsEarned: amount,
+            cgpa: { type: 'number', minimum: 0, maximum: 10 },
+            grades: object(Object.fromEntries(['S', 'A', 'B', 'C', 'D', 'E', 'F', 'N'].map((grade) => [grade, count])))
+        },
+        required: ['creditsRegistered', 'creditsEarned', 'cgpa', 'grades']
+    },
+    gradeHistory: list(object({
+        courseCode: text,
+        courseTitle: text,
+        courseType: nullableString,
+        credits: amount,
+        grade: text,
+        examMonth: nullableString,
+        resultDeclaredOn: nullableString,
+        category: nullableString,
+        courseOption: nullableString
+    })),
+    gradeView: object({
+        courses: list(object({
+            slNo: string,
+            courseCode: text,
+            courseTitle: text,
+            courseType: string,
+            credits: object({ L: count, P: count, J: count, C: count }),
+            gradingType: string,
+            grandTotal: { type: ['integer', 'null'] },
+            grade: string,
+            isNonGPACourse: { type: 'boolean' }
+        })),
+        gpa: { type: ['number', 'null'], minimum: 0, maximum: 10 }
+    }),
+    semesterList: list(object({ id: text, name: text })),
+    timeTable: object({
+        courses: list(object({
+            slNo: string,
+            classGroup: string,
+            course: object({ code: text, name: text, type: string }),
+            credits: string,
+            category: string,
+            courseOption: string,
+            classId: string,
+            slot: object({ timing: string, venue: string }),
+            faculty: object({ name: string, school: string }),
+            registrationDate: string,
+            attendance: object({ date: string, type: string }),
+            status: string
+        })),
+        totalCredits: string
+    }),
+    attendance: object({
+        courses: list(object({
+            slNo: string,
+            classGroup: string,
+            courseDetail: text,
+            classDetail: string,
+            facultyDetail: string,
+            attendedClasses: count,
+            totalClasses: count,
+            attendancePercentage: string,
+            debarStatus: {
+                type: ['string', 'object'],
+                properties: { examType: string, status: string }
+            },
+            courseId: nullableString,
+            courseType: nullableString
+        }))
+    }),
+    detailedAttendance: object({
+        courseInfo: { type: 'object' },
+        attendanceRecords: list(object({ slNo: string, date: text, slot: string, dayTime: string, status: text }))
+    }),
+    marks: object({
+        courses: list(object({
+            slNo: string,
+            classNumber: string,
+            courseCode: text,
+            courseTitle: text,
+            courseType: string,
+            courseSystem: string,
+            faculty: string,
+            slot: string,
+            courseMode: string,
+            marks: list(object({
+                slNo: string,
+                markTitle: text,
+                maxMark: { type: ['number', 'null'], minimum: 0 },
+                weightagePercentage: { type: ['number', 'null'], minimum: 0 },
+                status: string,
+                scoredMark: { type: ['number', 'null'] },
+                weightageMark: { type: ['number', 'null'] },
+                remark: string
+            }))
+        }))
+    }),
+    examSchedule: object({
+        examTypes: list(object({
+            type: text,
+            exams: list(object({
+                slNo: string,
+                courseCode: text,
+                courseTitle: string,
+                courseType: string,
+                classId: string,
+                slot: string,
+                examDate: nullableString,
+                examSession: nullableString,
+                reportingTime: nullableString,
+                examTime: nullableString,
+                venue: nullableString,
+                seatLocation: nullableString,
+                seatNo: nullableString
+            }))
+        }))
+    }),
+    feeReceipts: object({
+        applicationNumber: nullableString,
+        registrationNumber: nullableString,
+        receipts: list(object({
+            invoiceNumber: string,
+            receiptNumber: text,
+            date: text,
+            amount,
+            campusCode: string
+        }))
+    }),
+    assignments: object({
+        semesterId: nullableString,
+        courses: list(object({
+            slNo: string,
+            classNumber: string,
+            courseCode: text,
+            courseTitle: string,
+            courseType: string,
+            facultyName: string,
+            dashboardLink: object({ classId: nullableString })
+        }))
+    }),
+    assignmentDetails: {
+        ...object({
+            courseCode: text,
+            courseTitle: string,
+            courseType: string,
+            classNumber: string,
+            assignments: list(object({
+                slNo: text,
+                title: text,
+                maxMark: amount,
+                weightagePercentage: amount,
+                dueDate: string,
+                lastUpdatedOn: string
+            }), { minItems: 1 })
+        }),
+        type: ['object', 'null']
+    }
+};
+
+const dataRow = ($) => (index, row) => {
+    const $row = $(row);
+    return $row.children('td').length > 0 &&
+        !$row.children('th').length &&
+        !$row.children('td[colspan]').length &&
+        !$row.hasClass('tableHeader');
+};
+
+// Where each section's data rows sit on its page, how many cells the
+// extractor reads from each, and how many items it made of them. `rows`
+// is a selector or a function of the page; `anchors` must be on the page.
+const PAGE_CHECKS = {
+    profile: { anchors: ['#collapseOne', '#collapseTwo', '#collapseThree', '#collapseFour'] },
+    cgpa: { rows: 'table.table-hover.table-bordered tbody tr', columns: 11 },
+    gradeHistory: {
+        rows: ($) => $('table')
+            .filter((index, table) => $(table).find('tr').first().text().includes('Exam Month'))
+            .first().find('tr').slice(1),
+        columns: 10,
+        parsed: (courses) => courses.length
+    },
+    gradeView: { rows: 'table.table-hover tr', columns: 12, parsed: (data) => data.courses.length },
+    semesterList: {
+        anchors: ['#semesterSubId'],
+        rows: ($) => $('#semesterSubId option').filter((index, option) => Boolean($(option).val()?.trim())),
+        parsed: (semesters) => semesters.length
+    },
+    timeTable: { rows: ($) => $('table').first().find('tr'), columns: 12, parsed: (data) => data.courses.length },
+    attendance: {
+        anchors: ['#AttendanceDetailDataTable'],
+        rows: '#AttendanceDetailDataTable tbody tr',
+        columns: 10,
+        parsed: (data) => data.courses.length
+    },
+    detailedAttendance: {
+        anchors: ['#StudentAttendanceDetailDataTable'],
+        rows: '#StudentAttendanceDetailDataTable tbody tr',
+        columns: 5,
+        parsed: (data) => data.attendanceRecords.length
+    },
+    marks: { rows: 'tr.tableContent', columns: 9, parsed: (data) => data.courses.length },
+    examSchedule: {
+        rows: '.customTable tr.tableContent',
+        columns: 13,
+        parsed: (data) => data.examTypes.reduce((sum, { exams }) => sum + exams.length, 0)
+    },
+    feeReceipts: { rows: '.table-bordered tr', columns: 6, parsed: (data) => data.receipts.length },
+    assignments: { rows: '.customTable tr.tableContent', columns: 7, parsed: (data) => data.courses.length },
+    assignmentDetails: {
+        rows: '.customTable tr.tableContent-level1',
+        columns: 8,
+        parsed: (data) => data?.assignments.length || 0
+    }
+};
+
+const typeOf = (value) => {
+    // NaN and undefined leave a JSON response as null, so check them as such
+    if (value === null || value === undefined || Number.isNaN(value)) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+const matchesType = (type, actual) => type === actual || (type === 'number' && actual === 'integer');
+
+// Check a value against the JSON Schema keywords these schemas use (type,
+// properties, required, additionalProperties, items, enum, minimum, maximum,
+// minLength, minItems, minProperties, pattern). Returns [{ path, message }];
+// messages name the expectation, never the value, so they are safe to log.
+function validateSchema(schema, value, path = '$') {
+    const problems = [];
+    const fail = (message) => problems.push({ path, message });
+    const actual = typeOf(value);
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some((type) => matchesType(type, actual))) {
+            fail(`expected ${types.join(' or ')}, got ${actual}`);
+            return problems;
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`expected one of ${schema.enum.join(', ')}`);
+    }
+
+    if (actual === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(schema.minLength === 1 ? 'expected a non-empty string' : `expected at least ${schema.minLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            fail(`expected to match ${schema.pattern}`);
+        }
+    }
+    if (actual === 'integer' || actual === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`expected at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`expected at most ${schema.maximum}`);
+    }
+
+    if (actual === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(`expected at least ${schema.minItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => problems.push(...validateSchema(schema.items, item, `${path}[${index}]`)));
+        }
+    }
+
+    if (actual === 'object') {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach((key) => {
+            if (!(key in value)) problems.push({ path: `${path}.${key}`, message: 'is missing' });
+        });
+        if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+            fail(`expected at least ${schema.minProperties} properties`);
+        }
+        Object.entries(value).forEach(([key, item]) => {
+            if (properties[key]) {
+                problems.push(...validateSchema(properties[key], item, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                problems.push({ path: `${path}.${key}`, message: 'is not expected' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                problems.push(...validateSchema(schema.additionalProperties, item, `${path}.${key}`));
+            }
+        });
+    }
+
+    return problems;
+}
+
+// Layout warnings for a section from its page ($, loaded with cheerio) and
+// what the extractor made of it
+function inspectPage(section, $, data) {
+    const checks = PAGE_CHECKS[section];
+    if (!checks) return [];
+    const warnings = [];
+
+    (checks.anchors || []).forEach((selector) => {
+        if (!$(selector).length) {
+            warnings.push({ code: 'MISSING_ELEMENT', message: `${selector} not found on the page` });
+        }
+    });
+
+    if (checks.rows) {
+        const rows = (typeof checks.rows === 'function' ? checks.rows($) : $(checks.rows)).filter(dataRow($));
+        const sizes = {};
+        let unexpected = 0;
+        rows.each((index, row) => {
+            const cells = $(row).children('td').length;
+            if (checks.columns && cells && cells !== checks.columns) {
+                unexpected++;
+                sizes[cells] = true;
+            }
+        });
+
+        if (unexpected) {
+            warnings.push({
+                code: 'UNEXPECTED_COLUMNS',
+                message: `${unexpected} of ${rows.length} rows have ${Object.keys(sizes).join('/')} cells, expected ${checks.columns}`
+            });
+        }
+        if (checks.parsed && rows.length && checks.parsed(data) === 0) {
+            warnings.push({ code: 'ROWS_NOT_PARSED', message: `${rows.length} rows found but none parsed` });
+        }
+    }
+
+    return warnings;
+}
+
+// Schema problems as warnings, the first few spelled out
+function schemaWarnings(section, data, limit = 5) {
+    const schema = SECTION_SCHEMAS[section];
+    if (!schema) return [];
+    const problems = validateSchema(schema, data);
+    const warnings = problems.slice(0, limit).map(({ path, message }) => ({
+        code: 'SCHEMA_MISMATCH',
+        message: `${path} ${message}`
+    }));
+    if (problems.length > limit) {
+        warnings.push({ code: 'SCHEMA_MISMATCH', message: `and ${problems.length - limit} more schema mismatches` });
+    }
+    return warnings;
+}
+
+// Per-section drift statistics plus the warnings of the request in progress.
+//   check(section, $, data) -> data, after recording any warnings
+//   run(warnings, fn)       -> runs fn with `warnings` ({ section: [...] })
+//                              collecting the checks made on its behalf
+//   snapshot()              -> { section: { checks, drifted, ... } }
+function createDriftMonitor({ recentLimit = 20 } = {}) {
+    const sections = {};
+    const requestWarnings = new AsyncLocalStorage();
+
+    const statsOf = (section) => {
+        sections[section] = sections[section] || {
+            checks: 0,
+            drifted: 0,
+            lastCheckedAt: null,
+            lastDriftAt: null,
+            codes: {},
+            recent: []
+        };
+        return sections[section];
+    };
+
+    return {
+        check(section, $, data) {
+            const warnings = [...inspectPage(section, $, data), ...schemaWarnings(section, data)];
+            const stats = statsOf(section);
+            const now = new Date().toISOString();
+            stats.checks++;
+            stats.lastCheckedAt = now;
+            if (!warnings.length) return data;
+
+            stats.drifted++;
+            stats.lastDriftAt = now;
+            warnings.forEach((warning) => {
+                console.warn(`Parser drift in ${section}: ${warning.message}`);
+                stats.codes[warning.code] = (stats.codes[warning.code] || 0) + 1;
+                stats.recent.unshift({ at: now, ...warning });
+            });
+            stats.recent.length = Math.min(stats.recent.length, recentLimit);
+
+            // Per-course pages repeat the same warnings; list each once
+            const current = requestWarnings.getStore();
+            if (current) {
+                const listed = current[section] = current[section] || [];
+                warnings.forEach((warning) => {
+                    if (!listed.some((seen) => seen.code === warning.code && seen.message === warning.message)) {
+                        listed.push(warning);
+                    }
+                });
+            }
+            return data;
+        },
+
+        run(warnings, fn) {
+            return requestWarnings.run(warnings, fn);
+        },
+
+        snapshot() {
+            return JSON.parse(JSON.stringify(sections));
+        }
+    };
+}
+
+module.exports = {
+    SECTION_SCHEMAS,
+    validateSchema,
+    inspectPage,
+    createDriftMonitor
+};
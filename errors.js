@@ -0,0 +1,107 @@
+// Typed failures for everything that talks to VTOP.
+//
+// Fetchers and extractors throw a VtopError (or let axios errors through,
+// which toVtopError classifies) instead of logging and returning null, so a
+// response can say why a section is missing: the student has no marks
+// (empty data), VTOP timed out, the session expired or the parser broke.
+// Each code maps to the HTTP status the API answers with when it fails a
+// whole request.
+
+const ERROR_STATUS = {
+    INVALID_CREDENTIALS: 401,
+    SESSION_EXPIRED: 401,
+    CAPTCHA_FAILED: 503,
+    TIMEOUT: 504,
+    VTOP_UNAVAILABLE: 502,
+    PARSE_ERROR: 502
+};
+
+// Most serious first: the code reported when several sections failed
+const SEVERITY = Object.keys(ERROR_STATUS);
+
+const NETWORK_ERRORS = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE'];
+
+class VtopError extends Error {
+    constructor(code, message, options = {}) {
+        super(message, options.cause ? { cause: options.cause } : undefined);
+        if (!ERROR_STATUS[code]) {
+            throw new Error(`Unknown VTOP error code ${code}`);
+        }
+        this.name = 'VtopError';
+        this.code = code;
+        this.status = ERROR_STATUS[code];
+    }
+
+    toJSON() {
+        return { code: this.code, message: this.message };
+    }
+}
+
+// Any error from a VTOP call as a VtopError. Timeouts, refused connections
+// and error statuses from VTOP are classified by what axios reports;
+// anything else was thrown while reading the page, so it is a parse error.
+function toVtopError(error) {
+    if (error instanceof VtopError) {
+        return error;
+    }
+
+    if (error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT' || error?.name === 'TimeoutError') {
+        return new VtopError('TIMEOUT', 'VTOP did not respond in time', { cause: error });
+    }
+    if (error?.response) {
+        return new VtopError('VTOP_UNAVAILABLE', `VTOP answered with HTTP ${error.response.status}`, { cause: error });
+    }
+    if (error?.isAxiosError || NETWORK_ERRORS.includes(error?.code)) {
+        return new VtopError('VTOP_UNAVAILABLE', `Could not reach VTOP (${error.code || error.message})`, { cause: error });
+    }
+    return new VtopError('PARSE_ERROR', `Could not read the VTOP page: ${error?.message || error}`, { cause: error });
+}
+
+// Run named fetchers side by side. A failure does not sink the others: its
+// section comes back null and its typed error is listed under the same
+// name in `errors`.
+async function settleSections(fetchers) {
+    const names = Object.keys(fetchers);
+    const results = await Promise.allSettled(names.map((name) => fetchers[name]()));
+
+    const data = {};
+    const errors = {};
+    results.forEach((result, index) => {
+        const name = names[index];
+        if (result.status === 'fulfilled') {
+            data[name] = result.value;
+            return;
+        }
+        data[name] = null;
+        errors[name] = toVtopError(result.reason);
+        console.error(`Error fetching ${name}:`, errors[name].message);
+    });
+
+    return { data, errors };
+}
+
+// The error a response with these section errors should fail with, or null
+// if it should succeed with partial data. An expired session fails the
+// whole response; otherwise it only fails when every section did, with the
+// most serious of their errors.
+function failureOf(errors, sectionCount) {
+    const failed = Object.values(errors);
+    const mostSerious = () => failed.reduce((worst, error) =>
+        SEVERITY.indexOf(error.code) < SEVERITY.indexOf(worst.code) ? error : worst);
+
+    if (failed.some((error) => error.code === 'SESSION_EXPIRED')) {
+        return failed.find((error) => error.code === 'SESSION_EXPIRED');
+    }
+    if (failed.length && failed.length >= sectionCount) {
+        return mostSerious();
+    }
+    return null;
+}
+
+module.exports = {
+    ERROR_STATUS,
+    VtopError,
+    toVtopError,
+    settleSections,
+    failureOf
+};
@@ -0,0 +1,742 @@
+const cheerio = require("cheerio");
+const { VtopError } = require("./errors");
+const { createDriftMonitor } = require("./drift");
+
+// Extractors: one VTOP page's HTML in, plain data out. They make no
+// requests and keep no state, so they can be run on saved pages too.
+// Unreadable pages throw a PARSE_ERROR VtopError.
+
+// Parser drift checks on every extracted section, see drift.js. Callers
+// collect a run's warnings with driftMonitor.run; the totals are in
+// driftMonitor.snapshot().
+const driftMonitor = createDriftMonitor();
+
+// Typed error for an extractor that could not read its page
+function parseFailure(what, error) {
+    if (error instanceof VtopError) return error;
+    return new VtopError("PARSE_ERROR", `Could not parse ${what}: ${error.message}`, { cause: error });
+}
+
+// Add this function to extract student ID
+function extractStudentId(html) {
+    const idMatch = html.match(/var\s+id\s*=\s*"([^"]+)"/);
+    return idMatch ? idMatch[1] : null;
+}
+
+// The csrf token VTOP embeds in the home page after logging in
+function extractCsrf(html) {
+    const csrfMatch = html.match(/name="_csrf"\s+value="([^"]+)"/);
+    return csrfMatch ? csrfMatch[1] : null;
+}
+
+// Message of the PARSE_ERROR for a grade history page without the CGPA
+// table, as for a student with no completed semester yet
+const CGPA_TABLE_MISSING = "CGPA details table not found";
+
+// Add this function to extract CGPA details
+function extractCGPADetails(html) {
+    try {
+        const $ = cheerio.load(html);
+        
+        // Find the table with CGPA details (more specific selector)
+        const cgpaRow = $('table.table-hover.table-bordered tbody tr');
+        
+        if (!cgpaRow.length) {
+            throw new VtopError("PARSE_ERROR", CGPA_TABLE_MISSING);
+        }
+
+        // Extract all cells from the row
+        const cells = cgpaRow.find('td');
+
+        // Create structured CGPA data
+        const cgpaDetails = {
+            creditsRegistered: parseFloat($(cells[0]).text().trim()) || 0,
+            creditsEarned: parseFloat($(cells[1]).text().trim()) || 0,
+            cgpa: parseFloat($(cells[2]).text().trim()) || 0,
+            grades: {
+                S: parseInt($(cells[3]).text().trim()) || 0,
+                A: parseInt($(cells[4]).text().trim()) || 0,
+                B: parseInt($(cells[5]).text().trim()) || 0,
+                C: parseInt($(cells[6]).text().trim()) || 0,
+                D: parseInt($(cells[7]).text().trim()) || 0,
+                E: parseInt($(cells[8]).text().trim()) || 0,
+                F: parseInt($(cells[9]).text().trim()) || 0,
+                N: parseInt($(cells[10]).text().trim()) || 0
+            }
+        };
+
+        // Validate data
+        if (cgpaDetails.cgpa === 0 && cgpaDetails.creditsEarned === 0) {
+            console.log("Warning: All values are zero, possible extraction error");
+            return driftMonitor.check("cgpa", $, null);
+        }
+
+        return driftMonitor.check("cgpa", $, cgpaDetails);
+    } catch (error) {
+        throw parseFailure("CGPA details", error);
+    }
+}
+
+// Function to extract every completed course from the grade history page
+function extractGradeHistory(html) {
+    try {
+        const $ = cheerio.load(html);
+
+        // The course table is the one whose header lists an exam month
+        const table = $('table').filter((index, element) =>
+            $(element).find('tr').first().text().includes('Exam Month')
+        ).first();
+
+        if (!table.length) {
+            throw new VtopError("PARSE_ERROR", "Grade history course table not found");
+        }
+
+        // Map columns by header text so column order changes don't matter
+        const columns = {};
+        table.find('tr').first().find('th, td').each((index, cell) => {
+            const header = $(cell).text().trim().toLowerCase();
+            if (header.includes('course code')) columns.courseCode = index;
+            else if (header.includes('course title')) columns.courseTitle = index;
+            else if (header.includes('course type')) columns.courseType = index;
+            else if (header.includes('credit')) columns.credits = index;
+            else if (header.includes('grade')) columns.grade = index;
+            else if (header.includes('exam month')) columns.examMonth = index;
+            else if (header.includes('result declared')) columns.resultDeclaredOn = index;
+            else if (header.includes('distribution') || header.includes('category')) columns.category = index;
+            else if (header.includes('option')) columns.courseOption = index;
+        });
+
+        const courses = [];
+        table.find('tr').slice(1).each((index, row) => {
+            const cells = $(row).find('td');
+            if (cells.length < 6) return;
+
+            const cell = (column) => columns[column] === undefined
+                ? null
+                : cells.eq(columns[column]).text().trim() || null;
+
+            courses.push({
+                courseCode: cell('courseCode'),
+                courseTitle: cell('courseTitle'),
+                courseType: cell('courseType'),
+                credits: parseFloat(cell('credits')) || 0,
+                grade: cell('grade'),
+                examMonth: cell('examMonth'),
+                resultDeclaredOn: cell('resultDeclaredOn'),
+                category: cell('category'),
+                courseOption: cell('courseOption')
+            });
+        });
+
+        return driftMonitor.check("gradeHistory", $, courses);
+    } catch (error) {
+        throw parseFailure("grade history", error);
+    }
+}
+
+// Function to extract grade view details
+function extractGradeView(html) {
+    try {
+        const $ = cheerio.load(html);
+        const courses = [];
+        let gpa = null;
+
+        // Find all course rows
+        $('table.table-hover tr').each((index, row) => {
+            // Skip header rows (first 2 rows)
+            if (index < 2) return;
+
+            const cells = $(row).find('td');
+            
+            // Check if this is the GPA row
+            if ($(row).find('td[colspan]').length > 0) {
+                gpa = parseFloat($(row).text().match(/GPA\s*:\s*(\d+\.\d+)/)?.[1]);
+                return;
+            }
+
+            // Skip if not a regular course row
+            if (cells.length !== 12) return;
+
+            const course = {
+                slNo: cells.eq(0).text().trim(),
+                courseCode: cells.eq(1).text().trim(),
+                courseTitle: cells.eq(2).text().trim(),
+                courseType: cells.eq(3).text().trim(),
+                credits: {
+                    L: parseInt(cells.eq(4).text().trim()) || 0,
+                    P: parseInt(cells.eq(5).text().trim()) || 0,
+                    J: parseInt(cells.eq(6).text().trim()) || 0,
+                    C: parseInt(cells.eq(7).text().trim()) || 0
+                },
+                gradingType: cells.eq(8).text().trim(),
+                grandTotal: parseInt(cells.eq(9).text().trim()),
+                grade: cells.eq(10).text().trim(),
+                isNonGPACourse: $(row).css('background-color')?.includes('C0D8C0') || false
+            };
+
+            courses.push(course);
+        });
+
+        return driftMonitor.check("gradeView", $, {
+            courses,
+            gpa
+        });
+    } catch (error) {
+        throw parseFailure("grade view", error);
+    }
+}
+
+// Add this function to extract semester list
+function extractSemesterList(html) {
+    try {
+        const $ = cheerio.load(html);
+        const semesterSelect = $('#semesterSubId');
+        
+        if (!semesterSelect.length) {
+            throw new VtopError("PARSE_ERROR", "Semester select not found");
+        }
+
+        // Extract all options except the first one (--Choose Semester--)
+        const semesters = [];
+        semesterSelect.find('option').each((index, element) => {
+            const value = $(element).val();
+            const text = $(element).text();
+            
+            // Skip the empty/default option
+            if (value && value.trim() !== '') {
+                semesters.push({
+                    id: value,
+                    name: text
+                });
+            }
+        });
+
+        return driftMonitor.check("semesterList", $, semesters);
+    } catch (error) {
+        throw parseFailure("semester list", error);
+    }
+}
+
+// Function to extract timetable details
+function extractTimeTable(html) {
+    try {
+        const $ = cheerio.load(html);
+        const timetableData = {
+            courses: [],
+            totalCredits: ''
+        };
+        
+        // Find the main table
+        const table = $('table').first();
+        
+        // Extract courses data
+        table.find('tr').each((index, row) => {
+            // Skip header row and total credits row
+            if (index === 0 || $(row).find('td[colspan]').length > 0) {
+                // Extract total credits from the last row
+                if ($(row).find('td[colspan]').length > 0) {
+                    timetableData.totalCredits = $(row).find('span:last').text().trim();
+                }
+                return;
+            }
+            
+            const cells = $(row).find('td');
+            if (cells.length < 12) return;
+
+            const courseDetails = {
+                slNo: $(cells[0]).find('p').text().trim(),
+                classGroup: $(cells[1]).find('p').text().trim(),
+                course: {
+                    name: $(cells[2]).find('p').first().text().trim().split(' - '),
+                    type: $(cells[2]).find('p').last().text().trim().replace(/[()]/g, '').trim()
+                },
+                credits: $(cells[3]).find('p').text().trim(),
+                category: $(cells[4]).find('span').text().trim(),
+                courseOption: $(cells[5]).find('p').text().trim(),
+                classId: $(cells[6]).find('p').text().trim(),
+                slot: {
+                    timing: $(cells[7]).find('p').first().text().trim().replace(' - ', ''),
+                    venue: $(cells[7]).find('p').last().text().trim()
+                },
+                faculty: {
+                    name: $(cells[8]).find('p').first().text().trim().replace(' - ', ''),
+                    school: $(cells[8]).find('p').last().text().trim()
+                },
+                registrationDate: $(cells[9]).find('p').text().trim(),
+                attendance: {
+                    date: $(cells[10]).find('span').text().trim(),
+                    type: $(cells[10]).find('strong').text().trim().replace(' - ', '')
+                },
+                status: $(cells[11]).find('span').text().trim()
+            };
+
+            // Split course name into code and name
+            if (courseDetails.course.name.length === 2) {
+                courseDetails.course = {
+                    code: courseDetails.course.name[0],
+                    name: courseDetails.course.name[1],
+                    type: courseDetails.course.type
+                };
+            }
+
+            timetableData.courses.push(courseDetails);
+        });
+
+        return driftMonitor.check("timeTable", $, timetableData);
+    } catch (error) {
+        throw parseFailure("timetable", error);
+    }
+}
+
+// Function to extract attendance data
+function extractAttendance(html) {
+    try {
+        const $ = cheerio.load(html);
+        const attendanceData = {
+            courses: []
+        };
+
+        // Process each row in the attendance table
+        $('#AttendanceDetailDataTable tbody tr').each((index, row) => {
+            const $row = $(row);
+            const cells = $row.find('td');
+
+            // Skip if not enough cells
+            if (cells.length < 10) return;
+
+            // Extract course ID and type from the onclick attribute
+            const attendanceLink = $row.find('a[id^="studentAttendanceDetilShow"]');
+            const onclickAttr = attendanceLink.attr('onclick') || '';
+            const courseIdMatch = onclickAttr.match(/[A-Z]{2}_[A-Z0-9]+_\d+/);
+            const courseTypeMatch = onclickAttr.match(/,'([A-Z]+)'\);/);
+
+            const course = {
+                slNo: cells.eq(0).find('span').text().trim(),
+                classGroup: cells.eq(1).find('span').text().trim(),
+                courseDetail: cells.eq(2).find('span').text().trim(),
+                classDetail: cells.eq(3).find('span').text().trim(),
+                facultyDetail: cells.eq(4).find('span').text().trim(),
+                attendedClasses: parseInt(cells.eq(5).find('span').text().trim()) || 0,
+                totalClasses: parseInt(cells.eq(6).find('span').text().trim()) || 0,
+                attendancePercentage: cells.eq(7).find('span span').text().trim(),
+                debarStatus: cells.eq(8).text().trim().replace(/\s+/g, ' ').trim(),
+                courseId: courseIdMatch ? courseIdMatch[0] : null,
+                courseType: courseTypeMatch ? courseTypeMatch[1] : null
+            };
+
+            // Check for specific debar status information
+            const debarInfo = cells.eq(8).find('span span');
+            if (debarInfo.length > 0) {
+                const examType = debarInfo.eq(0).text().trim();
+                const status = debarInfo.eq(1).text().trim();
+                course.debarStatus = {
+                    examType: examType.replace(':', '').trim(),
+                    status: status
+                };
+            }
+
+            attendanceData.courses.push(course);
+        });
+
+        return driftMonitor.check("attendance", $, attendanceData);
+    } catch (error) {
+        throw parseFailure("attendance data", error);
+    }
+}
+
+// Function to parse detailed attendance HTML
+function parseDetailedAttendance($, html) {
+    try {
+        const attendanceDetails = {
+            courseInfo: {},
+            attendanceRecords: []
+        };
+
+        // Extract course information from the first table
+        const courseInfo = $('#StudentCourseDetailDataTable tbody tr').first();
+        if (courseInfo.length) {
+            attendanceDetails.courseInfo = {
+                classGroup: courseInfo.find('td:eq(0) span').text().trim(),
+                courseDetail: courseInfo.find('td:eq(1) span').text().trim(),
+                classDetail: courseInfo.find('td:eq(2) span').text().trim(),
+                facultyDetail: courseInfo.find('td:eq(3) span').text().trim(),
+                registeredDateTime: courseInfo.find('td:eq(4) span').text().trim(),
+                attendanceSummary: {
+                    present: parseInt(courseInfo.find('td:eq(6) span b:contains("Present") + span').text()) || 0,
+                    absent: parseInt(courseInfo.find('td:eq(6) span b:contains("Absent") + span').text()) || 0,
+                    onDuty: parseInt(courseInfo.find('td:eq(6) span b:contains("On Duty") + span').text()) || 0,
+                    attended: parseInt(courseInfo.find('td:eq(6) span b:contains("Attended") + span').text()) || 0,
+                    totalClasses: parseInt(courseInfo.find('td:eq(6) span b:contains("Total Class") + span').text()) || 0,
+                    percentage: courseInfo.find('td:eq(6) span b:contains("Percentage") + span span').text().trim()
+                }
+            };
+        }
+
+        // Extract attendance records
+        $('#StudentAttendanceDetailDataTable tbody tr').each((index, row) => {
+            const $row = $(row);
+            const record = {
+                slNo: $row.find('td:eq(0) span').text().trim(),
+                date: $row.find('td:eq(1) span').text().trim(),
+                slot: $row.find('td:eq(2) span').text().trim(),
+                dayTime: $row.find('td:eq(3) span').text().trim(),
+                status: $row.find('td:eq(4) span span').text().trim() || 'Present' // Handle cases where status is directly in span
+            };
+            attendanceDetails.attendanceRecords.push(record);
+        });
+
+        return driftMonitor.check("detailedAttendance", $, attendanceDetails);
+    } catch (error) {
+        throw parseFailure("detailed attendance", error);
+    }
+}
+
+// Function to extract marks details
+function extractMarks(html) {
+    try {
+        const $ = cheerio.load(html);
+        const courses = [];
+
+        // Find all course rows
+        $('tr.tableContent').each((index, element) => {
+            if ($(element).find('td').length === 9) { // Main course row
+                const courseData = {
+                    slNo: $(element).find('td').eq(0).text().trim(),
+                    classNumber: $(element).find('td').eq(1).text().trim(),
+                    courseCode: $(element).find('td').eq(2).text().trim(),
+                    courseTitle: $(element).find('td').eq(3).text().trim(),
+                    courseType: $(element).find('td').eq(4).text().trim(),
+                    courseSystem: $(element).find('td').eq(5).text().trim(),
+                    faculty: $(element).find('td').eq(6).text().trim(),
+                    slot: $(element).find('td').eq(7).text().trim(),
+                    courseMode: $(element).find('td').eq(8).text().trim(),
+                    marks: []
+                };
+
+                // Get marks from the next row's nested table
+                const marksTable = $(element).next().find('table.customTable-level1');
+                marksTable.find('tr.tableContent-level1').each((i, markRow) => {
+                    const mark = {
+                        slNo: $(markRow).find('td').eq(0).find('output').text().trim(),
+                        markTitle: $(markRow).find('td').eq(1).find('output').text().trim(),
+                        maxMark: parseFloat($(markRow).find('td').eq(2).find('output').text().trim()),
+                        weightagePercentage: parseFloat($(markRow).find('td').eq(3).find('output').text().trim()),
+                        status: $(markRow).find('td').eq(4).find('output').text().trim(),
+                        scoredMark: parseFloat($(markRow).find('td').eq(5).find('output').text().trim()),
+                        weightageMark: parseFloat($(markRow).find('td').eq(6).find('output').text().trim()),
+                        remark: $(markRow).find('td').eq(7).find('output').text().trim()
+                    };
+                    courseData.marks.push(mark);
+                });
+
+                courses.push(courseData);
+            }
+        });
+
+        return driftMonitor.check("marks", $, { courses });
+    } catch (error) {
+        throw parseFailure("marks", error);
+    }
+}
+
+// Function to extract exam schedule details
+function extractExamSchedule(html) {
+    try {
+        const $ = cheerio.load(html);
+        const examData = {
+            examTypes: []
+        };
+        
+        let currentExamType = null;
+        let currentExams = [];
+
+        // Find all rows in the table
+        $('.customTable tr.tableContent').each((index, row) => {
+            // Check if this is an exam type header (FAT, CAT1, CAT2)
+            const examTypeHeader = $(row).find('td.panelHead-secondary');
+            if (examTypeHeader.length) {
+                // If we have a previous exam type, save it
+                if (currentExamType) {
+                    examData.examTypes.push({
+                        type: currentExamType,
+                        exams: currentExams
+                    });
+                }
+                
+                // Start new exam type
+                currentExamType = examTypeHeader.text().trim();
+                currentExams = [];
+                return;
+            }
+
+            // Skip if not a content row or if it's the main header
+            if ($(row).find('td').length !== 13 || $(row).hasClass('tableHeader')) {
+                return;
+            }
+
+            // Extract exam details
+            const cells = $(row).find('td');
+            const exam = {
+                slNo: cells.eq(0).text().trim(),
+                courseCode: cells.eq(1).text().trim(),
+                courseTitle: cells.eq(2).text().trim(),
+                courseType: cells.eq(3).text().trim(),
+                classId: cells.eq(4).text().trim(),
+                slot: cells.eq(5).text().trim(),
+                examDate: cells.eq(6).text().trim() || null,
+                examSession: cells.eq(7).text().trim() || null,
+                reportingTime: cells.eq(8).text().trim() || null,
+                examTime: cells.eq(9).text().trim() || null,
+                venue: cells.eq(10).find('span').text().trim().replace('-', '') || null,
+                seatLocation: cells.eq(11).find('span').text().trim().replace('-', '') || null,
+                seatNo: cells.eq(12).find('span').text().trim().replace('-', '') || null
+            };
+
+            currentExams.push(exam);
+        });
+
+        // Add the last exam type
+        if (currentExamType && currentExams.length) {
+            examData.examTypes.push({
+                type: currentExamType,
+                exams: currentExams
+            });
+        }
+
+        return driftMonitor.check("examSchedule", $, examData);
+    } catch (error) {
+        throw parseFailure("exam schedule", error);
+    }
+}
+
+// Function to extract student profile data
+function extractStudentProfile(html) {
+    try {
+        const $ = cheerio.load(html);
+        const profileData = {
+            personalInformation: {},
+            educationalInformation: {},
+            familyInformation: {},
+            proctorInformation: {},
+            hostelInformation: {},
+            photos: {
+                studentPhoto: null,
+                proctorPhoto: null
+            }
+        };
+
+        // Extract Personal Information
+        $('#collapseOne table tr').each((i, row) => {
+            const label = $(row).find('td:first').text().trim();
+            const value = $(row).find('td:last').text().trim();
+            if (label && value) {
+                profileData.personalInformation[label.toLowerCase().replace(/\s+/g, '_')] = value;
+            }
+        });
+
+        // Extract Educational Information
+        $('#collapseTwo table tr').each((i, row) => {
+            const label = $(row).find('td:first').text().trim();
+            const value = $(row).find('td:last').text().trim();
+            if (label && value) {
+                profileData.educationalInformation[label.toLowerCase().replace(/\s+/g, '_')] = value;
+            }
+        });
+
+        // Extract Family Information
+        $('#collapseThree table tr').each((i, row) => {
+            const label = $(row).find('td:first').text().trim();
+            const value = $(row).find('td:last').text().trim();
+            if (label && value) {
+                profileData.familyInformation[label.toLowerCase().replace(/\s+/g, '_')] = value;
+            }
+        });
+
+        // Extract Proctor Information
+        $('#collapseFour table tr').each((i, row) => {
+            const label = $(row).find('td:first').text().trim();
+            const value = $(row).find('td:last').text().trim();
+            if (label && value) {
+                profileData.proctorInformation[label.toLowerCase().replace(/\s+/g, '_')] = value;
+            }
+        });
+
+        // Extract Hostel Information
+        $('#collapseFive table tr').each((i, row) => {
+            const label = $(row).find('td:first').text().trim();
+            const value = $(row).find('td:last').text().trim();
+            if (label && value) {
+                profileData.hostelInformation[label.toLowerCase().replace(/\s+/g, '_')] = value;
+            }
+        });
+
+        // Try to extract photos
+        const studentPhoto = $('.col-4.mt-4.mb-3 img').attr('src');
+        const proctorPhoto = $('td[style*="background-color: #FAF0DD;"][rowspan="4"] img').attr('src');
+
+        if (studentPhoto) {
+            profileData.photos.studentPhoto = studentPhoto;
+        }
+        if (proctorPhoto) {
+            profileData.photos.proctorPhoto = proctorPhoto;
+        }
+
+        return driftMonitor.check("profile", $, profileData);
+    } catch (error) {
+        throw parseFailure("student profile", error);
+    }
+}
+
+// Function to extract fee receipt details
+function extractFeeReceipts(html) {
+    try {
+        const $ = cheerio.load(html);
+        const feeData = {
+            applicationNumber: null,
+            registrationNumber: null,
+            receipts: []
+        };
+
+        // Extract application number and registration number
+        const applnoInput = $('input[name="applno"]').first();
+        const regnoInput = $('input[name="regno"]').first();
+        
+        if (applnoInput && regnoInput) {
+            feeData.applicationNumber = applnoInput.val();
+            feeData.registrationNumber = regnoInput.val();
+        }
+
+        // Find the receipts table
+        $('.table-bordered tr').each((index, row) => {
+            // Skip header row
+            if (index === 0) return;
+
+            const cells = $(row).find('td');
+            if (cells.length >= 5) {
+                const receipt = {
+                    invoiceNumber: cells.eq(0).text().trim(),
+                    receiptNumber: cells.eq(1).text().trim(),
+                    date: cells.eq(2).text().trim(),
+                    amount: parseFloat(cells.eq(3).text().trim()) || 0,
+                    campusCode: cells.eq(4).text().trim()
+                };
+                feeData.receipts.push(receipt);
+            }
+        });
+
+        return driftMonitor.check("feeReceipts", $, feeData);
+    } catch (error) {
+        throw parseFailure("fee receipts", error);
+    }
+}
+
+// Function to extract digital assignments
+function extractDigitalAssignments(html) {
+    try {
+        const $ = cheerio.load(html);
+        const assignmentData = {
+            semesterId: $('#semesterSubId').val(),
+            courses: []
+        };
+
+        // Find all rows in the assignments table
+        $('.customTable tr.tableContent').each((index, row) => {
+            const cells = $(row).find('td');
+            
+            // Skip if not enough cells
+            if (cells.length < 7) return;
+
+            const course = {
+                slNo: cells.eq(0).text().trim(),
+                classNumber: cells.eq(1).text().trim(),
+                courseCode: cells.eq(2).text().trim(),
+                courseTitle: cells.eq(3).text().trim(),
+                courseType: cells.eq(4).text().trim(),
+                facultyName: cells.eq(5).text().trim(),
+                dashboardLink: {
+                    classId: $(cells.eq(6)).find('button').attr('onclick')?.match(/'([^']+)'/)?.[1] || null
+                }
+            };
+
+            assignmentData.courses.push(course);
+        });
+
+        return driftMonitor.check("assignments", $, assignmentData);
+    } catch (error) {
+        throw parseFailure("digital assignments", error);
+    }
+}
+
+// Modify the extractAssignmentDetails function
+function extractAssignmentDetails(html, courseCode) {
+    try {
+        const $ = cheerio.load(html);
+        const assignments = [];
+        
+        // Get course details from the first table
+        const courseInfo = {
+            courseCode,
+            courseTitle: $('.customTable tr.tableContent td:nth-child(3)').first().text().trim(),
+            courseType: $('.customTable tr.tableContent td:nth-child(4)').first().text().trim(),
+            classNumber: $('.customTable tr.tableContent td:nth-child(5)').first().text().trim(),
+        };
+
+        // Find all assignment rows in the table
+        $('.customTable tr.tableContent-level1, .customTable tr.tableContent').each((index, row) => {
+            const cells = $(row).find('td');
+            
+            // Only process rows that have assignment data (Sl.No, Title, etc.)
+            if (cells.length >= 5) {
+                const slNo = cells.eq(0).text().trim();
+                // Skip if not a valid assignment row (headers or empty rows)
+                if (!slNo || !slNo.match(/^\d+$/)) return;
+
+                const assignment = {
+                    slNo: slNo,
+                    title: cells.eq(1).text().trim(),
+                    maxMark: parseFloat(cells.eq(2).text().trim()) || 0,
+                    weightagePercentage: parseFloat(cells.eq(3).text().trim()) || 0,
+                    dueDate: cells.eq(4).find('span').text().trim(),
+                    lastUpdatedOn: $(cells[6]).text().trim() // Column 7 has the last updated date
+                };
+
+                // Only add assignments that have actual data
+                if (assignment.title && assignment.maxMark > 0) {
+                    assignments.push(assignment);
+                }
+            }
+        });
+
+        // Only return if we have valid data
+        if (assignments.length > 0) {
+            return driftMonitor.check("assignmentDetails", $, {
+                ...courseInfo,
+                assignments
+            });
+        }
+        return driftMonitor.check("assignmentDetails", $, null);
+
+    } catch (error) {
+        throw parseFailure(`assignment details for ${courseCode}`, error);
+    }
+}
+
+module.exports = {
+    CGPA_TABLE_MISSING,
+    driftMonitor,
+    extractStudentId,
+    extractCsrf,
+    extractCGPADetails,
+    extractGradeHistory,
+    extractGradeView,
+    extractSemesterList,
+    extractTimeTable,
+    extractAttendance,
+    parseDetailedAttendance,
+    extractMarks,
+    extractExamSchedule,
+    extractStudentProfile,
+    extractFeeReceipts,
+    extractDigitalAssignments,
+    extractAssignmentDetails
+};
@@ -0,0 +1,15 @@
+// Package entry point: the VTOP scraping core without the API server.
+// app.js serves the same client over HTTP.
+const { VtopClient } = require("./vtopclient");
+const { VtopError } = require("./errors");
+const { CAMPUS_PROFILES, CampusError, loadCampusProfiles } = require("./campuses");
+const extractors = require("./extractors");
+
+module.exports = {
+    VtopClient,
+    VtopError,
+    CampusError,
+    CAMPUS_PROFILES,
+    loadCampusProfiles,
+    ...extractors
+};
@@ -0,0 +1,33 @@
+// Runs async tasks one after another per key and side by side across keys,
+// for read-modify-write updates of a stored record: two updates of the same
+// key never read the same old record, so neither loses the other's write.
+//
+//   const queue = createKeyedQueue();
+//   await queue.run(key, async () => { ...get, change, set... });
+//
+// A task starts once every earlier task for its key has settled, failed ones
+// included. run() resolves or rejects with the task's own outcome. Keys with
+// nothing pending are dropped, so the queue only holds keys in use.
+function createKeyedQueue() {
+    const queues = new Map();
+
+    function run(key, task) {
+        const previous = queues.get(key) || Promise.resolve();
+        const next = previous.then(task);
+        const settled = next.catch(() => {});
+        queues.set(key, settled);
+        settled.then(() => {
+            if (queues.get(key) === settled) queues.delete(key);
+        });
+        return next;
+    }
+
+    return {
+        run,
+        get size() {
+            return queues.size;
+        }
+    };
+}
+
+module.exports = { createKeyedQueue };
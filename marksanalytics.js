@@ -0,0 +1,111 @@
+// Per-course arithmetic on top of extractMarks: weightage secured so far,
+// weightage still to come, and what is needed in the remaining components to
+// reach each absolute grade band. Every course is out of 100 weightage.
+
+const TOTAL_WEIGHTAGE = 100;
+
+// Absolute grading (AG) bands: minimum total for each grade
+const GRADE_BANDS = [
+    { grade: 'S', minTotal: 90 },
+    { grade: 'A', minTotal: 80 },
+    { grade: 'B', minTotal: 70 },
+    { grade: 'C', minTotal: 60 },
+    { grade: 'D', minTotal: 55 },
+    { grade: 'E', minTotal: 50 }
+];
+
+// Course systems whose marks follow the weightage model above
+const SUPPORTED_COURSE_SYSTEMS = ['CAL'];
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function isPosted(mark) {
+    return Number.isFinite(mark.scoredMark) && Number.isFinite(mark.weightageMark);
+}
+
+// Reasons the absolute-grade projection does not apply to a course
+function modelIssues(course, gradingType, listedWeightage) {
+    const issues = [];
+
+    if (!SUPPORTED_COURSE_SYSTEMS.includes(course.courseSystem)) {
+        issues.push(`Course system "${course.courseSystem || 'unknown'}" is not assessed by weightage`);
+    }
+    if (gradingType && gradingType !== 'AG') {
+        issues.push(`Grading type "${gradingType}" is relative, so grade bands are not fixed`);
+    }
+    if (!course.marks.length) {
+        issues.push('No assessments posted yet');
+    }
+    if (listedWeightage > TOTAL_WEIGHTAGE + 0.01) {
+        issues.push(`Assessments add up to ${round(listedWeightage)}% weightage, more than ${TOTAL_WEIGHTAGE}%`);
+    }
+
+    return issues;
+}
+
+// Analytics for one course from extractMarks. `gradingType` comes from the
+// grade view (AG/RG) when it is known.
+function analyzeCourse(course, gradingType = null) {
+    const posted = course.marks.filter(isPosted);
+    const listedWeightage = course.marks.reduce((sum, mark) => sum + (mark.weightagePercentage || 0), 0);
+    const postedWeightage = posted.reduce((sum, mark) => sum + mark.weightagePercentage, 0);
+    const securedWeightage = posted.reduce((sum, mark) => sum + mark.weightageMark, 0);
+    const pendingWeightage = Math.max(0, TOTAL_WEIGHTAGE - postedWeightage);
+    const issues = modelIssues(course, gradingType, listedWeightage);
+
+    const grades = GRADE_BANDS.map(({ grade, minTotal }) => {
+        const weightageNeeded = Math.max(0, minTotal - securedWeightage);
+        return {
+            grade,
+            minTotal,
+            weightageNeeded: round(weightageNeeded),
+            // Average score needed across the pending components, in percent
+            percentageNeeded: pendingWeightage ? round((weightageNeeded / pendingWeightage) * 100) : null,
+            secured: weightageNeeded === 0,
+            achievable: weightageNeeded <= pendingWeightage
+        };
+    });
+
+    return {
+        courseCode: course.courseCode,
+        courseTitle: course.courseTitle,
+        courseType: course.courseType,
+        courseSystem: course.courseSystem,
+        gradingType,
+        securedWeightage: round(securedWeightage),
+        postedWeightage: round(postedWeightage),
+        pendingWeightage: round(pendingWeightage),
+        pendingPercentage: round((pendingWeightage / TOTAL_WEIGHTAGE) * 100),
+        // Score so far on what has been assessed, in percent
+        securedPercentage: postedWeightage ? round((securedWeightage / postedWeightage) * 100) : null,
+        pendingComponents: course.marks.filter((mark) => !isPosted(mark)).map((mark) => mark.markTitle),
+        grades,
+        modelApplies: issues.length === 0,
+        issues
+    };
+}
+
+// Analytics for every course in an extractMarks result. Pass the
+// extractGradeView result to pick up each course's grading type.
+function analyzeMarks(marksData, gradeViewData = null) {
+    if (!marksData?.courses) return null;
+
+    const gradingTypes = {};
+    (gradeViewData?.courses || []).forEach((course) => {
+        gradingTypes[course.courseCode] = course.gradingType;
+    });
+
+    return {
+        gradeBands: GRADE_BANDS,
+        courses: marksData.courses.map((course) =>
+            analyzeCourse(course, gradingTypes[course.courseCode] || null))
+    };
+}
+
+module.exports = {
+    GRADE_BANDS,
+    analyzeCourse,
+    analyzeMarks
+};
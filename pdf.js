@@ -0,0 +1,296 @@
+const zlib = require('zlib');
+
+// Minimal PDF writer for printable documents: A4 pages laid out top to
+// bottom from a list of blocks, in the standard Helvetica fonts every PDF
+// reader has, so nothing is embedded and no browser is needed. Text is
+// WinAnsi (Latin-1 plus curly quotes, dashes and the like); other
+// characters print as "?". The same blocks always produce the same bytes.
+//
+//   buildPdf({ title, footer, blocks: [
+//       { type: 'title', text }, { type: 'subtitle', text },
+//       { type: 'heading', text }, { type: 'text', text },
+//       { type: 'facts', items: [[label, value], ...] },
+//       { type: 'table', columns, rows, align: ['left', 'right', ...] }
+//   ] });
+
+const PAGE = { width: 595.28, height: 841.89, margin: 48 };
+const CONTENT_WIDTH = PAGE.width - 2 * PAGE.margin;
+const FOOTER_SIZE = 8;
+
+// Advance widths (1/1000 em) of characters 32-126, from the Adobe font metrics
+const WIDTHS = {
+    F1: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    F2: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+const FONTS = { F1: 'Helvetica', F2: 'Helvetica-Bold' };
+
+// WinAnsi codes 128-159 that differ from Latin-1
+const WIN_ANSI = {
+    '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85,
+    '†': 0x86, '‡': 0x87, 'ˆ': 0x88, '‰': 0x89, 'Š': 0x8A,
+    '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91, '’': 0x92,
+    '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97,
+    '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B, 'œ': 0x9C,
+    'ž': 0x9E, 'Ÿ': 0x9F
+};
+
+// Text as WinAnsi character codes
+function encode(text) {
+    return Array.from(String(text).replace(/\s/g, ' '), (char) => {
+        const code = char.codePointAt(0);
+        if (WIN_ANSI[char]) return WIN_ANSI[char];
+        return (code >= 32 && code < 127) || (code >= 160 && code <= 255) ? code : 63;
+    });
+}
+
+function textWidth(text, font, size) {
+    return encode(text).reduce((sum, code) => sum + (WIDTHS[font][code - 32] || 556), 0) * size / 1000;
+}
+
+// A PDF literal string
+function literal(text) {
+    return `(${Buffer.from(encode(text)).toString('latin1').replace(/[\\()]/g, '\\$&')})`;
+}
+
+function number(value) {
+    return Number(value.toFixed(2)).toString();
+}
+
+// Break text into lines no wider than `width`
+function wrap(text, font, size, width) {
+    const lines = [];
+    String(text ?? '').split('\n').forEach((paragraph) => {
+        let line = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (textWidth(candidate, font, size) <= width) {
+                line = candidate;
+                return;
+            }
+            if (line) lines.push(line);
+            line = '';
+            // A word wider than the line is split across lines
+            for (const char of word) {
+                if (line && textWidth(line + char, font, size) > width) {
+                    lines.push(line);
+                    line = '';
+                }
+                line += char;
+            }
+        });
+        lines.push(line);
+    });
+    return lines;
+}
+
+// Column widths that fit the content: as wide as the longest cell, shrunk
+// towards the longest word when the table is too wide, and stretched to
+// the full width when it is narrower
+function columnWidths(columns, rows, size, padding) {
+    const cells = (index) => [[columns[index], 'F2'], ...rows.map((row) => [row[index], 'F1'])];
+    const measure = (index, split) => Math.max(...cells(index).map(([value, font]) =>
+        Math.max(0, ...String(value ?? '').split(split).map((part) => textWidth(part, font, size))))) + 2 * padding;
+
+    const natural = columns.map((column, index) => measure(index, '\n'));
+    const minimum = columns.map((column, index) => Math.min(natural[index], measure(index, /\s+/)));
+    const total = natural.reduce((sum, width) => sum + width, 0);
+
+    if (total <= CONTENT_WIDTH) {
+        return natural.map((width) => width * CONTENT_WIDTH / total);
+    }
+    const slack = natural.reduce((sum, width, index) => sum + width - minimum[index], 0);
+    const excess = total - CONTENT_WIDTH;
+    if (slack >= excess) {
+        return natural.map((width, index) => width - (width - minimum[index]) * excess / slack);
+    }
+    const minimumTotal = minimum.reduce((sum, width) => sum + width, 0);
+    return minimum.map((width) => width * CONTENT_WIDTH / minimumTotal);
+}
+
+// Lays blocks out on pages of content stream operators
+function layout(blocks) {
+    const pages = [];
+    let ops;
+    let y;
+
+    const newPage = () => {
+        ops = [];
+        pages.push(ops);
+        y = PAGE.height - PAGE.margin;
+    };
+    const ensure = (height) => {
+        if (y - height < PAGE.margin + 2 * FOOTER_SIZE) {
+            newPage();
+            return true;
+        }
+        return false;
+    };
+    const text = (x, baseline, value, font, size, color = '0 g') => {
+        ops.push(`BT ${color} /${font} ${size} Tf ${number(x)} ${number(baseline)} Td ${literal(value)} Tj ET`);
+    };
+    const paragraph = (value, font, size, color, before = 0) => {
+        const lines = wrap(value, font, size, CONTENT_WIDTH);
+        y -= before;
+        lines.forEach((line) => {
+            ensure(size * 1.35);
+            y -= size * 1.35;
+            text(PAGE.margin, y + size * 0.3, line, font, size, color);
+        });
+    };
+
+    const draw = {
+        title: ({ text: value }) => paragraph(value, 'F2', 18, '0.1 0.2 0.4 rg'),
+        subtitle: ({ text: value }) => paragraph(value, 'F1', 10.5, '0.35 g', 2),
+        text: ({ text: value }) => paragraph(value, 'F1', 9.5, '0 g', 4),
+        heading: ({ text: value }) => {
+            // Keep a heading with at least a few lines of what follows it
+            ensure(18 + 60);
+            y -= 18;
+            text(PAGE.margin, y, value, 'F2', 12, '0.1 0.2 0.4 rg');
+            y -= 5;
+            ops.push(`0.1 0.2 0.4 RG 0.8 w ${PAGE.margin} ${number(y)} m ${number(PAGE.margin + CONTENT_WIDTH)} ${number(y)} l S`);
+            y -= 4;
+        },
+        facts: ({ items }) => {
+            const size = 9.5;
+            const labelWidth = Math.min(CONTENT_WIDTH / 3, Math.max(...items.map(([label]) => textWidth(label, 'F2', size))) + 12);
+            y -= 4;
+            items.forEach(([label, value]) => {
+                const lines = wrap(value ?? '-', 'F1', size, CONTENT_WIDTH - labelWidth);
+                ensure(lines.length * size * 1.4);
+                text(PAGE.margin, y - size, label, 'F2', size, '0.3 g');
+                lines.forEach((line, index) => {
+                    text(PAGE.margin + labelWidth, y - size - index * size * 1.4, line, 'F1', size);
+                });
+                y -= lines.length * size * 1.4;
+            });
+        },
+        table: ({ columns, rows, align = [] }) => {
+            const size = 8.5;
+            const padding = 3;
+            const leading = size * 1.3;
+            const widths = columnWidths(columns, rows, size, padding);
+
+            const row = (cells, font, shade) => {
+                const lines = cells.map((cell, index) => wrap(cell ?? '', font, size, widths[index] - 2 * padding));
+                const height = Math.max(...lines.map((cellLines) => cellLines.length)) * leading + 2 * padding;
+                if (shade) {
+                    ops.push(`${shade} ${PAGE.margin} ${number(y - height)} ${number(CONTENT_WIDTH)} ${number(height)} re f`);
+                }
+                let x = PAGE.margin;
+                lines.forEach((cellLines, index) => {
+                    cellLines.forEach((line, lineIndex) => {
+                        const offset = align[index] === 'right'
+                            ? widths[index] - padding - textWidth(line, font, size)
+                            : padding;
+                        text(x + offset, y - padding - (lineIndex + 1) * leading + size * 0.3, line, font, size);
+                    });
+                    x += widths[index];
+                });
+                y -= height;
+                ops.push(`0.8 G 0.4 w ${PAGE.margin} ${number(y)} m ${number(PAGE.margin + CONTENT_WIDTH)} ${number(y)} l S`);
+                return height;
+            };
+            const rowHeight = (cells) => Math.max(...cells.map((cell, index) =>
+                wrap(cell ?? '', 'F1', size, widths[index] - 2 * padding).length)) * leading + 2 * padding;
+
+            y -= 4;
+            ensure(rowHeight(columns) + (rows.length ? rowHeight(rows[0]) : 0));
+            row(columns, 'F2', '0.92 g');
+            rows.forEach((cells) => {
+                // Rows are never split; the header repeats on each new page
+                if (ensure(rowHeight(cells))) {
+                    row(columns, 'F2', '0.92 g');
+                }
+                row(cells, 'F1');
+            });
+        }
+    };
+
+    newPage();
+    blocks.forEach((block) => {
+        if (!draw[block.type]) {
+            throw new Error(`Unknown PDF block "${block.type}"`);
+        }
+        draw[block.type](block);
+    });
+    return pages;
+}
+
+// The PDF file's bytes for the blocks. `footer` is printed on every page
+// next to "Page n of N".
+function buildPdf({ title = '', footer = '', blocks }) {
+    const pages = layout(blocks);
+    pages.forEach((ops, index) => {
+        const pageLabel = `Page ${index + 1} of ${pages.length}`;
+        const baseline = PAGE.margin - FOOTER_SIZE;
+        ops.push(`BT 0.45 g /F1 ${FOOTER_SIZE} Tf ${PAGE.margin} ${baseline} Td ${literal(footer)} Tj ET`);
+        ops.push(`BT 0.45 g /F1 ${FOOTER_SIZE} Tf ${number(PAGE.margin + CONTENT_WIDTH - textWidth(pageLabel, 'F1', FOOTER_SIZE))} ${baseline} Td ${literal(pageLabel)} Tj ET`);
+    });
+
+    // 1 catalog, 2 page tree, 3-4 fonts, 5 info, then each page and its content
+    const pageIds = pages.map((ops, index) => 6 + 2 * index);
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+        ...Object.values(FONTS).map((name) => `<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`),
+        `<< /Title ${literal(title)} /Producer (vtop-api) >>`
+    ];
+    pages.forEach((ops, index) => {
+        const stream = zlib.deflateSync(Buffer.from(ops.join('\n'), 'latin1'));
+        objects.push(
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`,
+            Buffer.concat([
+                Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+                stream,
+                Buffer.from('\nendstream', 'latin1')
+            ])
+        );
+    });
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+    const offsets = [];
+    let length = chunks[0].length;
+    objects.forEach((object, index) => {
+        const body = Buffer.isBuffer(object) ? object : Buffer.from(object, 'latin1');
+        const chunk = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')]);
+        offsets.push(length);
+        chunks.push(chunk);
+        length += chunk.length;
+    });
+
+    const xref = [
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>`,
+        'startxref',
+        String(length),
+        '%%EOF\n'
+    ];
+    chunks.push(Buffer.from(xref.join('\n'), 'latin1'));
+    return Buffer.concat(chunks);
+}
+
+module.exports = {
+    textWidth,
+    wrap,
+    buildPdf
+};
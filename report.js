@@ -0,0 +1,269 @@
+const { analyzeMarks } = require('./marksanalytics');
+const { buildPdf } = require('./pdf');
+
+// Printable semester report for a student to share with parents or
+// advisors: who they are, the registered courses, attendance, marks and
+// the GPA and CGPA, on one document. buildReport turns the sections into
+// a list of blocks (see pdf.js) that renderHtml and renderPdf both lay
+// out, so the two formats always carry the same content. Only the
+// profile's academic header is included, not contact, family or hostel
+// details.
+
+const IST_OFFSET_MINUTES = 330;
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// A number for display, '-' when there is none
+function show(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? String(round(value)) : '-';
+}
+
+// "2025-03-01 15:30 IST"; VIT is on Indian time, whatever the server uses
+function formatIst(date) {
+    const ist = new Date(date.getTime() + IST_OFFSET_MINUTES * 60 * 1000);
+    return `${ist.toISOString().slice(0, 16).replace('T', ' ')} IST`;
+}
+
+// Total credits of a timetable course ("3 0 0 0 3" is L T P J C)
+function timetableCredits(course) {
+    const credits = Number(String(course.credits || '').trim().split(/\s+/).pop());
+    return Number.isFinite(credits) ? credits : null;
+}
+
+// Right-align the columns whose cells are all numbers
+function alignments(columns, rows) {
+    return columns.map((column, index) => {
+        const cells = rows.map((row) => row[index]).filter((cell) => cell !== '-' && cell !== '' && cell != null);
+        return cells.length && cells.every((cell) => typeof cell === 'number' || /^-?\d+(\.\d+)?%?( \/ \d+(\.\d+)?)?$/.test(cell))
+            ? 'right'
+            : 'left';
+    });
+}
+
+function table(columns, rows, empty) {
+    if (!rows.length) {
+        return [{ type: 'text', text: empty }];
+    }
+    const cells = rows.map((row) => row.map((cell) => (typeof cell === 'number' ? show(cell) : cell ?? '-')));
+    return [{ type: 'table', columns, rows: cells, align: alignments(columns, cells) }];
+}
+
+function studentBlocks(profile, campus) {
+    const personal = profile?.personalInformation || {};
+    const education = profile?.educationalInformation || {};
+    const proctor = profile?.proctorInformation || {};
+
+    return [{
+        type: 'facts',
+        items: [
+            ['Name', personal.student_name],
+            ['Register Number', personal.register_number],
+            ['Programme', education.programme],
+            ['School', education.school],
+            ['Year of Joining', education.year_of_joining],
+            ['Campus', campus?.name],
+            ['Proctor', [proctor.faculty_name, proctor.faculty_designation].filter(Boolean).join(', ') || null]
+        ].filter(([, value]) => value)
+    }];
+}
+
+function attendanceTotals(attendance) {
+    const courses = attendance?.courses || [];
+    const attended = courses.reduce((sum, course) => sum + (course.attendedClasses || 0), 0);
+    const total = courses.reduce((sum, course) => sum + (course.totalClasses || 0), 0);
+    return { attended, total, percentage: total ? round((attended / total) * 100) : null };
+}
+
+function summaryBlocks({ cgpa, gradeView, timeTable, attendance, threshold }) {
+    const totals = attendanceTotals(attendance);
+    const below = (attendance?.courses || [])
+        .filter((course) => parseFloat(course.attendancePercentage) < threshold).length;
+
+    return [
+        { type: 'heading', text: 'Summary' },
+        {
+            type: 'facts',
+            items: [
+                ['CGPA', show(cgpa?.cgpa)],
+                ['Semester GPA', Number.isFinite(gradeView?.gpa) ? show(gradeView.gpa) : 'Not published yet'],
+                ['Credits Earned', cgpa ? `${show(cgpa.creditsEarned)} of ${show(cgpa.creditsRegistered)} registered` : '-'],
+                ['Semester Credits', show(Number(timeTable?.timeTableData?.totalCredits))],
+                ['Attendance', totals.total
+                    ? `${show(totals.percentage)}% (${totals.attended} of ${totals.total} classes)`
+                    : '-'],
+                [`Below ${threshold}% Attendance`, `${below} ${below === 1 ? 'course' : 'courses'}`]
+            ]
+        }
+    ];
+}
+
+function courseBlocks(timeTable) {
+    const rows = (timeTable?.timeTableData?.courses || []).map((course) => [
+        course.course.code,
+        course.course.name,
+        course.course.type,
+        timetableCredits(course),
+        course.slot.timing,
+        course.slot.venue,
+        course.faculty.name
+    ]);
+    return [
+        { type: 'heading', text: 'Courses' },
+        ...table(['Code', 'Course', 'Type', 'Credits', 'Slot', 'Venue', 'Faculty'], rows, 'No registered courses.')
+    ];
+}
+
+function attendanceBlocks(attendance, threshold) {
+    const rows = (attendance?.courses || []).map((course) => {
+        const debar = typeof course.debarStatus === 'object'
+            ? `${course.debarStatus.examType}: ${course.debarStatus.status}`
+            : null;
+        const low = parseFloat(course.attendancePercentage) < threshold ? `Below ${threshold}%` : null;
+        return [
+            course.courseDetail,
+            course.attendedClasses,
+            course.totalClasses,
+            course.attendancePercentage,
+            [low, debar].filter(Boolean).join('; ') || '-'
+        ];
+    });
+    return [
+        { type: 'heading', text: 'Attendance' },
+        ...table(['Course', 'Attended', 'Total', 'Percentage', 'Status'], rows, 'No attendance recorded yet.')
+    ];
+}
+
+function marksBlocks(marks, gradeView) {
+    const analytics = analyzeMarks(marks, gradeView);
+    const totals = (analytics?.courses || []).map((course) => [
+        `${course.courseCode} - ${course.courseTitle}`,
+        course.postedWeightage,
+        course.securedWeightage,
+        course.securedPercentage === null ? '-' : `${show(course.securedPercentage)}%`
+    ]);
+    const assessments = (marks?.courses || []).flatMap((course) => course.marks.map((mark, index) => [
+        index === 0 ? course.courseCode : '',
+        mark.markTitle,
+        Number.isFinite(mark.scoredMark) ? `${show(mark.scoredMark)} / ${show(mark.maxMark)}` : mark.status || '-',
+        mark.weightagePercentage,
+        mark.weightageMark
+    ]));
+
+    return [
+        { type: 'heading', text: 'Marks' },
+        ...table(['Course', 'Weightage Assessed', 'Weightage Secured', 'Score So Far'], totals, 'No marks posted yet.'),
+        ...(assessments.length
+            ? table(['Course', 'Assessment', 'Scored', 'Weightage %', 'Weighted'], assessments)
+            : [])
+    ];
+}
+
+function gradeBlocks(gradeView) {
+    const rows = (gradeView?.courses || []).map((course) => [
+        course.courseCode,
+        course.courseTitle,
+        course.credits.C,
+        course.grandTotal,
+        course.isNonGPACourse ? `${course.grade} (non-GPA)` : course.grade
+    ]);
+    return [
+        { type: 'heading', text: 'Grades' },
+        ...table(['Code', 'Course', 'Credits', 'Total', 'Grade'], rows, 'Grades for this semester are not published yet.'),
+        ...(Number.isFinite(gradeView?.gpa) ? [{ type: 'text', text: `Semester GPA: ${show(gradeView.gpa)}` }] : [])
+    ];
+}
+
+// The report for one semester from the API's sections: profile, cgpa,
+// timeTable, attendance (summary), marks and gradeView, plus the campus
+// and the semester's name when known. `fetchedAt` is when the data was
+// read from VTOP. Returns { title, subtitle, footer, blocks }.
+function buildReport({ semesterId, semesterName, campus, profile, cgpa, timeTable, attendance, marks, gradeView, threshold = 75, fetchedAt = new Date() }) {
+    const name = profile?.personalInformation?.student_name;
+    const registerNumber = profile?.personalInformation?.register_number;
+    const semester = semesterName ? `${semesterName} (${semesterId})` : semesterId;
+    const asOf = `VTOP data as of ${formatIst(fetchedAt)}`;
+
+    return {
+        title: `Semester Report${name ? ` - ${name}` : ''}`,
+        subtitle: `${semester}. ${asOf}`,
+        footer: [registerNumber, semester].filter(Boolean).join(' - '),
+        blocks: [
+            { type: 'title', text: 'Semester Report' },
+            { type: 'subtitle', text: `${semester} - ${asOf}` },
+            ...studentBlocks(profile, campus),
+            ...summaryBlocks({ cgpa, gradeView, timeTable, attendance, threshold }),
+            ...courseBlocks(timeTable),
+            ...attendanceBlocks(attendance, threshold),
+            ...marksBlocks(marks, gradeView),
+            ...gradeBlocks(gradeView)
+        ]
+    };
+}
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+const STYLES = `
+    @page { size: A4; margin: 17mm; }
+    body { font: 10pt/1.4 Helvetica, Arial, sans-serif; color: #111; max-width: 190mm; margin: 2em auto; padding: 0 1em; }
+    h1 { color: #1a3366; font-size: 18pt; margin: 0; }
+    .subtitle { color: #595959; margin: 0.2em 0 1em; }
+    h2 { color: #1a3366; font-size: 12pt; border-bottom: 1px solid #1a3366; padding-bottom: 2px; margin: 1.6em 0 0.5em; break-after: avoid; }
+    dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.15em 1.5em; margin: 0.5em 0; }
+    dt { font-weight: bold; color: #4d4d4d; }
+    dd { margin: 0; }
+    table { width: 100%; border-collapse: collapse; font-size: 8.5pt; margin: 0.5em 0; }
+    th { background: #ebebeb; text-align: left; }
+    th, td { padding: 3px; border-bottom: 0.5px solid #ccc; vertical-align: top; }
+    .right { text-align: right; }
+    tr { break-inside: avoid; }
+    thead { display: table-header-group; }
+    footer { color: #737373; font-size: 8pt; margin-top: 2em; }
+`;
+
+const HTML_BLOCKS = {
+    title: ({ text }) => `<h1>${escapeHtml(text)}</h1>`,
+    subtitle: ({ text }) => `<p class="subtitle">${escapeHtml(text)}</p>`,
+    heading: ({ text }) => `<h2>${escapeHtml(text)}</h2>`,
+    text: ({ text }) => `<p>${escapeHtml(text)}</p>`,
+    facts: ({ items }) => `<dl>${items.map(([label, value]) =>
+        `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('')}</dl>`,
+    table: ({ columns, rows, align = [] }) => {
+        const cell = (tag, value, index) =>
+            `<${tag}${align[index] === 'right' ? ' class="right"' : ''}>${escapeHtml(value)}</${tag}>`;
+        return '<table>' +
+            `<thead><tr>${columns.map((column, index) => cell('th', column, index)).join('')}</tr></thead>` +
+            `<tbody>${rows.map((row) => `<tr>${row.map((value, index) => cell('td', value, index)).join('')}</tr>`).join('')}</tbody>` +
+            '</table>';
+    }
+};
+
+// The report as a self-contained HTML page (inline styles, no scripts)
+// that prints on A4
+function renderHtml(report) {
+    return '<!DOCTYPE html>\n' +
+        `<html lang="en"><head><meta charset="utf-8"><title>${escapeHtml(report.title)}</title>` +
+        '<meta name="viewport" content="width=device-width, initial-scale=1">' +
+        `<style>${STYLES}</style></head><body>\n` +
+        report.blocks.map((block) => HTML_BLOCKS[block.type](block)).join('\n') +
+        `\n<footer>${escapeHtml(report.footer)}</footer>\n</body></html>\n`;
+}
+
+// The report as PDF file bytes
+function renderPdf(report) {
+    return buildPdf(report);
+}
+
+module.exports = {
+    buildReport,
+    renderHtml,
+    renderPdf
+};
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+
+// Expands FFCS slot codes from the timetable ("A1+TA1", "L31+L32") into a
+// weekly class grid. The slot-to-time mapping lives in slotmap.json, laid out
+// like VTOP's own slot chart: a list of periods and, for every day, the slot
+// occupying each period. Point SLOT_MAP_PATH at another file when VTOP
+// changes its chart.
+
+const DAY_ORDER = ['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN'];
+
+const DEFAULT_SLOT_MAP_PATH = path.join(__dirname, 'slotmap.json');
+
+// Turn the chart layout into { slot: [{ day, start, end }] } lookups
+function indexSlotMap(slotMap) {
+    const index = {};
+
+    for (const kind of ['theory', 'lab']) {
+        const { periods, days } = slotMap[kind];
+        index[kind] = {};
+
+        Object.entries(days).forEach(([day, slots]) => {
+            slots.forEach((slot, period) => {
+                if (!slot) return;
+                const [start, end] = periods[period];
+                (index[kind][slot] = index[kind][slot] || []).push({ day, start, end });
+            });
+        });
+    }
+
+    return index;
+}
+
+// Load and index a slot map file
+function loadSlotMap(filePath = process.env.SLOT_MAP_PATH || DEFAULT_SLOT_MAP_PATH) {
+    return indexSlotMap(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+// Split a timetable slot string into individual slot codes
+function parseSlotCodes(timing) {
+    if (!timing) return [];
+
+    return timing
+        .replace(/\s*-\s*$/, '')
+        .split('+')
+        .map((slot) => slot.trim().toUpperCase())
+        .filter((slot) => slot && slot !== 'NIL');
+}
+
+// Merge back-to-back lab periods of the same course into a single class
+function mergeLabPeriods(classes) {
+    const merged = [];
+
+    classes.forEach((entry) => {
+        const previous = merged[merged.length - 1];
+        if (
+            previous &&
+            entry.kind === 'lab' &&
+            previous.kind === 'lab' &&
+            previous.day === entry.day &&
+            previous.classId === entry.classId &&
+            minutes(entry.start) - minutes(previous.end) <= 15
+        ) {
+            previous.end = entry.end;
+            previous.slots.push(...entry.slots);
+            return;
+        }
+        merged.push(entry);
+    });
+
+    return merged;
+}
+
+function minutes(time) {
+    const [hours, mins] = time.split(':').map(Number);
+    return hours * 60 + mins;
+}
+
+function compareClasses(a, b) {
+    return DAY_ORDER.indexOf(a.day) - DAY_ORDER.indexOf(b.day) ||
+        minutes(a.start) - minutes(b.start);
+}
+
+// Build the weekly schedule from extractTimeTable output
+function buildWeeklySchedule(timeTableData, slotMap = loadSlotMap()) {
+    if (!timeTableData?.courses) return null;
+
+    const classes = [];
+    const unmappedSlots = new Set();
+
+    timeTableData.courses.forEach((course) => {
+        parseSlotCodes(course.slot?.timing).forEach((slot) => {
+            const kind = slotMap.lab[slot] ? 'lab' : slotMap.theory[slot] ? 'theory' : null;
+            if (!kind) {
+                unmappedSlots.add(slot);
+                return;
+            }
+
+            slotMap[kind][slot].forEach(({ day, start, end }) => {
+                classes.push({
+                    day,
+                    start,
+                    end,
+                    courseCode: course.course?.code || null,
+                    courseTitle: typeof course.course?.name === 'string' ? course.course.name : null,
+                    courseType: course.course?.type || null,
+                    kind,
+                    slots: [slot],
+                    classId: course.classId || null,
+                    venue: course.slot.venue || null,
+                    faculty: course.faculty?.name || null
+                });
+            });
+        });
+    });
+
+    classes.sort(compareClasses);
+
+    const days = [];
+    mergeLabPeriods(classes).forEach((entry) => {
+        let dayEntry = days[days.length - 1];
+        if (!dayEntry || dayEntry.day !== entry.day) {
+            dayEntry = { day: entry.day, classes: [] };
+            days.push(dayEntry);
+        }
+        dayEntry.classes.push(entry);
+    });
+
+    return {
+        days,
+        unmappedSlots: [...unmappedSlots]
+    };
+}
+
+module.exports = {
+    DAY_ORDER,
+    indexSlotMap,
+    loadSlotMap,
+    parseSlotCodes,
+    buildWeeklySchedule
+};
@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Session stores keep serialized sessions (cookie jar, studentId, csrf,
+// lastUsed) outside the process so they survive restarts and can be shared
+// between instances. Every store exposes the same async interface:
+//
+//   get(token)               -> record or null
+//   set(token, record, ttl)  -> stores the record for ttl milliseconds
+//   delete(token)            -> true if a record was removed
+//   sweep()                  -> number of expired records dropped
+//
+// Records are plain JSON objects; the stores never look inside them.
+
+// In-process store. Fast, but sessions are lost on restart.
+function createMemoryStore() {
+    const entries = new Map();
+
+    return {
+        async get(token) {
+            const entry = entries.get(token);
+            if (!entry) return null;
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(token);
+                return null;
+            }
+            return JSON.parse(entry.value);
+        },
+
+        async set(token, record, ttl) {
+            entries.set(token, {
+                value: JSON.stringify(record),
+                expiresAt: Date.now() + ttl
+            });
+        },
+
+        async delete(token) {
+            return entries.delete(token);
+        },
+
+        async sweep() {
+            const now = Date.now();
+            let removed = 0;
+            for (const [token, entry] of entries.entries()) {
+                if (entry.expiresAt <= now) {
+                    entries.delete(token);
+                    removed++;
+                }
+            }
+            return removed;
+        }
+    };
+}
+
+// One JSON file per session in `dir`. Survives restarts and works for
+// several instances sharing a volume. File names are hashes of the token,
+// so a client-supplied token can never escape the directory.
+function createFileStore(dir) {
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+
+    const fileFor = (token) =>
+        path.join(dir, `${crypto.createHash('sha256').update(token).digest('hex')}.json`);
+
+    const readEntry = async (file) => {
+        try {
+            return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (error) {
+            // Missing or half-written files count as no session
+            return null;
+        }
+    };
+
+    const removeFile = async (file) => {
+        try {
+            await fs.promises.unlink(file);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    };
+
+    return {
+        async get(token) {
+            const file = fileFor(token);
+            const entry = await readEntry(file);
+            if (!entry) return null;
+            if (entry.expiresAt <= Date.now()) {
+                await removeFile(file);
+                return null;
+            }
+            return entry.record;
+        },
+
+        async set(token, record, ttl) {
+            const file = fileFor(token);
+            const tempFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+            const entry = { record, expiresAt: Date.now() + ttl };
+
+            // Write then rename so readers never see a partial file
+            await fs.promises.writeFile(tempFile, JSON.stringify(entry), { mode: 0o600 });
+            await fs.promises.rename(tempFile, file);
+        },
+
+        async delete(token) {
+            return removeFile(fileFor(token));
+        },
+
+        async sweep() {
+            const now = Date.now();
+            let removed = 0;
+            const files = await fs.promises.readdir(dir);
+            for (const name of files) {
+                if (!name.endsWith('.json')) continue;
+                const file = path.join(dir, name);
+                const entry = await readEntry(file);
+                if (entry && entry.expiresAt <= now && await removeFile(file)) {
+                    removed++;
+                }
+            }
+            return removed;
+        }
+    };
+}
+
+// Store backed by a Redis-compatible client with the node-redis v4 API
+// (`get`, `set(key, value, { PX })`, `del`). Redis expires keys itself,
+// so sweep() has nothing to do.
+function createRedisStore(client, prefix = 'vtop:session:') {
+    return {
+        async get(token) {
+            const value = await client.get(prefix + token);
+            return value ? JSON.parse(value) : null;
+        },
+
+        async set(token, record, ttl) {
+            await client.set(prefix + token, JSON.stringify(record), { PX: ttl });
+        },
+
+        async delete(token) {
+            return (await client.del(prefix + token)) > 0;
+        },
+
+        async sweep() {
+            return 0;
+        }
+    };
+}
+
+const STORE_TYPES = ['memory', 'file', 'redis'];
+
+// The backend selected by SESSION_STORE (memory, file or redis), for every
+// kind of record the app keeps: sessions (with their sealed credentials),
+// cached sections, change-detection snapshots and webhooks. namespace()
+// returns the store for one kind. With redis they all share one client and
+// are told apart by key prefix (options.prefix); file stores each get their
+// own directory (options.dir, default SESSION_DIR). REDIS_URL sets the
+// Redis server; options.createClient replaces node-redis's createClient.
+function createStoreBackend(env = process.env, options = {}) {
+    const type = (env.SESSION_STORE || 'memory').toLowerCase();
+    if (!STORE_TYPES.includes(type)) {
+        throw new Error(`Unknown SESSION_STORE "${type}" (expected ${STORE_TYPES.join(', ')})`);
+    }
+
+    let client = null;
+    function redisClient() {
+        if (!client) {
+            // Loaded lazily so the redis package is only needed when used
+            const createClient = options.createClient || require('redis').createClient;
+            client = createClient({ url: env.REDIS_URL });
+            client.on('error', (error) => console.error("Redis store error:", error.message));
+            client.connect().catch((error) => console.error("Redis connection failed:", error.message));
+        }
+        return client;
+    }
+
+    function namespace({ dir, prefix } = {}) {
+        switch (type) {
+            case 'memory':
+                return createMemoryStore();
+            case 'file':
+                return createFileStore(dir || env.SESSION_DIR || path.join(__dirname, '.sessions'));
+            default:
+                return createRedisStore(redisClient(), prefix);
+        }
+    }
+
+    return { type, namespace };
+}
+
+module.exports = {
+    createMemoryStore,
+    createFileStore,
+    createRedisStore,
+    createStoreBackend
+};
@@ -0,0 +1,222 @@
+const { parseDate } = require('./calendar');
+
+// Flat, row-per-item views of the nested VTOP sections, for text tables,
+// CSV and XLSX (see xlsx.js). Each table takes the same data the API and
+// VtopClient return for its section and lists fixed columns, so a
+// section's headers only change when this file does. VTOP's dates
+// ("14-Feb-2025", "12-Feb-2025 21:40") come out as ISO 8601 ("2025-02-14",
+// "2025-02-14 21:40") in the columns listed in `dates`.
+//
+//   const table = tabulate('marks', marks);  // { title, columns, rows, dates }
+//   toCsv(table); toTextTable(table);
+
+// A VTOP date, with its time if it has one, as ISO 8601; anything else as it was
+function isoDate(value) {
+    const date = parseDate(value);
+    if (!date) {
+        return value || null;
+    }
+    const time = value.match(/\s(\d{1,2}):(\d{2})/);
+    const day = date.toISOString().slice(0, 10);
+    return time ? `${day} ${time[1].padStart(2, '0')}:${time[2]}` : day;
+}
+
+const TABLES = {
+    profile: {
+        title: 'Profile',
+        columns: ['Field', 'Value'],
+        rows: (profile) => Object.entries(profile.personalInformation || {})
+    },
+    cgpa: {
+        title: 'CGPA',
+        columns: ['CGPA', 'Credits Registered', 'Credits Earned', 'S', 'A', 'B', 'C', 'D', 'E', 'F', 'N'],
+        rows: (cgpa) => (cgpa ? [[
+            cgpa.cgpa,
+            cgpa.creditsRegistered,
+            cgpa.creditsEarned,
+            ...['S', 'A', 'B', 'C', 'D', 'E', 'F', 'N'].map((grade) => cgpa.grades[grade])
+        ]] : [])
+    },
+    semesters: {
+        title: 'Semesters',
+        columns: ['Semester ID', 'Semester'],
+        rows: (semesters) => semesters.map(({ id, name }) => [id, name])
+    },
+    fees: {
+        title: 'Fee Receipts',
+        columns: ['Invoice', 'Receipt', 'Date', 'Amount', 'Campus'],
+        dates: ['Date'],
+        rows: ({ receipts }) => receipts.map((receipt) => [
+            receipt.invoiceNumber,
+            receipt.receiptNumber,
+            isoDate(receipt.date),
+            receipt.amount,
+            receipt.campusCode
+        ])
+    },
+    timetable: {
+        title: 'Timetable',
+        columns: ['Course Code', 'Course Title', 'Course Type', 'Credits', 'Class ID', 'Slot', 'Venue', 'Faculty'],
+        rows: ({ timeTableData }) => timeTableData.courses.map((course) => [
+            course.course.code,
+            course.course.name,
+            course.course.type,
+            course.credits,
+            course.classId,
+            course.slot.timing,
+            course.slot.venue,
+            course.faculty.name
+        ])
+    },
+    // One row per course, from the summary of /attendance
+    attendance: {
+        title: 'Attendance',
+        columns: ['Course', 'Class', 'Attended', 'Total', 'Percentage', 'Debar Status'],
+        rows: ({ summary }) => summary.courses.map((course) => [
+            course.courseDetail,
+            course.classDetail,
+            course.attendedClasses,
+            course.totalClasses,
+            course.attendancePercentage,
+            typeof course.debarStatus === 'object'
+                ? `${course.debarStatus.examType}: ${course.debarStatus.status}`
+                : course.debarStatus
+        ])
+    },
+    // One row per class date, from the detailed attendance of
+    // /attendance?detailed=true
+    attendanceDetail: {
+        title: 'Attendance',
+        columns: ['Course Code', 'Course', 'Class', 'Date', 'Slot', 'Day and Time', 'Status'],
+        dates: ['Date'],
+        rows: ({ detailed }) => (detailed?.courses || []).flatMap((course) => course.attendanceRecords.map((record) => [
+            course.courseCode,
+            course.courseInfo.courseDetail,
+            course.courseInfo.classDetail,
+            isoDate(record.date),
+            record.slot,
+            record.dayTime,
+            record.status
+        ]))
+    },
+    // One row per assessment
+    marks: {
+        title: 'Marks',
+        columns: ['Course Code', 'Course Title', 'Class Number', 'Assessment', 'Max Mark', 'Weightage %', 'Status', 'Scored', 'Weighted Score', 'Remark'],
+        rows: ({ courses }) => courses.flatMap((course) => course.marks.map((mark) => [
+            course.courseCode,
+            course.courseTitle,
+            course.classNumber,
+            mark.markTitle,
+            mark.maxMark,
+            mark.weightagePercentage,
+            mark.status,
+            mark.scoredMark,
+            mark.weightageMark,
+            mark.remark
+        ]))
+    },
+    exams: {
+        title: 'Exams',
+        columns: ['Exam', 'Course Code', 'Course Title', 'Date', 'Session', 'Reporting', 'Time', 'Venue', 'Seat Location', 'Seat'],
+        dates: ['Date'],
+        rows: ({ examTypes }) => examTypes.flatMap(({ type, exams }) => exams.map((exam) => [
+            type,
+            exam.courseCode,
+            exam.courseTitle,
+            isoDate(exam.examDate),
+            exam.examSession,
+            exam.reportingTime,
+            exam.examTime,
+            exam.venue,
+            exam.seatLocation,
+            exam.seatNo
+        ]))
+    },
+    grades: {
+        title: 'Grades',
+        columns: ['Course Code', 'Course Title', 'Course Type', 'Credits', 'Grading', 'Total', 'Grade', 'Non-GPA'],
+        rows: ({ courses }) => courses.map((course) => [
+            course.courseCode,
+            course.courseTitle,
+            course.courseType,
+            course.credits.C,
+            course.gradingType,
+            course.grandTotal,
+            course.grade,
+            course.isNonGPACourse
+        ])
+    },
+    // One row per assignment
+    assignments: {
+        title: 'Assignments',
+        columns: ['Course Code', 'Course Title', 'Assignment', 'Max Mark', 'Weightage %', 'Due Date', 'Last Updated'],
+        dates: ['Due Date', 'Last Updated'],
+        rows: ({ details }) => details.flatMap((course) => course.assignments.map((assignment) => [
+            course.courseCode,
+            course.courseTitle,
+            assignment.title,
+            assignment.maxMark,
+            assignment.weightagePercentage,
+            isoDate(assignment.dueDate),
+            isoDate(assignment.lastUpdatedOn)
+        ]))
+    }
+};
+
+// { title, columns, rows, dates } for a section's data; rows are arrays
+// in column order
+function tabulate(section, data) {
+    const table = TABLES[section];
+    if (!table) {
+        throw new Error(`No table for section "${section}"`);
+    }
+    return {
+        title: table.title,
+        columns: table.columns,
+        rows: data ? table.rows(data) : [],
+        dates: table.dates || []
+    };
+}
+
+// Cell text: empty for null, undefined and NaN
+function cellText(value) {
+    if (value === null || value === undefined || Number.isNaN(value)) {
+        return '';
+    }
+    return String(value);
+}
+
+// RFC 4180 CSV with a header row and CRLF line ends. Text that a
+// spreadsheet would run as a formula (=, +, -, @) is prefixed with '.
+function toCsv({ columns, rows }) {
+    const line = (cells) => cells.map((cell) => {
+        let text = cellText(cell);
+        if (typeof cell === 'string' && /^[=+\-@\t\r]./.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',');
+    return [columns, ...rows].map(line).join('\r\n') + '\r\n';
+}
+
+// Columns padded to their widest cell, for a terminal
+function toTextTable({ columns, rows }) {
+    const lines = [columns, ...rows].map((cells) => cells.map((cell) => cellText(cell).replace(/\s+/g, ' ')));
+    const widths = columns.map((column, index) => Math.max(...lines.map((cells) => cells[index].length)));
+    const line = (cells) => cells.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+
+    return [
+        line(lines[0]),
+        line(widths.map((width) => '-'.repeat(width))),
+        ...lines.slice(1).map(line)
+    ].join('\n') + '\n';
+}
+
+module.exports = {
+    TABLES,
+    isoDate,
+    tabulate,
+    toCsv,
+    toTextTable
+};
@@ -0,0 +1,579 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { signPayload } = require('../webhooks');
+const { startMockVtop, readFixture } = require('./mockvtop');
+const { USERNAME, PASSWORD, startApp, stopApp, apiClient } = require('./helpers');
+
+const SEMESTER = 'VL20242505';
+
+let mock;
+let server;
+let baseUrl;
+const { api, login } = apiClient(() => baseUrl);
+
+before(async () => {
+    mock = await startMockVtop({ username: USERNAME, password: PASSWORD });
+
+    // The VTOP host and timeout are read when app.js loads
+    process.env.VTOP_BASE_URL = mock.url;
+    process.env.VTOP_TIMEOUT_MS = '1000';
+    // These tests change the mock's pages between requests and expect each
+    // request to read them; caching is covered in cache.test.js
+    process.env.RESOURCE_CACHE = 'false';
+    // Expired VTOP sessions are renewed with the stored password
+    process.env.STORE_CREDENTIALS = 'true';
+    // The webhook receiver listens on loopback
+    process.env.WEBHOOK_ALLOW_PRIVATE = 'true';
+    ({ server, baseUrl } = await startApp());
+});
+
+after(async () => {
+    await stopApp(server);
+    await mock?.close();
+});
+
+test('POST /login rejects invalid credentials', async () => {
+    const { status, body } = await api('POST', '/login', {
+        body: { username: USERNAME, password: 'wrong-password' }
+    });
+
+    assert.equal(status, 401);
+    assert.equal(body.success, false);
+    assert.equal(body.code, 'INVALID_CREDENTIALS');
+    assert.equal(body.message, 'Invalid credentials');
+});
+
+test('POST /login gives up with CAPTCHA_FAILED when every captcha is rejected', async () => {
+    mock.state.captchaFailuresLeft = 5;
+
+    const { status, body } = await api('POST', '/login', {
+        body: { username: USERNAME, password: PASSWORD }
+    });
+
+    assert.equal(status, 503);
+    assert.equal(body.code, 'CAPTCHA_FAILED');
+    assert.equal(mock.state.captchaFailuresLeft, 0);
+});
+
+test('POST /login retries after "Invalid Captcha"', async () => {
+    mock.state.captchaFailuresLeft = 2;
+    const attemptsBefore = mock.state.loginAttempts;
+
+    const { status, body } = await api('POST', '/login', {
+        body: { username: USERNAME, password: PASSWORD }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.studentId, USERNAME);
+    assert.match(body.token, /^[0-9a-f]{64}$/);
+    assert.equal(mock.state.loginAttempts - attemptsBefore, 3);
+});
+
+test('resource endpoints serve data for a bearer token', async () => {
+    const token = await login();
+
+    const profile = await api('GET', '/profile', { token });
+    assert.equal(profile.status, 200);
+    assert.equal(profile.body.data.personalInformation.register_number, USERNAME);
+
+    const semesters = await api('GET', '/semesters', { token });
+    assert.equal(semesters.body.data[0].id, SEMESTER);
+
+    const attendance = await api('GET', `/semesters/${SEMESTER}/attendance?detailed=true`, { token });
+    assert.equal(attendance.body.semesterId, SEMESTER);
+    assert.equal(attendance.body.data.summary.courses.length, 2);
+    assert.equal(attendance.body.data.detailed.courses.length, 2);
+    assert.equal(attendance.body.sessionInfo.isNewSession, false);
+
+    const marks = await api('GET', `/semesters/${SEMESTER}/marks`, { token });
+    assert.equal(marks.body.data.courses[0].courseCode, 'BCSE302L');
+    assert.equal(marks.body.data.analytics.courses[0].securedWeightage, 21.3);
+});
+
+test('GET /semesters/:id/marks flags relatively graded courses', async () => {
+    const token = await login();
+    mock.state.pages['/vtop/examinations/examGradeView/doStudentGradeView'] =
+        readFixture('grade-view.html').replace('BCSE301L', 'BCSE302L').replace('<td>AG</td>', '<td>RG</td>');
+    try {
+        const { status, body } = await api('GET', `/semesters/${SEMESTER}/marks`, { token });
+
+        assert.equal(status, 200);
+        const [course] = body.data.analytics.courses;
+        assert.equal(course.gradingType, 'RG');
+        assert.equal(course.modelApplies, false);
+    } finally {
+        mock.state.pages = {};
+    }
+});
+
+test('GET /semesters/:id/marks does without a grade view VTOP cannot serve', async () => {
+    const token = await login();
+    mock.state.statuses['/vtop/examinations/examGradeView/doStudentGradeView'] = 503;
+    try {
+        const { status, body } = await api('GET', `/semesters/${SEMESTER}/marks`, { token });
+        assert.equal(status, 200);
+        const [course] = body.data.analytics.courses;
+        assert.equal(course.gradingType, null);
+        assert.equal(course.securedWeightage, 21.3);
+
+        const csv = await api('GET', `/semesters/${SEMESTER}/marks?format=csv`, { token });
+        assert.equal(csv.status, 200);
+        assert.match(csv.body, /^Course Code,/);
+    } finally {
+        mock.state.statuses = {};
+    }
+});
+
+test('GET /transcript groups the grade history', async () => {
+    const token = await login();
+    const { status, body } = await api('GET', '/transcript', { token });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.semesters.map((semester) => semester.examMonth), ['Nov-2021', 'May-2022']);
+    assert.deepEqual(body.data.arrears.map((course) => course.courseCode), ['BPHY101L']);
+});
+
+test('GET /semesters/:id/schedule decodes timetable slots', async () => {
+    const token = await login();
+    const { status, body } = await api('GET', `/semesters/${SEMESTER}/schedule`, { token });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.days.map((day) => day.day), ['MON', 'TUE', 'WED', 'THU', 'FRI']);
+
+    const monday = body.data.days[0].classes;
+    assert.equal(monday[0].courseCode, 'BCSE302L');
+    assert.equal(monday[0].start, '08:00');
+    assert.equal(monday[monday.length - 1].kind, 'lab');
+    assert.equal(monday[monday.length - 1].end, '15:40');
+});
+
+test('GET /semesters/:id/calendar.ics returns an iCalendar feed', async () => {
+    const token = await login();
+    const response = await fetch(`${baseUrl}/semesters/${SEMESTER}/calendar.ics`, {
+        headers: { Authorization: `Bearer ${token}` }
+    });
+    const ics = await response.text();
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/calendar/);
+    assert.match(ics, /^BEGIN:VCALENDAR\r\n/);
+    assert.match(ics, /CATEGORIES:CLASS/);
+    assert.match(ics, /SUMMARY:CAT1: BCSE302L - Database Systems/);
+    assert.match(ics, /SUMMARY:Due: BCSE302L - Digital Assignment - I/);
+});
+
+test('semester resources download as CSV with fixed headers and ISO dates', async () => {
+    const token = await login();
+    const download = async (path) => {
+        const response = await fetch(`${baseUrl}${path}`, { headers: { Authorization: `Bearer ${token}` } });
+        return { response, lines: (await response.text()).trimEnd().split('\r\n') };
+    };
+
+    const marks = await download(`/semesters/${SEMESTER}/marks?format=csv`);
+    assert.equal(marks.response.status, 200);
+    assert.match(marks.response.headers.get('content-type'), /^text\/csv; charset=utf-8/);
+    assert.match(marks.response.headers.get('content-disposition'), /filename="vtop-VL20242505-marks\.csv"/);
+    assert.equal(marks.lines[0], 'Course Code,Course Title,Class Number,Assessment,Max Mark,Weightage %,Status,Scored,Weighted Score,Remark');
+    assert.equal(marks.lines.length, 4);
+
+    // Attendance has a row per class date, so it fetches the detailed view
+    const attendance = await download(`/semesters/${SEMESTER}/attendance?format=csv`);
+    assert.equal(attendance.lines[0], 'Course Code,Course,Class,Date,Slot,Day and Time,Status');
+    assert.match(attendance.lines[1], /^BCSE302L,BCSE302L - Database Systems - Embedded Theory,.*,2025-01-06,A1,"MON,08:00-08:50",Present$/);
+});
+
+test('GET /semesters/:id/export returns a workbook and bad formats are rejected', async () => {
+    const token = await login();
+    const response = await fetch(`${baseUrl}/semesters/${SEMESTER}/export`, {
+        headers: { Authorization: `Bearer ${token}` }
+    });
+    const workbook = Buffer.from(await response.arrayBuffer());
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    assert.match(response.headers.get('content-disposition'), /filename="vtop-VL20242505\.xlsx"/);
+    assert.equal(workbook.subarray(0, 2).toString(), 'PK');
+
+    const pdf = await api('GET', `/semesters/${SEMESTER}/marks?format=pdf`, { token });
+    assert.equal(pdf.status, 400);
+    assert.match(pdf.body.message, /Unknown format "pdf"/);
+    assert.equal((await api('GET', '/transcript?format=csv', { token })).status, 400);
+    assert.equal((await api('GET', `/semesters/${SEMESTER}/export?format=csv`, { token })).status, 400);
+});
+
+test('GET /semesters/:id/report renders the semester as HTML or PDF', async () => {
+    const token = await login();
+    const report = (format) => fetch(`${baseUrl}/semesters/${SEMESTER}/report${format ? `?format=${format}` : ''}`, {
+        headers: { Authorization: `Bearer ${token}` }
+    });
+
+    const html = await report();
+    const page = await html.text();
+    assert.equal(html.status, 200);
+    assert.match(html.headers.get('content-type'), /^text\/html/);
+    assert.match(page, /<dt>Name<\/dt><dd>STUDENT NAME<\/dd>/);
+    assert.match(page, /<dt>CGPA<\/dt><dd>8\.64<\/dd>/);
+    assert.match(page, /<td>BCSE302L<\/td><td>Database Systems<\/td>/);
+
+    const pdf = await report('pdf');
+    assert.equal(pdf.status, 200);
+    assert.equal(pdf.headers.get('content-type'), 'application/pdf');
+    assert.match(pdf.headers.get('content-disposition'), /filename="vtop-VL20242505-report\.pdf"/);
+    assert.equal(Buffer.from(await pdf.arrayBuffer()).subarray(0, 5).toString(), '%PDF-');
+
+    assert.equal((await report('docx')).status, 400);
+});
+
+test('GET /semesters/:id/attendance/planner uses the requested threshold', async () => {
+    const token = await login();
+    const { status, body } = await api('GET', `/semesters/${SEMESTER}/attendance/planner?threshold=80`, { token });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.threshold, 80);
+    assert.deepEqual(body.data.courses.map((course) => course.courseCode), ['BCSE302L', 'BCSE302P']);
+    assert.equal(body.data.courses[0].canSkip, 1);
+    assert.equal(body.data.courses[1].isLab, true);
+});
+
+test('POST /cgpa/simulate fills credits from the grade view', async () => {
+    const token = await login();
+    const { status, body } = await api('POST', '/cgpa/simulate', {
+        token,
+        body: {
+            semesterId: SEMESTER,
+            courses: [
+                { courseCode: 'BCSE301L', grade: 'S' },
+                { courseCode: 'BSTS301P', grade: 'P' }
+            ]
+        }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.current.cgpa, 8.64);
+    assert.equal(body.data.semester.credits, 3);
+    assert.equal(body.data.semester.courses[1].isNonGPACourse, true);
+
+    const invalid = await api('POST', '/cgpa/simulate', { token, body: { courses: [{ credits: 3, grade: 'Q' }] } });
+    assert.equal(invalid.status, 400);
+});
+
+test('POST /cgpa/simulate works for a student with no CGPA yet', async () => {
+    const token = await login();
+    mock.state.pages['/vtop/examinations/examGradeView/StudentGradeHistory'] = readFixture('grade-history.html')
+        .replace(/<td>92<\/td>(\s*)<td>88<\/td>(\s*)<td>8\.64<\/td>/, '<td>0</td>$1<td>0</td>$2<td>0</td>');
+    try {
+        const { status, body } = await api('POST', '/cgpa/simulate', {
+            token,
+            body: { courses: [{ courseCode: 'BCSE101E', credits: 4, grade: 'A' }], targetCgpa: 9 }
+        });
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.data.current, { cgpa: 0, creditsEarned: 0 });
+        assert.equal(body.data.projected.cgpa, 9);
+    } finally {
+        mock.state.pages = {};
+    }
+});
+
+test('POST /cgpa/simulate starts from nothing when the grade history has no CGPA table', async () => {
+    const token = await login();
+    mock.state.pages['/vtop/examinations/examGradeView/StudentGradeHistory'] = readFixture('grade-history.html')
+        .replace(/<table class="table table-hover table-bordered">[\s\S]*?<\/table>/, '');
+    try {
+        const { status, body } = await api('POST', '/cgpa/simulate', {
+            token,
+            body: { courses: [{ courseCode: 'BCSE101E', credits: 4, grade: 'A' }] }
+        });
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.data.current, { cgpa: 0, creditsEarned: 0 });
+        assert.equal(body.data.projected.cgpa, 9);
+        assert.equal(body.errors.cgpa, undefined);
+
+        // Not reaching the grade history at all still fails the simulation
+        mock.state.statuses['/vtop/examinations/examGradeView/StudentGradeHistory'] = 503;
+        const unavailable = await api('POST', '/cgpa/simulate', {
+            token,
+            body: { courses: [{ courseCode: 'BCSE101E', credits: 4, grade: 'A' }] }
+        });
+        assert.equal(unavailable.status, 502);
+        assert.equal(unavailable.body.code, 'VTOP_UNAVAILABLE');
+    } finally {
+        mock.state.pages = {};
+        mock.state.statuses = {};
+    }
+});
+
+test('GET /changes reports what changed on VTOP since the last check', async () => {
+    const token = await login();
+
+    // A semester no other test has fetched, so the first check is a baseline
+    const first = await api('GET', '/changes?semesterId=VL20242501', { token });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.semesterId, 'VL20242501');
+    assert.equal(first.body.data.baseline, true);
+    assert.deepEqual(first.body.data.changes, []);
+
+    mock.state.pages['/vtop/examinations/doSearchExamScheduleForStudent'] =
+        readFixture('exam-schedule.html').replace('SJT-303', 'TT-101');
+    mock.state.pages['/vtop/examinations/doStudentMarkView'] =
+        readFixture('marks.html').replace('<output>41.00</output>', '<output>45.00</output>');
+
+    try {
+        const since = encodeURIComponent(first.body.data.checkedAt);
+        const second = await api('GET', `/changes?semesterId=VL20242501&since=${since}`, { token });
+        assert.equal(second.status, 200);
+        assert.equal(second.body.data.baseline, false);
+        assert.deepEqual(second.body.data.changes.map((change) => change.type), ['mark.updated', 'exam.venueChanged']);
+        assert.equal(second.body.data.changes[1].venue, 'TT101');
+        assert.equal(second.body.data.changes[1].previous.venue, 'SJT303');
+    } finally {
+        mock.state.pages = {};
+    }
+
+    const invalid = await api('GET', '/changes?since=yesterday', { token });
+    assert.equal(invalid.status, 400);
+});
+
+test('webhooks receive signed events when a fetch finds changes', async () => {
+    const received = [];
+    let notifyReceived;
+    const delivered = new Promise((resolve) => {
+        notifyReceived = resolve;
+    });
+    const receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.end('ok');
+            notifyReceived();
+        });
+    });
+    await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const token = await login();
+        const registered = await api('POST', '/webhooks', {
+            token,
+            body: { url: `http://127.0.0.1:${receiver.address().port}/hook`, events: ['exam.venue_changed'] }
+        });
+        assert.equal(registered.status, 201);
+        const { id, secret } = registered.body.data;
+        assert.match(secret, /^[0-9a-f]{64}$/);
+
+        const listed = await api('GET', '/webhooks', { token });
+        assert.deepEqual(listed.body.data.map((webhook) => webhook.id), [id]);
+        assert.equal(listed.body.data[0].secret, undefined);
+
+        const invalid = await api('POST', '/webhooks', { token, body: { url: 'ftp://example.com', events: ['marks.posted'] } });
+        assert.equal(invalid.status, 400);
+
+        // First fetch stores the exam schedule, the second sees the new venue
+        await api('GET', `/semesters/${SEMESTER}/exams`, { token });
+        mock.state.pages['/vtop/examinations/doSearchExamScheduleForStudent'] =
+            readFixture('exam-schedule.html').replace('SJT-303', 'TT-101');
+        try {
+            await api('GET', `/semesters/${SEMESTER}/exams`, { token });
+        } finally {
+            mock.state.pages = {};
+        }
+
+        await delivered;
+        const [{ headers, body }] = received;
+        const payload = JSON.parse(body);
+        assert.equal(headers['x-vtop-event'], 'exam.venue_changed');
+        assert.equal(headers['x-vtop-signature'], signPayload(secret, headers['x-vtop-timestamp'], body));
+        assert.equal(payload.studentId, USERNAME);
+        assert.equal(payload.data.venue, 'TT101');
+
+        // The log entry is written once the delivery completes
+        let log;
+        for (let tries = 0; tries < 20; tries++) {
+            log = await api('GET', `/webhooks/${id}/deliveries`, { token });
+            if (log.body.data.length) break;
+            await new Promise((resolve) => setTimeout(resolve, 25));
+        }
+        assert.equal(log.body.data[0].status, 'delivered');
+        assert.equal(log.body.data[0].attempts[0].status, 200);
+
+        assert.equal((await api('DELETE', `/webhooks/${id}`, { token })).status, 200);
+        assert.equal((await api('DELETE', `/webhooks/${id}`, { token })).status, 404);
+    } finally {
+        await new Promise((resolve) => receiver.close(resolve));
+    }
+});
+
+test('POST /semesterdata returns every section', async () => {
+    const token = await login();
+    const { status, body } = await api('POST', '/semesterdata', {
+        token,
+        body: { semesterId: SEMESTER }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.timeTable.timeTableData.courses.length, 3);
+    assert.equal(body.data.attendance.detailed.courses.length, 2);
+    assert.equal(body.data.attendance.planner.threshold, 75);
+    assert.equal(body.data.marks.courses.length, 2);
+    assert.equal(body.data.examSchedule.examTypes.length, 2);
+    assert.equal(body.data.gradeView.gpa, 8.75);
+    assert.equal(body.data.assignments.details.length, 2);
+    assert.deepEqual(body.errors, {});
+});
+
+test('POST /semesterdata lists failed sections and serves the rest', async () => {
+    const token = await login();
+    mock.state.statuses['/vtop/examinations/doStudentMarkView'] = 503;
+    mock.state.delays['/vtop/examinations/doSearchExamScheduleForStudent'] = 1500;
+
+    try {
+        const { status, body } = await api('POST', '/semesterdata', {
+            token,
+            body: { semesterId: SEMESTER }
+        });
+
+        assert.equal(status, 200);
+        assert.equal(body.success, true);
+        assert.equal(body.data.marks, null);
+        assert.equal(body.data.examSchedule, null);
+        assert.equal(body.data.gradeView.gpa, 8.75);
+        assert.deepEqual(Object.keys(body.errors).sort(), ['examSchedule', 'marks']);
+        assert.equal(body.errors.marks.code, 'VTOP_UNAVAILABLE');
+        assert.equal(body.errors.examSchedule.code, 'TIMEOUT');
+    } finally {
+        mock.state.statuses = {};
+        mock.state.delays = {};
+    }
+});
+
+test('a failed resource answers with its error class and keeps the session', async () => {
+    const token = await login();
+    mock.state.statuses['/vtop/examinations/doStudentMarkView'] = 500;
+
+    try {
+        const { status, body } = await api('GET', `/semesters/${SEMESTER}/marks`, { token });
+
+        assert.equal(status, 502);
+        assert.equal(body.success, false);
+        assert.equal(body.code, 'VTOP_UNAVAILABLE');
+        assert.equal(body.errors.marks.code, 'VTOP_UNAVAILABLE');
+    } finally {
+        mock.state.statuses = {};
+    }
+
+    const marks = await api('GET', `/semesters/${SEMESTER}/marks`, { token });
+    assert.equal(marks.status, 200);
+    assert.deepEqual(marks.body.errors, {});
+});
+
+test('the VTOP login page in place of data means the session expired', async () => {
+    const token = await login();
+    mock.state.pages['/vtop/examinations/doSearchExamScheduleForStudent'] = readFixture('prelogin.html');
+
+    try {
+        const { status, body } = await api('GET', `/semesters/${SEMESTER}/exams`, { token });
+
+        assert.equal(status, 401);
+        assert.equal(body.code, 'SESSION_EXPIRED');
+    } finally {
+        delete mock.state.pages['/vtop/examinations/doSearchExamScheduleForStudent'];
+    }
+
+    // The API session went with it
+    assert.equal((await api('GET', '/profile', { token })).status, 401);
+});
+
+test('a changed page layout is served with drift warnings and counted', async () => {
+    const token = await login();
+    mock.state.pages['/vtop/examinations/doStudentMarkView'] =
+        readFixture('marks.html').replace(/<td>Regular<\/td>/g, '');
+
+    try {
+        const { status, body } = await api('GET', `/semesters/${SEMESTER}/marks`, { token });
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.data.courses, []);
+        assert.deepEqual(body.warnings.marks.map(({ code }) => code), ['UNEXPECTED_COLUMNS', 'ROWS_NOT_PARSED']);
+    } finally {
+        delete mock.state.pages['/vtop/examinations/doStudentMarkView'];
+    }
+
+    const clean = await api('GET', `/semesters/${SEMESTER}/marks`, { token });
+    assert.deepEqual(clean.body.warnings, {});
+
+    const diagnostics = await api('GET', '/diagnostics/parsers');
+    const { marks } = diagnostics.body.data.sections;
+    assert.equal(marks.drifted >= 1, true);
+    assert.equal(marks.checks > marks.drifted, true);
+    assert.equal(marks.recent[0].code, 'ROWS_NOT_PARSED');
+
+    const schemas = await api('GET', '/diagnostics/schemas');
+    assert.equal(schemas.body.data.marks.type, 'object');
+});
+
+test('an expired VTOP session logs in again and retries the request', async () => {
+    const token = await login();
+    mock.state.sessionCsrf = 'mock-csrf-session-renewed';
+    const attemptsBefore = mock.state.loginAttempts;
+
+    try {
+        const { status, body } = await api('GET', `/semesters/${SEMESTER}/marks`, { token });
+
+        assert.equal(status, 200);
+        assert.equal(body.data.courses[0].courseCode, 'BCSE302L');
+        assert.equal(body.sessionInfo.reloggedIn, true);
+        assert.equal(mock.state.loginAttempts - attemptsBefore, 1);
+
+        // The renewed csrf was saved with the session
+        const profile = await api('GET', '/profile', { token });
+        assert.equal(profile.status, 200);
+        assert.equal(profile.body.sessionInfo.reloggedIn, undefined);
+        assert.equal(mock.state.loginAttempts - attemptsBefore, 1);
+    } finally {
+        mock.state.sessionCsrf = 'mock-csrf-session';
+    }
+});
+
+test('sections that hit an expired session share one login and are retried', async () => {
+    const token = await login();
+    mock.state.sessionCsrf = 'mock-csrf-session-renewed';
+    const attemptsBefore = mock.state.loginAttempts;
+
+    try {
+        const { status, body } = await api('POST', '/semesterdata', { token, body: { semesterId: SEMESTER } });
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.errors, {});
+        assert.equal(body.data.attendance.detailed.courses.length, 2);
+        assert.equal(mock.state.loginAttempts - attemptsBefore, 1);
+    } finally {
+        mock.state.sessionCsrf = 'mock-csrf-session';
+    }
+});
+
+test('POST /initialdata still accepts credentials and issues a token', async () => {
+    const { status, body } = await api('POST', '/initialdata', {
+        body: { username: USERNAME, password: PASSWORD }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.gradeHistory.cgpa, 8.64);
+    assert.equal(body.transcript.courses.length, 6);
+    assert.equal(body.feeReceipts.receipts.length, 2);
+    assert.equal(body.sessionInfo.isNewSession, true);
+    assert.match(body.sessionInfo.token, /^[0-9a-f]{64}$/);
+});
+
+test('POST /logout invalidates the token', async () => {
+    const token = await login();
+
+    const logout = await api('POST', '/logout', { token });
+    assert.equal(logout.status, 200);
+
+    const profile = await api('GET', '/profile', { token });
+    assert.equal(profile.status, 401);
+});
@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { vtopPercentage, planCourse, planAttendance } = require('../attendanceplanner');
+const { loadSlotMap } = require('../schedule');
+
+const slotMap = loadSlotMap();
+
+function theory(attended, total) {
+    return {
+        courseDetail: 'BCSE302L - Database Systems - Embedded Theory',
+        classDetail: 'VL2024250500101 - A1+TA1 - SJT303',
+        courseType: 'ETH',
+        attendedClasses: attended,
+        totalClasses: total
+    };
+}
+
+function lab(attended, total, slots = 'L31+L32') {
+    return {
+        courseDetail: 'BCSE302P - Database Systems Lab - Embedded Lab',
+        classDetail: `VL2024250500102 - ${slots} - SJT217`,
+        courseType: 'ELA',
+        attendedClasses: attended,
+        totalClasses: total
+    };
+}
+
+test('vtopPercentage rounds up like VTOP', () => {
+    assert.equal(vtopPercentage(20, 27), 75); // 74.07%
+    assert.equal(vtopPercentage(3, 4), 75);
+    assert.equal(vtopPercentage(0, 0), null);
+});
+
+test('a course above the threshold reports how many classes can be skipped', () => {
+    const plan = planCourse(theory(28, 34), { slotMap });
+
+    assert.equal(plan.courseCode, 'BCSE302L');
+    assert.equal(plan.percentage, 83);
+    assert.equal(plan.meetsThreshold, true);
+    assert.equal(plan.canSkip, 3); // 28/37 is 75.7%, 28/38 is 73.7%
+    assert.equal(plan.mustAttend, 0);
+});
+
+test('rounding up keeps a 74.07% course at the threshold', () => {
+    const plan = planCourse(theory(20, 27), { slotMap });
+
+    assert.equal(plan.meetsThreshold, true);
+    assert.equal(plan.canSkip, 0);
+});
+
+test('a course below the threshold reports how many classes must be attended', () => {
+    const plan = planCourse(theory(20, 30), { slotMap });
+
+    assert.equal(plan.percentage, 67);
+    assert.equal(plan.meetsThreshold, false);
+    assert.equal(plan.canSkip, 0);
+    assert.equal(plan.mustAttend, 9); // 29/39 is 74.4%, shown as 75%
+});
+
+test('lab sessions count every period they span', () => {
+    const plan = planCourse(lab(10, 14), { slotMap });
+
+    assert.equal(plan.isLab, true);
+    assert.equal(plan.hoursPerSession, 2);
+    assert.equal(plan.percentage, 72);
+    assert.equal(plan.mustAttend, 1); // 12/16 is 75%
+
+    const above = planCourse(lab(22, 24), { slotMap });
+    assert.equal(above.canSkip, 2); // 22/28 is 78.6%, 22/30 is 73.3%
+});
+
+test('lab hours per session come from the slot map', () => {
+    assert.equal(planCourse(lab(0, 0, 'L31+L32+L43+L44'), { slotMap }).hoursPerSession, 2);
+    assert.equal(planCourse(lab(0, 0, 'L31+L32+L33'), { slotMap }).hoursPerSession, 3);
+});
+
+test('a course with no classes yet is not flagged', () => {
+    const plan = planCourse(theory(0, 0), { slotMap });
+
+    assert.equal(plan.percentage, null);
+    assert.equal(plan.meetsThreshold, true);
+    assert.equal(plan.canSkip, 0);
+    assert.equal(plan.mustAttend, 0);
+});
+
+test('planAttendance applies a custom threshold to every course', () => {
+    const planner = planAttendance({ courses: [theory(28, 34), lab(10, 14)] }, { threshold: '80', slotMap });
+
+    assert.equal(planner.threshold, 80);
+    assert.deepEqual(planner.courses.map((course) => course.threshold), [80, 80]);
+    assert.equal(planner.courses[0].canSkip, 1); // 28/35 is exactly 80%
+    assert.equal(planAttendance(null), null);
+});
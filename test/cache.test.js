@@ -0,0 +1,162 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('../sessionstore');
+const { DEFAULT_TTLS, loadCacheTtls, etagOf, matchesEtag, createResourceCache } = require('../cache');
+const { startMockVtop, readFixture } = require('./mockvtop');
+const { USERNAME, PASSWORD, startApp, stopApp, apiClient } = require('./helpers');
+
+// The resource cache on its own, then through the API with the mock portal
+const SEMESTER = 'VL20242505';
+const PROFILE_PAGE = '/vtop/studentsRecord/StudentProfileAllView';
+const MARKS_PAGE = '/vtop/examinations/doStudentMarkView';
+const GRADE_HISTORY_PAGE = '/vtop/examinations/examGradeView/StudentGradeHistory';
+
+let mock;
+let server;
+let baseUrl;
+const { api, login } = apiClient(() => baseUrl);
+
+before(async () => {
+    mock = await startMockVtop({ username: USERNAME, password: PASSWORD });
+
+    process.env.VTOP_BASE_URL = mock.url;
+    process.env.CACHE_TTL_MARKS = '0';
+    ({ server, baseUrl } = await startApp());
+});
+
+after(async () => {
+    await stopApp(server);
+    await mock?.close();
+});
+
+// How many times the mock served a VTOP page during fn()
+async function scrapes(page, fn) {
+    const before = mock.state.requests.filter((path) => path === page).length;
+    const result = await fn();
+    return { result, count: mock.state.requests.filter((path) => path === page).length - before };
+}
+
+test('TTLs default per resource and can be set or turned off', () => {
+    assert.equal(DEFAULT_TTLS.profile, 24 * 60 * 60 * 1000);
+    assert.ok(DEFAULT_TTLS.attendance < DEFAULT_TTLS.semesters);
+
+    const ttls = loadCacheTtls({ CACHE_TTL_PROFILE: '60', CACHE_TTL_DETAILED_ATTENDANCE: '0' });
+    assert.equal(ttls.profile, 60 * 1000);
+    assert.equal(ttls.detailedAttendance, 0);
+    assert.equal(ttls.marks, DEFAULT_TTLS.marks);
+
+    assert.ok(Object.values(loadCacheTtls({ RESOURCE_CACHE: 'false' })).every((ttl) => ttl === 0));
+    assert.throws(() => loadCacheTtls({ CACHE_TTL_MARKS: 'soon' }), /CACHE_TTL_MARKS must be a number of seconds/);
+});
+
+test('entries are kept per student, resource and semester until refreshed', async () => {
+    const cache = createResourceCache({ store: createMemoryStore(), ttls: { marks: 60000 } });
+    const key = { campus: 'vellore', studentId: '21BCE0001', resource: 'marks', semesterId: 'VL1' };
+    let loads = 0;
+    const load = async () => ({ loads: ++loads });
+
+    const first = await cache.get(key, load);
+    assert.deepEqual([first.value, first.hit], [{ loads: 1 }, false]);
+    const second = await cache.get(key, load);
+    assert.deepEqual([second.value, second.hit, second.fetchedAt], [{ loads: 1 }, true, first.fetchedAt]);
+
+    assert.deepEqual((await cache.get({ ...key, semesterId: 'VL2' }, load)).value, { loads: 2 });
+    assert.deepEqual((await cache.get({ ...key, studentId: '21BCE0002' }, load)).value, { loads: 3 });
+    assert.deepEqual((await cache.get(key, load, { refresh: true })).value, { loads: 4 });
+    assert.deepEqual((await cache.get(key, load)).value, { loads: 4 });
+
+    // Resources without a TTL are never stored
+    assert.equal((await cache.get({ ...key, resource: 'profile' }, load)).hit, false);
+    assert.equal((await cache.get({ ...key, resource: 'profile' }, load)).hit, false);
+});
+
+test('partly failed sections and broken stores are not cached', async () => {
+    const broken = {
+        get: async () => { throw new Error('down'); },
+        set: async () => { throw new Error('down'); }
+    };
+    const failing = createResourceCache({ store: broken, ttls: { assignments: 60000 } });
+    const key = { studentId: '21BCE0001', resource: 'assignments', semesterId: 'VL1' };
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        assert.deepEqual((await failing.get(key, async () => 'fresh')).value, 'fresh');
+    } finally {
+        console.error = originalError;
+    }
+
+    const cache = createResourceCache({ store: createMemoryStore(), ttls: { assignments: 60000 } });
+    await cache.get(key, async () => ({ details: [], failedCourses: [{ courseCode: 'BCSE302L' }] }));
+    assert.equal((await cache.get(key, async () => ({ details: [] }))).hit, false);
+    assert.equal((await cache.get(key, async () => ({ details: [] }))).hit, true);
+
+    const view = cache.forRequest();
+    await view.fetch(key, async () => ({ details: [] }));
+    assert.deepEqual(view.served.map(({ resource, hit }) => [resource, hit]), [['assignments', true]]);
+});
+
+test('resources are served from the cache with the original fetch time', async () => {
+    const token = await login();
+
+    const first = await scrapes(PROFILE_PAGE, () => api('GET', '/profile', { token }));
+    assert.equal(first.count, 1);
+    const second = await scrapes(PROFILE_PAGE, () => api('GET', '/profile', { token }));
+    assert.equal(second.count, 0);
+    assert.deepEqual(second.result.body.data, first.result.body.data);
+    assert.equal(second.result.body.fetchTimestamp, first.result.body.fetchTimestamp);
+
+    // Another session of the same student shares the entries
+    const other = await scrapes(PROFILE_PAGE, async () => api('GET', '/profile', { token: await login() }));
+    assert.equal(other.count, 0);
+
+    const refreshed = await scrapes(PROFILE_PAGE, () => api('GET', '/profile?refresh=true', { token }));
+    assert.equal(refreshed.count, 1);
+    assert.notEqual(refreshed.result.body.fetchTimestamp, first.result.body.fetchTimestamp);
+
+    // CACHE_TTL_MARKS=0: marks are read every time
+    assert.equal((await scrapes(MARKS_PAGE, () => api('GET', `/semesters/${SEMESTER}/marks`, { token }))).count, 1);
+    assert.equal((await scrapes(MARKS_PAGE, () => api('GET', `/semesters/${SEMESTER}/marks`, { token }))).count, 1);
+});
+
+test('an unchanged resource answers If-None-Match with 304', async () => {
+    const token = await login();
+    const first = await api('GET', '/fees', { token });
+    const etag = first.headers.get('etag');
+
+    assert.match(etag, /^W\/"[\w-]+"$/);
+    assert.equal(first.headers.get('cache-control'), 'private, no-cache');
+
+    const notModified = await api('GET', '/fees', { token, headers: { 'If-None-Match': etag } });
+    assert.equal(notModified.status, 304);
+    assert.equal(notModified.body, '');
+
+    // A refresh that finds the same data keeps the ETag
+    const refreshed = await api('GET', '/fees?refresh=true', { token, headers: { 'If-None-Match': etag } });
+    assert.equal(refreshed.status, 304);
+
+    mock.state.pages['/vtop/finance/getStudentReceipts'] = readFixture('fee-receipts.html').replace(/VIT/, 'VITV');
+    try {
+        const changed = await api('GET', '/fees?refresh=true', { token, headers: { 'If-None-Match': etag } });
+        assert.equal(changed.status, 200);
+        assert.notEqual(changed.headers.get('etag'), etag);
+    } finally {
+        mock.state.pages = {};
+    }
+    assert.notEqual(etagOf('a', { data: 1 }), etagOf('b', { data: 1 }));
+    assert.equal(matchesEtag('"x", W/"abc"', '"abc"'), true);
+    assert.equal(matchesEtag('W/"abd"', 'W/"abc"'), false);
+});
+
+test('/initialdata reads the grade history once and then from the cache', async () => {
+    const token = await login();
+    const initialData = (query = '') => api('POST', `/initialdata${query}`, { token }).then(({ body }) => body);
+
+    const fresh = await scrapes(GRADE_HISTORY_PAGE, () => initialData('?refresh=true'));
+    assert.equal(fresh.count, 1);
+    assert.equal(fresh.result.gradeHistory.cgpa, 8.64);
+
+    const cached = await scrapes(GRADE_HISTORY_PAGE, () => initialData());
+    assert.equal(cached.count, 0);
+    assert.deepEqual(cached.result.transcript, fresh.result.transcript);
+    assert.deepEqual(cached.result.feeReceipts, fresh.result.feeReceipts);
+});
@@ -0,0 +1,159 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDate, parseClockTime, buildCalendar } = require('../calendar');
+
+const NOW = new Date('2025-01-10T06:00:00Z');
+
+const timeTableData = {
+    courses: [{ classId: 'CLS1', attendance: { date: '02-Jan-2025' } }]
+};
+
+const schedule = {
+    days: [{
+        day: 'MON',
+        classes: [{
+            day: 'MON',
+            start: '14:00',
+            end: '15:40',
+            courseCode: 'BCSE302P',
+            courseTitle: 'Database Systems Lab',
+            courseType: 'Embedded Lab',
+            kind: 'lab',
+            slots: ['L31', 'L32'],
+            classId: 'CLS1',
+            venue: 'SJT217',
+            faculty: 'FACULTY TWO'
+        }]
+    }]
+};
+
+const examSchedule = {
+    examTypes: [{
+        type: 'CAT1',
+        exams: [
+            {
+                courseCode: 'BCSE302L',
+                courseTitle: 'Database Systems',
+                classId: 'CLS2',
+                examDate: '10-Feb-2025',
+                examSession: 'FN',
+                reportingTime: '09:15 AM',
+                examTime: '09:30 AM - 11:00 AM',
+                venue: 'SJT303',
+                seatLocation: 'R1C2',
+                seatNo: '14'
+            },
+            { courseCode: 'BMAT201L', courseTitle: 'Maths', classId: 'CLS3', examDate: null }
+        ]
+    }]
+};
+
+const assignments = {
+    details: [{
+        courseCode: 'BCSE302L',
+        courseTitle: 'Database Systems',
+        classNumber: 'CLS2',
+        assignments: [{ slNo: '1', title: 'Digital Assignment - I', maxMark: 10, weightagePercentage: 10, dueDate: '14-Feb-2025' }]
+    }]
+};
+
+function build(overrides = {}) {
+    return buildCalendar({
+        studentId: '21BCE0001',
+        semesterId: 'VL20242505',
+        schedule,
+        timeTableData,
+        examSchedule,
+        assignments,
+        now: NOW,
+        ...overrides
+    });
+}
+
+function events(ics) {
+    return ics.split('BEGIN:VEVENT').slice(1);
+}
+
+test('parseDate and parseClockTime read VTOP formats', () => {
+    assert.equal(parseDate('14-Feb-2025').toISOString(), '2025-02-14T00:00:00.000Z');
+    assert.equal(parseDate('2025-02-14').toISOString(), '2025-02-14T00:00:00.000Z');
+    assert.equal(parseDate('-'), null);
+    assert.equal(parseClockTime('09:30 AM'), '0930');
+    assert.equal(parseClockTime('01:45 PM'), '1345');
+    assert.equal(parseClockTime('12:10 AM'), '0010');
+});
+
+test('buildCalendar emits a CRLF calendar with a timezone', () => {
+    const ics = build();
+
+    assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.match(ics, /BEGIN:VTIMEZONE\r\nTZID:Asia\/Kolkata/);
+    assert.equal(events(ics).length, 3);
+});
+
+test('classes recur weekly from the first matching weekday', () => {
+    const [classEvent] = events(build({ until: '2025-04-30' }));
+
+    // 02-Jan-2025 is a Thursday, so the first Monday class is 06-Jan
+    assert.match(classEvent, /DTSTART;TZID=Asia\/Kolkata:20250106T140000/);
+    assert.match(classEvent, /DTEND;TZID=Asia\/Kolkata:20250106T154000/);
+    assert.match(classEvent, /RRULE:FREQ=WEEKLY;BYDAY=MO;UNTIL=20250430T182959Z/);
+    assert.match(classEvent, /LOCATION:SJT217/);
+    assert.match(classEvent, /SUMMARY:BCSE302P - Database Systems Lab \(lab\)/);
+});
+
+test('?from= bounds classes even when the course started earlier', () => {
+    const ics = build({ from: '2025-02-01', until: '2025-04-30' });
+
+    // The course started on 02-Jan-2025; the first Monday from 01-Feb is 03-Feb
+    assert.match(events(ics)[0], /DTSTART;TZID=Asia\/Kolkata:20250203T140000/);
+    events(ics).forEach((event) => {
+        const [, date] = event.match(/DTSTART[^:]*:(\d{8})/);
+        assert.ok(date >= '20250201', `event on ${date} starts before from`);
+    });
+});
+
+test('exams become timed events with venue and seat details', () => {
+    const examEvent = events(build())[1];
+
+    assert.match(examEvent, /DTSTART;TZID=Asia\/Kolkata:20250210T093000/);
+    assert.match(examEvent, /DTEND;TZID=Asia\/Kolkata:20250210T110000/);
+    assert.match(examEvent, /SUMMARY:CAT1: BCSE302L - Database Systems/);
+    assert.match(examEvent, /Reporting time: 09:15 AM/);
+    assert.match(examEvent, /Seat number: 14/);
+});
+
+test('assignment due dates become all-day events', () => {
+    const assignmentEvent = events(build())[2];
+
+    assert.match(assignmentEvent, /DTSTART;VALUE=DATE:20250214/);
+    assert.match(assignmentEvent, /DTEND;VALUE=DATE:20250215/);
+    assert.match(assignmentEvent, /SUMMARY:Due: BCSE302L - Digital Assignment - I/);
+});
+
+test('UIDs are stable across builds and unique per event', () => {
+    const uids = (ics) => ics.match(/^UID:.*$/gm);
+    const first = uids(build());
+    const second = uids(build({ now: new Date('2025-03-01T00:00:00Z') }));
+
+    assert.deepEqual(first, second);
+    assert.equal(new Set(first).size, first.length);
+});
+
+test('long lines are folded and text is escaped', () => {
+    const ics = build({
+        schedule: null,
+        examSchedule: null,
+        assignments: {
+            details: [{
+                courseCode: 'X',
+                courseTitle: 'Semi; colons, commas',
+                assignments: [{ slNo: '1', title: 'A'.repeat(120), dueDate: '14-Feb-2025' }]
+            }]
+        }
+    });
+
+    ics.split('\r\n').forEach((line) => assert.ok(Buffer.byteLength(line) <= 75, line));
+    assert.match(ics, /Semi\\; colons\\, commas/);
+});
@@ -0,0 +1,129 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startMockVtop } = require('./mockvtop');
+const { USERNAME, PASSWORD, startApp, stopApp, apiClient } = require('./helpers');
+const {
+    CAMPUS_PROFILES,
+    CampusError,
+    loadCampusProfiles,
+    resolveCampus,
+    semesterMismatch
+} = require('../campuses');
+
+let vellore;
+let example;
+let server;
+let baseUrl;
+let tmpDir;
+const { api } = apiClient(() => baseUrl);
+
+before(async () => {
+    vellore = await startMockVtop({ username: USERNAME, password: PASSWORD });
+    example = await startMockVtop({ username: USERNAME, password: PASSWORD, campus: 'example' });
+
+    // A made-up second campus, added through the overrides file with its
+    // own portal and a slot chart whose first theory period starts later
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vtop-campus-'));
+    const slotMap = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'slotmap.json'), 'utf8'));
+    slotMap.theory.periods[0] = ['08:15', '09:05'];
+    fs.writeFileSync(path.join(tmpDir, 'slotmap-example.json'), JSON.stringify(slotMap));
+    fs.writeFileSync(path.join(tmpDir, 'campuses.json'), JSON.stringify({
+        example: { name: 'Test Campus', baseUrl: example.url, semesterPrefix: 'EX', slotMap: 'slotmap-example.json' }
+    }));
+
+    process.env.VTOP_BASE_URL = vellore.url;
+    process.env.CAMPUS_PROFILES_PATH = path.join(tmpDir, 'campuses.json');
+    ({ server, baseUrl } = await startApp());
+});
+
+after(async () => {
+    await stopApp(server);
+    await vellore?.close();
+    await example?.close();
+    if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('campus profiles fill in default paths and take overrides', () => {
+    const profiles = loadCampusProfiles({});
+    assert.deepEqual(Object.keys(profiles), ['vellore']);
+    assert.deepEqual(Object.keys(CAMPUS_PROFILES), ['vellore']);
+    assert.equal(profiles.vellore.baseUrl, 'https://vtop.vit.ac.in');
+    assert.equal(profiles.vellore.paths.marks, '/vtop/examinations/doStudentMarkView');
+    assert.equal(path.basename(profiles.vellore.slotMap), 'slotmap.json');
+
+    const overridden = loadCampusProfiles({
+        VTOP_BASE_URL: 'http://127.0.0.1:4000/',
+        CAMPUS_PROFILES_PATH: path.join(tmpDir, 'campuses.json')
+    });
+    assert.deepEqual(Object.keys(overridden), ['vellore', 'example']);
+    assert.equal(overridden.vellore.baseUrl, 'http://127.0.0.1:4000');
+    assert.equal(overridden.example.baseUrl, example.url);
+    assert.equal(overridden.example.paths.marks, '/vtop/examinations/doStudentMarkView');
+    assert.equal(overridden.example.slotMap, path.join(tmpDir, 'slotmap-example.json'));
+
+    assert.throws(() => loadCampusProfiles({ CAMPUS_PROFILES_PATH: path.join(tmpDir, 'missing.json') }), CampusError);
+    fs.writeFileSync(path.join(tmpDir, 'incomplete.json'), JSON.stringify({ pune: { baseUrl: 'https://example.com' } }));
+    assert.throws(() => loadCampusProfiles({ CAMPUS_PROFILES_PATH: path.join(tmpDir, 'incomplete.json') }), /semesterPrefix/);
+});
+
+test('campuses resolve by id and own their semester prefixes', () => {
+    const profiles = loadCampusProfiles({ CAMPUS_PROFILES_PATH: path.join(tmpDir, 'campuses.json') });
+
+    assert.equal(resolveCampus(profiles, 'Example').id, 'example');
+    assert.throws(() => resolveCampus(profiles, 'chennai'), /expected vellore, example/);
+    assert.throws(() => resolveCampus(profiles, '__proto__'), CampusError);
+
+    assert.equal(semesterMismatch(profiles.example, 'EX20242505'), null);
+    assert.match(semesterMismatch(profiles.example, 'VL20242505'), /not a Test Campus semester \(IDs there start with EX\)/);
+    assert.match(semesterMismatch(profiles.vellore, 'EX20242505'), /not a VIT Vellore semester/);
+});
+
+test('a login for a campus uses that campus\'s portal and slot chart', async () => {
+    const login = await api('POST', '/login', { body: { username: USERNAME, password: PASSWORD, campus: 'example' } });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.campus, 'example');
+    const { token } = login.body;
+    const velloreRequests = vellore.state.requests.length;
+
+    const semesters = await api('GET', '/semesters', { token });
+    assert.deepEqual(semesters.body.data.map(({ id }) => id), ['EX20242505', 'EX20242501', 'EX20232405']);
+
+    const attendance = await api('GET', '/semesters/EX20242505/attendance?detailed=true', { token });
+    assert.equal(attendance.status, 200);
+    assert.equal(attendance.body.data.detailed.courses.length, 2);
+
+    const schedule = await api('GET', '/semesters/EX20242505/schedule', { token });
+    assert.equal(schedule.body.data.days[0].classes[0].start, '08:15');
+
+    assert.equal(example.state.requests.includes('/vtop/processViewAttendanceDetail'), true);
+    assert.equal(vellore.state.requests.length, velloreRequests);
+});
+
+test('semesters of another campus are rejected before reaching VTOP', async () => {
+    const login = await api('POST', '/login', { body: { username: USERNAME, password: PASSWORD, campus: 'example' } });
+    const { token } = login.body;
+    const requests = example.state.requests.length;
+
+    const marks = await api('GET', '/semesters/VL20242505/marks', { token });
+    assert.equal(marks.status, 400);
+    assert.match(marks.body.message, /not a Test Campus semester/);
+
+    const semesterData = await api('POST', '/semesterdata', { token, body: { semesterId: 'VL20242505' } });
+    assert.equal(semesterData.status, 400);
+    assert.equal(example.state.requests.length, requests);
+});
+
+test('logins without a campus stay on Vellore; unknown campuses are refused', async () => {
+    const login = await api('POST', '/login', { body: { username: USERNAME, password: PASSWORD } });
+    assert.equal(login.body.campus, 'vellore');
+
+    const marks = await api('GET', '/semesters/VL20242505/marks', { token: login.body.token });
+    assert.equal(marks.status, 200);
+
+    const unknown = await api('POST', '/login', { body: { username: USERNAME, password: PASSWORD, campus: 'pune' } });
+    assert.equal(unknown.status, 400);
+    assert.match(unknown.body.message, /Unknown campus "pune"/);
+});
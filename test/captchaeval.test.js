@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadModel } = require('../captchamodel');
+const { readLabelledSet, scorePredictions, evaluateModes } = require('../captchaeval');
+
+test('labelled sets take the answer from the file name', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'captchas-'));
+    try {
+        ['k7p9qx.jpg', 'A2B3C4_2.png', 'A2B3C4.jpg', 'notes.txt', 'SHORT.jpg'].forEach((name) => {
+            fs.writeFileSync(path.join(dir, name), '');
+        });
+
+        assert.deepEqual(readLabelledSet(dir).map(({ file, label }) => [path.basename(file), label]), [
+            ['A2B3C4.jpg', 'A2B3C4'],
+            ['A2B3C4_2.png', 'A2B3C4'],
+            ['k7p9qx.jpg', 'K7P9QX']
+        ]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('predictions are scored per captcha and per character', () => {
+    assert.deepEqual(scorePredictions([
+        { label: 'A2B3C4', text: 'A2B3C4' },
+        { label: 'K7P9QX', text: 'K7P9QY' },
+        { label: 'K7P9QX', text: null }
+    ]), { total: 3, correct: 1, accuracy: 0.3333, characterAccuracy: 0.6111 });
+
+    assert.deepEqual(scorePredictions([]), { total: 0, correct: 0, accuracy: null, characterAccuracy: null });
+});
+
+test('every solver mode is evaluated', () => {
+    const pixels = new Uint8ClampedArray(200 * 40 * 4).fill(255);
+    const reports = evaluateModes([{ label: 'A2B3C4', pixels }], loadModel());
+
+    assert.deepEqual(reports.map(({ mode, total }) => [mode, total]), [['nn', 1]]);
+    assert.ok(reports[0].characterAccuracy >= 0 && reports[0].characterAccuracy <= 1);
+});
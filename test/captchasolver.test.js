@@ -0,0 +1,88 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { FIXTURES_DIR } = require('./mockvtop');
+const { pre_img, saturation, max_soft, loadModel, logits, solvePixels } = require('../captchamodel');
+const {
+    decodeCaptcha,
+    recognizeCaptcha,
+    solveCaptchaFromBase64,
+    solveCaptchaFromFile,
+    closeCaptchaSolver
+} = require('../captchasolver');
+
+const fixtures = ['A2B3C4.jpg', 'K7P9QX.jpg'].map((name) => path.join(FIXTURES_DIR, 'captchas', name));
+
+after(closeCaptchaSolver);
+
+test('saturation cuts six 22x24 blocks and pre_img binarizes them', () => {
+    const pixels = new Uint8ClampedArray(200 * 40 * 4);
+    // One fully saturated red pixel at the top-left of the first block (row 8, column 27)
+    pixels.set([255, 0, 0, 255], (8 * 200 + 27) * 4);
+
+    const blocks = saturation(pixels);
+    assert.equal(blocks.length, 6);
+    assert.ok(blocks.every((block) => block.length === 22 * 24));
+    assert.equal(blocks[0][0], 255);
+
+    const bits = pre_img(blocks[0]);
+    assert.equal(bits[0], 1);
+    assert.equal(bits.reduce((sum, bit) => sum + bit, 0), 1);
+});
+
+test('logits match a plain matrix product and max_soft sums to one', () => {
+    const model = loadModel({ weights: [[1, 2], [3, 4], [5, 6]], biases: [0.5, -0.5], labels: 'XY' });
+    assert.deepEqual([...logits([1, 0, 2], model)], [1 + 10 + 0.5, 2 + 12 - 0.5]);
+
+    const probabilities = max_soft([1000, 1000, 999]);
+    assert.ok(Math.abs(probabilities.reduce((sum, value) => sum + value, 0) - 1) < 1e-9);
+    assert.ok(probabilities[0] > probabilities[2]);
+});
+
+test('solvePixels rejects images of the wrong size', () => {
+    assert.throws(() => solvePixels(new Uint8ClampedArray(16), loadModel()), /200x40/);
+});
+
+test('concurrent solves in the worker pool match solving one at a time', async () => {
+    const model = loadModel();
+    const expected = await Promise.all(fixtures.map(async (file) =>
+        solvePixels(await decodeCaptcha(fs.readFileSync(file)), model).text));
+    assert.notEqual(expected[0], expected[1]);
+
+    const images = fixtures.map((file) => `data:image/jpeg;base64,${fs.readFileSync(file).toString('base64')}`);
+    const results = await Promise.all(Array.from({ length: 20 }, (_, i) => solveCaptchaFromBase64(images[i % 2])));
+
+    results.forEach((result, i) => assert.equal(result, expected[i % 2]));
+    assert.equal(fs.existsSync('./temp_captcha.jpg'), false);
+    assert.equal(await solveCaptchaFromFile(fixtures[1]), expected[1]);
+});
+
+test('recognizeCaptcha reports per-character probabilities and overall confidence', async () => {
+    const result = await recognizeCaptcha(fs.readFileSync(fixtures[1]));
+
+    assert.equal(result.characters.length, 6);
+    assert.equal(result.text, result.characters.map(({ char }) => char).join(''));
+    result.characters.forEach(({ char, probability, candidates }) => {
+        assert.ok(probability > 0 && probability <= 1);
+        assert.equal(candidates.length, 3);
+        assert.deepEqual(candidates[0], { char, probability });
+        assert.ok(candidates[1].probability <= probability);
+    });
+
+    const product = result.characters.reduce((value, { probability }) => value * probability, 1);
+    assert.ok(Math.abs(result.confidence - product) < 1e-12);
+});
+
+test('the network is the only solver mode', async () => {
+    const pixels = await decodeCaptcha(fs.readFileSync(fixtures[0]));
+    const model = loadModel();
+
+    assert.equal(solvePixels(pixels, model).mode, 'nn');
+    assert.throws(() => solvePixels(pixels, model, { mode: 'bitmap' }), /unknown solver mode "bitmap" \(expected nn\)/);
+    assert.throws(() => solvePixels(pixels, model, { mode: 'ensemble' }), /unknown solver mode/);
+});
+
+test('undecodable images resolve to null', async () => {
+    assert.equal(await solveCaptchaFromBase64('data:image/jpeg;base64,bm90IGFuIGltYWdl'), null);
+});
@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCaptchaStats } = require('../captchastats');
+
+test('outcomes are counted per confidence bucket', () => {
+    const stats = createCaptchaStats([0, 0.5, 0.9, 1]);
+
+    stats.record(0.2, 'refetched');
+    stats.record(0.6, 'failed');
+    stats.record(0.7, 'accepted');
+    stats.record(0.7, 'accepted');
+    stats.record(1, 'accepted');
+    stats.record(undefined, 'failed');
+
+    assert.deepEqual(stats.snapshot(), [
+        { from: 0, to: 0.5, accepted: 0, failed: 1, refetched: 1, successRate: 0 },
+        { from: 0.5, to: 0.9, accepted: 2, failed: 1, refetched: 0, successRate: 0.667 },
+        { from: 0.9, to: 1, accepted: 1, failed: 0, refetched: 0, successRate: 1 }
+    ]);
+});
+
+test('buckets with nothing submitted have no success rate', () => {
+    const [bucket] = createCaptchaStats().snapshot();
+    assert.equal(bucket.successRate, null);
+});
@@ -0,0 +1,104 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FIXTURES_DIR } = require('./mockvtop');
+const { parseModelFile, serializeModel } = require('../captchamodel');
+const { characterExamples, trainSoftmax, evaluateCharacters, splitHoldout } = require('../captchatrain');
+const { readLabelledSet, evaluateModes } = require('../captchaeval');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'captcha-model-'));
+const modelPath = path.join(dir, 'model.json');
+const labelled = [['A2B3C4', 'A2B3C4.jpg'], ['K7P9QX', 'K7P9QX.jpg']].map(([label, name]) => ({
+    label,
+    image: fs.readFileSync(path.join(FIXTURES_DIR, 'captchas', name))
+}));
+
+let examples;
+let trained;
+const losses = [];
+
+// Train on the fixture captchas once and write the model file the other
+// tests read, so each of them also runs on its own
+before(async () => {
+    const { decodeCaptcha } = require('../captchasolver');
+    examples = [];
+    for (const { label, image } of labelled) {
+        examples.push(...characterExamples(await decodeCaptcha(image), label));
+    }
+    trained = trainSoftmax(examples, { epochs: 20, onEpoch: (epoch, loss) => losses.push(loss) });
+    fs.writeFileSync(modelPath, JSON.stringify(serializeModel(trained, { epochs: 20 })));
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('a trained model separates its training characters and reports confusions', () => {
+    assert.equal(examples.length, 12);
+    assert.equal(trained.weights.length, 22 * 24);
+    assert.ok(losses[19] < losses[0]);
+
+    const report = evaluateCharacters(examples, trained);
+    assert.equal(report.accuracy, 1);
+    assert.deepEqual(report.perCharacter.K, { total: 1, correct: 1, accuracy: 1 });
+    assert.deepEqual(report.confusion.K, { K: 1 });
+
+    // The bundled network was not trained on these synthetic characters
+    const bundled = evaluateCharacters(examples);
+    assert.ok(bundled.accuracy < 1);
+    assert.equal(Object.values(bundled.confusion).flatMap(Object.values).reduce((a, b) => a + b, 0), 12);
+});
+
+test('the solver uses the model file from CAPTCHA_MODEL_PATH', async () => {
+    // The model path is read when captchasolver.js loads
+    delete require.cache[require.resolve('../captchasolver')];
+    process.env.CAPTCHA_MODEL_PATH = modelPath;
+    const solver = require('../captchasolver');
+    delete process.env.CAPTCHA_MODEL_PATH;
+
+    try {
+        assert.equal(solver.MODEL_INFO.source, modelPath);
+        assert.equal(solver.MODEL_INFO.version, 1);
+        for (const { label, image } of labelled) {
+            assert.equal(await solver.solveCaptchaFromBuffer(image), label);
+        }
+
+        // The accuracy report (npm run captcha:accuracy) agrees on the labelled set
+        const samples = [];
+        for (const { file, label } of readLabelledSet(path.join(FIXTURES_DIR, 'captchas'))) {
+            samples.push({ label, pixels: await solver.decodeCaptcha(fs.readFileSync(file)) });
+        }
+        assert.deepEqual(evaluateModes(samples, solver.loadSolverModel()), [
+            { mode: 'nn', total: 2, correct: 2, accuracy: 1, characterAccuracy: 1 }
+        ]);
+    } finally {
+        await solver.closeCaptchaSolver();
+    }
+});
+
+test('training rejects characters outside the label set', () => {
+    assert.throws(() => trainSoftmax([{ features: new Float32Array(4), label: '0' }]), /not in the label set/);
+    assert.throws(() => trainSoftmax([]), /no training examples/);
+});
+
+test('model files are checked before use', () => {
+    const file = JSON.parse(fs.readFileSync(modelPath, 'utf8'));
+    assert.equal(parseModelFile(file), file);
+    assert.equal(file.training.epochs, 20);
+
+    assert.throws(() => parseModelFile({ ...file, format: 'other' }), /not a captcha model file/);
+    assert.throws(() => parseModelFile({ ...file, version: 2 }), /unsupported captcha model version 2/);
+    assert.throws(() => parseModelFile({ ...file, biases: file.biases.slice(1) }), /528x32/);
+    assert.throws(() => parseModelFile({ ...file, labels: 'AAB' }), /distinct/);
+
+    const { readModelFile } = require('../captchasolver');
+    assert.throws(() => readModelFile(path.join(dir, 'missing.json')), /Cannot load captcha model/);
+});
+
+test('held-out captchas never appear in the training split', () => {
+    const items = Array.from({ length: 10 }, (_, i) => i);
+    const { train, holdout } = splitHoldout(items, 0.2, 7);
+    assert.equal(holdout.length, 2);
+    assert.deepEqual([...train, ...holdout].sort((a, b) => a - b), items);
+    assert.deepEqual(splitHoldout(items, 0.2, 7), { train, holdout });
+});
@@ -0,0 +1,141 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SimulationError, simulateCgpa } = require('../cgpasimulator');
+
+const baseline = { cgpa: 8.64, creditsEarned: 88 };
+
+test('simulateCgpa projects semester GPA and CGPA', () => {
+    const result = simulateCgpa(baseline, [
+        { courseCode: 'BCSE302L', credits: 3, grade: 'A' },
+        { courseCode: 'BCSE302P', credits: 1, grade: 's' }
+    ]);
+
+    assert.equal(result.semester.gpa, 9.25);
+    assert.equal(result.semester.credits, 4);
+    assert.equal(result.projected.cgpa, 8.67);
+    assert.equal(result.projected.creditsEarned, 92);
+    assert.deepEqual(result.semester.courses.map((course) => course.gradePoint), [9, 10]);
+});
+
+test('failed courses lower the GPA but earn no CGPA credits', () => {
+    const result = simulateCgpa(baseline, [
+        { courseCode: 'BCSE302L', credits: 3, grade: 'A' },
+        { courseCode: 'BCSE302P', credits: 1, grade: 'S' },
+        { courseCode: 'BMAT201L', credits: 3, grade: 'F' }
+    ]);
+
+    assert.equal(result.semester.gpa, 5.29);
+    assert.equal(result.projected.cgpa, 8.67);
+    assert.equal(result.projected.creditsEarned, 92);
+});
+
+test('repeated courses replace their old grade', () => {
+    const result = simulateCgpa(baseline, [
+        { courseCode: 'BMAT101L', credits: 3, grade: 'S', replaces: { grade: 'D' } }
+    ]);
+
+    // (760.32 - 3 * 6 + 3 * 10) / 88
+    assert.equal(result.projected.cgpa, 8.78);
+    assert.equal(result.projected.creditsEarned, 88);
+});
+
+test('repeating an F adds the credits back', () => {
+    const result = simulateCgpa(baseline, [
+        { courseCode: 'BMAT101L', credits: 3, grade: 'B', replaces: { grade: 'F' } }
+    ]);
+
+    assert.equal(result.projected.creditsEarned, 91);
+});
+
+test('non-GPA courses are excluded', () => {
+    const result = simulateCgpa(baseline, [
+        { courseCode: 'BCSE302L', credits: 3, grade: 'A' },
+        { courseCode: 'BSTS301P', credits: 1.5, grade: 'P', isNonGPACourse: true }
+    ]);
+
+    assert.equal(result.semester.gpa, 9);
+    assert.equal(result.semester.credits, 3);
+    assert.equal(result.projected.creditsEarned, 91);
+    assert.equal(result.semester.courses[1].countsForGpa, false);
+});
+
+test('targetCgpa gives the average grade needed this semester', () => {
+    const result = simulateCgpa(baseline, [
+        { courseCode: 'C1', credits: 4 },
+        { courseCode: 'C2', credits: 4 },
+        { courseCode: 'C3', credits: 4 },
+        { courseCode: 'C4', credits: 4 },
+        { courseCode: 'C5', credits: 4 }
+    ], { targetCgpa: 8.7 });
+
+    // (8.7 * 108 - 760.32) / 20
+    assert.deepEqual(result.target, {
+        cgpa: 8.7,
+        credits: 20,
+        requiredGpa: 8.96,
+        requiredGrade: 'A',
+        achievable: true
+    });
+    assert.equal(result.semester.gpa, null);
+});
+
+test('an out-of-reach target is reported as not achievable', () => {
+    const result = simulateCgpa(baseline, [{ courseCode: 'C1', credits: 4 }], { targetCgpa: 9 });
+
+    assert.equal(result.target.achievable, false);
+    assert.equal(result.target.requiredGrade, null);
+});
+
+test('graded courses count as given towards the target', () => {
+    const result = simulateCgpa(baseline, [
+        { courseCode: 'C1', credits: 4, grade: 'S' },
+        { courseCode: 'C2', credits: 4, grade: 'F' },
+        { courseCode: 'C3', credits: 4 },
+        { courseCode: 'C4', credits: 4 }
+    ], { targetCgpa: 8.7 });
+
+    // (8.7 * (88 + 4 + 8) - (760.32 + 40)) / 8: the F earns no credits
+    assert.deepEqual(result.target, {
+        cgpa: 8.7,
+        credits: 8,
+        requiredGpa: 8.71,
+        requiredGrade: 'A',
+        achievable: true
+    });
+});
+
+test('with every course graded the target is met or not', () => {
+    const courses = [{ courseCode: 'C1', credits: 4, grade: 'S' }, { courseCode: 'C2', credits: 4, grade: 'A' }];
+
+    assert.deepEqual(simulateCgpa(baseline, courses, { targetCgpa: 8.7 }).target, {
+        cgpa: 8.7,
+        credits: 0,
+        requiredGpa: null,
+        requiredGrade: null,
+        achievable: true
+    });
+    assert.equal(simulateCgpa(baseline, courses, { targetCgpa: 8.8 }).target.achievable, false);
+});
+
+test('a first semester starts from no credits', () => {
+    const result = simulateCgpa({ cgpa: 0, creditsEarned: 0 }, [
+        { courseCode: 'C1', credits: 4, grade: 'A' },
+        { courseCode: 'C2', credits: 2, grade: 'B' },
+        { courseCode: 'C3', credits: 4 }
+    ], { targetCgpa: 9 });
+
+    assert.equal(result.projected.cgpa, 8.67);
+    // (9 * 10 - 52) / 4
+    assert.equal(result.target.requiredGpa, 9.5);
+    assert.equal(result.target.achievable, true);
+});
+
+test('invalid input raises SimulationError', () => {
+    assert.throws(() => simulateCgpa(baseline, []), SimulationError);
+    assert.throws(() => simulateCgpa(baseline, [{ credits: 3, grade: 'Q' }]), /unknown grade/);
+    assert.throws(() => simulateCgpa(baseline, [{ credits: 0, grade: 'A' }]), /credits/);
+    assert.throws(() => simulateCgpa(baseline, [{ credits: 3 }], { targetCgpa: 11 }), /targetCgpa/);
+    assert.throws(() => simulateCgpa(null, [{ credits: 3, grade: 'A' }]), /CGPA details/);
+    assert.throws(() => simulateCgpa(baseline, [{ credits: 2, grade: 'P', isNonGPACourse: true }], { targetCgpa: 9 }),
+        /at least one GPA course/);
+});
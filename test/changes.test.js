@@ -0,0 +1,194 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSnapshot, diffSnapshots, applySnapshot, changesSince } = require('../changes');
+
+function marks(scores) {
+    return {
+        courses: [{
+            courseCode: 'BCSE302L',
+            courseTitle: 'Database Systems',
+            courseType: 'Embedded Theory',
+            marks: scores.map(([markTitle, scoredMark]) => ({
+                markTitle,
+                maxMark: 50,
+                weightagePercentage: 15,
+                status: 'Present',
+                scoredMark,
+                weightageMark: scoredMark * 0.3
+            }))
+        }]
+    };
+}
+
+function detailed(records) {
+    return {
+        courses: [{
+            courseCode: 'BCSE302L',
+            courseInfo: { courseDetail: 'BCSE302L - Database Systems - Embedded Theory' },
+            attendanceRecords: records.map(([date, slot, status]) => ({ date, slot, dayTime: 'MON,08:00-08:50', status }))
+        }]
+    };
+}
+
+function exams(exam) {
+    return {
+        examTypes: [{
+            type: 'CAT1',
+            exams: [{
+                courseCode: 'BCSE302L',
+                courseTitle: 'Database Systems',
+                courseType: 'Embedded Theory',
+                examDate: '10-Feb-2025',
+                examSession: 'FN',
+                examTime: '09:30 AM - 11:00 AM',
+                reportingTime: '09:00 AM',
+                venue: 'SJT303',
+                seatLocation: 'R1C2',
+                seatNo: '14',
+                ...exam
+            }]
+        }]
+    };
+}
+
+function assignments(list) {
+    return {
+        details: [{
+            courseCode: 'BCSE302L',
+            courseTitle: 'Database Systems',
+            classNumber: 'VL2024250500101',
+            assignments: list.map(([title, dueDate]) => ({ title, dueDate, maxMark: 10, weightagePercentage: 10 }))
+        }]
+    };
+}
+
+test('new and changed marks are reported with their scores', () => {
+    const before = buildSnapshot({ marks: marks([['CAT1', 41], ['CAT2', NaN]]) });
+    const after = buildSnapshot({ marks: marks([['CAT1', 43], ['CAT2', 38]]) });
+
+    const changes = diffSnapshots(before, after);
+    assert.deepEqual(changes.map((change) => [change.type, change.markTitle, change.scoredMark]), [
+        ['mark.updated', 'CAT1', 43],
+        ['mark.posted', 'CAT2', 38]
+    ]);
+    assert.equal(changes[0].previous.scoredMark, 41);
+});
+
+test('only newly marked absences are reported', () => {
+    const before = buildSnapshot({ detailedAttendance: detailed([['06-Jan-2025', 'A1', 'Present'], ['08-Jan-2025', 'TA1', 'Absent']]) });
+    const after = buildSnapshot({
+        detailedAttendance: detailed([
+            ['06-Jan-2025', 'A1', 'Absent'],
+            ['08-Jan-2025', 'TA1', 'Absent'],
+            ['13-Jan-2025', 'A1', 'Absent'],
+            ['15-Jan-2025', 'TA1', 'Present']
+        ])
+    });
+
+    const changes = diffSnapshots(before, after);
+    assert.deepEqual(changes.map((change) => [change.type, change.date]), [
+        ['attendance.absent', '06-Jan-2025'],
+        ['attendance.absent', '13-Jan-2025']
+    ]);
+    assert.equal(changes[0].courseCode, 'BCSE302L');
+    assert.deepEqual(changes[0].previous, { status: 'Present' });
+});
+
+test('attendance totals that moved are reported', () => {
+    const course = (attendedClasses, totalClasses) => ({
+        courses: [{ courseDetail: 'BCSE302L - Database Systems - Embedded Theory', attendedClasses, totalClasses, attendancePercentage: '' }]
+    });
+
+    const changes = diffSnapshots(buildSnapshot({ attendance: course(28, 34) }), buildSnapshot({ attendance: course(28, 35) }));
+    assert.equal(changes.length, 1);
+    assert.equal(changes[0].type, 'attendance.updated');
+    assert.equal(changes[0].previous.totalClasses, 34);
+});
+
+test('exam venue, seat and date changes are reported separately', () => {
+    const before = buildSnapshot({ examSchedule: exams({}) });
+
+    assert.deepEqual(diffSnapshots(before, buildSnapshot({ examSchedule: exams({}) })), []);
+
+    const moved = diffSnapshots(before, buildSnapshot({ examSchedule: exams({ venue: 'TT101', seatNo: '22' }) }));
+    assert.deepEqual(moved.map((change) => change.type), ['exam.venueChanged', 'exam.seatChanged']);
+    assert.deepEqual(moved[0].previous, { venue: 'SJT303' });
+
+    const rescheduled = diffSnapshots(before, buildSnapshot({ examSchedule: exams({ examDate: '12-Feb-2025' }) }));
+    assert.equal(rescheduled[0].type, 'exam.rescheduled');
+    assert.equal(rescheduled[0].previous.examDate, '10-Feb-2025');
+
+    const unscheduled = buildSnapshot({ examSchedule: exams({ examDate: null, venue: null }) });
+    assert.deepEqual(diffSnapshots(unscheduled, before).map((change) => change.type), ['exam.scheduled']);
+});
+
+test('new and rescheduled assignments are reported', () => {
+    const before = buildSnapshot({ assignments: assignments([['DA1', '14-Feb-2025']]) });
+    const after = buildSnapshot({ assignments: assignments([['DA1', '21-Feb-2025'], ['DA2', '14-Mar-2025']]) });
+
+    assert.deepEqual(diffSnapshots(before, after).map((change) => [change.type, change.title, change.dueDate]), [
+        ['assignment.rescheduled', 'DA1', '21-Feb-2025'],
+        ['assignment.added', 'DA2', '14-Mar-2025']
+    ]);
+});
+
+test('sections missing on either side are not diffed', () => {
+    const before = buildSnapshot({ marks: marks([['CAT1', 41]]) });
+    const after = buildSnapshot({ marks: null, assignments: assignments([['DA1', '14-Feb-2025']]) });
+
+    assert.deepEqual(after, { assignments: after.assignments });
+    assert.deepEqual(diffSnapshots(before, after), []);
+
+    const partial = { ...assignments([['DA1', '14-Feb-2025']]), failedCourses: [{ courseCode: 'BCSE303L', code: 'TIMEOUT' }] };
+    assert.deepEqual(buildSnapshot({ assignments: partial }), {});
+});
+
+test('applySnapshot logs changes and keeps stored sections', () => {
+    const first = applySnapshot(null, buildSnapshot({ marks: marks([['CAT1', 41]]), examSchedule: exams({}) }), {
+        now: new Date('2025-02-01T10:00:00Z')
+    });
+    assert.equal(first.baseline, true);
+    assert.deepEqual(first.changes, []);
+
+    const second = applySnapshot(first.record, buildSnapshot({ marks: marks([['CAT1', 41], ['CAT2', 30]]) }), {
+        now: new Date('2025-02-02T10:00:00Z')
+    });
+    assert.equal(second.baseline, false);
+    assert.equal(second.changes[0].detectedAt, '2025-02-02T10:00:00.000Z');
+    assert.ok(second.record.snapshot.exams);
+
+    const third = applySnapshot(second.record, buildSnapshot({ examSchedule: exams({ venue: 'TT101' }) }), {
+        now: new Date('2025-02-03T10:00:00Z'),
+        logLimit: 1
+    });
+    assert.deepEqual(third.record.changes.map((change) => change.type), ['exam.venueChanged']);
+
+    const log = applySnapshot(second.record, {}, { now: new Date('2025-02-03T10:00:00Z') }).record;
+    assert.equal(changesSince(log, new Date('2025-02-01T12:00:00Z')).length, 1);
+    assert.equal(changesSince(log, new Date('2025-02-02T10:00:00Z')).length, 0);
+});
+
+test('sections older than the stored snapshot are not applied', () => {
+    const at = (time) => new Date(`2025-02-0${time}T10:00:00Z`).getTime();
+    const first = applySnapshot(null, buildSnapshot({ examSchedule: exams({}) }), { now: new Date(at(1)) });
+    const moved = applySnapshot(first.record, buildSnapshot({ examSchedule: exams({ venue: 'TT101' }) }), {
+        now: new Date(at(2))
+    });
+    assert.equal(moved.changes.length, 1);
+
+    // A cached copy read before the move, served afterwards
+    const stale = applySnapshot(moved.record, buildSnapshot({ examSchedule: exams({}), marks: marks([['CAT1', 41]]) }), {
+        now: new Date(at(3)),
+        fetchedAt: { exams: at(1) }
+    });
+    assert.deepEqual(stale.changes, []);
+    assert.equal(stale.record.snapshot.exams, moved.record.snapshot.exams);
+    assert.equal(stale.record.fetchedAt.exams, at(2));
+    assert.ok(stale.record.snapshot.marks);
+
+    // The next fresh read does not report the move again
+    const fresh = applySnapshot(stale.record, buildSnapshot({ examSchedule: exams({ venue: 'TT101' }) }), {
+        now: new Date(at(4))
+    });
+    assert.deepEqual(fresh.changes, []);
+});
@@ -0,0 +1,135 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { startMockVtop, readFixture } = require('./mockvtop');
+
+// The CLI as a child process against the mock portal, with piped stdin
+// (so the password is read from it) and a session file in a temp dir
+const USERNAME = '21BCE0001';
+const PASSWORD = 'correct-password';
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+let mock;
+let tmpDir;
+let sessionFile;
+
+before(async () => {
+    mock = await startMockVtop({ username: USERNAME, password: PASSWORD });
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vtop-cli-'));
+    sessionFile = path.join(tmpDir, 'session', 'session.json');
+});
+
+after(async () => {
+    await mock.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Run `vtop ...args` with `input` on stdin: { code, stdout, stderr }
+function vtop(args, input = '') {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [CLI, ...args], {
+            cwd: tmpDir,
+            env: { ...process.env, VTOP_BASE_URL: mock.url, VTOP_SESSION_FILE: sessionFile }
+        });
+        let stdout = '';
+        let stderr = '';
+        child.stdout.on('data', (chunk) => { stdout += chunk; });
+        child.stderr.on('data', (chunk) => { stderr += chunk; });
+        child.on('error', reject);
+        child.on('close', (code) => resolve({ code, stdout, stderr }));
+        child.stdin.end(input);
+    });
+}
+
+test('login reads the password from stdin and saves the session without it', async () => {
+    const result = await vtop(['login', '--username', USERNAME], `${PASSWORD}\n`);
+
+    assert.equal(result.code, 0, result.stderr);
+    assert.match(result.stdout, /Logged in as 21BCE0001 \(VIT Vellore\)/);
+    assert.match(result.stderr, /VTOP password for 21BCE0001: /);
+
+    const saved = fs.readFileSync(sessionFile, 'utf8');
+    assert.equal(saved.includes(PASSWORD), false);
+    assert.equal(JSON.parse(saved).studentId, '21BCE0001');
+    if (process.platform !== 'win32') {
+        assert.equal(fs.statSync(sessionFile).mode & 0o777, 0o600);
+    }
+});
+
+test('data commands reuse the saved session in each format', async () => {
+    const semesters = await vtop(['semesters', '--format', 'json']);
+    assert.equal(semesters.code, 0, semesters.stderr);
+    assert.deepEqual(JSON.parse(semesters.stdout).map(({ id }) => id), ['VL20242505', 'VL20242501', 'VL20232405']);
+
+    const marks = await vtop(['marks', '--semester', 'VL20242505', '--format', 'csv']);
+    assert.equal(marks.code, 0, marks.stderr);
+    const lines = marks.stdout.trimEnd().split('\r\n');
+    assert.equal(lines[0], 'Course Code,Course Title,Class Number,Assessment,Max Mark,Weightage %,Status,Scored,Weighted Score,Remark');
+    assert.equal(lines.length, 4);
+
+    // Grade targets follow the grade view's grading type
+    mock.state.pages['/vtop/examinations/examGradeView/doStudentGradeView'] =
+        readFixture('grade-view.html').replace('BCSE301L', 'BCSE302L').replace('<td>AG</td>', '<td>RG</td>');
+    try {
+        const json = await vtop(['marks', '--semester', 'VL20242505', '--format', 'json']);
+        const [course] = JSON.parse(json.stdout).analytics.courses;
+        assert.deepEqual([course.gradingType, course.modelApplies], ['RG', false]);
+    } finally {
+        mock.state.pages = {};
+    }
+
+    // ...and are worked out with the grading type unknown without it
+    mock.state.statuses['/vtop/examinations/examGradeView/doStudentGradeView'] = 503;
+    try {
+        const json = await vtop(['marks', '--semester', 'VL20242505', '--format', 'json']);
+        assert.equal(json.code, 0, json.stderr);
+        assert.equal(JSON.parse(json.stdout).analytics.courses[0].gradingType, null);
+    } finally {
+        mock.state.statuses = {};
+    }
+
+    // Without --semester the latest one is used, and noted on stderr
+    const attendance = await vtop(['attendance']);
+    assert.equal(attendance.code, 0, attendance.stderr);
+    assert.match(attendance.stderr, /Semester: VL20242505/);
+    assert.match(attendance.stdout, /^Course +Class +Attended/);
+    assert.match(attendance.stdout, /BCSE302L - Database Systems/);
+});
+
+test('bad arguments exit with status 2', async () => {
+    const format = await vtop(['marks', '--format', 'xml']);
+    assert.equal(format.code, 2);
+    assert.match(format.stderr, /Unknown format "xml"/);
+
+    const command = await vtop(['grade']);
+    assert.equal(command.code, 2);
+    assert.match(command.stderr, /Unknown command "grade"/);
+
+    const semester = await vtop(['marks', '--semester', 'EX20242505']);
+    assert.equal(semester.code, 2);
+    assert.match(semester.stderr, /not a VIT Vellore semester/);
+});
+
+test('an expired session asks scripts to log in again', async () => {
+    mock.state.sessionCsrf = 'mock-csrf-session-renewed';
+    try {
+        const result = await vtop(['profile']);
+        assert.equal(result.code, 1);
+        assert.match(result.stderr, /run `vtop login` again \(SESSION_EXPIRED\)/);
+        assert.equal(result.stdout, '');
+    } finally {
+        mock.state.sessionCsrf = 'mock-csrf-session';
+    }
+});
+
+test('logout forgets the session', async () => {
+    assert.equal((await vtop(['logout'])).stdout, 'Logged out\n');
+    assert.equal(fs.existsSync(sessionFile), false);
+
+    const result = await vtop(['cgpa']);
+    assert.equal(result.code, 2);
+    assert.match(result.stderr, /Not logged in/);
+});
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCredentialVault } = require('../credentials');
+
+test('sealed passwords open only for the same user and key', () => {
+    const vault = createCredentialVault({ STORE_CREDENTIALS: 'true', CREDENTIAL_KEY: 'test-key' });
+    const sealed = vault.seal('21BCE0001', 'correct-password');
+
+    assert.equal(sealed.includes('correct-password'), false);
+    assert.notEqual(vault.seal('21BCE0001', 'correct-password'), sealed);
+    assert.equal(vault.open('21BCE0001', sealed), 'correct-password');
+
+    // Same key from another instance
+    assert.equal(createCredentialVault({ STORE_CREDENTIALS: 'true', CREDENTIAL_KEY: 'test-key' }).open('21BCE0001', sealed), 'correct-password');
+
+    assert.equal(vault.open('21BCE0002', sealed), null);
+    assert.equal(createCredentialVault({ STORE_CREDENTIALS: 'true', CREDENTIAL_KEY: 'other-key' }).open('21BCE0001', sealed), null);
+    assert.equal(createCredentialVault({ STORE_CREDENTIALS: 'true' }).open('21BCE0001', sealed), null);
+});
+
+test('tampered or missing sealed passwords do not open', () => {
+    const vault = createCredentialVault({ STORE_CREDENTIALS: 'true' });
+    const sealed = vault.seal('21BCE0001', 'correct-password');
+    const parts = sealed.split('.');
+    parts[3] = Buffer.from('wrong-password').toString('base64url');
+
+    assert.equal(vault.open('21BCE0001', parts.join('.')), null);
+    assert.equal(vault.open('21BCE0001', null), null);
+    assert.equal(vault.open('21BCE0001', 'not sealed'), null);
+});
+
+test('passwords are only stored with STORE_CREDENTIALS=true', () => {
+    assert.equal(createCredentialVault({}), null);
+    assert.equal(createCredentialVault({ STORE_CREDENTIALS: 'false' }), null);
+    assert.notEqual(createCredentialVault({ STORE_CREDENTIALS: 'true', SESSION_STORE: 'memory' }), null);
+});
+
+test('shared session stores need CREDENTIAL_KEY to store passwords', () => {
+    for (const store of ['file', 'redis']) {
+        assert.throws(() => createCredentialVault({ STORE_CREDENTIALS: 'true', SESSION_STORE: store }), /needs CREDENTIAL_KEY/);
+        assert.notEqual(createCredentialVault({ STORE_CREDENTIALS: 'true', SESSION_STORE: store, CREDENTIAL_KEY: 'k' }), null);
+    }
+    assert.equal(createCredentialVault({ SESSION_STORE: 'redis' }), null);
+});
@@ -0,0 +1,138 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const { readFixture } = require('./mockvtop');
+const { SECTION_SCHEMAS, validateSchema, inspectPage, createDriftMonitor } = require('../drift');
+const {
+    extractCGPADetails,
+    extractGradeHistory,
+    extractGradeView,
+    extractSemesterList,
+    extractTimeTable,
+    extractAttendance,
+    parseDetailedAttendance,
+    extractMarks,
+    extractExamSchedule,
+    extractStudentProfile,
+    extractFeeReceipts,
+    extractDigitalAssignments,
+    extractAssignmentDetails
+} = require('../extractors');
+
+// Section name -> [fixture, extractor]
+const sections = {
+    profile: ['profile.html', extractStudentProfile],
+    cgpa: ['grade-history.html', extractCGPADetails],
+    gradeHistory: ['grade-history.html', extractGradeHistory],
+    gradeView: ['grade-view.html', extractGradeView],
+    semesterList: ['semester-list.html', extractSemesterList],
+    timeTable: ['timetable.html', extractTimeTable],
+    attendance: ['attendance.html', extractAttendance],
+    detailedAttendance: ['attendance-detail.html', (html) => parseDetailedAttendance(cheerio.load(html), html)],
+    marks: ['marks.html', extractMarks],
+    examSchedule: ['exam-schedule.html', extractExamSchedule],
+    feeReceipts: ['fee-receipts.html', extractFeeReceipts],
+    assignments: ['assignments.html', extractDigitalAssignments],
+    assignmentDetails: ['assignment-detail.html', (html) => extractAssignmentDetails(html, 'BCSE302L')]
+};
+
+// The marks page with one cell dropped from every course row
+const driftedMarks = () => {
+    const $ = cheerio.load(readFixture('marks.html'));
+    $('tr.tableContent').each((index, row) => {
+        $(row).children('td').last().remove();
+    });
+    return $.html();
+};
+
+test('validateSchema reports paths and expectations, not values', () => {
+    const schema = SECTION_SCHEMAS.gradeView;
+
+    assert.deepEqual(validateSchema(schema, { courses: [], gpa: null }), []);
+    assert.deepEqual(validateSchema(schema, { courses: [], gpa: NaN }), []);
+
+    const problems = validateSchema(schema, {
+        courses: [{ slNo: '1', courseCode: '', courseTitle: 'Secret Title', credits: { L: '3', P: 0, J: 0, C: -1 } }],
+        gpa: 11
+    });
+    assert.deepEqual(problems.map(({ path }) => path), [
+        '$.courses[0].courseType',
+        '$.courses[0].gradingType',
+        '$.courses[0].grandTotal',
+        '$.courses[0].grade',
+        '$.courses[0].isNonGPACourse',
+        '$.courses[0].courseCode',
+        '$.courses[0].credits.L',
+        '$.courses[0].credits.C',
+        '$.gpa'
+    ]);
+    assert.equal(problems[5].message, 'expected a non-empty string');
+    assert.equal(problems[6].message, 'expected integer, got string');
+    assert.equal(problems.some(({ message }) => message.includes('Secret')), false);
+
+    assert.deepEqual(validateSchema({ type: 'array', minItems: 1 }, []), [{ path: '$', message: 'expected at least 1 items' }]);
+    assert.deepEqual(validateSchema({ type: 'string', pattern: '^VL' }, 'CH2024')[0].message, 'expected to match ^VL');
+});
+
+test('every fixture page passes its layout checks and schema', () => {
+    Object.entries(sections).forEach(([section, [fixture, extract]]) => {
+        const html = readFixture(fixture);
+        const data = extract(html);
+
+        assert.deepEqual(inspectPage(section, cheerio.load(html), data), [], section);
+        assert.deepEqual(validateSchema(SECTION_SCHEMAS[section], data), [], section);
+    });
+});
+
+test('rows with a changed column count are flagged along with the empty result', () => {
+    const html = driftedMarks();
+    const data = extractMarks(html);
+
+    assert.deepEqual(data.courses, []);
+    assert.deepEqual(inspectPage('marks', cheerio.load(html), data), [
+        { code: 'UNEXPECTED_COLUMNS', message: '2 of 2 rows have 8 cells, expected 9' },
+        { code: 'ROWS_NOT_PARSED', message: '2 rows found but none parsed' }
+    ]);
+});
+
+test('missing anchors are flagged', () => {
+    const $ = cheerio.load(readFixture('profile.html'));
+    $('#collapseOne').removeAttr('id');
+    const data = extractStudentProfile($.html());
+
+    assert.deepEqual(inspectPage('profile', cheerio.load($.html()), data), [
+        { code: 'MISSING_ELEMENT', message: '#collapseOne not found on the page' }
+    ]);
+    assert.deepEqual(validateSchema(SECTION_SCHEMAS.profile, data), [
+        { path: '$.personalInformation', message: 'expected at least 1 properties' }
+    ]);
+});
+
+test('the monitor keeps per-section totals and collects warnings per run', async () => {
+    const monitor = createDriftMonitor({ recentLimit: 3 });
+    const html = driftedMarks();
+    const $ = cheerio.load(html);
+    const warnings = {};
+
+    await monitor.run(warnings, async () => {
+        await Promise.all([1, 2].map(async () => {
+            await new Promise((resolve) => setImmediate(resolve));
+            monitor.check('marks', $, extractMarks(html));
+        }));
+    });
+    const clean = readFixture('attendance.html');
+    monitor.check('attendance', cheerio.load(clean), extractAttendance(clean));
+
+    // Repeated warnings are listed once for the run
+    assert.deepEqual(warnings.marks.map(({ code }) => code), ['UNEXPECTED_COLUMNS', 'ROWS_NOT_PARSED']);
+    assert.equal(warnings.attendance, undefined);
+
+    const { marks, attendance } = monitor.snapshot();
+    assert.equal(marks.checks, 2);
+    assert.equal(marks.drifted, 2);
+    assert.deepEqual(marks.codes, { UNEXPECTED_COLUMNS: 2, ROWS_NOT_PARSED: 2 });
+    assert.equal(marks.recent.length, 3);
+    assert.equal(attendance.checks, 1);
+    assert.equal(attendance.drifted, 0);
+    assert.equal(attendance.lastDriftAt, null);
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { VtopError, toVtopError, settleSections, failureOf } = require('../errors');
+
+test('VtopErrors carry their code and HTTP status', () => {
+    const error = new VtopError('TIMEOUT', 'VTOP did not respond in time');
+
+    assert.equal(error.status, 504);
+    assert.deepEqual(JSON.parse(JSON.stringify(error)), { code: 'TIMEOUT', message: 'VTOP did not respond in time' });
+    assert.throws(() => new VtopError('TEAPOT', 'no'), /Unknown VTOP error code/);
+});
+
+test('request and parser failures are classified', () => {
+    const axiosError = (fields) => Object.assign(new Error('request failed'), { isAxiosError: true }, fields);
+
+    assert.equal(toVtopError(axiosError({ code: 'ECONNABORTED' })).code, 'TIMEOUT');
+    assert.equal(toVtopError(axiosError({ code: 'ETIMEDOUT' })).code, 'TIMEOUT');
+    assert.equal(toVtopError(axiosError({ code: 'ECONNREFUSED' })).code, 'VTOP_UNAVAILABLE');
+
+    const unavailable = toVtopError(axiosError({ response: { status: 503 } }));
+    assert.equal(unavailable.code, 'VTOP_UNAVAILABLE');
+    assert.match(unavailable.message, /HTTP 503/);
+
+    const parse = toVtopError(new TypeError("Cannot read properties of undefined (reading 'text')"));
+    assert.equal(parse.code, 'PARSE_ERROR');
+    assert.equal(parse.cause.name, 'TypeError');
+
+    const expired = new VtopError('SESSION_EXPIRED', 'expired');
+    assert.equal(toVtopError(expired), expired);
+});
+
+test('settleSections keeps the sections that worked', async () => {
+    const { data, errors } = await settleSections({
+        marks: async () => ({ courses: [] }),
+        exams: async () => {
+            throw Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' });
+        }
+    });
+
+    assert.deepEqual(data, { marks: { courses: [] }, exams: null });
+    assert.deepEqual(Object.keys(errors), ['exams']);
+    assert.equal(errors.exams.code, 'TIMEOUT');
+});
+
+test('responses fail only when every section did or the session expired', () => {
+    const timeout = new VtopError('TIMEOUT', 'slow');
+    const parse = new VtopError('PARSE_ERROR', 'broken');
+    const expired = new VtopError('SESSION_EXPIRED', 'expired');
+
+    assert.equal(failureOf({}, 3), null);
+    assert.equal(failureOf({ marks: timeout }, 3), null);
+    assert.equal(failureOf({ marks: parse, exams: timeout }, 2), timeout);
+    assert.equal(failureOf({ marks: timeout, exams: expired }, 3), expired);
+});
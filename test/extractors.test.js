@@ -0,0 +1,233 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const { readFixture } = require('./mockvtop');
+const {
+    extractStudentId,
+    extractCGPADetails,
+    extractGradeHistory,
+    extractGradeView,
+    extractSemesterList,
+    extractTimeTable,
+    extractAttendance,
+    parseDetailedAttendance,
+    extractMarks,
+    extractExamSchedule,
+    extractStudentProfile,
+    extractFeeReceipts,
+    extractDigitalAssignments,
+    extractAssignmentDetails
+} = require('../extractors');
+
+test('extractStudentId reads the id from the home page script', () => {
+    assert.equal(extractStudentId(readFixture('home.html')), '21BCE0001');
+    assert.equal(extractStudentId('<html></html>'), null);
+});
+
+test('extractCGPADetails reads credits, CGPA and grade counts', () => {
+    const cgpa = extractCGPADetails(readFixture('grade-history.html'));
+
+    assert.equal(cgpa.creditsRegistered, 92);
+    assert.equal(cgpa.creditsEarned, 88);
+    assert.equal(cgpa.cgpa, 8.64);
+    assert.deepEqual(cgpa.grades, { S: 9, A: 12, B: 6, C: 2, D: 1, E: 0, F: 1, N: 0 });
+});
+
+test('extractCGPADetails fails with a parse error without the summary table', () => {
+    assert.throws(() => extractCGPADetails('<div></div>'), { name: 'VtopError', code: 'PARSE_ERROR' });
+});
+
+test('extractGradeHistory reads every completed course by header', () => {
+    const courses = extractGradeHistory(readFixture('grade-history.html'));
+
+    assert.equal(courses.length, 6);
+    assert.deepEqual(courses[2], {
+        courseCode: 'BSTS101P',
+        courseTitle: 'Qualitative Skills Practice I',
+        courseType: 'Soft Skill',
+        credits: 1.5,
+        grade: 'P',
+        examMonth: 'Nov-2021',
+        resultDeclaredOn: '10-Jan-2022',
+        category: 'Non-graded Core Requirement',
+        courseOption: 'Regular'
+    });
+    assert.throws(() => extractGradeHistory('<table><tr><th>Other</th></tr></table>'), { code: 'PARSE_ERROR' });
+});
+
+test('extractGradeView reads course grades, GPA and non-GPA rows', () => {
+    const { courses, gpa } = extractGradeView(readFixture('grade-view.html'));
+
+    assert.equal(gpa, 8.75);
+    assert.equal(courses.length, 3);
+    assert.deepEqual(courses[0], {
+        slNo: '1',
+        courseCode: 'BCSE301L',
+        courseTitle: 'Software Engineering',
+        courseType: 'Theory Only',
+        credits: { L: 3, P: 0, J: 0, C: 3 },
+        gradingType: 'AG',
+        grandTotal: 84,
+        grade: 'A',
+        isNonGPACourse: false
+    });
+    assert.equal(courses[2].isNonGPACourse, true);
+});
+
+test('extractSemesterList skips the placeholder option', () => {
+    assert.deepEqual(extractSemesterList(readFixture('semester-list.html')), [
+        { id: 'VL20242505', name: 'Winter Semester 2024-25' },
+        { id: 'VL20242501', name: 'Fall Semester 2024-25' },
+        { id: 'VL20232405', name: 'Winter Semester 2023-24' }
+    ]);
+    assert.throws(() => extractSemesterList('<div></div>'), { code: 'PARSE_ERROR', status: 502 });
+});
+
+test('extractTimeTable reads registered courses and total credits', () => {
+    const timetable = extractTimeTable(readFixture('timetable.html'));
+
+    assert.equal(timetable.totalCredits, '8');
+    assert.equal(timetable.courses.length, 3);
+
+    const [theory, lab] = timetable.courses;
+    assert.deepEqual(theory.course, { code: 'BCSE302L', name: 'Database Systems', type: 'Embedded Theory' });
+    assert.deepEqual(theory.slot, { timing: 'A1+TA1', venue: 'SJT303' });
+    assert.deepEqual(theory.faculty, { name: 'FACULTY ONE', school: 'SCOPE' });
+    assert.equal(theory.classId, 'VL2024250500101');
+    assert.equal(theory.category, 'Programme Core');
+    assert.equal(theory.status, 'Registered and Approved');
+    assert.deepEqual(lab.slot, { timing: 'L31+L32', venue: 'SJT217' });
+    assert.equal(lab.course.type, 'Embedded Lab');
+});
+
+test('extractAttendance reads per-course counts and detail link ids', () => {
+    const { courses } = extractAttendance(readFixture('attendance.html'));
+
+    assert.equal(courses.length, 2);
+    assert.equal(courses[0].courseDetail, 'BCSE302L - Database Systems - Embedded Theory');
+    assert.equal(courses[0].attendedClasses, 28);
+    assert.equal(courses[0].totalClasses, 34);
+    assert.equal(courses[0].attendancePercentage, '82%');
+    assert.equal(courses[0].courseId, 'VL_BCSE302L_00123');
+    assert.equal(courses[0].courseType, 'ETH');
+    assert.deepEqual(courses[0].debarStatus, { examType: 'FAT', status: 'Permitted' });
+    assert.equal(courses[1].courseType, 'ELA');
+    assert.equal(courses[1].debarStatus, '-');
+});
+
+test('parseDetailedAttendance reads the summary and every class record', () => {
+    const html = readFixture('attendance-detail.html');
+    const detail = parseDetailedAttendance(cheerio.load(html), html);
+
+    assert.equal(detail.courseInfo.courseDetail, 'BCSE302L - Database Systems - Embedded Theory');
+    assert.deepEqual(detail.courseInfo.attendanceSummary, {
+        present: 27,
+        absent: 6,
+        onDuty: 1,
+        attended: 28,
+        totalClasses: 34,
+        percentage: '82%'
+    });
+    assert.equal(detail.attendanceRecords.length, 3);
+    assert.deepEqual(detail.attendanceRecords[1], {
+        slNo: '2',
+        date: '08-Jan-2025',
+        slot: 'TA1',
+        dayTime: 'WED,10:00-10:50',
+        status: 'Absent'
+    });
+});
+
+test('extractMarks reads courses with their nested assessments', () => {
+    const { courses } = extractMarks(readFixture('marks.html'));
+
+    assert.equal(courses.length, 2);
+    assert.equal(courses[0].courseCode, 'BCSE302L');
+    assert.equal(courses[0].courseSystem, 'CAL');
+    assert.equal(courses[0].marks.length, 2);
+    assert.deepEqual(courses[0].marks[0], {
+        slNo: '1',
+        markTitle: 'Continuous Assessment Test - I',
+        maxMark: 50,
+        weightagePercentage: 15,
+        status: 'Present',
+        scoredMark: 41,
+        weightageMark: 12.3,
+        remark: ''
+    });
+    assert.equal(courses[1].marks.length, 1);
+});
+
+test('extractExamSchedule groups exams by type and nulls unscheduled fields', () => {
+    const { examTypes } = extractExamSchedule(readFixture('exam-schedule.html'));
+
+    assert.deepEqual(examTypes.map((group) => group.type), ['CAT1', 'FAT']);
+    assert.equal(examTypes[0].exams.length, 2);
+    assert.equal(examTypes[0].exams[0].examDate, '10-Feb-2025');
+    assert.equal(examTypes[0].exams[0].venue, 'SJT303');
+    assert.equal(examTypes[0].exams[0].seatNo, '14');
+
+    const fat = examTypes[1].exams[0];
+    assert.equal(fat.examDate, null);
+    assert.equal(fat.venue, null);
+    assert.equal(fat.seatNo, null);
+});
+
+test('extractStudentProfile reads every section and both photos', () => {
+    const profile = extractStudentProfile(readFixture('profile.html'));
+
+    assert.equal(profile.personalInformation.student_name, 'STUDENT NAME');
+    assert.equal(profile.personalInformation.register_number, '21BCE0001');
+    assert.equal(profile.educationalInformation.year_of_joining, '2021');
+    assert.equal(profile.familyInformation.father_name, 'PARENT ONE');
+    assert.equal(profile.proctorInformation.faculty_name, 'PROCTOR NAME');
+    assert.equal(profile.hostelInformation.room_no, '101');
+    assert.equal(profile.photos.studentPhoto, 'data:image/jpeg;base64,c3R1ZGVudA==');
+    assert.equal(profile.photos.proctorPhoto, 'data:image/jpeg;base64,cHJvY3Rvcg==');
+});
+
+test('extractFeeReceipts reads identifiers and receipts', () => {
+    const fees = extractFeeReceipts(readFixture('fee-receipts.html'));
+
+    assert.equal(fees.applicationNumber, '2021000001');
+    assert.equal(fees.registrationNumber, '21BCE0001');
+    assert.equal(fees.receipts.length, 2);
+    assert.deepEqual(fees.receipts[0], {
+        invoiceNumber: 'INV2024000101',
+        receiptNumber: 'RCPT2024000101',
+        date: '15-Jun-2024',
+        amount: 198000,
+        campusCode: 'VIT'
+    });
+});
+
+test('extractDigitalAssignments reads courses and dashboard class ids', () => {
+    const assignments = extractDigitalAssignments(readFixture('assignments.html'));
+
+    assert.equal(assignments.semesterId, 'VL20242505');
+    assert.equal(assignments.courses.length, 2);
+    assert.equal(assignments.courses[0].courseCode, 'BCSE302L');
+    assert.deepEqual(assignments.courses[1].dashboardLink, { classId: 'VL2024250500103' });
+});
+
+test('extractAssignmentDetails reads the course header and assignments', () => {
+    const details = extractAssignmentDetails(readFixture('assignment-detail.html'), 'BCSE302L');
+
+    assert.equal(details.courseCode, 'BCSE302L');
+    assert.equal(details.courseTitle, 'Database Systems');
+    assert.equal(details.classNumber, 'VL2024250500101');
+    assert.equal(details.assignments.length, 2);
+    assert.deepEqual(details.assignments[0], {
+        slNo: '1',
+        title: 'Digital Assignment - I',
+        maxMark: 10,
+        weightagePercentage: 10,
+        dueDate: '14-Feb-2025',
+        lastUpdatedOn: '12-Feb-2025 21:40'
+    });
+    assert.equal(details.assignments[1].lastUpdatedOn, '');
+});
+
+test('extractAssignmentDetails returns null when there are no assignments', () => {
+    assert.equal(extractAssignmentDetails('<table class="customTable"></table>', 'BCSE302L'), null);
+});
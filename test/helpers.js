@@ -0,0 +1,64 @@
+const assert = require('node:assert/strict');
+
+// Shared by the test files that run the API against the mock portal
+// (see mockvtop.js): starting and stopping app.js, and calling it.
+
+const USERNAME = '21BCE0001';
+const PASSWORD = 'correct-password';
+
+// Start app.js on a free loopback port. Set the environment first: app.js
+// reads it once, when it loads. Resolves with the server and its base URL.
+async function startApp() {
+    const { app } = require('../app');
+    const server = await new Promise((resolve, reject) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening)).on('error', reject);
+    });
+    return { server, baseUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+// Close a server if the before hook got as far as starting it, so a failed
+// hook reports its own error rather than one from cleaning up after it
+async function stopApp(server) {
+    if (server) {
+        await new Promise((resolve) => server.close(resolve));
+    }
+}
+
+// Calls to the API at baseUrl(), read when each call is made:
+//   api(method, path, { token, body, headers }) -> { status, headers, body },
+//     the body parsed when it is JSON
+//   login(fields) -> the token of a fresh session for the fixture student
+function apiClient(baseUrl) {
+    async function api(method, path, { token, body, headers = {} } = {}) {
+        const response = await fetch(`${baseUrl()}${path}`, {
+            method,
+            headers: {
+                ...headers,
+                ...(token && { Authorization: `Bearer ${token}` }),
+                ...(body && { 'Content-Type': 'application/json' })
+            },
+            body: body && JSON.stringify(body)
+        });
+        const text = await response.text();
+        const json = /json/.test(response.headers.get('content-type') || '');
+        return { status: response.status, headers: response.headers, body: json && text ? JSON.parse(text) : text };
+    }
+
+    async function login(fields = {}) {
+        const { status, body } = await api('POST', '/login', {
+            body: { username: USERNAME, password: PASSWORD, ...fields }
+        });
+        assert.equal(status, 200);
+        return body.token;
+    }
+
+    return { api, login };
+}
+
+module.exports = {
+    USERNAME,
+    PASSWORD,
+    startApp,
+    stopApp,
+    apiClient
+};
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createKeyedQueue } = require('../keyedqueue');
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+test('tasks for one key run in order, other keys alongside', async () => {
+    const queue = createKeyedQueue();
+    const log = [];
+    const task = (name) => async () => {
+        log.push(`${name} start`);
+        await tick();
+        log.push(`${name} end`);
+        return name;
+    };
+
+    const results = await Promise.all([
+        queue.run('a', task('a1')),
+        queue.run('a', task('a2')),
+        queue.run('b', task('b1'))
+    ]);
+
+    assert.deepEqual(results, ['a1', 'a2', 'b1']);
+    assert.ok(log.indexOf('a1 end') < log.indexOf('a2 start'));
+    assert.ok(log.indexOf('b1 start') < log.indexOf('a1 end'));
+});
+
+test('read-modify-write updates of one key never lose a write', async () => {
+    const queue = createKeyedQueue();
+    let stored = 0;
+    const increment = () => queue.run('counter', async () => {
+        const value = stored;
+        await tick();
+        stored = value + 1;
+    });
+
+    await Promise.all(Array.from({ length: 10 }, increment));
+    assert.equal(stored, 10);
+});
+
+test('a failed task rejects its own caller only and the queue empties', async () => {
+    const queue = createKeyedQueue();
+
+    const failed = queue.run('a', async () => {
+        throw new Error('boom');
+    });
+    const next = queue.run('a', async () => 'ran');
+
+    await assert.rejects(failed, /boom/);
+    assert.equal(await next, 'ran');
+    await tick();
+    assert.equal(queue.size, 0);
+});
@@ -0,0 +1,46 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockVtop } = require('./mockvtop');
+const { USERNAME, PASSWORD, startApp, stopApp } = require('./helpers');
+
+// Login with a confidence cut-off between the two fixture captchas: the
+// solver is less sure of A2B3C4.jpg than of K7P9QX.jpg
+let mock;
+let server;
+let baseUrl;
+
+before(async () => {
+    mock = await startMockVtop({
+        username: USERNAME,
+        password: PASSWORD,
+        captchas: ['captchas/A2B3C4.jpg', 'captchas/K7P9QX.jpg']
+    });
+
+    // Both are read when app.js loads
+    process.env.VTOP_BASE_URL = mock.url;
+    process.env.CAPTCHA_MIN_CONFIDENCE = '0.001';
+    ({ server, baseUrl } = await startApp());
+});
+
+after(async () => {
+    await stopApp(server);
+    await mock?.close();
+});
+
+test('low-confidence captchas are refetched instead of submitted', async () => {
+    const response = await fetch(`${baseUrl}/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: USERNAME, password: PASSWORD })
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(mock.state.preloginFetches, 2);
+    assert.equal(mock.state.loginAttempts, 1);
+
+    const stats = await (await fetch(`${baseUrl}/captcha/stats`)).json();
+    assert.equal(stats.data.minConfidence, 0.001);
+
+    const [lowest] = stats.data.buckets;
+    assert.deepEqual(lowest, { from: 0, to: 0.01, accepted: 1, failed: 0, refetched: 1, successRate: 1 });
+});
@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeCourse, analyzeMarks } = require('../marksanalytics');
+
+function mark(markTitle, weightagePercentage, weightageMark, scoredMark = weightageMark) {
+    return { markTitle, maxMark: 100, weightagePercentage, scoredMark, weightageMark, status: 'Present' };
+}
+
+function course(marks, overrides = {}) {
+    return {
+        courseCode: 'BCSE302L',
+        courseTitle: 'Database Systems',
+        courseType: 'Embedded Theory',
+        courseSystem: 'CAL',
+        marks,
+        ...overrides
+    };
+}
+
+test('analyzeCourse totals secured and pending weightage', () => {
+    const result = analyzeCourse(course([
+        mark('Continuous Assessment Test - I', 15, 12.3),
+        mark('Digital Assignment - I', 10, 9),
+        mark('Continuous Assessment Test - II', 15, NaN, NaN)
+    ]));
+
+    assert.equal(result.securedWeightage, 21.3);
+    assert.equal(result.postedWeightage, 25);
+    assert.equal(result.pendingWeightage, 75);
+    assert.equal(result.pendingPercentage, 75);
+    assert.equal(result.securedPercentage, 85.2);
+    assert.deepEqual(result.pendingComponents, ['Continuous Assessment Test - II']);
+    assert.equal(result.modelApplies, true);
+});
+
+test('analyzeCourse works out what each grade band needs', () => {
+    const result = analyzeCourse(course([mark('CAT1', 15, 12.3), mark('DA1', 10, 9)]));
+    const byGrade = Object.fromEntries(result.grades.map((band) => [band.grade, band]));
+
+    assert.deepEqual(byGrade.S, {
+        grade: 'S',
+        minTotal: 90,
+        weightageNeeded: 68.7,
+        percentageNeeded: 91.6,
+        secured: false,
+        achievable: true
+    });
+    assert.equal(byGrade.E.weightageNeeded, 28.7);
+    assert.equal(byGrade.E.percentageNeeded, 38.27);
+});
+
+test('bands already reached or out of reach are marked', () => {
+    const result = analyzeCourse(course([mark('Internals', 60, 58), mark('FAT', 30, 1)]));
+    const byGrade = Object.fromEntries(result.grades.map((band) => [band.grade, band]));
+
+    // 59 secured with 10 weightage left
+    assert.equal(byGrade.D.secured, true);
+    assert.equal(byGrade.D.weightageNeeded, 0);
+    assert.equal(byGrade.C.achievable, true);
+    assert.equal(byGrade.B.achievable, false);
+});
+
+test('courses outside the weightage model are flagged', () => {
+    const project = analyzeCourse(course([], { courseSystem: 'PJT' }));
+    assert.equal(project.modelApplies, false);
+    assert.equal(project.issues.length, 2);
+    assert.equal(project.grades[0].percentageNeeded, 90);
+
+    const relative = analyzeCourse(course([mark('CAT1', 15, 12)]), 'RG');
+    assert.equal(relative.modelApplies, false);
+    assert.match(relative.issues[0], /relative/);
+});
+
+test('analyzeMarks picks grading types from the grade view', () => {
+    const analytics = analyzeMarks(
+        { courses: [course([mark('CAT1', 15, 12)]), course([mark('CAT1', 15, 10)], { courseCode: 'BMAT201L' })] },
+        { courses: [{ courseCode: 'BMAT201L', gradingType: 'RG' }] }
+    );
+
+    assert.equal(analytics.gradeBands.length, 6);
+    assert.deepEqual(analytics.courses.map((entry) => entry.gradingType), [null, 'RG']);
+    assert.deepEqual(analytics.courses.map((entry) => entry.modelApplies), [true, false]);
+    assert.equal(analyzeMarks(null), null);
+});
@@ -0,0 +1,151 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+// Local stand-in for the VTOP portal. Serves the anonymized pages in
+// ./fixtures so the whole login + scrape flow can run offline.
+//
+// Run it on its own with `node test/mockvtop.js` and start the API with
+// VTOP_BASE_URL=http://127.0.0.1:4000 to develop without the live portal.
+// MOCK_CAMPUS=example serves the pages of a made-up second campus instead.
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+const SESSION_CSRF = 'mock-csrf-session';
+
+// A fixture page, from fixtures/campuses/<campus>/ when that campus has its
+// own copy and the shared fixtures otherwise. The only one, `example`, is
+// the Vellore pages with EX semester and class IDs: a campus that exists
+// to test routing, not any real portal's markup.
+function readFixture(name, campus) {
+    const campusFile = campus && path.join(FIXTURES_DIR, 'campuses', campus, name);
+    return fs.readFileSync(campusFile && fs.existsSync(campusFile) ? campusFile : path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+// Prelogin page with a fixture captcha inlined the way VTOP serves it
+function preloginPage(captchaFile = 'captchas/A2B3C4.jpg') {
+    const captcha = fs.readFileSync(path.join(FIXTURES_DIR, captchaFile)).toString('base64');
+    return readFixture('prelogin.html').replace('{{captcha}}', `data:image/jpeg;base64,${captcha}`);
+}
+
+// Data pages served once logged in, keyed by VTOP path
+const dataPages = {
+    '/vtop/examinations/examGradeView/StudentGradeHistory': 'grade-history.html',
+    '/vtop/examinations/examGradeView/doStudentGradeView': 'grade-view.html',
+    '/vtop/academics/common/StudentTimeTable': 'semester-list.html',
+    '/vtop/processViewTimeTable': 'timetable.html',
+    '/vtop/processViewStudentAttendance': 'attendance.html',
+    '/vtop/processViewAttendanceDetail': 'attendance-detail.html',
+    '/vtop/examinations/doStudentMarkView': 'marks.html',
+    '/vtop/examinations/doSearchExamScheduleForStudent': 'exam-schedule.html',
+    '/vtop/studentsRecord/StudentProfileAllView': 'profile.html',
+    '/vtop/finance/getStudentReceipts': 'fee-receipts.html',
+    '/vtop/examinations/doDigitalAssignment': 'assignments.html',
+    '/vtop/examinations/processDigitalAssignment': 'assignment-detail.html'
+};
+
+// Create the mock portal app.
+// options.username / options.password: the only accepted credentials
+// options.captchaFailures: number of logins answered with "Invalid Captcha" first
+// options.captchas: fixture images served in turn on each prelogin page
+// options.campus: serve that campus's fixture pages (example)
+function createMockVtop(options = {}) {
+    const {
+        username = '21BCE0001',
+        password = 'correct-password',
+        captchaFailures = 0,
+        captchas = ['captchas/A2B3C4.jpg'],
+        campus
+    } = options;
+
+    const state = {
+        preloginFetches: 0,
+        loginAttempts: 0,
+        captchaFailuresLeft: captchaFailures,
+        requests: [],
+        // Page bodies to serve instead of the fixture, keyed by VTOP path
+        pages: {},
+        // HTTP status to fail a VTOP path with
+        statuses: {},
+        // Milliseconds to wait before answering a VTOP path
+        delays: {},
+        // csrf token of the current VTOP session. Changing it drops every
+        // session logged in before, as VTOP does when it expires them.
+        sessionCsrf: SESSION_CSRF
+    };
+
+    const app = express();
+
+    app.use((req, res, next) => {
+        state.requests.push(req.path);
+        if (state.statuses[req.path]) {
+            return res.status(state.statuses[req.path]).send('Service Unavailable');
+        }
+        setTimeout(next, state.delays[req.path] || 0);
+    });
+
+    app.get('/vtop/prelogin/setup', (req, res) => {
+        res.cookie('JSESSIONID', 'mock-session');
+        res.send(preloginPage(captchas[state.preloginFetches++ % captchas.length]));
+    });
+
+    app.post('/vtop/login', (req, res) => {
+        state.loginAttempts++;
+
+        if (req.query._csrf !== 'mock-csrf-prelogin' || !req.query.captchaStr) {
+            return res.send(preloginPage());
+        }
+
+        if (state.captchaFailuresLeft > 0) {
+            state.captchaFailuresLeft--;
+            return res.send(readFixture('login-invalid-captcha.html'));
+        }
+
+        if (req.query.username !== username || req.query.password !== password) {
+            return res.send(readFixture('login-invalid-credentials.html'));
+        }
+
+        res.send(readFixture('home.html').replace(SESSION_CSRF, state.sessionCsrf));
+    });
+
+    Object.entries(dataPages).forEach(([pagePath, fixture]) => {
+        app.post(pagePath, (req, res) => {
+            // VTOP falls back to the login page when the csrf token is stale
+            if (req.query._csrf !== state.sessionCsrf) {
+                return res.send(preloginPage());
+            }
+            res.send(state.pages[pagePath] ?? readFixture(fixture, campus));
+        });
+    });
+
+    return { app, state };
+}
+
+// Start a mock portal on a free port; resolves with its base URL
+function startMockVtop(options = {}) {
+    const { app, state } = createMockVtop(options);
+
+    return new Promise((resolve) => {
+        const server = app.listen(options.port || 0, '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({
+                url: `http://127.0.0.1:${port}`,
+                state,
+                close: () => new Promise((done) => server.close(done))
+            });
+        });
+    });
+}
+
+if (require.main === module) {
+    startMockVtop({ port: process.env.PORT || 4000, campus: process.env.MOCK_CAMPUS }).then(({ url }) => {
+        console.log(`Mock VTOP running at ${url}`);
+    });
+}
+
+module.exports = {
+    FIXTURES_DIR,
+    readFixture,
+    createMockVtop,
+    startMockVtop
+};
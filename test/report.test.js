@@ -0,0 +1,120 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { readFixture } = require('./mockvtop');
+const extractors = require('../extractors');
+const { buildReport, renderHtml, renderPdf } = require('../report');
+const { wrap, buildPdf } = require('../pdf');
+
+function fixtureReport(overrides = {}) {
+    return buildReport({
+        semesterId: 'VL20242505',
+        semesterName: 'Winter Semester 2024-25',
+        campus: { name: 'VIT Vellore' },
+        profile: extractors.extractStudentProfile(readFixture('profile.html')),
+        cgpa: extractors.extractCGPADetails(readFixture('grade-history.html')),
+        timeTable: { timeTableData: extractors.extractTimeTable(readFixture('timetable.html')) },
+        attendance: extractors.extractAttendance(readFixture('attendance.html')),
+        marks: extractors.extractMarks(readFixture('marks.html')),
+        gradeView: extractors.extractGradeView(readFixture('grade-view.html')),
+        fetchedAt: new Date('2025-03-01T10:00:00Z'),
+        ...overrides
+    });
+}
+
+// Offsets in the xref table must point at their objects; returns the
+// decompressed page content streams
+function readPdf(buffer) {
+    const text = buffer.toString('latin1');
+    assert.match(text, /^%PDF-1\.4\n/);
+    assert.match(text, /%%EOF\n$/);
+
+    const startxref = Number(text.match(/startxref\n(\d+)\n%%EOF/)[1]);
+    const entries = text.slice(startxref).split('\n').slice(3).filter((line) => / 00000 n $/.test(line));
+    entries.forEach((entry, index) => {
+        assert.equal(text.slice(Number(entry.slice(0, 10))).split('\n')[0], `${index + 1} 0 obj`);
+    });
+
+    const streams = [];
+    const pattern = /\/Length (\d+) \/Filter \/FlateDecode >>\nstream\n/g;
+    for (let match = pattern.exec(text); match; match = pattern.exec(text)) {
+        const start = match.index + match[0].length;
+        streams.push(zlib.inflateSync(buffer.subarray(start, start + Number(match[1]))).toString('latin1'));
+    }
+    return streams;
+}
+
+test('the report combines the student header, summary and every section', () => {
+    const report = fixtureReport();
+    const facts = Object.fromEntries(report.blocks.find((block) => block.type === 'facts').items);
+    const summary = Object.fromEntries(report.blocks[report.blocks.findIndex((block) => block.text === 'Summary') + 1].items);
+
+    assert.equal(facts.Name, 'STUDENT NAME');
+    assert.equal(facts.Programme, 'B.Tech. Computer Science and Engineering');
+    assert.equal(facts['Date of Birth'], undefined);
+    assert.deepEqual(summary, {
+        CGPA: '8.64',
+        'Semester GPA': '8.75',
+        'Credits Earned': '88 of 92 registered',
+        'Semester Credits': '8',
+        Attendance: '79.17% (38 of 48 classes)',
+        'Below 75% Attendance': '1 course'
+    });
+    assert.deepEqual(report.blocks.filter((block) => block.type === 'heading').map((block) => block.text),
+        ['Summary', 'Courses', 'Attendance', 'Marks', 'Grades']);
+
+    const attendance = report.blocks[report.blocks.findIndex((block) => block.text === 'Attendance') + 1];
+    assert.deepEqual(attendance.rows[1].slice(1), ['10', '14', '71%', 'Below 75%']);
+    assert.deepEqual(attendance.align, ['left', 'right', 'right', 'right', 'left']);
+    assert.equal(report.subtitle, 'Winter Semester 2024-25 (VL20242505). VTOP data as of 2025-03-01 15:30 IST');
+});
+
+test('sections without data say so instead of showing empty tables', () => {
+    const report = fixtureReport({ marks: { courses: [] }, gradeView: { courses: [], gpa: null } });
+    const texts = report.blocks.filter((block) => block.type === 'text').map((block) => block.text);
+
+    assert.deepEqual(texts, ['No marks posted yet.', 'Grades for this semester are not published yet.']);
+    assert.equal(Object.fromEntries(report.blocks[4].items)['Semester GPA'], 'Not published yet');
+});
+
+test('HTML is one escaped, self-contained page', () => {
+    const html = renderHtml(fixtureReport({
+        profile: { personalInformation: { student_name: '<script>alert(1)</script>' } }
+    }));
+
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /<title>Semester Report - &lt;script&gt;alert\(1\)&lt;\/script&gt;<\/title>/);
+    assert.doesNotMatch(html, /<script>/);
+    assert.match(html, /<th class="right">Attended<\/th>/);
+    assert.match(html, /<td>BCSE302P - Database Systems Lab - Embedded Lab<\/td><td class="right">10<\/td>/);
+});
+
+test('PDF is a valid, stable document with the report text', () => {
+    const pdf = renderPdf(fixtureReport());
+    const [page] = readPdf(pdf);
+
+    assert.match(page, /\(Semester Report\) Tj/);
+    assert.match(page, /\(STUDENT NAME\) Tj/);
+    assert.match(page, /\(Page 1 of 1\) Tj/);
+    assert.match(pdf.toString('latin1'), /\/Title \(Semester Report - STUDENT NAME\)/);
+    assert.deepEqual(renderPdf(fixtureReport()), pdf);
+});
+
+test('long tables continue on new pages under their header', () => {
+    const rows = Array.from({ length: 80 }, (value, index) => [`Row ${index}`, 'Text (with parentheses) and “quotes”']);
+    const pages = readPdf(buildPdf({ footer: 'Footer', blocks: [{ type: 'table', columns: ['Name', 'Note'], rows }] }));
+
+    assert.ok(pages.length > 1);
+    pages.forEach((page, index) => {
+        assert.match(page, /\(Name\) Tj/);
+        assert.match(page, new RegExp(`\\(Page ${index + 1} of ${pages.length}\\) Tj`));
+    });
+    assert.match(pages[0], /\(Text \\\(with parentheses\\\) and \x93quotes\x94\) Tj/);
+    assert.equal(pages.join('').match(/\(Row \d+\) Tj/g).length, 80);
+});
+
+test('text wraps at word boundaries and splits words wider than the line', () => {
+    assert.deepEqual(wrap('Database Systems Lab', 'F1', 10, 60), ['Database', 'Systems Lab']);
+    assert.deepEqual(wrap('WWWWWWWW', 'F1', 10, 30), ['WWW', 'WWW', 'WW']);
+    assert.deepEqual(wrap('', 'F1', 10, 40), ['']);
+});
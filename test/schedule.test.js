@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { indexSlotMap, loadSlotMap, parseSlotCodes, buildWeeklySchedule } = require('../schedule');
+
+function course(code, type, timing, venue) {
+    return {
+        course: { code, name: `${code} title`, type },
+        classId: `CLS-${code}`,
+        slot: { timing, venue },
+        faculty: { name: 'FACULTY ONE', school: 'SCOPE' }
+    };
+}
+
+test('parseSlotCodes splits slot strings and drops NIL', () => {
+    assert.deepEqual(parseSlotCodes('A1+TA1'), ['A1', 'TA1']);
+    assert.deepEqual(parseSlotCodes('L31+L32 -'), ['L31', 'L32']);
+    assert.deepEqual(parseSlotCodes('NIL'), []);
+    assert.deepEqual(parseSlotCodes(''), []);
+});
+
+test('default slot map places theory and lab slots on the chart', () => {
+    const slotMap = loadSlotMap();
+
+    assert.deepEqual(slotMap.theory.A1, [
+        { day: 'MON', start: '08:00', end: '08:50' },
+        { day: 'WED', start: '09:00', end: '09:50' }
+    ]);
+    assert.deepEqual(slotMap.lab.L31, [{ day: 'MON', start: '14:00', end: '14:50' }]);
+    assert.deepEqual(slotMap.lab.L60, [{ day: 'FRI', start: '18:31', end: '19:20' }]);
+});
+
+test('buildWeeklySchedule expands theory slots and merges lab periods', () => {
+    const schedule = buildWeeklySchedule({
+        courses: [
+            course('BCSE302L', 'Embedded Theory', 'A1+TA1', 'SJT303'),
+            course('BCSE302P', 'Embedded Lab', 'L31+L32', 'SJT217')
+        ]
+    }, loadSlotMap());
+
+    assert.deepEqual(schedule.days.map((day) => day.day), ['MON', 'WED', 'FRI']);
+
+    const [monTheory, monLab] = schedule.days[0].classes;
+    assert.deepEqual(monTheory, {
+        day: 'MON',
+        start: '08:00',
+        end: '08:50',
+        courseCode: 'BCSE302L',
+        courseTitle: 'BCSE302L title',
+        courseType: 'Embedded Theory',
+        kind: 'theory',
+        slots: ['A1'],
+        classId: 'CLS-BCSE302L',
+        venue: 'SJT303',
+        faculty: 'FACULTY ONE'
+    });
+    assert.equal(monLab.kind, 'lab');
+    assert.equal(monLab.start, '14:00');
+    assert.equal(monLab.end, '15:40');
+    assert.deepEqual(monLab.slots, ['L31', 'L32']);
+
+    assert.deepEqual(schedule.days[2].classes.map((entry) => entry.slots[0]), ['TA1']);
+    assert.deepEqual(schedule.unmappedSlots, []);
+});
+
+test('buildWeeklySchedule orders classes within a day and reports unknown slots', () => {
+    const schedule = buildWeeklySchedule({
+        courses: [
+            course('LATE', 'Theory Only', 'A2', 'MB101'),
+            course('EARLY', 'Theory Only', 'F1+X99', 'MB102')
+        ]
+    }, loadSlotMap());
+
+    const monday = schedule.days.find((day) => day.day === 'MON');
+    assert.deepEqual(monday.classes.map((entry) => entry.courseCode), ['EARLY', 'LATE']);
+    assert.deepEqual(schedule.unmappedSlots, ['X99']);
+});
+
+test('buildWeeklySchedule uses a custom slot map', () => {
+    const slotMap = indexSlotMap({
+        theory: { periods: [['09:00', '09:45']], days: { SAT: ['Z1'] } },
+        lab: { periods: [], days: {} }
+    });
+
+    const schedule = buildWeeklySchedule({ courses: [course('WKND', 'Theory Only', 'Z1', 'AB1')] }, slotMap);
+
+    assert.deepEqual(schedule.days, [{
+        day: 'SAT',
+        classes: [{
+            day: 'SAT',
+            start: '09:00',
+            end: '09:45',
+            courseCode: 'WKND',
+            courseTitle: 'WKND title',
+            courseType: 'Theory Only',
+            kind: 'theory',
+            slots: ['Z1'],
+            classId: 'CLS-WKND',
+            venue: 'AB1',
+            faculty: 'FACULTY ONE'
+        }]
+    }]);
+});
+
+test('buildWeeklySchedule returns null without timetable data', () => {
+    assert.equal(buildWeeklySchedule(null, loadSlotMap()), null);
+});
@@ -0,0 +1,149 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tough = require('tough-cookie');
+const {
+    createMemoryStore,
+    createFileStore,
+    createRedisStore,
+    createStoreBackend
+} = require('../sessionstore');
+
+// Minimal in-memory client with the node-redis v4 commands the store uses
+function fakeRedisClient() {
+    const data = new Map();
+    return {
+        data,
+        async get(key) {
+            const entry = data.get(key);
+            return entry && entry.expiresAt > Date.now() ? entry.value : null;
+        },
+        async set(key, value, { PX }) {
+            data.set(key, { value, expiresAt: Date.now() + PX });
+        },
+        async del(key) {
+            return data.delete(key) ? 1 : 0;
+        }
+    };
+}
+
+function sampleRecord() {
+    const jar = new tough.CookieJar();
+    jar.setCookieSync('JSESSIONID=abc123; Path=/vtop', 'https://vtop.vit.ac.in/vtop/');
+    return {
+        username: '21BCE0001',
+        studentId: '21BCE0001',
+        csrf: 'csrf-token',
+        lastUsed: Date.now(),
+        cookies: jar.serializeSync()
+    };
+}
+
+const stores = {
+    memory: () => createMemoryStore(),
+    file: () => createFileStore(fs.mkdtempSync(path.join(os.tmpdir(), 'vtop-sessions-'))),
+    redis: () => createRedisStore(fakeRedisClient())
+};
+
+for (const [name, makeStore] of Object.entries(stores)) {
+    test(`${name} store round-trips a session with its cookie jar`, async () => {
+        const store = makeStore();
+        const record = sampleRecord();
+
+        await store.set('token-1', record, 60 * 1000);
+        const loaded = await store.get('token-1');
+
+        assert.deepEqual(loaded, record);
+        const jar = tough.CookieJar.deserializeSync(loaded.cookies);
+        assert.equal(jar.getCookieStringSync('https://vtop.vit.ac.in/vtop/login'), 'JSESSIONID=abc123');
+    });
+
+    test(`${name} store deletes sessions`, async () => {
+        const store = makeStore();
+
+        await store.set('token-1', sampleRecord(), 60 * 1000);
+        assert.equal(await store.delete('token-1'), true);
+        assert.equal(await store.get('token-1'), null);
+        assert.equal(await store.delete('token-1'), false);
+    });
+
+    test(`${name} store expires sessions after their ttl`, async () => {
+        const store = makeStore();
+
+        await store.set('token-1', sampleRecord(), -1);
+        await store.set('token-2', sampleRecord(), 60 * 1000);
+
+        assert.equal(await store.get('token-1'), null);
+        assert.notEqual(await store.get('token-2'), null);
+    });
+}
+
+test('memory and file stores sweep expired sessions', async () => {
+    for (const store of [stores.memory(), stores.file()]) {
+        await store.set('expired', sampleRecord(), -1);
+        await store.set('live', sampleRecord(), 60 * 1000);
+
+        assert.equal(await store.sweep(), 1);
+        assert.notEqual(await store.get('live'), null);
+    }
+});
+
+test('file store is shared between store instances on the same directory', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vtop-sessions-'));
+    const record = sampleRecord();
+
+    await createFileStore(dir).set('token-1', record, 60 * 1000);
+
+    assert.deepEqual(await createFileStore(dir).get('token-1'), record);
+});
+
+test('file store keeps client-supplied tokens inside its directory', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vtop-sessions-'));
+    const store = createFileStore(dir);
+
+    await store.set('../../escape', sampleRecord(), 60 * 1000);
+
+    const files = fs.readdirSync(dir);
+    assert.equal(files.length, 1);
+    assert.match(files[0], /^[0-9a-f]{64}\.json$/);
+});
+
+test('store backends reject unknown store types', () => {
+    assert.throws(() => createStoreBackend({ SESSION_STORE: 'sqlite' }), /Unknown SESSION_STORE/);
+});
+
+test('redis namespaces share one client and keep their keys apart', async () => {
+    const clients = [];
+    const backend = createStoreBackend({ SESSION_STORE: 'redis', REDIS_URL: 'redis://cache:6379' }, {
+        createClient: (options) => {
+            const client = { ...fakeRedisClient(), options, on() {}, connect: async () => {} };
+            clients.push(client);
+            return client;
+        }
+    });
+    const sessions = backend.namespace({ prefix: 'vtop:session:' });
+    const snapshots = backend.namespace({ prefix: 'vtop:snapshot:' });
+
+    await sessions.set('21BCE0001', { kind: 'session' }, 60 * 1000);
+    await snapshots.set('21BCE0001', { kind: 'snapshot' }, 60 * 1000);
+
+    assert.equal(clients.length, 1);
+    assert.equal(clients[0].options.url, 'redis://cache:6379');
+    assert.deepEqual([...clients[0].data.keys()], ['vtop:session:21BCE0001', 'vtop:snapshot:21BCE0001']);
+    assert.deepEqual(await sessions.get('21BCE0001'), { kind: 'session' });
+    assert.deepEqual(await snapshots.get('21BCE0001'), { kind: 'snapshot' });
+});
+
+test('file namespaces each keep their own directory', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'vtop-stores-'));
+    const backend = createStoreBackend({ SESSION_STORE: 'file', SESSION_DIR: path.join(root, 'sessions') });
+
+    await backend.namespace().set('token-1', sampleRecord(), 60 * 1000);
+    await backend.namespace({ dir: path.join(root, 'cache') }).set('token-1', { cached: true }, 60 * 1000);
+
+    assert.deepEqual(fs.readdirSync(root).sort(), ['cache', 'sessions']);
+    assert.deepEqual(await backend.namespace({ dir: path.join(root, 'cache') }).get('token-1'), { cached: true });
+    fs.rmSync(root, { recursive: true, force: true });
+});
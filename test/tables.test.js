@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { readFixture } = require('./mockvtop');
+const cheerio = require('cheerio');
+const { extractMarks, extractAttendance, extractSemesterList, parseDetailedAttendance } = require('../extractors');
+const { TABLES, isoDate, tabulate, toCsv, toTextTable } = require('../tables');
+
+test('marks flatten to one row per assessment under fixed headers', () => {
+    const table = tabulate('marks', extractMarks(readFixture('marks.html')));
+
+    assert.deepEqual(table.columns, TABLES.marks.columns);
+    assert.equal(table.rows.length, 3);
+    assert.deepEqual(table.rows[0].slice(0, 5), ['BCSE302L', 'Database Systems', 'VL2024250500101', 'Continuous Assessment Test - I', 50]);
+});
+
+test('attendance rows read the summary and spell out the debar status', () => {
+    const table = tabulate('attendance', { summary: extractAttendance(readFixture('attendance.html')) });
+
+    assert.deepEqual(table.rows[0].slice(2), [28, 34, '82%', 'FAT: Permitted']);
+    assert.deepEqual(tabulate('attendance', null).rows, []);
+    assert.throws(() => tabulate('nothing', {}), /No table for section "nothing"/);
+});
+
+test('detailed attendance has a row per class date, dated in ISO 8601', () => {
+    const course = parseDetailedAttendance(cheerio.load(readFixture('attendance-detail.html')));
+    const table = tabulate('attendanceDetail', { detailed: { courses: [{ courseCode: 'BCSE302L', ...course }] } });
+
+    assert.equal(table.rows.length, course.attendanceRecords.length);
+    assert.deepEqual(table.rows[0], ['BCSE302L', 'BCSE302L - Database Systems - Embedded Theory', 'VL2024250500101 - A1+TA1 - SJT303', '2025-01-06', 'A1', 'MON,08:00-08:50', 'Present']);
+    assert.deepEqual(table.dates, ['Date']);
+    assert.deepEqual(tabulate('attendanceDetail', { detailed: null }).rows, []);
+});
+
+test('VTOP dates become ISO 8601 and anything else is kept', () => {
+    assert.equal(isoDate('14-Feb-2025'), '2025-02-14');
+    assert.equal(isoDate('12-Feb-2025 9:40'), '2025-02-12 09:40');
+    assert.equal(isoDate('TBA'), 'TBA');
+    assert.equal(isoDate(''), null);
+});
+
+test('CSV text that a spreadsheet would run as a formula is escaped', () => {
+    const csv = toCsv({ columns: ['Remark'], rows: [['=HYPERLINK("x")'], ['-'], [-5], ['@home']] });
+
+    assert.equal(csv, 'Remark\r\n"\'=HYPERLINK(""x"")"\r\n-\r\n-5\r\n\'@home\r\n');
+});
+
+test('CSV quotes only the cells that need it', () => {
+    const csv = toCsv({
+        columns: ['Name', 'Note'],
+        rows: [['Lab, Section "B"', 'line\nbreak'], ['plain', null], [NaN, 0]]
+    });
+
+    assert.equal(csv, 'Name,Note\r\n"Lab, Section ""B""","line\nbreak"\r\nplain,\r\n,0\r\n');
+});
+
+test('text tables pad every column to its widest cell', () => {
+    const text = toTextTable(tabulate('semesters', extractSemesterList(readFixture('semester-list.html'))));
+    const lines = text.trimEnd().split('\n');
+
+    assert.equal(lines.length, 5);
+    assert.match(lines[0], /^Semester ID {2}Semester$/);
+    assert.match(lines[1], /^-{11} {2}-+$/);
+    assert.equal(lines[2].indexOf(lines[2].split(/\s{2,}/)[1]), lines[0].indexOf('Semester', 11));
+});
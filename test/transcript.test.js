@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { examMonthOrder, buildTranscript } = require('../transcript');
+
+function course(courseCode, grade, examMonth, overrides = {}) {
+    return {
+        courseCode,
+        courseTitle: `${courseCode} title`,
+        courseType: 'Theory Only',
+        credits: 3,
+        grade,
+        examMonth,
+        resultDeclaredOn: null,
+        category: 'Programme Core',
+        courseOption: 'Regular',
+        ...overrides
+    };
+}
+
+const history = [
+    course('BMAT101L', 'B', 'May-2022', { category: 'Foundation Core', courseOption: 'Re-Registration' }),
+    course('BCSE101E', 'A', 'Nov-2021', { credits: 4, category: 'Foundation Core' }),
+    course('BMAT101L', 'F', 'Nov-2021', { category: 'Foundation Core' }),
+    course('BSTS101P', 'P', 'Nov-2021', { credits: 1.5, category: 'Non-graded Core Requirement' }),
+    course('BCSE102L', 'S', 'May-2022'),
+    course('BPHY101L', 'F', 'May-2022', { category: 'Foundation Core' })
+];
+
+test('examMonthOrder sorts exam sessions chronologically', () => {
+    assert.ok(examMonthOrder('Nov-2021') < examMonthOrder('May-2022'));
+    assert.ok(examMonthOrder('Dec-2022') < examMonthOrder('Jan-2023'));
+    assert.equal(examMonthOrder('unknown'), Infinity);
+});
+
+test('buildTranscript groups courses by exam session with GPA', () => {
+    const { semesters } = buildTranscript(history);
+
+    assert.deepEqual(semesters.map((semester) => semester.examMonth), ['Nov-2021', 'May-2022']);
+
+    const [first, second] = semesters;
+    assert.deepEqual(first.courses.map((entry) => entry.courseCode), ['BCSE101E', 'BMAT101L', 'BSTS101P']);
+    assert.equal(first.creditsRegistered, 8.5);
+    assert.equal(first.creditsEarned, 5.5);
+    assert.equal(first.gpa, 5.14); // (4 * 9 + 3 * 0) / 7
+    assert.equal(second.gpa, 6); // (3 * 8 + 3 * 10 + 3 * 0) / 9
+});
+
+test('buildTranscript marks retakes, cleared attempts and arrears', () => {
+    const { courses, arrears, summary } = buildTranscript(history);
+    const attempts = courses.filter((entry) => entry.courseCode === 'BMAT101L');
+
+    assert.deepEqual(attempts.map((entry) => [entry.attempt, entry.grade, entry.superseded, entry.cleared, entry.isRetake]), [
+        [1, 'F', true, true, false],
+        [2, 'B', false, false, true]
+    ]);
+    assert.deepEqual(arrears.map((entry) => entry.courseCode), ['BPHY101L']);
+    assert.deepEqual(summary, {
+        coursesAttempted: 6,
+        coursesCompleted: 4,
+        creditsEarned: 11.5,
+        arrearCount: 1
+    });
+});
+
+test('buildTranscript groups effective attempts by curriculum category', () => {
+    const { categories } = buildTranscript(history);
+    const byName = Object.fromEntries(categories.map((group) => [group.category, group]));
+
+    assert.deepEqual(byName['Foundation Core'].courses.map((entry) => entry.courseCode), ['BCSE101E', 'BMAT101L', 'BPHY101L']);
+    assert.equal(byName['Foundation Core'].creditsEarned, 7);
+    assert.equal(byName['Non-graded Core Requirement'].creditsEarned, 1.5);
+    assert.equal(byName['Programme Core'].creditsEarned, 3);
+});
+
+test('buildTranscript returns null without a course list', () => {
+    assert.equal(buildTranscript(null), null);
+});
@@ -0,0 +1,86 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockVtop } = require('./mockvtop');
+const { VtopClient, VtopError, loadCampusProfiles } = require('..');
+
+// The client on its own against the mock portal, without the API server
+const USERNAME = '21BCE0001';
+const PASSWORD = 'correct-password';
+const SEMESTER = 'VL20242505';
+
+let mock;
+let profiles;
+
+before(async () => {
+    mock = await startMockVtop({ username: USERNAME, password: PASSWORD });
+    profiles = loadCampusProfiles({ VTOP_BASE_URL: mock.url });
+});
+
+after(async () => {
+    await mock.close();
+});
+
+test('login keeps the studentId and csrf and the typed methods return parsed pages', async () => {
+    const vtop = new VtopClient({ profiles });
+    assert.equal(vtop.campus.id, 'vellore');
+
+    assert.deepEqual(await vtop.login(USERNAME, PASSWORD), { studentId: '21BCE0001', csrf: 'mock-csrf-session' });
+    assert.equal(vtop.studentId, '21BCE0001');
+
+    const profile = await vtop.getProfile();
+    assert.ok(Object.keys(profile.personalInformation).length);
+
+    const [semesters, marks, detailed, assignments] = await Promise.all([
+        vtop.getSemesters(),
+        vtop.getMarks(SEMESTER),
+        vtop.getDetailedAttendance(SEMESTER),
+        vtop.getAssignments(SEMESTER)
+    ]);
+    assert.equal(semesters[0].id, SEMESTER);
+    assert.equal(marks.courses.length, 2);
+    assert.equal(detailed.courses.length, 2);
+    assert.equal(detailed.failedCourses, undefined);
+    assert.equal(assignments.details.length, assignments.overview.courses.length);
+
+    const { timeTableData, semesterSubId } = await vtop.getTimeTable(SEMESTER);
+    assert.equal(semesterSubId, SEMESTER);
+    assert.equal(timeTableData.courses[0].course.code, 'BCSE302L');
+});
+
+test('a client survives a round trip through JSON', async () => {
+    const vtop = new VtopClient({ campus: 'vellore', profiles });
+    await vtop.login(USERNAME, PASSWORD);
+
+    const record = JSON.parse(JSON.stringify(vtop));
+    assert.equal(record.campus, 'vellore');
+    assert.equal(record.studentId, '21BCE0001');
+
+    const restored = VtopClient.fromJSON(record, { profiles });
+    assert.equal(restored.csrf, vtop.csrf);
+    assert.equal((await restored.getExamSchedule(SEMESTER)).examTypes.length > 0, true);
+});
+
+test('failures are typed VtopErrors', async () => {
+    const vtop = new VtopClient({ profiles });
+    await assert.rejects(vtop.login(USERNAME, 'wrong-password'), (error) =>
+        error instanceof VtopError && error.code === 'INVALID_CREDENTIALS');
+
+    assert.throws(() => new VtopClient({ campus: 'pune', profiles }), /Unknown campus "pune"/);
+});
+
+test('a dropped VTOP session is reported as SESSION_EXPIRED and renewed by logging in again', async () => {
+    const vtop = new VtopClient({ profiles });
+    await vtop.login(USERNAME, PASSWORD);
+
+    mock.state.sessionCsrf = 'mock-csrf-session-renewed';
+    try {
+        await assert.rejects(vtop.getMarks(SEMESTER), (error) =>
+            error instanceof VtopError && error.code === 'SESSION_EXPIRED');
+
+        await vtop.login(USERNAME, PASSWORD);
+        assert.equal(vtop.csrf, 'mock-csrf-session-renewed');
+        assert.equal((await vtop.getMarks(SEMESTER)).courses.length, 2);
+    } finally {
+        mock.state.sessionCsrf = 'mock-csrf-session';
+    }
+});
@@ -0,0 +1,229 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createMemoryStore } = require('../sessionstore');
+const { WebhookError, isPrivateAddress, signPayload, createWebhookService } = require('../webhooks');
+
+const OWNER = '21BCE0001';
+
+// Service with a scripted transport: each call takes the next status (or
+// throws when it is an Error) and records the request
+function service(statuses = [], options = {}) {
+    const requests = [];
+    const webhooks = createWebhookService({
+        store: createMemoryStore(),
+        ttl: 60 * 1000,
+        sleep: async () => {},
+        post: async (url, body, config) => {
+            requests.push({ url, body: JSON.parse(body), headers: config.headers });
+            const next = statuses.length ? statuses.shift() : 200;
+            if (next instanceof Error) throw next;
+            return { status: next };
+        },
+        ...options
+    });
+    return { webhooks, requests };
+}
+
+const venueChange = {
+    type: 'exam.venueChanged',
+    examType: 'CAT1',
+    courseCode: 'BCSE302L',
+    venue: 'TT101',
+    previous: { venue: 'SJT303' }
+};
+
+test('register validates input and hides the secret afterwards', async () => {
+    const { webhooks } = service();
+
+    const created = await webhooks.register(OWNER, { url: 'https://example.com/hook', events: ['marks.posted'] });
+    assert.equal(created.secret.length, 64);
+    assert.equal(created.threshold, 75);
+
+    const [listed] = await webhooks.list(OWNER);
+    assert.equal(listed.id, created.id);
+    assert.equal(listed.secret, undefined);
+    assert.equal(listed.deliveries, undefined);
+
+    await assert.rejects(webhooks.register(OWNER, { url: 'not a url' }), WebhookError);
+    await assert.rejects(webhooks.register(OWNER, { url: 'https://example.com', events: ['marks.deleted'] }), /unknown events/);
+    await assert.rejects(webhooks.register(OWNER, { url: 'https://example.com', secret: 'short' }), /secret/);
+
+    assert.equal(await webhooks.remove(OWNER, created.id), true);
+    assert.equal(await webhooks.remove(OWNER, created.id), false);
+    assert.deepEqual(await webhooks.list(OWNER), []);
+});
+
+test('changes are delivered only to webhooks subscribed to the event', async () => {
+    const { webhooks, requests } = service();
+    const exams = await webhooks.register(OWNER, { url: 'https://example.com/exams', events: ['exam.venue_changed'] });
+    await webhooks.register(OWNER, { url: 'https://example.com/marks', events: ['marks.posted'] });
+
+    const log = await webhooks.notify(OWNER, { semesterId: 'VL20242505', changes: [venueChange] });
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].url, 'https://example.com/exams');
+    assert.equal(requests[0].body.event, 'exam.venue_changed');
+    assert.equal(requests[0].body.semesterId, 'VL20242505');
+    assert.deepEqual(requests[0].body.data, venueChange);
+
+    const { headers } = requests[0];
+    assert.equal(headers['X-VTOP-Signature'], signPayload(exams.secret, headers['X-VTOP-Timestamp'], JSON.stringify(requests[0].body)));
+    assert.equal(log[0].status, 'delivered');
+});
+
+test('attendance drops below the webhook threshold are reported once', async () => {
+    const { webhooks, requests } = service();
+    await webhooks.register(OWNER, { url: 'https://example.com', events: ['attendance.below_threshold'], threshold: 80 });
+
+    const drop = (attendedClasses, totalClasses, previous) => ({
+        type: 'attendance.updated',
+        courseDetail: 'BCSE302L - Database Systems - Embedded Theory',
+        attendedClasses,
+        totalClasses,
+        previous
+    });
+
+    await webhooks.notify(OWNER, {
+        changes: [
+            drop(28, 35, { attendedClasses: 28, totalClasses: 34 }), // 83% -> 80%, still at threshold
+            drop(28, 36, { attendedClasses: 28, totalClasses: 35 }), // 80% -> 78%
+            drop(28, 37, { attendedClasses: 28, totalClasses: 36 }) // already below
+        ]
+    });
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].body.data.percentage, 78);
+    assert.equal(requests[0].body.data.threshold, 80);
+});
+
+test('assignments due soon are announced once per due date', async () => {
+    const { webhooks, requests } = service();
+    await webhooks.register(OWNER, { url: 'https://example.com', events: ['assignment.due_soon'], dueWithinHours: 72 });
+
+    const snapshot = (dueDate) => ({
+        assignments: {
+            'VL2024250500101|DA1': { courseCode: 'BCSE302L', title: 'DA1', dueDate },
+            'VL2024250500101|DA2': { courseCode: 'BCSE302L', title: 'DA2', dueDate: '30-Mar-2025' }
+        }
+    });
+    const now = new Date('2025-02-13T12:00:00Z');
+
+    await webhooks.notify(OWNER, { snapshot: snapshot('14-Feb-2025'), now });
+    await webhooks.notify(OWNER, { snapshot: snapshot('14-Feb-2025'), now });
+    assert.deepEqual(requests.map((request) => request.body.data.title), ['DA1']);
+    assert.equal(requests[0].body.data.dueAt, '2025-02-14T18:30:00.000Z');
+
+    // Moved to another day inside the window: announced again
+    await webhooks.notify(OWNER, { snapshot: snapshot('15-Feb-2025'), now });
+    assert.equal(requests.length, 2);
+
+    // Concurrent fetches of a new due date announce it once too
+    const later = new Date('2025-02-14T12:00:00Z');
+    await Promise.all([1, 2].map(() => webhooks.notify(OWNER, { snapshot: snapshot('16-Feb-2025'), now: later })));
+    assert.equal(requests.length, 3);
+});
+
+test('failed deliveries are retried and logged with every attempt', async () => {
+    const delays = [];
+    const { webhooks, requests } = service([500, new Error('socket hang up'), 200], {
+        sleep: async (ms) => delays.push(ms),
+        retryDelay: 100
+    });
+    const { id } = await webhooks.register(OWNER, { url: 'https://example.com', events: ['exam.venue_changed'] });
+
+    await webhooks.notify(OWNER, { changes: [venueChange] });
+
+    assert.equal(requests.length, 3);
+    assert.deepEqual(delays, [100, 200]);
+    assert.equal(new Set(requests.map((request) => request.body.id)).size, 1);
+
+    const [entry] = await webhooks.deliveries(OWNER, id);
+    assert.equal(entry.status, 'delivered');
+    assert.deepEqual(entry.attempts.map((attempt) => attempt.status), [500, null, 200]);
+    assert.equal(entry.attempts[1].error, 'socket hang up');
+    assert.equal(await webhooks.deliveries(OWNER, 'missing'), null);
+});
+
+test('client errors are not retried and give up as failed', async () => {
+    const { webhooks, requests } = service([404, 503, 503, 503, 503]);
+    const { id } = await webhooks.register(OWNER, { url: 'https://example.com', events: ['exam.venue_changed'] });
+
+    await webhooks.notify(OWNER, { changes: [venueChange] });
+    await webhooks.notify(OWNER, { changes: [venueChange] });
+
+    assert.equal(requests.length, 5);
+    const log = await webhooks.deliveries(OWNER, id);
+    assert.deepEqual(log.map((entry) => [entry.status, entry.attempts.length]), [['failed', 4], ['failed', 1]]);
+});
+
+test('deliveries reach a local receiver over HTTP', async () => {
+    let received;
+    const receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            received = { headers: req.headers, body };
+            res.statusCode = 204;
+            res.end();
+        });
+    });
+    await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const webhooks = createWebhookService({ store: createMemoryStore(), ttl: 60 * 1000, allowPrivateTargets: true });
+        const { secret } = await webhooks.register(OWNER, {
+            url: `http://127.0.0.1:${receiver.address().port}/`,
+            events: ['exam.venue_changed']
+        });
+
+        const [entry] = await webhooks.notify(OWNER, { changes: [venueChange] });
+
+        assert.equal(entry.status, 'delivered');
+        assert.equal(received.headers['content-type'], 'application/json');
+        assert.equal(received.headers['x-vtop-signature'], signPayload(secret, received.headers['x-vtop-timestamp'], received.body));
+    } finally {
+        await new Promise((resolve) => receiver.close(resolve));
+    }
+});
+
+test('webhooks are not sent to private or loopback addresses', async () => {
+    assert.ok(['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+        '::1', '::', 'fd00::1', 'fe80::1', '::ffff:7f00:1'].every(isPrivateAddress));
+    assert.ok(!['93.184.216.34', '2606:2800:220:1::1'].some(isPrivateAddress));
+
+    const { webhooks } = service();
+    for (const url of ['http://127.0.0.1:3000/', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/', 'http://[::ffff:127.0.0.1]/']) {
+        await assert.rejects(webhooks.register(OWNER, { url }), /public address/);
+    }
+
+    // A hostname is checked against what it resolves to at delivery time,
+    // so one that rebinds to a private address after registration is refused
+    let resolved = '93.184.216.34';
+    const rebinding = createWebhookService({
+        store: createMemoryStore(),
+        ttl: 60 * 1000,
+        sleep: async () => {},
+        lookup: (hostname, options, callback) => callback(null, [{ address: resolved, family: 4 }])
+    });
+    const { id } = await rebinding.register(OWNER, { url: 'http://hooks.example.com/', events: ['exam.venue_changed'] });
+    resolved = '127.0.0.1';
+
+    const [entry] = await rebinding.notify(OWNER, { changes: [venueChange] });
+    assert.equal(entry.status, 'failed');
+    assert.equal(entry.attempts.length, 1);
+    assert.match(entry.attempts[0].error, /hooks\.example\.com resolves to 127\.0\.0\.1/);
+    assert.equal((await rebinding.deliveries(OWNER, id)).length, 1);
+});
+
+test('a student can register a limited number of webhooks', async () => {
+    const { webhooks } = service([], { maxWebhooks: 2 });
+    await webhooks.register(OWNER, { url: 'https://example.com/1' });
+    await webhooks.register(OWNER, { url: 'https://example.com/2' });
+
+    await assert.rejects(webhooks.register(OWNER, { url: 'https://example.com/3' }), /at most 2 webhooks/);
+    await webhooks.register('21BCE0002', { url: 'https://example.com/3' });
+    assert.equal((await webhooks.list(OWNER)).length, 2);
+});
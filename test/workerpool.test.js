@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createWorkerPool } = require('../workerpool');
+
+const captchaWorker = path.join(__dirname, '..', 'captchaworker.js');
+
+test('tasks beyond the pool size queue and errors reach the caller', async () => {
+    const pool = createWorkerPool(captchaWorker, { size: 2 });
+
+    try {
+        const tasks = Array.from({ length: 5 }, () => pool.run({ pixels: new Uint8ClampedArray(4) }));
+        assert.equal(pool.pending, 5);
+
+        const results = await Promise.allSettled(tasks);
+        assert.ok(results.every((result) => result.status === 'rejected' && /200x40/.test(result.reason.message)));
+        assert.equal(pool.pending, 0);
+    } finally {
+        await pool.destroy();
+    }
+
+    await assert.rejects(pool.run({}), /closed/);
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { crc32, dateSerial, buildWorkbook } = require('../xlsx');
+
+// Entries of a zip archive by name, read through its central directory
+function unzip(buffer) {
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4B, 0x05, 0x06]));
+    const count = buffer.readUInt16LE(end + 10);
+    const entries = {};
+
+    for (let index = 0, offset = buffer.readUInt32LE(end + 16); index < count; index++) {
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const local = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+        const data = zlib.inflateRawSync(buffer.subarray(start, start + buffer.readUInt32LE(offset + 20)));
+
+        assert.equal(crc32(data), buffer.readUInt32LE(offset + 16), `CRC of ${name}`);
+        entries[name] = data.toString('utf8');
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+const TABLES = [
+    {
+        title: 'Exams',
+        columns: ['Course', 'Date', 'Seat'],
+        rows: [['BCSE302L <DB>', '2025-02-14', 12], ['BCSE302P', '2025-02-12 21:40', null]],
+        dates: ['Date']
+    },
+    { title: 'Exams', columns: ['Note'], rows: [['=1+1']], dates: [] }
+];
+
+test('workbooks have a worksheet per table with unique names', () => {
+    const entries = unzip(buildWorkbook(TABLES));
+
+    assert.deepEqual(Object.keys(entries), [
+        '[Content_Types].xml',
+        '_rels/.rels',
+        'xl/workbook.xml',
+        'xl/_rels/workbook.xml.rels',
+        'xl/styles.xml',
+        'xl/worksheets/sheet1.xml',
+        'xl/worksheets/sheet2.xml'
+    ]);
+    assert.match(entries['xl/workbook.xml'], /<sheet name="Exams" sheetId="1" r:id="rId1"\/><sheet name="Exams \(2\)" sheetId="2"/);
+    assert.match(entries['[Content_Types].xml'], /PartName="\/xl\/worksheets\/sheet2\.xml"/);
+});
+
+test('cells keep their types and date columns hold real dates', () => {
+    const sheet = unzip(buildWorkbook(TABLES))['xl/worksheets/sheet1.xml'];
+
+    assert.match(sheet, /<c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">Course<\/t><\/is><\/c>/);
+    assert.match(sheet, /<t xml:space="preserve">BCSE302L &lt;DB&gt;<\/t>/);
+    assert.match(sheet, /<c r="B2" s="2"><v>45702<\/v><\/c>/);
+    assert.match(sheet, /<c r="B3" s="3"><v>45700\.90277777778<\/v><\/c>/);
+    assert.match(sheet, /<c r="C2"><v>12<\/v><\/c>/);
+    assert.doesNotMatch(sheet, /r="C3"/);
+
+    // Formula-like text stays text
+    assert.match(unzip(buildWorkbook(TABLES))['xl/worksheets/sheet2.xml'], /<c r="A2" t="inlineStr"><is><t xml:space="preserve">=1\+1<\/t>/);
+});
+
+test('dates convert to serial days and the output is byte-for-byte stable', () => {
+    assert.equal(dateSerial('1900-03-01'), 61);
+    assert.equal(dateSerial('2025-02-14'), 45702);
+    assert.equal(dateSerial('14-Feb-2025'), null);
+    assert.equal(crc32(Buffer.from('123456789')), 0xCBF43926);
+
+    assert.deepEqual(buildWorkbook(TABLES), buildWorkbook(TABLES));
+});
@@ -0,0 +1,120 @@
+const { GRADE_POINTS } = require('./cgpasimulator');
+
+// Groups the grade history course list into a transcript: by exam session
+// (semester) and by curriculum category, with repeated attempts linked up.
+// The latest attempt at a course is the effective one; an effective F or N
+// is an arrear still to be cleared.
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const FAILING_GRADES = ['F', 'N'];
+const PASS_GRADES = ['P'];
+
+// "Nov-2023" -> sortable month number, or Infinity when unknown
+function examMonthOrder(examMonth) {
+    const match = (examMonth || '').match(/^([A-Za-z]{3})[a-z]*[-\s](\d{4})$/);
+    if (!match) return Infinity;
+    const month = MONTHS.indexOf(match[1].toUpperCase());
+    return month === -1 ? Infinity : Number(match[2]) * 12 + month;
+}
+
+function isPassed(grade) {
+    return (GRADE_POINTS[grade] !== undefined && !FAILING_GRADES.includes(grade)) || PASS_GRADES.includes(grade);
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// GPA over graded courses; pass/fail grades are left out
+function gpaOf(courses) {
+    const graded = courses.filter((course) => GRADE_POINTS[course.grade] !== undefined);
+    const credits = graded.reduce((sum, course) => sum + course.credits, 0);
+    if (!credits) return null;
+    const points = graded.reduce((sum, course) => sum + course.credits * GRADE_POINTS[course.grade], 0);
+    return round(points / credits);
+}
+
+function earnedCredits(courses) {
+    return courses.filter((course) => isPassed(course.grade)).reduce((sum, course) => sum + course.credits, 0);
+}
+
+// Build the transcript from extractGradeHistory output
+function buildTranscript(courses) {
+    if (!Array.isArray(courses)) return null;
+
+    const ordered = courses
+        .map((course, index) => ({ ...course, grade: course.grade?.toUpperCase() || null, index }))
+        .sort((a, b) => examMonthOrder(a.examMonth) - examMonthOrder(b.examMonth) || a.index - b.index);
+
+    // Link repeated attempts at the same course
+    const attemptsByCode = {};
+    ordered.forEach((course) => {
+        (attemptsByCode[course.courseCode] = attemptsByCode[course.courseCode] || []).push(course);
+    });
+
+    const entries = ordered.map((course) => {
+        const attempts = attemptsByCode[course.courseCode];
+        const attempt = attempts.indexOf(course) + 1;
+        const isLatest = attempt === attempts.length;
+        const failed = FAILING_GRADES.includes(course.grade);
+        const { index, ...fields } = course;
+
+        return {
+            ...fields,
+            attempt,
+            isRetake: attempt > 1 || /re-?reg|\bRGR\b|\bRR\b/i.test(course.courseOption || ''),
+            superseded: !isLatest,
+            isArrear: isLatest && failed,
+            cleared: failed && !isLatest && attempts.slice(attempt).some((later) => isPassed(later.grade))
+        };
+    });
+
+    const effective = entries.filter((course) => !course.superseded);
+
+    const semesters = [];
+    entries.forEach((course) => {
+        let semester = semesters.find((group) => group.examMonth === course.examMonth);
+        if (!semester) {
+            semester = { examMonth: course.examMonth, courses: [] };
+            semesters.push(semester);
+        }
+        semester.courses.push(course);
+    });
+    semesters.forEach((semester) => {
+        semester.creditsRegistered = semester.courses.reduce((sum, course) => sum + course.credits, 0);
+        semester.creditsEarned = earnedCredits(semester.courses);
+        semester.gpa = gpaOf(semester.courses);
+    });
+
+    const categories = [];
+    effective.forEach((course) => {
+        const name = course.category || 'Uncategorized';
+        let category = categories.find((group) => group.category === name);
+        if (!category) {
+            category = { category: name, courses: [] };
+            categories.push(category);
+        }
+        category.courses.push(course);
+    });
+    categories.forEach((category) => {
+        category.creditsEarned = earnedCredits(category.courses);
+    });
+
+    return {
+        courses: entries,
+        semesters,
+        categories,
+        arrears: effective.filter((course) => course.isArrear),
+        summary: {
+            coursesAttempted: entries.length,
+            coursesCompleted: effective.filter((course) => isPassed(course.grade)).length,
+            creditsEarned: earnedCredits(effective),
+            arrearCount: effective.filter((course) => course.isArrear).length
+        }
+    };
+}
+
+module.exports = {
+    examMonthOrder,
+    buildTranscript
+};
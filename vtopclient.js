@@ -0,0 +1,481 @@
+const axios = require("axios");
+const cheerio = require("cheerio");
+const tough = require("tough-cookie");
+const { wrapper } = require("axios-cookiejar-support");
+const { recognizeCaptcha } = require("./captchasolver");
+const { createCaptchaStats } = require("./captchastats");
+const { VtopError, toVtopError } = require("./errors");
+const { buildTranscript } = require("./transcript");
+const { DEFAULT_CAMPUS, loadCampusProfiles, resolveCampus } = require("./campuses");
+const {
+    extractStudentId,
+    extractCsrf,
+    extractCGPADetails,
+    extractGradeHistory,
+    extractGradeView,
+    extractSemesterList,
+    extractTimeTable,
+    extractAttendance,
+    parseDetailedAttendance,
+    extractMarks,
+    extractExamSchedule,
+    extractStudentProfile,
+    extractFeeReceipts,
+    extractDigitalAssignments,
+    extractAssignmentDetails
+} = require("./extractors");
+
+// VtopClient: one student's connection to VTOP, independent of the API
+// server. It owns the cookie jar, logs in (solving the captcha), keeps the
+// studentId and csrf token VTOP hands out, and fetches each page already
+// parsed by extractors.js:
+//
+//   const vtop = new VtopClient({ campus: "vellore" });
+//   await vtop.login(username, password);
+//   const marks = await vtop.getMarks("VL20242505");
+//
+// Failures are VtopErrors (see errors.js). VTOP dropping the session shows
+// up as SESSION_EXPIRED; call login() again and retry. toJSON() and
+// VtopClient.fromJSON() carry a logged-in client across processes.
+
+// How long to wait for a VTOP page before failing with TIMEOUT
+const VTOP_TIMEOUT = Number(process.env.VTOP_TIMEOUT_MS) || 10000;
+
+const USER_AGENT = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/110.0.0.0 Safari/537.36";
+
+// Captchas the solver is less sure of than this are not submitted; a new
+// one is fetched instead (up to the last attempt). 0 submits everything.
+const CAPTCHA_MIN_CONFIDENCE = Number(process.env.CAPTCHA_MIN_CONFIDENCE) || 0;
+
+// Captcha outcomes per confidence bucket, shared by every client
+const captchaStats = createCaptchaStats();
+
+// Create an HTTP client for a campus around a cookie jar. The campus
+// profile rides along in its defaults.
+function getNewClient(campus, cookieJar, timeout) {
+    return wrapper(
+        axios.create({
+            jar: cookieJar,
+            campus,
+            timeout,
+            maxSockets: 50,
+            keepAlive: true
+        })
+    );
+}
+
+// Function to detect CAPTCHA type
+function detectCaptchaType($, html) {
+  // Check for inbuilt CAPTCHA with prioritized selectors
+  if (
+    $("#captchaBlock").length ||
+    $('img[alt="vtopCaptcha"]').length ||
+    $(".form-control.img-fluid").length
+  ) {
+    return "inbuilt";
+  }
+
+  // Check JavaScript variable `captchaType`
+  const captchaTypeMatch = html.match(/var\s+captchaType\s*=\s*(\d+);/);
+  if (captchaTypeMatch && parseInt(captchaTypeMatch[1], 10) === 1) {
+    return "inbuilt";
+  }
+
+  // Check for any base64 encoded images as fallback
+  if (html.match(/data:image\/(jpeg|png|gif);base64,[^"]+/)) {
+    return "inbuilt";
+  }
+
+  return "unknown";
+}
+
+// Function to extract CAPTCHA image from the response
+function extractCaptchaImage($, html) {
+  // Try to find the CAPTCHA image from various selectors
+  const captchaImg =
+    $('img[alt="vtopCaptcha"]').attr("src") ||
+    $(".form-control.img-fluid").attr("src");
+
+  if (captchaImg) return captchaImg;
+
+  // Look for base64 encoded images in the HTML
+  const base64Match = html.match(/data:image\/(jpeg|png|gif);base64,[^"]+/);
+  if (base64Match) return base64Match[0];
+
+  // If all methods fail, extract src from any img tag
+  const anyImg = $("img").first().attr("src");
+  if (anyImg && anyImg.includes("base64")) return anyImg;
+
+  return null;
+}
+
+// Function to check for error messages in response
+function checkResponseForErrors(html) {
+  if (!html) return null;
+
+  // Check for invalid login/password message
+  if (html.includes("Invalid LoginId/Password")) {
+    return "credentials";
+  }
+
+  // Check for invalid captcha message
+  if (html.includes("Invalid Captcha")) {
+    return "captcha";
+  }
+
+  return null;
+}
+
+// Body of a VTOP data page. VTOP answers requests from a session it has
+// dropped (or with a stale csrf token) with its login page, or redirects
+// them to prelogin.
+function vtopPage(response) {
+    const html = response.data;
+    const finalUrl = response.request?.res?.responseUrl || "";
+    if (/\/vtop\/(?:prelogin|login)(?:[/?]|$)/.test(finalUrl) ||
+        (typeof html === "string" && (html.includes('id="vtopLoginForm"') || html.includes('name="captchaStr"')))) {
+        throw new VtopError("SESSION_EXPIRED", "The VTOP session has expired; log in again");
+    }
+    return html;
+}
+
+// Per-course page requests (settled results, in the order of courseCodes)
+// that failed, as { failedCourses } to merge into a section, or {} when
+// none did. When all of them, or any with an expired session, failed, the
+// section fails instead.
+function failedCourses(results, courseCodes) {
+    const failed = results
+        .map((result, index) => result.status === "rejected" && { courseCode: courseCodes[index], error: toVtopError(result.reason) })
+        .filter(Boolean);
+
+    if (!failed.length) return {};
+    const expired = failed.find(({ error }) => error.code === "SESSION_EXPIRED");
+    if (expired) throw expired.error;
+    if (failed.length === results.length) throw failed[0].error;
+    return { failedCourses: failed.map(({ courseCode, error }) => ({ courseCode, ...error.toJSON() })) };
+}
+
+// Add the function to calculate GMT timestamp
+function calculateGMTTimestamp() {
+    const now = new Date();
+    return now.toUTCString();
+}
+
+class VtopClient {
+    // options.campus: a campus id or a profile from loadCampusProfiles
+    //   (default vellore); ids are looked up in options.profiles, by
+    //   default the profiles from the environment
+    // options.cookieJar, studentId, csrf: an existing VTOP session
+    // options.timeout: ms to wait for a page (default VTOP_TIMEOUT_MS)
+    // options.cache: a resource cache view (see cache.js) the data getters
+    //   go through; without one every call scrapes VTOP
+    constructor({ campus = DEFAULT_CAMPUS, profiles, cookieJar, studentId = null, csrf = null, timeout = VTOP_TIMEOUT, cache = null } = {}) {
+        this.campus = typeof campus === "string"
+            ? resolveCampus(profiles || loadCampusProfiles(), campus)
+            : campus;
+        this.timeout = timeout;
+        this.cookieJar = cookieJar || new tough.CookieJar();
+        this.http = getNewClient(this.campus, this.cookieJar, timeout);
+        this.studentId = studentId;
+        this.csrf = csrf;
+        this.cache = cache;
+    }
+
+    // Rebuild a client from toJSON() output. Options as for the constructor.
+    static fromJSON(record, options = {}) {
+        return new VtopClient({
+            ...options,
+            campus: record.campus,
+            cookieJar: tough.CookieJar.deserializeSync(record.cookies),
+            studentId: record.studentId,
+            csrf: record.csrf
+        });
+    }
+
+    // Plain record of the session, safe to store as JSON
+    toJSON() {
+        return {
+            campus: this.campus.id,
+            studentId: this.studentId,
+            csrf: this.csrf,
+            cookies: this.cookieJar.serializeSync()
+        };
+    }
+
+    // Absolute URL of a VTOP endpoint (a path name from campuses.js)
+    url(endpoint) {
+        const { baseUrl, paths } = this.campus;
+        return `${baseUrl}${paths[endpoint]}`;
+    }
+
+    // Fetch the prelogin page until a captcha is solved. Resolves with the
+    // csrf token and answer, or null if no captcha could be read; request
+    // failures reach the caller.
+    async fetchWithSession() {
+        const maxAttempts = 10;
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            const response = await this.http.get(this.url("prelogin"), {
+                params: { flag: "VTOP" },
+                headers: { "User-Agent": USER_AGENT }
+            });
+
+            const $ = cheerio.load(response.data);
+
+            // If inbuilt CAPTCHA is found, process it
+            if (detectCaptchaType($, response.data) === "inbuilt") {
+                const csrfToken =
+                    $('input[name="_csrf"]').val() ||
+                    $('meta[name="_csrf"]').attr("content");
+                const captchaImage = extractCaptchaImage($, response.data);
+
+                if (captchaImage && csrfToken) {
+                    const captcha = await recognizeCaptcha(captchaImage);
+
+                    if (captcha && (captcha.confidence >= CAPTCHA_MIN_CONFIDENCE || attempt === maxAttempts)) {
+                        return { csrf: csrfToken, captchaSolution: captcha.text, confidence: captcha.confidence };
+                    }
+
+                    if (captcha) {
+                        captchaStats.record(captcha.confidence, "refetched");
+                        console.log(`Low CAPTCHA confidence (${captcha.confidence.toFixed(3)}), fetching a new one`);
+                    }
+                }
+            }
+
+            // Add a small delay between attempts
+            await new Promise((resolve) => setTimeout(resolve, 500));
+        }
+
+        return null;
+    }
+
+    // Log in with a solved captcha, retrying rejected captchas and failed
+    // requests. Resolves with the home page or throws a VtopError:
+    // INVALID_CREDENTIALS, or the last failure once attempts run out.
+    async attemptLogin(username, password) {
+        const maxAttempts = 5;
+        let lastError = null;
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            try {
+                const result = await this.fetchWithSession();
+                if (!result || !result.csrf || !result.captchaSolution) {
+                    console.log("Failed to get CSRF token or solve CAPTCHA");
+                    lastError = new VtopError("CAPTCHA_FAILED", "Could not read the VTOP captcha");
+                    continue;
+                }
+
+                const encodedUsername = encodeURIComponent(username);
+                const encodedPassword = encodeURIComponent(password);
+                const loginUrl = `${this.url("login")}?_csrf=${result.csrf}&username=${encodedUsername}&password=${encodedPassword}&captchaStr=${result.captchaSolution}`;
+
+                const loginResponse = await this.http.post(loginUrl, null, {
+                    headers: {
+                        "User-Agent": USER_AGENT,
+                        "Content-Type": "application/x-www-form-urlencoded"
+                    }
+                });
+
+                const errorType = checkResponseForErrors(loginResponse.data);
+                captchaStats.record(result.confidence, errorType === "captcha" ? "failed" : "accepted");
+                if (errorType === "credentials") {
+                    throw new VtopError("INVALID_CREDENTIALS", "Invalid credentials");
+                } else if (errorType === "captcha") {
+                    console.log("Invalid CAPTCHA detected. Retrying...");
+                    lastError = new VtopError("CAPTCHA_FAILED", "VTOP rejected every captcha answer");
+                    continue;
+                }
+
+                return loginResponse.data;
+            } catch (error) {
+                if (error instanceof VtopError && error.code === "INVALID_CREDENTIALS") {
+                    throw error;
+                }
+                console.error("Login Error:", error.message);
+                lastError = toVtopError(error);
+            }
+        }
+
+        throw lastError;
+    }
+
+    // Log in with a new cookie jar and take the studentId and csrf token
+    // from the home page. Also renews a session VTOP has dropped. Resolves
+    // with { studentId, csrf }; login failures throw VtopErrors.
+    async login(username, password) {
+        this.cookieJar = new tough.CookieJar();
+        this.http = getNewClient(this.campus, this.cookieJar, this.timeout);
+        const homePage = await this.attemptLogin(username, password);
+
+        const studentId = extractStudentId(homePage);
+        const csrf = extractCsrf(homePage);
+        if (!studentId || !csrf) {
+            throw new VtopError("PARSE_ERROR", "Failed to extract required tokens");
+        }
+
+        this.studentId = studentId;
+        this.csrf = csrf;
+        return { studentId, csrf };
+    }
+
+    // POST to a data endpoint as the logged-in student; resolves with the
+    // page body (see vtopPage)
+    async page(endpoint, params) {
+        const response = await this.http.post(this.url(endpoint), null, {
+            params: { authorizedID: this.studentId, _csrf: this.csrf, ...params },
+            headers: {
+                "User-Agent": USER_AGENT,
+                "Content-Type": "application/x-www-form-urlencoded"
+            }
+        });
+        return vtopPage(response);
+    }
+
+    // load() through the cache under this student's `resource` (and
+    // semester), or straight load() without a cache
+    async cached(resource, semesterId, load) {
+        if (!this.cache) {
+            return load();
+        }
+        return this.cache.fetch({ campus: this.campus.id, studentId: this.studentId, resource, semesterId }, load);
+    }
+
+    // Student profile: personal, educational, family, proctor and hostel details
+    async getProfile() {
+        return this.cached("profile", null, async () =>
+            extractStudentProfile(await this.page("profile", { verifyMenu: true, nocache: Date.now() })));
+    }
+
+    // The raw grade history page (CGPA summary and every completed course),
+    // for callers that need several sections of it from one request
+    async getGradeHistoryPage() {
+        return this.page("gradeHistory", { verifyMenu: true, nocache: Date.now() });
+    }
+
+    // CGPA, credits and grade counts
+    async getCgpa() {
+        return this.cached("cgpa", null, async () => extractCGPADetails(await this.getGradeHistoryPage()));
+    }
+
+    // Every completed course, grouped by semester and curriculum category
+    async getTranscript() {
+        return this.cached("transcript", null, async () =>
+            buildTranscript(extractGradeHistory(await this.getGradeHistoryPage())));
+    }
+
+    // Semesters the student can pick, newest first
+    async getSemesters() {
+        return this.cached("semesters", null, async () =>
+            extractSemesterList(await this.page("semesterList", { verifyMenu: true, nocache: Date.now() })));
+    }
+
+    async getFeeReceipts() {
+        return this.cached("fees", null, async () =>
+            extractFeeReceipts(await this.page("feeReceipts", { verifyMenu: true, nocache: Date.now() })));
+    }
+
+    // Registered courses: { timeTableData, semesterSubId }
+    async getTimeTable(semesterId) {
+        return this.cached("timetable", semesterId, async () => {
+            const html = await this.page("timeTable", {
+                semesterSubId: semesterId,
+                x: encodeURIComponent(calculateGMTTimestamp())
+            });
+            return { timeTableData: extractTimeTable(html), semesterSubId: semesterId };
+        });
+    }
+
+    // Attendance summary per course
+    async getAttendance(semesterId) {
+        return this.cached("attendance", semesterId, async () => extractAttendance(await this.page("attendance", {
+            semesterSubId: semesterId,
+            x: encodeURIComponent(calculateGMTTimestamp())
+        })));
+    }
+
+    // Per-class attendance for every course of the semester, one page per
+    // course fetched concurrently. Pass the summary from getAttendance if
+    // you already have it. Courses whose page failed are listed in
+    // failedCourses (the whole call fails only if all of them did).
+    async getDetailedAttendance(semesterId, attendance) {
+        return this.cached("detailedAttendance", semesterId, async () => {
+            const summary = attendance || await this.getAttendance(semesterId);
+            const courses = (summary?.courses || []).filter(course => course.courseId && course.courseType);
+            console.log(`Fetching detailed attendance for ${courses.length} courses...`);
+
+            const results = await Promise.allSettled(courses.map(async (course) => {
+                const html = await this.page("attendanceDetail", {
+                    semesterSubId: semesterId,
+                    registerNumber: this.studentId,
+                    courseId: course.courseId,
+                    courseType: course.courseType,
+                    x: calculateGMTTimestamp()
+                });
+                return {
+                    courseCode: course.courseDetail.split(' - ')[0],
+                    ...parseDetailedAttendance(cheerio.load(html), html)
+                };
+            }));
+
+            return {
+                semester: semesterId,
+                courses: results.filter((result) => result.status === 'fulfilled').map((result) => result.value),
+                ...failedCourses(results, courses.map((course) => course.courseDetail.split(' - ')[0]))
+            };
+        });
+    }
+
+    // Assessment marks per course
+    async getMarks(semesterId) {
+        return this.cached("marks", semesterId, async () =>
+            extractMarks(await this.page("marks", { semesterSubId: semesterId })));
+    }
+
+    // Exam dates, venues and seats, per exam type
+    async getExamSchedule(semesterId) {
+        return this.cached("exams", semesterId, async () =>
+            extractExamSchedule(await this.page("examSchedule", { semesterSubId: semesterId })));
+    }
+
+    // Grades and GPA of a semester whose results are out
+    async getGradeView(semesterId) {
+        return this.cached("grades", semesterId, async () =>
+            extractGradeView(await this.page("gradeView", { semesterSubId: semesterId })));
+    }
+
+    // Assignments of one course from getAssignments' overview
+    async getAssignmentDetails(course) {
+        const html = await this.page("assignmentDetail", {
+            x: new Date().toUTCString(),
+            classId: course.dashboardLink.classId
+        });
+        return extractAssignmentDetails(html, course.courseCode);
+    }
+
+    // Digital assignments: { overview, details } with one page per course;
+    // courses whose page failed are listed in failedCourses instead of
+    // failing every course (the call fails only if all of them did)
+    async getAssignments(semesterId) {
+        return this.cached("assignments", semesterId, async () => {
+            const overview = extractDigitalAssignments(await this.page("assignments", { semesterSubId: semesterId }));
+            if (!overview.courses.length) {
+                return { overview, details: [] };
+            }
+
+            const results = await Promise.allSettled(overview.courses.map((course) => this.getAssignmentDetails(course)));
+
+            return {
+                overview,
+                details: results.filter((result) => result.status === 'fulfilled' && result.value).map((result) => result.value),
+                ...failedCourses(results, overview.courses.map((course) => course.courseCode))
+            };
+        });
+    }
+}
+
+module.exports = {
+    CAPTCHA_MIN_CONFIDENCE,
+    captchaStats,
+    VtopClient
+};
@@ -0,0 +1,416 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const { vtopPercentage, DEFAULT_THRESHOLD } = require('./attendanceplanner');
+const { parseDate } = require('./calendar');
+const { createKeyedQueue } = require('./keyedqueue');
+
+// Webhook notifications driven by change detection (changes.js).
+//
+// Each student registers webhook URLs with the events they want. When a
+// fetch finds relevant changes, every matching webhook gets a signed JSON
+// POST. Failed deliveries are retried with exponential backoff, and every
+// delivery (with each attempt) is kept in a per-webhook log.
+//
+// Payloads are signed with HMAC-SHA256 over "<timestamp>.<body>" using the
+// webhook's secret, sent as X-VTOP-Signature: sha256=<hex> alongside
+// X-VTOP-Timestamp, so receivers can reject forged or replayed requests.
+//
+// Webhook URLs come from students, so deliveries never go to loopback,
+// private, link-local (cloud metadata) or other non-public addresses unless
+// the service is created with allowPrivateTargets. The check runs on the
+// address each delivery actually connects to, so a hostname that resolves
+// elsewhere after registration (DNS rebinding) is still refused.
+
+const WEBHOOK_EVENTS = [
+    'marks.posted',
+    'attendance.below_threshold',
+    'exam.scheduled',
+    'exam.venue_changed',
+    'assignment.due_soon'
+];
+
+// Change types (see changes.js) behind each change-driven event
+const CHANGE_EVENTS = {
+    'mark.posted': 'marks.posted',
+    'exam.scheduled': 'exam.scheduled',
+    'exam.rescheduled': 'exam.scheduled',
+    'exam.venueChanged': 'exam.venue_changed',
+    'exam.seatChanged': 'exam.venue_changed'
+};
+
+const DEFAULT_DUE_WITHIN_HOURS = 24;
+const DEFAULT_MAX_WEBHOOKS = 10;
+const DELIVERY_LOG_LIMIT = 50;
+const HOUR = 60 * 60 * 1000;
+const IST_OFFSET = 5.5 * HOUR;
+
+class WebhookError extends Error {}
+
+// Addresses that are not on the public internet
+const PRIVATE_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// "[::1]" -> "::1"
+function hostAddress(url) {
+    return new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+}
+
+function blockedTarget(host, address) {
+    const error = new Error(host === address
+        ? `${address} is not a public address`
+        : `${host} resolves to ${address}, which is not a public address`);
+    error.code = 'WEBHOOK_TARGET_BLOCKED';
+    return error;
+}
+
+// dns.lookup that fails for hosts with any non-public address
+function publicLookup(lookup) {
+    return (hostname, options, callback) => {
+        lookup(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) return callback(error);
+            const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+            if (blocked) return callback(blockedTarget(hostname, blocked.address));
+            if (options.all) return callback(null, addresses);
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    };
+}
+
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Validate a registration request and fill in defaults
+function normalizeRegistration(input = {}, { allowPrivateTargets = false } = {}) {
+    let url;
+    try {
+        url = new URL(input.url);
+    } catch (error) {
+        throw new WebhookError('url must be an absolute http(s) URL');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new WebhookError('url must be an absolute http(s) URL');
+    }
+    // Hostnames are checked when they are resolved for delivery
+    if (!allowPrivateTargets && isPrivateAddress(hostAddress(url))) {
+        throw new WebhookError('url must point to a public address');
+    }
+
+    const events = input.events === undefined ? WEBHOOK_EVENTS : input.events;
+    if (!Array.isArray(events) || !events.length) {
+        throw new WebhookError('events must be a non-empty array');
+    }
+    const unknown = events.filter((event) => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length) {
+        throw new WebhookError(`unknown events: ${unknown.join(', ')} (expected ${WEBHOOK_EVENTS.join(', ')})`);
+    }
+
+    const threshold = input.threshold === undefined ? DEFAULT_THRESHOLD : Number(input.threshold);
+    if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 100) {
+        throw new WebhookError('threshold must be between 0 and 100');
+    }
+
+    const dueWithinHours = input.dueWithinHours === undefined ? DEFAULT_DUE_WITHIN_HOURS : Number(input.dueWithinHours);
+    if (!Number.isFinite(dueWithinHours) || dueWithinHours <= 0) {
+        throw new WebhookError('dueWithinHours must be a positive number');
+    }
+
+    if (input.secret !== undefined && (typeof input.secret !== 'string' || input.secret.length < 16)) {
+        throw new WebhookError('secret must be a string of at least 16 characters');
+    }
+
+    return {
+        url: url.toString(),
+        events: [...new Set(events)],
+        threshold,
+        dueWithinHours,
+        secret: input.secret || crypto.randomBytes(32).toString('hex')
+    };
+}
+
+// Public view of a webhook: no secret, bookkeeping or log
+function describe(webhook) {
+    const { secret, notifiedDue, deliveries, ...fields } = webhook;
+    return fields;
+}
+
+// Courses whose attendance went from at or above the webhook's threshold
+// to below it, from attendance.updated changes
+function attendanceDrops(changes, threshold) {
+    return changes
+        .filter((change) => change.type === 'attendance.updated')
+        .filter((change) => {
+            const before = vtopPercentage(change.previous.attendedClasses, change.previous.totalClasses);
+            const after = vtopPercentage(change.attendedClasses, change.totalClasses);
+            return after !== null && after < threshold && (before === null || before >= threshold);
+        })
+        .map((change) => ({
+            ...change,
+            percentage: vtopPercentage(change.attendedClasses, change.totalClasses),
+            threshold
+        }));
+}
+
+// Assignments due within the window that this webhook has not been told
+// about for their current due date. Due dates count until the end of the
+// day in India.
+function assignmentsDueSoon(assignments, webhook, now) {
+    return Object.entries(assignments || {})
+        .map(([key, assignment]) => {
+            const date = parseDate(assignment.dueDate);
+            return date && { key, assignment, dueAt: date.getTime() + 24 * HOUR - IST_OFFSET };
+        })
+        .filter(Boolean)
+        .filter(({ key, assignment, dueAt }) =>
+            dueAt > now.getTime() &&
+            dueAt - now.getTime() <= webhook.dueWithinHours * HOUR &&
+            webhook.notifiedDue?.[key] !== assignment.dueDate);
+}
+
+// Create the webhook service.
+// store:       a sessionstore-style store for per-student webhook records
+// ttl:         how long records are kept after their last update
+// post:        (url, body, { headers, timeout }) -> { status }; axios.post by default
+// lookup:      dns.lookup-style resolver for the default post
+// allowPrivateTargets: deliver to loopback and private addresses too
+//              (receivers on the same host or network)
+// maxWebhooks: webhooks one student can register
+// maxAttempts: delivery attempts before giving up
+// retryDelay:  delay before the first retry, doubled for each one after
+function createWebhookService(options) {
+    const {
+        store,
+        ttl,
+        lookup = dns.lookup,
+        allowPrivateTargets = false,
+        maxWebhooks = DEFAULT_MAX_WEBHOOKS,
+        maxAttempts = 4,
+        retryDelay = 1000,
+        timeout = 10000,
+        sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms).unref())
+    } = options;
+
+    // Redirects are not followed: they could lead anywhere
+    const agents = allowPrivateTargets ? {} : {
+        httpAgent: new http.Agent({ lookup: publicLookup(lookup) }),
+        httpsAgent: new https.Agent({ lookup: publicLookup(lookup) })
+    };
+    const {
+        post = (url, body, config) => axios.post(url, body, {
+            ...config,
+            ...agents,
+            maxRedirects: 0,
+            validateStatus: () => true
+        })
+    } = options;
+
+    // Updates to one student's record run one after another, so concurrent
+    // deliveries never overwrite each other's log entries
+    const updates = createKeyedQueue();
+
+    function update(owner, change) {
+        return updates.run(owner, async () => {
+            const record = (await store.get(owner)) || { webhooks: [] };
+            const result = await change(record);
+            await store.set(owner, record, ttl);
+            return result;
+        });
+    }
+
+    async function list(owner) {
+        const record = await store.get(owner);
+        return (record?.webhooks || []).map(describe);
+    }
+
+    async function register(owner, input) {
+        const webhook = {
+            id: crypto.randomBytes(8).toString('hex'),
+            ...normalizeRegistration(input, { allowPrivateTargets }),
+            createdAt: new Date().toISOString(),
+            notifiedDue: {},
+            deliveries: []
+        };
+        await update(owner, (record) => {
+            if (record.webhooks.length >= maxWebhooks) {
+                throw new WebhookError(`at most ${maxWebhooks} webhooks can be registered`);
+            }
+            record.webhooks.push(webhook);
+        });
+        // The secret is only ever shown here
+        return { ...describe(webhook), secret: webhook.secret };
+    }
+
+    async function remove(owner, id) {
+        return update(owner, (record) => {
+            const before = record.webhooks.length;
+            record.webhooks = record.webhooks.filter((webhook) => webhook.id !== id);
+            return record.webhooks.length < before;
+        });
+    }
+
+    // Delivery log for one webhook, newest first, or null if it is unknown
+    async function deliveries(owner, id) {
+        const record = await store.get(owner);
+        const webhook = record?.webhooks.find((entry) => entry.id === id);
+        return webhook ? [...webhook.deliveries].reverse() : null;
+    }
+
+    // POST a payload until it is accepted or attempts run out. Network
+    // errors, timeouts, 408, 429 and 5xx are retried; other statuses and
+    // non-public targets are final.
+    async function deliver(webhook, payload) {
+        const body = JSON.stringify(payload);
+        const attempts = [];
+
+        // Addresses in the URL are connected to without a lookup
+        const host = hostAddress(webhook.url);
+        if (!allowPrivateTargets && isPrivateAddress(host)) {
+            attempts.push({ at: new Date().toISOString(), status: null, error: blockedTarget(host, host).message, durationMs: 0 });
+            return { status: 'failed', attempts };
+        }
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            const timestamp = Math.floor(Date.now() / 1000).toString();
+            const started = Date.now();
+            let status = null;
+            let error = null;
+            let blocked = false;
+
+            try {
+                const response = await post(webhook.url, body, {
+                    timeout,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'vtop-api-webhooks',
+                        'X-VTOP-Event': payload.event,
+                        'X-VTOP-Delivery': payload.id,
+                        'X-VTOP-Timestamp': timestamp,
+                        'X-VTOP-Signature': signPayload(webhook.secret, timestamp, body)
+                    }
+                });
+                status = response.status;
+            } catch (requestError) {
+                error = requestError.message;
+                blocked = requestError.code === 'WEBHOOK_TARGET_BLOCKED';
+            }
+
+            attempts.push({ at: new Date(started).toISOString(), status, error, durationMs: Date.now() - started });
+
+            if (status >= 200 && status < 300) {
+                return { status: 'delivered', attempts };
+            }
+            const retryable = (status === null && !blocked) || status === 408 || status === 429 || status >= 500;
+            if (!retryable || attempt === maxAttempts) break;
+            await sleep(retryDelay * 2 ** (attempt - 1));
+        }
+
+        return { status: 'failed', attempts };
+    }
+
+    async function deliverAndLog(owner, webhook, payload) {
+        const outcome = await deliver(webhook, payload);
+        const entry = {
+            id: payload.id,
+            event: payload.event,
+            createdAt: payload.createdAt,
+            completedAt: new Date().toISOString(),
+            ...outcome
+        };
+
+        await update(owner, (record) => {
+            const stored = record.webhooks.find((candidate) => candidate.id === webhook.id);
+            if (!stored) return; // removed while delivering
+            stored.deliveries = [...stored.deliveries, entry].slice(-DELIVERY_LOG_LIMIT);
+        });
+        return entry;
+    }
+
+    // Work out the events each webhook wants from a recordChanges result and
+    // deliver them. Resolves with the delivery log entries once every
+    // delivery (with retries) has finished. The events are worked out in the
+    // student's update queue and due-soon notices remembered there before
+    // delivering, so neither a quick second fetch nor a concurrent one sends
+    // them again.
+    // context: { semesterId, changes, snapshot, now }
+    async function notify(owner, context) {
+        const { semesterId, changes = [], snapshot = {}, now = new Date() } = context;
+        const existing = await store.get(owner);
+        if (!existing?.webhooks.length) return [];
+
+        const deliveriesToMake = await update(owner, (record) => {
+            const planned = [];
+
+            record.webhooks.forEach((webhook) => {
+                const events = [];
+
+                changes.forEach((change) => {
+                    const event = CHANGE_EVENTS[change.type];
+                    if (event) events.push({ event, data: change });
+                });
+                attendanceDrops(changes, webhook.threshold).forEach((data) => {
+                    events.push({ event: 'attendance.below_threshold', data });
+                });
+                const dueSoon = assignmentsDueSoon(snapshot.assignments, webhook, now);
+                dueSoon.forEach(({ assignment, dueAt }) => {
+                    events.push({ event: 'assignment.due_soon', data: { ...assignment, dueAt: new Date(dueAt).toISOString() } });
+                });
+
+                const wanted = events.filter(({ event }) => webhook.events.includes(event));
+                if (wanted.some(({ event }) => event === 'assignment.due_soon')) {
+                    dueSoon.forEach(({ key, assignment }) => {
+                        webhook.notifiedDue = { ...webhook.notifiedDue, [key]: assignment.dueDate };
+                    });
+                }
+
+                wanted.forEach(({ event, data }) => {
+                    planned.push({
+                        webhook,
+                        payload: {
+                            id: crypto.randomBytes(12).toString('hex'),
+                            event,
+                            createdAt: now.toISOString(),
+                            studentId: owner,
+                            semesterId,
+                            data
+                        }
+                    });
+                });
+            });
+
+            return planned;
+        });
+
+        return Promise.all(deliveriesToMake.map(({ webhook, payload }) => deliverAndLog(owner, webhook, payload)));
+    }
+
+    return {
+        list,
+        register,
+        remove,
+        deliveries,
+        notify
+    };
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    WebhookError,
+    isPrivateAddress,
+    signPayload,
+    createWebhookService
+};
@@ -0,0 +1,91 @@
+const { Worker } = require('worker_threads');
+
+// Fixed-size pool of worker threads running one script. Workers start on
+// first use; tasks queue while every worker is busy. A worker that crashes
+// fails its task and is replaced on the next dispatch.
+//
+// The script answers each { id, data } message with { id, result } or
+// { id, error }. Idle workers are unref'd so the pool never keeps the
+// process alive on its own. workerData is passed to every worker.
+function createWorkerPool(file, { size = 1, workerData } = {}) {
+    const workers = [];
+    const queue = [];
+    let nextId = 0;
+    let closed = false;
+
+    function spawn() {
+        const entry = { worker: new Worker(file, { workerData }), task: null };
+
+        entry.worker.on('message', ({ id, result, error }) => {
+            const { task } = entry;
+            if (!task || task.id !== id) return;
+            entry.task = null;
+            entry.worker.unref();
+            if (error) task.reject(new Error(error));
+            else task.resolve(result);
+            dispatch();
+        });
+
+        const fail = (error) => {
+            workers.splice(workers.indexOf(entry), 1);
+            if (entry.task) entry.task.reject(error);
+            entry.task = null;
+            dispatch();
+        };
+        entry.worker.on('error', fail);
+        entry.worker.on('exit', (code) => {
+            if (workers.includes(entry)) fail(new Error(`Worker exited with code ${code}`));
+        });
+
+        entry.worker.unref();
+        workers.push(entry);
+        return entry;
+    }
+
+    function dispatch() {
+        while (queue.length && !closed) {
+            const idle = workers.find((entry) => !entry.task) || (workers.length < size && spawn());
+            if (!idle) return;
+
+            const task = queue.shift();
+            idle.task = task;
+            idle.worker.ref();
+            idle.worker.postMessage({ id: task.id, data: task.data }, task.transferList);
+        }
+    }
+
+    // Run a task; transferList hands ArrayBuffers to the worker without copying
+    function run(data, transferList = []) {
+        if (closed) {
+            return Promise.reject(new Error('Worker pool is closed'));
+        }
+        return new Promise((resolve, reject) => {
+            queue.push({ id: nextId++, data, transferList, resolve, reject });
+            dispatch();
+        });
+    }
+
+    // Stop every worker; queued and running tasks are rejected
+    async function destroy() {
+        closed = true;
+        queue.splice(0).forEach((task) => task.reject(new Error('Worker pool is closed')));
+        const running = workers.splice(0);
+        running.forEach((entry) => entry.task?.reject(new Error('Worker pool is closed')));
+        await Promise.all(running.map((entry) => entry.worker.terminate()));
+    }
+
+    return {
+        run,
+        destroy,
+        get size() {
+            return size;
+        },
+        get pending() {
+            return queue.length + workers.filter((entry) => entry.task).length;
+        }
+    };
+}
+
+module.exports = {
+    createWorkerPool
+};
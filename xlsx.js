@@ -0,0 +1,226 @@
+const zlib = require('zlib');
+
+// Minimal XLSX (Office Open XML spreadsheet) writer for the tables in
+// tables.js: one worksheet per table, a bold frozen header row, numbers
+// as numbers, and the table's date columns as real dates shown as
+// yyyy-mm-dd (or yyyy-mm-dd hh:mm). Strings are written inline, so no
+// cell is ever read as a formula. The same tables always produce the same
+// bytes (entries carry a fixed timestamp).
+
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Cell style indexes in styles.xml
+const STYLE = { header: 1, date: 2, dateTime: 3 };
+
+const CRC_TABLE = Array.from({ length: 256 }, (value, index) => {
+    let crc = index;
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+    return crc >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Zip archive of [name, content] entries, deflated, dated 1980-01-01
+function zip(entries) {
+    const DOS_DATE = (1 << 5) | 1;
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    entries.forEach(([name, content]) => {
+        const nameBytes = Buffer.from(name, 'utf8');
+        const data = Buffer.from(content, 'utf8');
+        const deflated = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034B50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(0x0800, 6); // UTF-8 names
+        local.writeUInt16LE(8, 8); // deflate
+        local.writeUInt16LE(0, 10);
+        local.writeUInt16LE(DOS_DATE, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(deflated.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014B50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(0, 12);
+        central.writeUInt16LE(DOS_DATE, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(deflated.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, nameBytes, deflated);
+        centrals.push(central, nameBytes);
+        offset += local.length + nameBytes.length + deflated.length;
+    });
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directory, end]);
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+    let name = '';
+    for (let rest = index + 1; rest > 0; rest = Math.floor((rest - 1) / 26)) {
+        name = String.fromCharCode(65 + ((rest - 1) % 26)) + name;
+    }
+    return name;
+}
+
+// Spreadsheet serial day number of an ISO date ("2025-02-14" or
+// "2025-02-14 21:40"), or null for anything else
+function dateSerial(value) {
+    const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})(?: (\d{2}):(\d{2}))?$/);
+    if (!match) return null;
+    const [, year, month, day, hours = 0, minutes = 0] = match.map((part) => (part === undefined ? undefined : Number(part)));
+    return (Date.UTC(year, month - 1, day, hours, minutes) - Date.UTC(1899, 11, 30)) / (24 * 60 * 60 * 1000);
+}
+
+function cellXml(ref, value, { style, isDate }) {
+    if (value === null || value === undefined || value === '' || Number.isNaN(value)) {
+        return '';
+    }
+    const styleAttr = (index) => (index ? ` s="${index}"` : '');
+
+    const serial = isDate ? dateSerial(value) : null;
+    if (serial !== null) {
+        return `<c r="${ref}"${styleAttr(value.length > 10 ? STYLE.dateTime : STYLE.date)}><v>${serial}</v></c>`;
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"${styleAttr(style)}><v>${value}</v></c>`;
+    }
+    if (typeof value === 'boolean') {
+        return `<c r="${ref}" t="b"${styleAttr(style)}><v>${value ? 1 : 0}</v></c>`;
+    }
+    return `<c r="${ref}" t="inlineStr"${styleAttr(style)}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function sheetXml({ columns, rows, dates = [] }) {
+    const dateColumns = new Set(dates.map((header) => columns.indexOf(header)));
+    const widths = columns.map((header, index) => Math.min(60, Math.max(
+        10,
+        header.length + 2,
+        ...rows.map((row) => String(row[index] ?? '').length + 2)
+    )));
+
+    const rowXml = (cells, rowIndex, style) => {
+        const ref = (index) => `${columnName(index)}${rowIndex + 1}`;
+        const body = cells.map((value, index) => cellXml(ref(index), value, {
+            style,
+            isDate: !style && dateColumns.has(index)
+        })).join('');
+        return `<row r="${rowIndex + 1}">${body}</row>`;
+    };
+
+    return XML_HEADER +
+        `<worksheet xmlns="${MAIN_NS}">` +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+        `<cols>${widths.map((width, index) => `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>` +
+        `<sheetData>${[rowXml(columns, 0, STYLE.header), ...rows.map((row, index) => rowXml(row, index + 1))].join('')}</sheetData>` +
+        '</worksheet>';
+}
+
+const STYLES_XML = XML_HEADER +
+    `<styleSheet xmlns="${MAIN_NS}">` +
+    '<numFmts count="2"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/><numFmt numFmtId="165" formatCode="yyyy-mm-dd hh:mm"/></numFmts>' +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="4">' +
+    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+    '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '</cellXfs>' +
+    '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+    '</styleSheet>';
+
+// Workbook with one worksheet per table ({ title, columns, rows, dates }
+// from tabulate), named by title. Returns the .xlsx file's bytes.
+function buildWorkbook(tables) {
+    const names = new Set();
+    const sheets = tables.map((table, index) => {
+        // Sheet names: unique, at most 31 characters, none of : \ / ? * [ ]
+        const base = String(table.title || `Sheet${index + 1}`).replace(/[:\\/?*[\]]/g, ' ').slice(0, 27);
+        let name = base;
+        for (let copy = 2; names.has(name.toLowerCase()); copy++) {
+            name = `${base} (${copy})`;
+        }
+        names.add(name.toLowerCase());
+        return { name, path: `worksheets/sheet${index + 1}.xml`, xml: sheetXml(table) };
+    });
+
+    return zip([
+        ['[Content_Types].xml', XML_HEADER +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            sheets.map(({ path }) => `<Override PartName="/xl/${path}" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+            '</Types>'],
+        ['_rels/.rels', XML_HEADER +
+            `<Relationships xmlns="${PACKAGE_REL_NS}">` +
+            `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+            '</Relationships>'],
+        ['xl/workbook.xml', XML_HEADER +
+            `<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}"><sheets>` +
+            sheets.map(({ name }, index) => `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('') +
+            '</sheets></workbook>'],
+        ['xl/_rels/workbook.xml.rels', XML_HEADER +
+            `<Relationships xmlns="${PACKAGE_REL_NS}">` +
+            sheets.map(({ path }, index) => `<Relationship Id="rId${index + 1}" Type="${REL_NS}/worksheet" Target="${path}"/>`).join('') +
+            `<Relationship Id="rId${sheets.length + 1}" Type="${REL_NS}/styles" Target="styles.xml"/>` +
+            '</Relationships>'],
+        ['xl/styles.xml', STYLES_XML],
+        ...sheets.map(({ path, xml }) => [`xl/${path}`, xml])
+    ]);
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    crc32,
+    dateSerial,
+    buildWorkbook
+};